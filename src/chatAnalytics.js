@@ -0,0 +1,223 @@
+/**
+ * Conversation analytics for the admin page. Each portal chat message and
+ * each end of the create-request flow becomes one event: what was asked
+ * (intent), how it ended (outcome, with a reason for anything but a plain
+ * answer), how long it took and in which project.
+ *
+ * The dashboard reads one record per UTC day holding counters (overall and
+ * per project) and the day's newest unanswered questions. The events
+ * themselves are only needed for the CSV export and are kept in shards of a
+ * few hundred per day. Rate-limited messages are counted but never stored
+ * one by one, so a flood of them cannot fill storage.
+ *
+ * The customer's question is kept only when it could not be answered, so
+ * admins can see what the assistant is missing. It is redacted by the caller
+ * before it gets here.
+ */
+
+export const CHAT_ANALYTICS_OUTCOMES = [
+  { id: "answered", label: "Answered" },
+  { id: "not_found", label: "Not found" },
+  { id: "rate_limited", label: "Rate limited" },
+  { id: "created_request", label: "Created request" },
+  { id: "cancelled", label: "Cancelled" },
+  { id: "error", label: "Error" },
+];
+
+// Outcomes listed under "questions the assistant could not answer".
+const UNANSWERED_OUTCOMES = ["not_found", "error"];
+const SUCCESS_OUTCOMES = ["answered", "created_request"];
+const FAILURE_OUTCOMES = ["not_found", "rate_limited", "error"];
+
+export const CHAT_ANALYTICS_RETENTION_DAYS = 90;
+// Forge storage values are limited to 240 KB; a shard of events stays well
+// below it. Past the shard limit a day's events are only counted.
+const CHAT_ANALYTICS_SHARD_SIZE = 200;
+const DAILY_SHARD_LIMIT = 50;
+export const CHAT_ANALYTICS_EXPORT_EVENT_LIMIT = 20000;
+
+const QUESTION_MAX_LENGTH = 200;
+const TOP_LIST_LIMIT = 10;
+const UNANSWERED_LIST_LIMIT = 100;
+const DAILY_UNANSWERED_LIMIT = 50;
+// Project ids on rejected requests come from the widget unchecked, so a day
+// record only breaks down this many projects.
+const DAILY_PROJECT_LIMIT = 100;
+
+const CSV_COLUMNS = ["time", "project", "kind", "intent", "outcome", "reason", "latency_ms", "question"];
+
+/**
+ * `kind` is "chat" or "create_request". The question is dropped unless the
+ * outcome means the customer did not get an answer. Events without a
+ * request to time, such as a cancelled create flow, have no latency.
+ */
+export function buildChatAnalyticsEvent({ kind, intent, outcome, reason, latencyMs, projectId, question, now }) {
+  const text = String(question || "").replace(/\s+/g, " ").trim();
+  const hasLatency = latencyMs !== undefined && latencyMs !== null;
+  return {
+    at: new Date(now ?? Date.now()).toISOString(),
+    kind,
+    intent: intent || "unknown",
+    outcome,
+    reason: reason || null,
+    latencyMs: hasLatency ? Math.max(0, Math.round(Number(latencyMs) || 0)) : null,
+    projectId: projectId ? String(projectId) : null,
+    question:
+      text && UNANSWERED_OUTCOMES.includes(outcome)
+        ? text.length > QUESTION_MAX_LENGTH
+          ? `${text.slice(0, QUESTION_MAX_LENGTH - 1)}…`
+          : text
+        : null,
+  };
+}
+
+function createCounts() {
+  return { total: 0, outcomes: {}, intents: {}, failureReasons: {}, latencyTotalMs: 0, timedCount: 0 };
+}
+
+function increment(counts, key, by = 1) {
+  return key ? { ...counts, [key]: (counts[key] || 0) + by } : counts;
+}
+
+function mergeCountMaps(target, source) {
+  return Object.entries(source || {}).reduce((merged, [key, count]) => increment(merged, key, count), target);
+}
+
+function addEventToCounts(counts, event) {
+  const current = { ...createCounts(), ...counts };
+  const isTimed = typeof event.latencyMs === "number";
+  return {
+    total: current.total + 1,
+    outcomes: increment(current.outcomes, event.outcome),
+    // Rate-limited messages are never read, so they have no intent.
+    intents: event.outcome === "rate_limited" ? current.intents : increment(current.intents, event.intent),
+    failureReasons: FAILURE_OUTCOMES.includes(event.outcome)
+      ? increment(current.failureReasons, event.reason)
+      : current.failureReasons,
+    latencyTotalMs: current.latencyTotalMs + (isTimed ? event.latencyMs : 0),
+    timedCount: current.timedCount + (isTimed ? 1 : 0),
+  };
+}
+
+function mergeCounts(target, source) {
+  return {
+    total: target.total + (Number(source?.total) || 0),
+    outcomes: mergeCountMaps(target.outcomes, source?.outcomes),
+    intents: mergeCountMaps(target.intents, source?.intents),
+    failureReasons: mergeCountMaps(target.failureReasons, source?.failureReasons),
+    latencyTotalMs: target.latencyTotalMs + (Number(source?.latencyTotalMs) || 0),
+    timedCount: target.timedCount + (Number(source?.timedCount) || 0),
+  };
+}
+
+/**
+ * Adds an event to its day record: { day, totals, projects, unanswered,
+ * storedEvents, unstoredEvents }. Returns the new record and the shard the
+ * event goes into, or null when it is only counted.
+ */
+export function addChatAnalyticsEvent(dayRecord, day, event) {
+  const current =
+    dayRecord?.day === day
+      ? dayRecord
+      : { day, totals: createCounts(), projects: {}, unanswered: [], storedEvents: 0, unstoredEvents: 0 };
+  const isRateLimited = event.outcome === "rate_limited";
+  const storesEvent = !isRateLimited && current.storedEvents < CHAT_ANALYTICS_SHARD_SIZE * DAILY_SHARD_LIMIT;
+  const countsProject =
+    event.projectId &&
+    (current.projects[event.projectId] || Object.keys(current.projects).length < DAILY_PROJECT_LIMIT);
+
+  return {
+    dayRecord: {
+      ...current,
+      totals: addEventToCounts(current.totals, event),
+      projects: countsProject
+        ? { ...current.projects, [event.projectId]: addEventToCounts(current.projects[event.projectId], event) }
+        : current.projects,
+      unanswered: event.question ? [...current.unanswered, event].slice(-DAILY_UNANSWERED_LIMIT) : current.unanswered,
+      storedEvents: current.storedEvents + (storesEvent ? 1 : 0),
+      unstoredEvents: current.unstoredEvents + (storesEvent || isRateLimited ? 0 : 1),
+    },
+    shardIndex: storesEvent ? Math.floor(current.storedEvents / CHAT_ANALYTICS_SHARD_SIZE) : null,
+  };
+}
+
+export function appendChatAnalyticsShardEvent(shardRecord, event) {
+  return { events: [...(Array.isArray(shardRecord?.events) ? shardRecord.events : []), event] };
+}
+
+export function getChatAnalyticsShardCount(dayRecord) {
+  return Math.ceil((Number(dayRecord?.storedEvents) || 0) / CHAT_ANALYTICS_SHARD_SIZE);
+}
+
+function countsToList(counts) {
+  return Object.entries(counts)
+    .map(([key, count]) => ({ key, count }))
+    .sort((a, b) => b.count - a.count || a.key.localeCompare(b.key));
+}
+
+/* Stored events from a list of shard records, optionally for one project only. */
+export function collectChatAnalyticsEvents(shardRecords, projectId) {
+  const events = shardRecords.flatMap((record) => (Array.isArray(record?.events) ? record.events : []));
+  return projectId ? events.filter((event) => event.projectId === String(projectId)) : events;
+}
+
+/**
+ * Dashboard view of consecutive day records (missing days may be null): a
+ * daily volume series, outcome totals, top intents, the most common failure
+ * reasons and the newest unanswered questions.
+ */
+export function summarizeChatAnalytics(days, dayRecords, projectId) {
+  const records = days.map((day, index) => (dayRecords[index]?.day === day ? dayRecords[index] : null));
+  const selectCounts = (record) => (projectId ? record?.projects?.[String(projectId)] : record?.totals) || null;
+  const counts = records.reduce((merged, record) => mergeCounts(merged, selectCounts(record)), createCounts());
+
+  return {
+    daily: days.map((day, index) => {
+      const dayCounts = selectCounts(records[index]);
+      return {
+        day,
+        total: Number(dayCounts?.total) || 0,
+        answered: SUCCESS_OUTCOMES.reduce((sum, outcome) => sum + (Number(dayCounts?.outcomes?.[outcome]) || 0), 0),
+      };
+    }),
+    totals: {
+      total: counts.total,
+      outcomes: mergeCountMaps(
+        Object.fromEntries(CHAT_ANALYTICS_OUTCOMES.map((outcome) => [outcome.id, 0])),
+        counts.outcomes
+      ),
+      averageLatencyMs: counts.timedCount ? Math.round(counts.latencyTotalMs / counts.timedCount) : null,
+    },
+    topIntents: countsToList(counts.intents)
+      .slice(0, TOP_LIST_LIMIT)
+      .map(({ key, count }) => ({ intent: key, count })),
+    failureReasons: countsToList(counts.failureReasons)
+      .slice(0, TOP_LIST_LIMIT)
+      .map(({ key, count }) => ({ reason: key, count })),
+    unanswered: records
+      .flatMap((record) => (Array.isArray(record?.unanswered) ? record.unanswered : []))
+      .filter((event) => !projectId || event.projectId === String(projectId))
+      .reverse()
+      .slice(0, UNANSWERED_LIST_LIMIT),
+    // Events past a day's shard limit are counted above but missing from the
+    // export. They are not broken down by project here.
+    dropped: projectId ? 0 : records.reduce((sum, record) => sum + (Number(record?.unstoredEvents) || 0), 0),
+  };
+}
+
+// Customer text ends up in a spreadsheet; a leading =, +, - or @ would be
+// read as a formula.
+function toCsvCell(value) {
+  const text = value === null || value === undefined ? "" : String(value);
+  const safeText = /^[=+\-@\t\r]/.test(text) ? `'${text}` : text;
+  return /[",\n\r]/.test(safeText) ? `"${safeText.replace(/"/g, '""')}"` : safeText;
+}
+
+export function buildChatAnalyticsCsv(events) {
+  const rows = events.map((event) =>
+    [event.at, event.projectId, event.kind, event.intent, event.outcome, event.reason, event.latencyMs, event.question]
+      .map(toCsvCell)
+      .join(",")
+  );
+  return [CSV_COLUMNS.join(","), ...rows].join("\r\n");
+}
@@ -0,0 +1,115 @@
+/**
+ * Typed cards for portal chat replies. Resolvers keep returning the plain-text
+ * `reply` (it is what conversation history, streaming and older widgets use)
+ * and add a `card` with the same content in structured form for the portal UI
+ * to render. The UI falls back to the text for any card it does not know.
+ */
+
+const STATUS_CATEGORY_KEYS = {
+  new: "new",
+  "to do": "new",
+  indeterminate: "indeterminate",
+  "in progress": "indeterminate",
+  done: "done",
+};
+
+const CARD_MAX_ITEMS = 10;
+const CARD_MAX_DETAILS = 12;
+
+/**
+ * Jira reports status categories as keys ("indeterminate"), names ("In
+ * Progress") or servicedesk constants ("INDETERMINATE"); cards use the key.
+ */
+export function normalizeStatusCategory(statusCategory) {
+  return STATUS_CATEGORY_KEYS[String(statusCategory || "").trim().toLowerCase()] || "";
+}
+
+function toText(value) {
+  return value === undefined || value === null ? "" : String(value);
+}
+
+function normalizeDetails(details) {
+  return (Array.isArray(details) ? details : [])
+    .map((detail) => ({ label: toText(detail?.label), value: toText(detail?.value) }))
+    .filter((detail) => detail.label && detail.value)
+    .slice(0, CARD_MAX_DETAILS);
+}
+
+function normalizePerson(person) {
+  if (!person?.displayName) {
+    return null;
+  }
+  return { displayName: toText(person.displayName), avatarUrl: toText(person.avatarUrl) };
+}
+
+/**
+ * One or more issues with a status lozenge, assignee avatar and link. Issues
+ * that could not be loaded are kept with their error so the card matches the
+ * text reply.
+ */
+export function buildIssueCard({ issues, intro = "" }) {
+  return {
+    type: "issue",
+    intro: toText(intro),
+    issues: (Array.isArray(issues) ? issues : []).slice(0, CARD_MAX_ITEMS).map((issue) =>
+      issue?.error
+        ? { issueKey: toText(issue.issueKey), error: toText(issue.error) }
+        : {
+            issueKey: toText(issue?.issueKey),
+            summary: toText(issue?.summary),
+            status: toText(issue?.status),
+            statusCategory: normalizeStatusCategory(issue?.statusCategory),
+            assignee: normalizePerson(issue?.assignee),
+            url: toText(issue?.url),
+            details: normalizeDetails(issue?.details),
+          }
+    ),
+  };
+}
+
+export function buildRequestListCard({ intro = "", requests, footer = "" }) {
+  return {
+    type: "request_list",
+    intro: toText(intro),
+    footer: toText(footer),
+    requests: (Array.isArray(requests) ? requests : []).slice(0, CARD_MAX_ITEMS).map((request) => ({
+      position: Number(request?.position) || null,
+      issueKey: toText(request?.issueKey),
+      summary: toText(request?.summary),
+      status: toText(request?.status),
+      statusCategory: normalizeStatusCategory(request?.statusCategory),
+      details: (Array.isArray(request?.details) ? request.details : []).map(toText).filter(Boolean),
+      url: toText(request?.url),
+    })),
+  };
+}
+
+export function buildConfirmationCard({ title, details, url = "", note = "" }) {
+  return {
+    type: "confirmation",
+    title: toText(title),
+    details: normalizeDetails(details),
+    url: toText(url),
+    note: toText(note),
+  };
+}
+
+export function buildErrorCard({ message, items }) {
+  return {
+    type: "error",
+    message: toText(message),
+    items: (Array.isArray(items) ? items : []).map(toText).filter(Boolean).slice(0, CARD_MAX_DETAILS),
+  };
+}
+
+export function buildArticleListCard({ intro = "", articles }) {
+  return {
+    type: "article_list",
+    intro: toText(intro),
+    articles: (Array.isArray(articles) ? articles : []).slice(0, CARD_MAX_ITEMS).map((article) => ({
+      title: toText(article?.title),
+      excerpt: toText(article?.excerpt),
+      url: toText(article?.url),
+    })),
+  };
+}
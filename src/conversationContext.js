@@ -0,0 +1,190 @@
+/**
+ * Follow-up resolution for the portal assistant. Each answered issue lookup
+ * leaves a small context (issue keys, project key, intent) behind so that
+ * "what about its reporter?" or "and 43?" can be answered without the
+ * customer repeating the issue key. Deterministic rules run first; the LLM
+ * prompt below is only a fallback and may only pick keys from the context.
+ */
+
+import { matchesLocalizedKeyword, translatePortalMessage } from "./portalLanguage";
+
+// A follow-up much later than this is more likely a new topic.
+export const CONVERSATION_CONTEXT_TTL_MS = 60 * 60 * 1000;
+
+const CONVERSATION_CONTEXT_MAX_KEYS = 5;
+const CONVERSATION_CONTEXT_INTENTS = [
+  "status",
+  "assignee",
+  "reporter",
+  "due",
+  "latest_update",
+  "priority",
+  "resolution",
+  "links",
+  "all",
+];
+// Pronouns only refer back in short messages ("who is assigned to it?").
+const SHORT_FOLLOW_UP_MAX_WORDS = 8;
+// Without an intent word, a pronoun only points back when little else is
+// said ("is it done yet?"); "I need a laptop for this" is a new topic.
+const BARE_REFERENCE_MAX_OTHER_WORDS = 3;
+
+const ISSUE_KEY_PATTERN = /^[A-Z][A-Z0-9]+-\d+$/;
+
+const REFERENCE_REGEX =
+  /\b(it|its|it's|this|that|these|those|them|they|their|the\s+(?:same\s+)?(?:one|ones|ticket|tickets|request|requests|issue|issues|case|cases)|same\s+one)\b/gi;
+const ELLIPSIS_REGEX = /^\s*(?:and|also|plus|what\s+about|how\s+about|and\s+what\s+about)\b/i;
+const BARE_ISSUE_NUMBER_REGEX = /^\s*(?:and|also|what\s+about|how\s+about|and\s+what\s+about)\s+(?:#|number\s+|no\.?\s*)?(\d+)\s*\??\s*$/i;
+const INTENT_WORD_REGEX =
+  /\b(status|state|progress|updates?|assignee|assigned|owner|working on|reporter|reported|raised|created by|opened by|due|deadline|eta|sla|comments?|priority|resolution|resolved|blocked|blockers?|linked)\b/i;
+const STATUS_WORD_REGEX = /\b(status|state|progress|update)\b/i;
+const LOCALIZED_INTENT_KINDS = ["assignee", "reporter", "due", "latest_update", "priority", "resolution", "links"];
+// "thanks, that's all" mentions "that" but is not a question about it.
+const CLOSING_REGEX = /^\s*(?:thanks|thank you|thx|ok|okay|great|cool|bye|goodbye)\b/i;
+
+function countWords(text) {
+  return text.split(/\s+/).filter(Boolean).length;
+}
+
+/**
+ * A pronoun refers back only in a short message that is about nothing else:
+ * either it asks for an issue detail or the pronoun is almost all it says.
+ */
+function isPronounFollowUp(text, hasIntentWord, language) {
+  const wordCount = countWords(text);
+  if (wordCount > SHORT_FOLLOW_UP_MAX_WORDS) {
+    return false;
+  }
+  const otherWordCount = text.match(REFERENCE_REGEX)
+    ? countWords(text.replace(REFERENCE_REGEX, " "))
+    : matchesLocalizedKeyword("followUpReference", text, language)
+    ? wordCount - 1
+    : null;
+  return otherWordCount !== null && (hasIntentWord || otherWordCount <= BARE_REFERENCE_MAX_OTHER_WORDS);
+}
+
+function getProjectKeyFromIssueKey(issueKey) {
+  return String(issueKey || "").split("-")[0] || null;
+}
+
+function normalizeContextIssueKeys(issueKeys) {
+  return [
+    ...new Set(
+      (Array.isArray(issueKeys) ? issueKeys : [])
+        .map((issueKey) => String(issueKey || "").trim().toUpperCase())
+        .filter((issueKey) => ISSUE_KEY_PATTERN.test(issueKey))
+    ),
+  ].slice(0, CONVERSATION_CONTEXT_MAX_KEYS);
+}
+
+/**
+ * Context recorded after an issue lookup. Keys that could not be read are
+ * left out so a follow-up does not point at an issue we know nothing about.
+ */
+export function buildConversationContext({ issueKeys, intent, now = Date.now() }) {
+  const contextIssueKeys = normalizeContextIssueKeys(issueKeys);
+  if (contextIssueKeys.length === 0) {
+    return null;
+  }
+  return {
+    issueKeys: contextIssueKeys,
+    projectKey: getProjectKeyFromIssueKey(contextIssueKeys[0]),
+    intent: CONVERSATION_CONTEXT_INTENTS.includes(intent) ? intent : "status",
+    updatedAt: now,
+  };
+}
+
+/**
+ * Returns the stored context while it is still fresh and well-formed, else null.
+ */
+export function getActiveConversationContext(storedContext, now = Date.now()) {
+  if (!storedContext || now - Number(storedContext.updatedAt || 0) > CONVERSATION_CONTEXT_TTL_MS) {
+    return null;
+  }
+  const issueKeys = normalizeContextIssueKeys(storedContext.issueKeys);
+  if (issueKeys.length === 0) {
+    return null;
+  }
+  return {
+    issueKeys,
+    projectKey: getProjectKeyFromIssueKey(issueKeys[0]),
+    intent: CONVERSATION_CONTEXT_INTENTS.includes(storedContext.intent) ? storedContext.intent : "status",
+    updatedAt: storedContext.updatedAt,
+  };
+}
+
+/**
+ * Deterministic follow-up resolution for a message without issue keys.
+ * Returns the keys the message refers to, or an empty list when it does not
+ * clearly refer back to the conversation. Localized pronouns and connectives
+ * are only matched for the conversation `language`.
+ */
+export function resolveFollowUpIssueKeys(message, conversationContext, language) {
+  if (!conversationContext) {
+    return [];
+  }
+
+  const text = String(message || "").trim();
+  const hasIntentWord =
+    INTENT_WORD_REGEX.test(text) || LOCALIZED_INTENT_KINDS.some((kind) => matchesLocalizedKeyword(kind, text));
+  if (CLOSING_REGEX.test(text) && !hasIntentWord) {
+    return [];
+  }
+
+  const bareNumberMatch = text.match(BARE_ISSUE_NUMBER_REGEX);
+  if (bareNumberMatch && conversationContext.projectKey) {
+    return [`${conversationContext.projectKey}-${Number(bareNumberMatch[1])}`];
+  }
+
+  // An intent word alone is not enough: "what is the status of my laptop
+  // order" is about something new. Those are left to the LLM fallback.
+  if (
+    isPronounFollowUp(text, hasIntentWord, language) ||
+    ELLIPSIS_REGEX.test(text) ||
+    matchesLocalizedKeyword("followUpEllipsis", text, language)
+  ) {
+    return conversationContext.issueKeys;
+  }
+  return [];
+}
+
+/**
+ * inferIntentFromMessage defaults to "status", so an ellipsis without its own
+ * intent words ("what about TJ-2?") keeps asking what was asked last time.
+ */
+export function resolveFollowUpIntent(message, inferredIntent, conversationContext, language) {
+  const text = String(message || "");
+  if (
+    conversationContext &&
+    inferredIntent === "status" &&
+    !STATUS_WORD_REGEX.test(text) &&
+    (ELLIPSIS_REGEX.test(text) || matchesLocalizedKeyword("followUpEllipsis", text, language))
+  ) {
+    return conversationContext.intent;
+  }
+  return inferredIntent;
+}
+
+export const FOLLOW_UP_SYSTEM_PROMPT =
+  "You decide whether a customer's new message on a service portal chat refers to issues discussed earlier. " +
+  "You get the new message, the issue keys from earlier in the conversation and the recent turns. " +
+  'Respond with a single JSON object and no other text: {"issueKeys": [...]}. ' +
+  "Only use keys from previousIssueKeys. Return an empty list when the message is about something else " +
+  "or when you are not sure.";
+
+/**
+ * Keeps only keys that were already in the context, so the LLM can narrow
+ * the reference but never introduce an issue the customer did not mention.
+ */
+export function sanitizeFollowUpResolution(parsedResolution, conversationContext) {
+  const allowedKeys = conversationContext?.issueKeys || [];
+  return normalizeContextIssueKeys(parsedResolution?.issueKeys).filter((issueKey) => allowedKeys.includes(issueKey));
+}
+
+export function describeResolvedIssueKeys(issueKeys, language) {
+  const keys = normalizeContextIssueKeys(issueKeys);
+  if (keys.length === 0) {
+    return "";
+  }
+  return translatePortalMessage(language, "resolvedKeysNote", { keys: keys.join(", ") });
+}
@@ -0,0 +1,362 @@
+/**
+ * Validation for portal intake answers. The portal flow checks each typed
+ * answer through the validatePortalFieldAnswer resolver, and
+ * createPortalRequest runs the same rules again before submitting, so both
+ * agree on what is valid and on the normalized value sent to Jira.
+ *
+ * Admin rules are stored per field id: { fieldId, pattern, message, min,
+ * max, maxLength, format } where format is "email" or "url".
+ */
+
+export const FIELD_VALIDATION_RULE_LIMIT = 50;
+
+const SINGLE_LINE_TEXT_MAX_LENGTH = 255;
+const MULTI_LINE_TEXT_MAX_LENGTH = 32767;
+const LABEL_MAX_LENGTH = 255;
+const PATTERN_MAX_LENGTH = 500;
+// Admin patterns run on customer text; a badly written one can backtrack
+// for a very long time, so it only ever sees this much input.
+const PATTERN_INPUT_MAX_LENGTH = 2000;
+const RULE_MESSAGE_MAX_LENGTH = 200;
+const VALIDATION_FORMATS = ["email", "url"];
+
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const URL_REGEX = /^https?:\/\/[^\s/$.?#][^\s]*$/i;
+const FIELD_ID_REGEX = /^(customfield_\d+|[a-z][a-zA-Z]*)$/;
+
+const WEEKDAYS = ["sunday", "monday", "tuesday", "wednesday", "thursday", "friday", "saturday"];
+const MONTHS = ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"];
+
+// ─── Dates ──────────────────────────────────────────────────────────
+// Calendar days are handled as UTC midnights so "today" never shifts with
+// the server's clock; the portal passes the customer's own date.
+
+function buildDay(year, monthIndex, day) {
+  const date = new Date(Date.UTC(year, monthIndex, day));
+  return date.getUTCFullYear() === year && date.getUTCMonth() === monthIndex && date.getUTCDate() === day
+    ? date
+    : null;
+}
+
+function formatDay(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+function addDays(date, days) {
+  return new Date(date.getTime() + days * 86400000);
+}
+
+function parseIsoDay(text) {
+  const match = String(text || "").match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  return match ? buildDay(Number(match[1]), Number(match[2]) - 1, Number(match[3])) : null;
+}
+
+function resolveReferenceDay(today) {
+  const now = new Date();
+  return parseIsoDay(today) || buildDay(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate());
+}
+
+function findMonthIndex(name) {
+  return name.length >= 3 ? MONTHS.indexOf(name.slice(0, 3)) : -1;
+}
+
+/**
+ * Parses ISO dates and common phrases: "today", "tomorrow", "in 3 days",
+ * "next week", weekdays ("friday" is the coming one, today included; "next
+ * friday" never means today) and month names ("March 3", "3 March 2027").
+ * Returns YYYY-MM-DD or null.
+ */
+export function parseNaturalDate(text, today) {
+  const input = String(text || "").trim().toLowerCase().replace(/\s+/g, " ");
+  const reference = resolveReferenceDay(today);
+
+  const isoDay = parseIsoDay(input);
+  if (isoDay) {
+    return formatDay(isoDay);
+  }
+
+  const fixedOffsets = { today: 0, tomorrow: 1, yesterday: -1, "next week": 7 };
+  if (Object.prototype.hasOwnProperty.call(fixedOffsets, input)) {
+    return formatDay(addDays(reference, fixedOffsets[input]));
+  }
+
+  const relative = input.match(/^in (\d{1,3}) (day|week|month)s?$/);
+  if (relative) {
+    const amount = Number(relative[1]);
+    if (relative[2] === "month") {
+      const date = new Date(reference.getTime());
+      date.setUTCMonth(date.getUTCMonth() + amount);
+      return formatDay(date);
+    }
+    return formatDay(addDays(reference, relative[2] === "week" ? amount * 7 : amount));
+  }
+
+  const weekday = input.match(/^(?:(this|next|on) )?([a-z]+)$/);
+  if (weekday && WEEKDAYS.includes(weekday[2])) {
+    const delta = (WEEKDAYS.indexOf(weekday[2]) - reference.getUTCDay() + 7) % 7;
+    return formatDay(addDays(reference, weekday[1] === "next" && delta === 0 ? 7 : delta));
+  }
+
+  const monthFirst = input.match(/^([a-z]+)\.? (\d{1,2})(?:st|nd|rd|th)?(?:,? (\d{4}))?$/);
+  const dayFirst = input.match(/^(\d{1,2})(?:st|nd|rd|th)? ([a-z]+)\.?(?:,? (\d{4}))?$/);
+  const parts = monthFirst
+    ? { month: monthFirst[1], day: monthFirst[2], year: monthFirst[3] }
+    : dayFirst
+    ? { month: dayFirst[2], day: dayFirst[1], year: dayFirst[3] }
+    : null;
+  if (parts && findMonthIndex(parts.month) !== -1) {
+    const date = buildDay(
+      parts.year ? Number(parts.year) : reference.getUTCFullYear(),
+      findMonthIndex(parts.month),
+      Number(parts.day)
+    );
+    return date ? formatDay(date) : null;
+  }
+
+  return null;
+}
+
+function formatOffset(offsetMinutes) {
+  const sign = offsetMinutes < 0 ? "-" : "+";
+  const absolute = Math.abs(offsetMinutes);
+  return `${sign}${String(Math.floor(absolute / 60)).padStart(2, "0")}${String(absolute % 60).padStart(2, "0")}`;
+}
+
+/**
+ * Parses "2026-03-14T14:30", "2026-03-14 14:30+0100" or a date phrase with a
+ * time ("tomorrow at 3pm", "next friday 09:15"). Times without a zone use
+ * the customer's UTC offset. Returns Jira's datetime format or null.
+ */
+export function parseNaturalDateTime(text, today, timeZoneOffsetMinutes = 0) {
+  const input = String(text || "").trim().toLowerCase().replace(/\s+/g, " ");
+
+  const isoMatch = input.match(
+    /^(\d{4}-\d{2}-\d{2})[t ](\d{1,2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?\s*(z|[+-]\d{2}:?\d{2})?$/
+  );
+  const phraseMatch = isoMatch ? null : input.match(/^(.+?)(?: at)? (\d{1,2})(?::(\d{2}))? ?(am|pm)?$/);
+  if (!isoMatch && !(phraseMatch && (phraseMatch[3] || phraseMatch[4]))) {
+    return null;
+  }
+
+  const day = isoMatch ? parseIsoDay(isoMatch[1]) && isoMatch[1] : parseNaturalDate(phraseMatch[1], today);
+  if (!day) {
+    return null;
+  }
+
+  let hours = Number(isoMatch ? isoMatch[2] : phraseMatch[2]);
+  const minutes = Number((isoMatch ? isoMatch[3] : phraseMatch[3]) || 0);
+  const meridiem = phraseMatch?.[4];
+  if (meridiem) {
+    if (hours < 1 || hours > 12) {
+      return null;
+    }
+    hours = (hours % 12) + (meridiem === "pm" ? 12 : 0);
+  }
+  if (hours > 23 || minutes > 59) {
+    return null;
+  }
+
+  const zone = isoMatch?.[5];
+  const offset =
+    zone === "z"
+      ? "+0000"
+      : zone
+      ? zone.replace(":", "")
+      : formatOffset(Number.isFinite(Number(timeZoneOffsetMinutes)) ? Number(timeZoneOffsetMinutes) : 0);
+  const seconds = isoMatch?.[4] || "00";
+
+  return `${day}T${String(hours).padStart(2, "0")}:${String(minutes).padStart(2, "0")}:${seconds}.000${offset}`;
+}
+
+// ─── Answer validation ──────────────────────────────────────────────
+
+function getDefaultMaxLength(field) {
+  if (field?.inputType === "textarea") {
+    return MULTI_LINE_TEXT_MAX_LENGTH;
+  }
+  const schema = field?.jiraSchema || {};
+  return schema.system === "summary" || String(schema.custom || "").endsWith(":textfield")
+    ? SINGLE_LINE_TEXT_MAX_LENGTH
+    : MULTI_LINE_TEXT_MAX_LENGTH;
+}
+
+function validateLabels(name, answer) {
+  const labels = (Array.isArray(answer) ? answer : String(answer).split(/[\s,]+/))
+    .map((label) => String(label || "").trim())
+    .filter(Boolean);
+  if (labels.length === 0) {
+    return { error: `Please enter at least one label for ${name}.` };
+  }
+  const tooLong = labels.find((label) => label.length > LABEL_MAX_LENGTH);
+  if (tooLong) {
+    return { error: `Labels can be at most ${LABEL_MAX_LENGTH} characters.` };
+  }
+  return { value: labels };
+}
+
+/**
+ * Validates one answer against its field and optional admin rule. Returns
+ * { value } with the normalized answer, or { error } with a message meant
+ * for the customer. Option, user and cascading picks pass through; they are
+ * matched against valid values when the request is built.
+ */
+export function validateFieldAnswer(field, answer, { rule, today, timeZoneOffsetMinutes } = {}) {
+  const name = field?.name || field?.fieldId || "this field";
+
+  if (answer === undefined || answer === null) {
+    return { value: answer };
+  }
+  if (field?.inputType === "labels") {
+    return validateLabels(name, answer);
+  }
+  if (typeof answer === "object") {
+    return { value: answer };
+  }
+
+  const text = String(answer).trim();
+  if (!text) {
+    return { error: `Please provide a value for ${name}.` };
+  }
+
+  let value = text;
+  if (field?.inputType === "number") {
+    value = Number(text);
+    if (!Number.isFinite(value)) {
+      return { error: `Please enter a number for ${name}.` };
+    }
+    if (Number.isFinite(rule?.min) && value < rule.min) {
+      return { error: `${name} must be at least ${rule.min}.` };
+    }
+    if (Number.isFinite(rule?.max) && value > rule.max) {
+      return { error: `${name} must be at most ${rule.max}.` };
+    }
+    return { value };
+  }
+
+  if (field?.inputType === "date") {
+    value = parseNaturalDate(text, today);
+    if (!value) {
+      return { error: `Please enter a date for ${name}, for example 2026-03-14 or "next Friday".` };
+    }
+    return { value };
+  }
+
+  if (field?.inputType === "datetime") {
+    value = parseNaturalDateTime(text, today, timeZoneOffsetMinutes);
+    if (!value) {
+      return { error: `Please enter a date and time for ${name}, for example 2026-03-14 14:30 or "tomorrow at 3pm".` };
+    }
+    return { value };
+  }
+
+  const maxLength = Math.min(getDefaultMaxLength(field), rule?.maxLength || Infinity);
+  if (value.length > maxLength) {
+    return { error: `${name} can be at most ${maxLength} characters (you entered ${value.length}).` };
+  }
+  if ((field?.inputType === "url" || rule?.format === "url") && !URL_REGEX.test(value)) {
+    return { error: `Please enter a web address starting with http:// or https:// for ${name}.` };
+  }
+  if (rule?.format === "email" && !EMAIL_REGEX.test(value)) {
+    return { error: `Please enter a valid email address for ${name}.` };
+  }
+  if (rule?.pattern && !matchesRulePattern(rule.pattern, value)) {
+    return { error: rule.message || `${name} is not in the expected format.` };
+  }
+
+  return { value };
+}
+
+/*
+ * Rules are checked when saved, but stored ones are checked again here so an
+ * older or hand-edited rule cannot run an oversized pattern. Answers longer
+ * than the input cap do not match.
+ */
+function matchesRulePattern(pattern, value) {
+  if (String(pattern).length > PATTERN_MAX_LENGTH || value.length > PATTERN_INPUT_MAX_LENGTH) {
+    return false;
+  }
+  try {
+    return new RegExp(pattern).test(value);
+  } catch {
+    return false;
+  }
+}
+
+// ─── Admin rules ────────────────────────────────────────────────────
+
+function toOptionalNumber(value) {
+  if (value === undefined || value === null || value === "") {
+    return undefined;
+  }
+  const numericValue = Number(value);
+  return Number.isFinite(numericValue) ? numericValue : NaN;
+}
+
+/**
+ * Checks rules submitted from the admin page. Returns { rules } ready to
+ * store, or { error } naming the first invalid rule.
+ */
+export function sanitizeFieldValidationRules(rawRules) {
+  const submittedRules = Array.isArray(rawRules) ? rawRules : [];
+  if (submittedRules.length > FIELD_VALIDATION_RULE_LIMIT) {
+    return { error: `At most ${FIELD_VALIDATION_RULE_LIMIT} validation rules can be configured.` };
+  }
+
+  const rules = [];
+  for (const [index, rawRule] of submittedRules.entries()) {
+    const label = `Rule ${index + 1}`;
+    const fieldId = String(rawRule?.fieldId || "").trim();
+    if (!FIELD_ID_REGEX.test(fieldId)) {
+      return { error: `${label}: enter a field id such as customfield_10050 or summary.` };
+    }
+    if (rules.some((rule) => rule.fieldId === fieldId)) {
+      return { error: `${label}: ${fieldId} already has a rule.` };
+    }
+
+    const pattern = String(rawRule?.pattern || "").trim();
+    if (pattern.length > PATTERN_MAX_LENGTH) {
+      return { error: `${label}: the pattern can be at most ${PATTERN_MAX_LENGTH} characters.` };
+    }
+    if (pattern) {
+      try {
+        new RegExp(pattern);
+      } catch (err) {
+        return { error: `${label}: invalid pattern — ${err.message}` };
+      }
+    }
+
+    const format = String(rawRule?.format || "").trim();
+    if (format && !VALIDATION_FORMATS.includes(format)) {
+      return { error: `${label}: format must be one of ${VALIDATION_FORMATS.join(", ")}.` };
+    }
+
+    const min = toOptionalNumber(rawRule?.min);
+    const max = toOptionalNumber(rawRule?.max);
+    const maxLength = toOptionalNumber(rawRule?.maxLength);
+    if ([min, max, maxLength].some((value) => Number.isNaN(value))) {
+      return { error: `${label}: minimum, maximum and max length must be numbers.` };
+    }
+    if (min !== undefined && max !== undefined && min > max) {
+      return { error: `${label}: the minimum is larger than the maximum.` };
+    }
+    if (maxLength !== undefined && (!Number.isInteger(maxLength) || maxLength < 1)) {
+      return { error: `${label}: max length must be a whole number above zero.` };
+    }
+
+    rules.push({
+      fieldId,
+      pattern: pattern || undefined,
+      message: String(rawRule?.message || "").trim().slice(0, RULE_MESSAGE_MAX_LENGTH) || undefined,
+      format: format || undefined,
+      min,
+      max,
+      maxLength,
+    });
+  }
+
+  return { rules };
+}
+
+export function findFieldValidationRule(rules, fieldId) {
+  return (Array.isArray(rules) ? rules : []).find((rule) => rule.fieldId === fieldId) || null;
+}
@@ -1,13 +1,149 @@
 import Resolver from "@forge/resolver";
-import api, { storage, route } from "@forge/api";
+import api, { storage, route, startsWith } from "@forge/api";
+import {
+  DEFAULT_LLM_PROVIDER_ID,
+  LLM_PROVIDERS,
+  getLlmProvider,
+  isLlmConfigured,
+  listLlmProviderSummaries,
+  pickLlmProviderOptions,
+  validateLlmSettings,
+} from "./llmProviders";
+import {
+  REQUEST_SEARCH_INTENT_REGEX,
+  REQUEST_SEARCH_PAGE_SIZE,
+  REQUEST_SEARCH_SYSTEM_PROMPT,
+  buildRequestSearchJql,
+  describeRequestSearchFilter,
+  hasRequestSearchCriteria,
+  inferRequestSearchFilter,
+  sanitizeRequestSearchFilter,
+} from "./requestSearch";
+import {
+  REQUEST_TYPE_RECOMMENDATION_LIMIT,
+  REQUEST_TYPE_RERANK_CANDIDATE_LIMIT,
+  REQUEST_TYPE_RERANK_SYSTEM_PROMPT,
+  describeLexicalMatch,
+  rankRequestTypesLexically,
+  sanitizeRequestTypeRerank,
+} from "./requestTypeRanking";
+import {
+  findFieldValidationRule,
+  sanitizeFieldValidationRules,
+  validateFieldAnswer,
+} from "./fieldValidation";
+import {
+  FOLLOW_UP_SYSTEM_PROMPT,
+  buildConversationContext,
+  describeResolvedIssueKeys,
+  getActiveConversationContext,
+  resolveFollowUpIntent,
+  resolveFollowUpIssueKeys,
+  sanitizeFollowUpResolution,
+} from "./conversationContext";
+import {
+  buildArticleListCard,
+  buildConfirmationCard,
+  buildErrorCard,
+  buildIssueCard,
+  buildRequestListCard,
+} from "./chatCards";
+import {
+  DEFAULT_PORTAL_LANGUAGE,
+  buildLanguageInstruction,
+  matchesLocalizedKeyword,
+  normalizePortalLanguage,
+  resolvePortalLanguage,
+  translatePortalMessage,
+} from "./portalLanguage";
+import {
+  DEFAULT_REDACTION_SETTINGS,
+  REDACTION_CATEGORIES,
+  REDACTION_CUSTOM_PATTERN_LIMIT,
+  REDACTION_SYSTEM_PROMPT_NOTE,
+  createRedactor,
+  isRedactionEnabledForProject,
+  sanitizeRedactionSettings,
+} from "./redaction";
+import {
+  PROMPT_SAFETY_LOG_LIMIT,
+  UNTRUSTED_CONTENT_SYSTEM_PROMPT_NOTE,
+  buildPromptSafetyLogEntry,
+  checkLlmReply,
+  detectPromptInjection,
+  wrapUntrustedContent,
+} from "./promptSafety";
+import {
+  DEFAULT_RATE_LIMIT_POLICY,
+  applyRateLimitStrike,
+  evaluateRateWindow,
+  sanitizeRateLimitPolicy,
+  toRetryAfterSeconds,
+} from "./rateLimitPolicy";
+import {
+  DEFAULT_LLM_COST_SETTINGS,
+  LLM_USAGE_DASHBOARD_MAX_DAYS,
+  addLlmUsageToDay,
+  addLlmUsageToMonth,
+  computeLlmCost,
+  findLlmPrice,
+  getLlmUsageTokens,
+  sanitizeLlmCostSettings,
+  summarizeLlmUsage,
+} from "./llmUsage";
+import {
+  CHAT_ANALYTICS_EXPORT_EVENT_LIMIT,
+  CHAT_ANALYTICS_OUTCOMES,
+  CHAT_ANALYTICS_RETENTION_DAYS,
+  addChatAnalyticsEvent,
+  appendChatAnalyticsShardEvent,
+  buildChatAnalyticsCsv,
+  buildChatAnalyticsEvent,
+  collectChatAnalyticsEvents,
+  getChatAnalyticsShardCount,
+  summarizeChatAnalytics,
+} from "./chatAnalytics";
 
 const resolver = new Resolver();
 const DEFAULT_AGENT_SETTINGS = { enableChatbot: false, fastApiUrl: "" };
 const LLM_SETTINGS_STORAGE_KEY = "llmSettings";
 const LLM_API_KEY_SECRET_STORAGE_KEY = "llmSettingsApiKey";
-const DEFAULT_LLM_SETTINGS = { provider: "openai", model: "" };
-const PORTAL_CHAT_RATE_LIMIT_WINDOW_MS = 60 * 1000;
-const PORTAL_CHAT_RATE_LIMIT_MAX_REQUESTS = 20;
+const DEFAULT_LLM_SETTINGS = { provider: DEFAULT_LLM_PROVIDER_ID, model: "" };
+const LLM_FALLBACK_CHAIN_STORAGE_KEY = "llmFallbackChain";
+const LLM_FALLBACK_API_KEY_SECRET_PREFIX = "llmFallbackApiKey:";
+const LLM_FALLBACK_CHAIN_MAX_ENTRIES = 4;
+const LLM_REQUEST_TIMEOUT_MS = 12 * 1000;
+// Forge resolvers time out after 25 seconds; leave headroom for Jira calls.
+const LLM_CHAIN_TIME_BUDGET_MS = 18 * 1000;
+const LLM_RETRY_MAX_ATTEMPTS = 3;
+const LLM_RETRY_BASE_DELAY_MS = 500;
+const LLM_RETRY_MAX_DELAY_MS = 8 * 1000;
+const RATE_LIMIT_POLICY_STORAGE_KEY = "rateLimitPolicy";
+const LLM_COST_SETTINGS_STORAGE_KEY = "llmCostSettings";
+const PORTAL_CHAT_STREAM_FLUSH_INTERVAL_MS = 400;
+const PORTAL_CHAT_STREAM_STALE_MS = 2 * 60 * 1000;
+// A Stop that arrives before the stream starts waits this long for it.
+const PORTAL_CHAT_PENDING_CANCEL_TTL_MS = 30 * 1000;
+const PORTAL_CHAT_STREAM_ID_REGEX = /^[A-Za-z0-9-]{8,64}$/;
+const MY_REQUESTS_PAGE_SIZE = 5;
+const ADMIN_PAGE_MODULE_KEY = "agent-admin-page";
+
+// ─── Admin-only resolvers ───────────────────────────────────────────
+
+/**
+ * The admin page, the issue panel and the portal footer share one resolver
+ * function, and portal customers can invoke any resolver by name. Jira only
+ * shows the admin page to Jira administrators, so resolvers defined here
+ * answer nothing unless Forge reports the admin page as the invoking module.
+ */
+function defineAdminResolver(name, handler) {
+  resolver.define(name, async (request) => {
+    if (request?.context?.moduleKey !== ADMIN_PAGE_MODULE_KEY) {
+      return { error: "This action is only available to Jira administrators on the Agent Settings page." };
+    }
+    return handler(request);
+  });
+}
 
 // ─── Shared helpers for portal visibility & project resolution ─────────────────
 
@@ -256,6 +392,75 @@ async function ensureAllowedServiceDesk(serviceDeskId, context) {
   return { serviceDesk };
 }
 
+function mapRequestTypeSummary(requestType) {
+  return {
+    id: String(requestType.id || ""),
+    name: requestType.name || "Request type",
+    description: requestType.description || "",
+    helpText: requestType.helpText || "",
+    issueTypeName: requestType.issueTypeName || "",
+  };
+}
+
+/**
+ * Picks up to three request types for a problem description. Lexical scores
+ * narrow the list; when an AI provider is configured it re-ranks those
+ * candidates and writes the reasons. Falls back to the lexical order.
+ */
+async function recommendRequestTypes({ requestTypes, description, llmSettings, redactor, projectId }) {
+  if (requestTypes.length === 0) {
+    return [];
+  }
+
+  const lexicalRanking = rankRequestTypesLexically(requestTypes, description);
+  const findRequestType = (id) => requestTypes.find((requestType) => requestType.id === id);
+
+  if (isLlmConfigured(llmSettings)) {
+    // Small catalogues go to the model whole; larger ones only as the best
+    // lexical matches, padded with the rest so synonyms still have a chance.
+    const rankedIds = lexicalRanking.map((ranking) => ranking.id);
+    const candidateIds = [
+      ...new Set([...rankedIds, ...requestTypes.map((requestType) => requestType.id)]),
+    ].slice(0, REQUEST_TYPE_RERANK_CANDIDATE_LIMIT);
+
+    const llmResult = await callLlmText({
+      llmSettings,
+      redactor,
+      projectId,
+      systemPrompt: REQUEST_TYPE_RERANK_SYSTEM_PROMPT,
+      userMessage: JSON.stringify({
+        description,
+        requestTypes: candidateIds.map((id) => {
+          const requestType = findRequestType(id);
+          return {
+            id,
+            name: requestType.name,
+            description: truncateText(requestType.description, 300),
+            helpText: truncateText(requestType.helpText, 300),
+          };
+        }),
+      }),
+      maxTokens: 400,
+    });
+
+    // A well-formed empty list means "nothing fits" and is respected.
+    const parsed = llmResult.text ? parseLlmJson(llmResult.text) : null;
+    if (Array.isArray(parsed?.recommendations)) {
+      return sanitizeRequestTypeRerank(parsed, candidateIds).map((recommendation) => ({
+        id: recommendation.id,
+        name: findRequestType(recommendation.id).name,
+        reason: recommendation.reason,
+      }));
+    }
+  }
+
+  return lexicalRanking.slice(0, REQUEST_TYPE_RECOMMENDATION_LIMIT).map((ranking) => ({
+    id: ranking.id,
+    name: findRequestType(ranking.id).name,
+    reason: describeLexicalMatch(ranking.matchedTerms),
+  }));
+}
+
 async function fetchRequestTypesForServiceDesk(serviceDeskId) {
   try {
     const response = await api.asUser().requestJira(
@@ -300,12 +505,40 @@ async function fetchRequestTypeFields(serviceDeskId, requestTypeId) {
   }
 }
 
+const CUSTOM_FIELD_TYPE_PREFIX = "com.atlassian.jira.plugin.system.customfieldtypes:";
+
+function getCustomFieldType(schema) {
+  const custom = String(schema?.custom || "");
+  return custom.startsWith(CUSTOM_FIELD_TYPE_PREFIX) ? custom.slice(CUSTOM_FIELD_TYPE_PREFIX.length) : "";
+}
+
+/**
+ * Maps a request type field to the input the portal flow asks for. Built-in
+ * custom field types are recognised from jiraSchema.custom, system fields from
+ * jiraSchema.system/type; anything unknown is collected as free text.
+ */
 function inferPortalFieldInputType(field) {
   const schema = field?.jiraSchema || {};
+  const customType = getCustomFieldType(schema);
   const hasOptions = Array.isArray(field?.validValues) && field.validValues.length > 0;
 
+  if (customType === "cascadingselect") {
+    return "cascading_select";
+  }
+  if (schema.type === "user" || customType === "userpicker") {
+    return "user";
+  }
+  if ((schema.type === "array" && schema.items === "user") || customType === "multiuserpicker") {
+    return "multi_user";
+  }
+  if (schema.system === "labels" || customType === "labels") {
+    return "labels";
+  }
+  if (customType === "url") {
+    return "url";
+  }
   if (hasOptions) {
-    return schema.type === "array" ? "multi_select" : "select";
+    return schema.type === "array" || customType === "multicheckboxes" ? "multi_select" : "select";
   }
   if (schema.type === "number") {
     return "number";
@@ -316,7 +549,7 @@ function inferPortalFieldInputType(field) {
   if (schema.type === "datetime") {
     return "datetime";
   }
-  if (field?.fieldId === "description") {
+  if (field?.fieldId === "description" || customType === "textarea") {
     return "textarea";
   }
   return "text";
@@ -343,9 +576,20 @@ function normalizeValidValueOption(option) {
     return null;
   }
 
+  // Servicedesk validValues carry the option id in "value" next to a label.
+  const optionId =
+    option.id !== undefined && option.id !== null
+      ? String(option.id)
+      : option.label !== undefined && /^\d+$/.test(String(option.value ?? ""))
+      ? String(option.value)
+      : undefined;
+  const children = Array.isArray(option.children)
+    ? option.children.map(normalizeValidValueOption).filter(Boolean)
+    : [];
+
   return {
     label: String(label),
-    id: option.id !== undefined && option.id !== null ? String(option.id) : undefined,
+    id: optionId,
     value:
       option.value !== undefined && option.value !== null
         ? String(option.value)
@@ -356,6 +600,7 @@ function normalizeValidValueOption(option) {
       option.accountId !== undefined && option.accountId !== null
         ? String(option.accountId)
         : undefined,
+    children: children.length > 0 ? children : undefined,
   };
 }
 
@@ -429,13 +674,61 @@ function matchValidValueOption(validValues, answerText) {
   );
 }
 
+function splitListAnswer(answerText) {
+  return String(answerText || "")
+    .split(",")
+    .map((value) => value.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Cascading selects take { id, child: { id } }. Answers come either from the
+ * portal flow ({ ...parent, child }) or as text like "Parent > Child".
+ */
+function convertCascadingAnswer(validValues, answer) {
+  let parentOption = null;
+  let childOption = null;
+
+  if (typeof answer === "object" && !Array.isArray(answer)) {
+    parentOption = answer;
+    childOption = answer.child || null;
+  } else {
+    const [parentText, childText] = String(answer).split(/\s*(?:>|\/|:)\s*/);
+    parentOption = matchValidValueOption(validValues, parentText);
+    if (parentOption && childText) {
+      childOption = matchValidValueOption(parentOption.children || [], childText);
+      if (!childOption) {
+        return undefined;
+      }
+    }
+  }
+
+  const parentPayload = parentOption ? normalizeOptionPayload(parentOption) : undefined;
+  if (!parentPayload || typeof parentPayload !== "object") {
+    return undefined;
+  }
+  return childOption ? { ...parentPayload, child: normalizeOptionPayload(childOption) } : parentPayload;
+}
+
 function convertFieldAnswerToRequestValue(field, answer) {
   if (answer === undefined || answer === null) {
     return undefined;
   }
 
   const schema = field?.jiraSchema || {};
-  const validValues = Array.isArray(field?.validValues) ? field.validValues : [];
+  const inputType = inferPortalFieldInputType(field);
+  const validValues = Array.isArray(field?.validValues)
+    ? field.validValues.map(normalizeValidValueOption).filter(Boolean)
+    : [];
+
+  if (inputType === "cascading_select") {
+    return convertCascadingAnswer(validValues, answer);
+  }
+
+  if (inputType === "labels") {
+    const labels = Array.isArray(answer) ? answer : String(answer).split(/[\s,]+/);
+    return labels.map((label) => String(label || "").trim()).filter(Boolean);
+  }
 
   if (typeof answer === "object") {
     if (Array.isArray(answer)) {
@@ -455,12 +748,26 @@ function convertFieldAnswerToRequestValue(field, answer) {
     return undefined;
   }
 
+  // People can only be set from a picked account, never from typed names.
+  if (inputType === "user" || inputType === "multi_user") {
+    return undefined;
+  }
+
   if (validValues.length > 0) {
     const matchedOption = matchValidValueOption(validValues, normalizedAnswer);
     if (matchedOption) {
       const normalizedOption = normalizeOptionPayload(matchedOption);
       return schema.type === "array" ? [normalizedOption] : normalizedOption;
     }
+
+    if (inputType === "multi_select") {
+      const matchedOptions = splitListAnswer(normalizedAnswer).map((item) =>
+        matchValidValueOption(validValues, item)
+      );
+      if (matchedOptions.length > 0 && matchedOptions.every(Boolean)) {
+        return matchedOptions.map((option) => normalizeOptionPayload(option));
+      }
+    }
   }
 
   if (schema.type === "number") {
@@ -469,10 +776,7 @@ function convertFieldAnswerToRequestValue(field, answer) {
   }
 
   if (schema.type === "array") {
-    return normalizedAnswer
-      .split(",")
-      .map((value) => value.trim())
-      .filter(Boolean);
+    return splitListAnswer(normalizedAnswer);
   }
 
   return normalizedAnswer;
@@ -489,6 +793,18 @@ function maskApiKey(apiKey) {
   return `${normalized.slice(0, 4)}...${normalized.slice(-4)}`;
 }
 
+/**
+ * A stored key is only reused for the provider and endpoint it was entered
+ * for. The admin form sends the masked key back unchanged, and without this
+ * check switching the provider or base URL would send the old key to a
+ * different host.
+ */
+function isSameLlmEndpoint(storedSettings, providerId, options) {
+  return storedSettings?.provider === providerId && (storedSettings.baseUrl || "") === (options?.baseUrl || "");
+}
+
+const LLM_API_KEY_REENTRY_ERROR = "Enter the API key again when changing the provider or endpoint.";
+
 /**
  * Backward-compatible migration for earlier releases where API keys were
  * stored in plaintext in regular storage. Moves key into encrypted storage.
@@ -511,7 +827,7 @@ async function getLlmRuntimeSettings() {
   await migrateLegacyLlmApiKeyIfNeeded();
 
   const storedSettings = (await storage.get(LLM_SETTINGS_STORAGE_KEY)) || {};
-  const provider = ["openai", "claude"].includes(storedSettings.provider)
+  const provider = getLlmProvider(storedSettings.provider)
     ? storedSettings.provider
     : DEFAULT_LLM_SETTINGS.provider;
   const model =
@@ -519,134 +835,579 @@ async function getLlmRuntimeSettings() {
   const apiKeySecret = await storage.getSecret(LLM_API_KEY_SECRET_STORAGE_KEY);
   const apiKey =
     typeof apiKeySecret === "string" ? apiKeySecret.trim() : "";
+  const options = pickLlmProviderOptions(getLlmProvider(provider), storedSettings);
+  const fallbacks = await getLlmFallbackRuntimeChain();
+
+  return { provider, model, apiKey, ...options, fallbacks };
+}
+
+function getLlmFallbackSecretKey(entryId) {
+  return `${LLM_FALLBACK_API_KEY_SECRET_PREFIX}${entryId}`;
+}
+
+/**
+ * Fallback models are stored as an ordered list without secrets; each entry's
+ * API key lives in encrypted storage under its own id.
+ */
+async function getLlmFallbackRuntimeChain() {
+  const storedChain = await storage.get(LLM_FALLBACK_CHAIN_STORAGE_KEY);
+  const entries = Array.isArray(storedChain) ? storedChain : [];
+
+  return Promise.all(
+    entries
+      .filter((entry) => entry?.id && getLlmProvider(entry.provider))
+      .map(async (entry) => {
+        const apiKeySecret = await storage.getSecret(getLlmFallbackSecretKey(entry.id));
+        return {
+          id: entry.id,
+          provider: entry.provider,
+          model: typeof entry.model === "string" ? entry.model : "",
+          apiKey: typeof apiKeySecret === "string" ? apiKeySecret.trim() : "",
+          ...pickLlmProviderOptions(getLlmProvider(entry.provider), entry),
+        };
+      })
+  );
+}
+
+async function getLlmFallbackChainForAdmin() {
+  const chain = await getLlmFallbackRuntimeChain();
+  return chain.map(({ apiKey, id, provider, model, ...options }) => ({
+    id,
+    provider,
+    model,
+    options,
+    apiKeyMasked: maskApiKey(apiKey),
+    hasApiKey: Boolean(apiKey),
+  }));
+}
+
+async function saveLlmFallbackChainSecurely(entries) {
+  const submittedEntries = Array.isArray(entries) ? entries : [];
+  if (submittedEntries.length > LLM_FALLBACK_CHAIN_MAX_ENTRIES) {
+    return { error: `At most ${LLM_FALLBACK_CHAIN_MAX_ENTRIES} fallback models can be configured.` };
+  }
+
+  const existingChain = await getLlmFallbackRuntimeChain();
+  const nextChain = [];
+  const secretUpdates = [];
+
+  for (const [index, entry] of submittedEntries.entries()) {
+    const provider = getLlmProvider(entry?.provider);
+    if (!provider) {
+      return { error: `Fallback ${index + 1}: ${validateLlmSettings({ provider: entry?.provider })}` };
+    }
+
+    const existingEntry = existingChain.find((candidate) => candidate.id === entry?.id);
+    const id = existingEntry
+      ? existingEntry.id
+      : `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+    const model = typeof entry?.model === "string" ? entry.model.trim() : "";
+    const options = pickLlmProviderOptions(provider, entry?.options);
+    const submittedApiKey = typeof entry?.apiKey === "string" ? entry.apiKey.trim() : "";
+    const isMaskedApiKey = Boolean(existingEntry?.apiKey) && submittedApiKey === maskApiKey(existingEntry.apiKey);
+    const canReuseApiKey = Boolean(existingEntry?.apiKey) && isSameLlmEndpoint(existingEntry, provider.id, options);
+    if (isMaskedApiKey && !canReuseApiKey) {
+      return { error: `Fallback ${index + 1}: ${LLM_API_KEY_REENTRY_ERROR}` };
+    }
+    const shouldKeepExistingApiKey = canReuseApiKey && (!submittedApiKey || isMaskedApiKey);
+    const apiKey = shouldKeepExistingApiKey ? existingEntry.apiKey : submittedApiKey;
+
+    const settingsError = validateLlmSettings({ provider: provider.id, model, apiKey, ...options });
+    if (settingsError) {
+      return { error: `Fallback ${index + 1}: ${settingsError}` };
+    }
+
+    nextChain.push({ id, provider: provider.id, model, ...options });
+    if (!shouldKeepExistingApiKey) {
+      secretUpdates.push({ id, apiKey });
+    }
+  }
+
+  await storage.set(LLM_FALLBACK_CHAIN_STORAGE_KEY, nextChain);
+  for (const { id, apiKey } of secretUpdates) {
+    if (apiKey) {
+      await storage.setSecret(getLlmFallbackSecretKey(id), apiKey);
+    } else {
+      await storage.deleteSecret(getLlmFallbackSecretKey(id));
+    }
+  }
+
+  const removedEntries = existingChain.filter(
+    (existingEntry) => !nextChain.some((entry) => entry.id === existingEntry.id)
+  );
+  for (const removedEntry of removedEntries) {
+    await storage.deleteSecret(getLlmFallbackSecretKey(removedEntry.id));
+  }
 
-  return { provider, model, apiKey };
+  return { success: true, fallbacks: await getLlmFallbackChainForAdmin() };
 }
 
 async function getLlmSettingsForAdmin() {
   const runtimeSettings = await getLlmRuntimeSettings();
   const apiKeyMasked = maskApiKey(runtimeSettings.apiKey);
 
+  const provider = runtimeSettings.provider || DEFAULT_LLM_SETTINGS.provider;
+
   return {
-    provider: runtimeSettings.provider || DEFAULT_LLM_SETTINGS.provider,
+    provider,
     model: runtimeSettings.model || "",
+    options: pickLlmProviderOptions(getLlmProvider(provider), runtimeSettings),
     apiKey: apiKeyMasked,
     apiKeyMasked,
     hasApiKey: Boolean(runtimeSettings.apiKey),
   };
 }
 
-async function saveLlmSettingsSecurely({ provider, model, apiKey }) {
-  if (!provider || !["openai", "claude"].includes(provider)) {
-    return { error: "Invalid provider. Must be 'openai' or 'claude'." };
-  }
-  if (!model) {
-    return { error: "Model is required." };
+async function saveLlmSettingsSecurely({ provider, model, apiKey, options }) {
+  const providerDefinition = getLlmProvider(provider);
+  if (!providerDefinition) {
+    return { error: validateLlmSettings({ provider }) };
   }
 
   const runtimeSettings = await getLlmRuntimeSettings();
   const submittedApiKey =
     typeof apiKey === "string" ? apiKey.trim() : "";
   const existingMaskedApiKey = maskApiKey(runtimeSettings.apiKey);
-  const shouldKeepExistingApiKey =
+  const normalizedModel = typeof model === "string" ? model.trim() : "";
+  const providerOptions = pickLlmProviderOptions(providerDefinition, options);
+  const isMaskedApiKey =
+    Boolean(runtimeSettings.apiKey) && submittedApiKey === existingMaskedApiKey;
+  const canReuseApiKey =
     Boolean(runtimeSettings.apiKey) &&
-    (!submittedApiKey || submittedApiKey === existingMaskedApiKey);
+    isSameLlmEndpoint(runtimeSettings, provider, providerOptions);
+  if (isMaskedApiKey && !canReuseApiKey) {
+    return { error: LLM_API_KEY_REENTRY_ERROR };
+  }
+  const shouldKeepExistingApiKey =
+    canReuseApiKey && (!submittedApiKey || isMaskedApiKey);
 
   const nextApiKey = shouldKeepExistingApiKey
     ? runtimeSettings.apiKey
     : submittedApiKey;
-
-  if (!nextApiKey) {
-    return { error: "API key is required." };
+  const settingsError = validateLlmSettings({
+    provider,
+    model: normalizedModel,
+    apiKey: nextApiKey,
+    ...providerOptions,
+  });
+  if (settingsError) {
+    return { error: settingsError };
   }
 
-  await storage.set(LLM_SETTINGS_STORAGE_KEY, { provider, model });
-  if (!shouldKeepExistingApiKey || !runtimeSettings.apiKey) {
+  await storage.set(LLM_SETTINGS_STORAGE_KEY, { provider, model: normalizedModel, ...providerOptions });
+  if (!nextApiKey) {
+    await storage.deleteSecret(LLM_API_KEY_SECRET_STORAGE_KEY);
+  } else if (!shouldKeepExistingApiKey || !runtimeSettings.apiKey) {
     await storage.setSecret(LLM_API_KEY_SECRET_STORAGE_KEY, nextApiKey);
   }
 
   return {
     success: true,
     provider,
-    model,
+    model: normalizedModel,
+    options: providerOptions,
     apiKeyMasked: maskApiKey(nextApiKey),
-    hasApiKey: true,
+    hasApiKey: Boolean(nextApiKey),
   };
 }
 
+function describeLlmSettings(llmSettings) {
+  return { provider: llmSettings.provider, model: llmSettings.model };
+}
+
 /**
- * Shared provider abstraction to avoid duplicated OpenAI/Claude branches and
- * to centralize parsing/error handling.
+ * Accepts delay-seconds, HTTP dates and the millisecond variant some
+ * OpenAI-style servers send. Returns null when no usable hint is present.
  */
-async function callLlmText({ llmSettings, systemPrompt, userMessage, maxTokens = 500 }) {
-  if (!llmSettings?.provider || !llmSettings?.model || !llmSettings?.apiKey) {
-    return { error: "AI settings are incomplete." };
+function parseRetryAfterMs(headers) {
+  const retryAfterMsHeader = headers?.get?.("retry-after-ms");
+  if (retryAfterMsHeader && Number.isFinite(Number(retryAfterMsHeader))) {
+    return Math.max(0, Number(retryAfterMsHeader));
+  }
+
+  const retryAfter = headers?.get?.("retry-after");
+  if (!retryAfter) {
+    return null;
+  }
+
+  const seconds = Number(retryAfter);
+  if (Number.isFinite(seconds) && seconds >= 0) {
+    return seconds * 1000;
+  }
+
+  const retryAt = Date.parse(retryAfter);
+  return Number.isFinite(retryAt) ? Math.max(0, retryAt - Date.now()) : null;
+}
+
+function isRetryableLlmStatus(status) {
+  return status === 408 || status === 409 || status === 429 || status >= 500;
+}
+
+/**
+ * Exponential backoff with equal jitter. A provider Retry-After hint wins
+ * over the computed delay because retrying earlier just burns the attempt.
+ */
+function computeLlmRetryDelayMs(attempt, retryAfterMs) {
+  if (Number.isFinite(retryAfterMs)) {
+    return retryAfterMs;
+  }
+  const exponentialDelay = Math.min(LLM_RETRY_MAX_DELAY_MS, LLM_RETRY_BASE_DELAY_MS * 2 ** attempt);
+  return Math.round(exponentialDelay / 2 + Math.random() * (exponentialDelay / 2));
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Single request against one provider/model. Request shapes, parsing and error
+ * mapping live in the provider registry; this adds a timeout and classifies
+ * failures so callLlmText can decide whether to retry.
+ */
+async function callLlmOnce({ llmSettings, systemPrompt, userMessage, maxTokens, timeoutMs }) {
+  const provider = getLlmProvider(llmSettings?.provider);
+  if (!provider || !isLlmConfigured(llmSettings)) {
+    return { error: "AI settings are incomplete.", retryable: false };
   }
 
+  const controller = new AbortController();
+  const timeoutHandle = setTimeout(() => controller.abort(), timeoutMs);
+
   try {
-    if (llmSettings.provider === "claude") {
-      const claudeResponse = await fetch("https://api.anthropic.com/v1/messages", {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-          "x-api-key": llmSettings.apiKey,
-          "anthropic-version": "2023-06-01",
-        },
-        body: JSON.stringify({
-          model: llmSettings.model,
-          max_tokens: maxTokens,
-          system: systemPrompt,
-          messages: [{ role: "user", content: userMessage }],
-        }),
-      });
+    const request = provider.buildRequest({
+      settings: llmSettings,
+      systemPrompt,
+      userMessage,
+      maxTokens,
+      stream: false,
+    });
+    const response = await fetch(request.url, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", ...request.headers },
+      body: JSON.stringify(request.body),
+      signal: controller.signal,
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      return {
+        error: provider.mapError(response.status, errorText),
+        status: response.status,
+        retryable: isRetryableLlmStatus(response.status),
+        retryAfterMs: parseRetryAfterMs(response.headers),
+      };
+    }
+
+    const data = await response.json();
+    const text = provider.parseResponse(data);
+    return text
+      ? { text, usage: provider.parseUsage?.(data) || null }
+      : { error: "AI service returned an empty response.", retryable: false };
+  } catch (err) {
+    if (err?.name === "AbortError") {
+      return { error: "AI service error: the request timed out.", retryable: true };
+    }
+    // Network-level failures (DNS, resets) are usually transient.
+    return { error: `AI service error: ${err.message || String(err)}`, retryable: true };
+  } finally {
+    clearTimeout(timeoutHandle);
+  }
+}
+
+/**
+ * Redacts the user message for a provider call. The system prompt is our own
+ * text and only gains a note about placeholders when something was replaced.
+ */
+function redactLlmPrompt({ systemPrompt, userMessage, redactor }) {
+  if (!redactor) {
+    return { systemPrompt, userMessage };
+  }
+  const redactedUserMessage = redactor.redact(userMessage);
+  return {
+    systemPrompt: redactor.redactedCount > 0 ? `${systemPrompt}\n\n${REDACTION_SYSTEM_PROMPT_NOTE}` : systemPrompt,
+    userMessage: redactedUserMessage,
+  };
+}
+
+/**
+ * Shared provider abstraction. Walks the primary model and then the admin's
+ * fallback chain, retrying transient failures with backoff inside a fixed time
+ * budget. Successful results record which model answered in `answeredBy`.
+ * The user message is redacted before it leaves Forge and placeholders in the
+ * reply are restored. Callers that share one redactor across several calls
+ * pass it as `redactor` (null turns redaction off); otherwise the redaction
+ * settings of `projectId` apply. Token usage is charged to
+ * `projectId` on the usage dashboard. Callers that already spent part of the
+ * resolver's time pass what is left as `timeBudgetMs`.
+ */
+async function callLlmText({
+  llmSettings,
+  systemPrompt: rawSystemPrompt,
+  userMessage: rawUserMessage,
+  maxTokens = 500,
+  redactor: sharedRedactor,
+  projectId,
+  timeBudgetMs = LLM_CHAIN_TIME_BUDGET_MS,
+}) {
+  const fallbacks = Array.isArray(llmSettings?.fallbacks) ? llmSettings.fallbacks : [];
+  const chain = [llmSettings, ...fallbacks].filter((settings) => isLlmConfigured(settings));
+  if (chain.length === 0) {
+    return { error: "AI settings are incomplete." };
+  }
+
+  const budgetError = await getLlmBudgetError();
+  if (budgetError) {
+    return { error: budgetError };
+  }
+
+  const redactor = sharedRedactor === undefined ? await getProjectRedactor(projectId) : sharedRedactor;
+  const { systemPrompt, userMessage } = redactLlmPrompt({
+    systemPrompt: rawSystemPrompt,
+    userMessage: rawUserMessage,
+    redactor,
+  });
+
+  const deadline = Date.now() + Math.min(timeBudgetMs, LLM_CHAIN_TIME_BUDGET_MS);
+  let lastError = "";
+
+  for (const settings of chain) {
+    for (let attempt = 0; attempt < LLM_RETRY_MAX_ATTEMPTS; attempt += 1) {
+      const remainingMs = deadline - Date.now();
+      if (remainingMs <= 0) {
+        return { error: lastError || "AI service did not respond in time." };
+      }
 
-      if (!claudeResponse.ok) {
-        const errorText = await claudeResponse.text();
+      const result = await callLlmOnce({
+        llmSettings: settings,
+        systemPrompt,
+        userMessage,
+        maxTokens,
+        timeoutMs: Math.min(LLM_REQUEST_TIMEOUT_MS, remainingMs),
+      });
+      if (result.text) {
+        await recordLlmTokenUsage({
+          llmSettings: settings,
+          projectId,
+          usage: result.usage || estimateLlmTokenUsage([systemPrompt, userMessage], result.text),
+        });
         return {
-          error: `AI service error: ${claudeResponse.status} — ${errorText || "Unknown error"}`,
+          text: redactor ? redactor.restore(result.text) : result.text,
+          answeredBy: describeLlmSettings(settings),
         };
       }
 
-      const claudeData = await claudeResponse.json();
-      const text = Array.isArray(claudeData.content)
-        ? claudeData.content
-            .map((part) => (typeof part?.text === "string" ? part.text : ""))
-            .join("\n")
-            .trim()
-        : "";
+      lastError = result.error;
+      if (!result.retryable || attempt + 1 >= LLM_RETRY_MAX_ATTEMPTS) {
+        break;
+      }
+
+      // Waiting longer than the remaining budget cannot succeed; move on to
+      // the next model in the chain instead.
+      const delayMs = computeLlmRetryDelayMs(attempt, result.retryAfterMs);
+      if (delayMs >= deadline - Date.now()) {
+        break;
+      }
+      await sleep(delayMs);
+    }
+  }
+
+  return { error: lastError || "AI service returned an empty response." };
+}
+
+/**
+ * Models often wrap JSON answers in markdown fences or add a sentence before
+ * the object. Extract the first JSON object so callers can stay strict about
+ * the parsed shape instead of the surrounding text.
+ */
+function parseLlmJson(text) {
+  const rawText = String(text || "").trim();
+  if (!rawText) {
+    return null;
+  }
+
+  const fencedMatch = rawText.match(/```(?:json)?\s*([\s\S]*?)```/i);
+  const candidate = fencedMatch ? fencedMatch[1].trim() : rawText;
+  const objectStart = candidate.indexOf("{");
+  const objectEnd = candidate.lastIndexOf("}");
+  if (objectStart === -1 || objectEnd <= objectStart) {
+    return null;
+  }
+
+  try {
+    const parsed = JSON.parse(candidate.slice(objectStart, objectEnd + 1));
+    return parsed && typeof parsed === "object" && !Array.isArray(parsed) ? parsed : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Minimal server-sent events reader shared by all providers. Calls onEvent for
+ * every complete event and stops early when the handler returns false.
+ */
+async function readServerSentEvents(response, onEvent) {
+  const decoder = new TextDecoder();
+  let buffer = "";
+
+  const emitCompleteEvents = async () => {
+    const blocks = buffer.split(/\r?\n\r?\n/);
+    buffer = blocks.pop() || "";
+
+    for (const block of blocks) {
+      let event = "message";
+      const dataLines = [];
+      for (const line of block.split(/\r?\n/)) {
+        if (line.startsWith("event:")) {
+          event = line.slice(6).trim();
+        } else if (line.startsWith("data:")) {
+          dataLines.push(line.slice(5).replace(/^ /, ""));
+        }
+      }
+      if (dataLines.length === 0) {
+        continue;
+      }
+      const keepReading = await onEvent({ event, data: dataLines.join("\n") });
+      if (keepReading === false) {
+        return false;
+      }
+    }
+    return true;
+  };
+
+  if (typeof response.body?.getReader === "function") {
+    const reader = response.body.getReader();
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) {
+        break;
+      }
+      buffer += decoder.decode(value, { stream: true });
+      if (!(await emitCompleteEvents())) {
+        await reader.cancel().catch(() => {});
+        return;
+      }
+    }
+  } else {
+    for await (const chunk of response.body) {
+      buffer += typeof chunk === "string" ? chunk : decoder.decode(chunk, { stream: true });
+      if (!(await emitCompleteEvents())) {
+        return;
+      }
+    }
+  }
+
+  buffer += decoder.decode();
+  if (buffer.trim()) {
+    buffer += "\n\n";
+    await emitCompleteEvents();
+  }
+}
+
+/**
+ * Streaming counterpart of callLlmText. onText receives the accumulated text
+ * after every delta and can return false to cancel the upstream request.
+ * Results carry `streamUnsupported` when callers should retry without streaming.
+ * The whole stream, not each read, is bounded by `timeoutMs`.
+ */
+async function callLlmTextStream({
+  llmSettings,
+  systemPrompt,
+  userMessage,
+  maxTokens = 500,
+  onText,
+  timeoutMs = LLM_CHAIN_TIME_BUDGET_MS,
+}) {
+  const provider = getLlmProvider(llmSettings?.provider);
+  if (!provider || !isLlmConfigured(llmSettings)) {
+    return { error: "AI settings are incomplete." };
+  }
 
-      return text ? { text } : { error: "AI service returned an empty response." };
+  const controller = new AbortController();
+  let text = "";
+  let cancelled = false;
+  let timedOut = false;
+  const timeoutHandle = setTimeout(() => {
+    timedOut = true;
+    controller.abort();
+  }, timeoutMs);
+
+  const appendDelta = async (delta) => {
+    if (typeof delta !== "string" || !delta) {
+      return true;
+    }
+    text += delta;
+    if (onText && (await onText(text)) === false) {
+      cancelled = true;
+      controller.abort();
+      return false;
     }
+    return true;
+  };
 
-    const openaiResponse = await fetch("https://api.openai.com/v1/chat/completions", {
+  try {
+    const request = provider.buildRequest({
+      settings: llmSettings,
+      systemPrompt,
+      userMessage,
+      maxTokens,
+      stream: true,
+    });
+    const response = await fetch(request.url, {
       method: "POST",
       headers: {
         "Content-Type": "application/json",
-        Authorization: `Bearer ${llmSettings.apiKey}`,
+        Accept: "text/event-stream",
+        ...request.headers,
       },
-      body: JSON.stringify({
-        model: llmSettings.model,
-        max_tokens: maxTokens,
-        messages: [
-          { role: "system", content: systemPrompt },
-          { role: "user", content: userMessage },
-        ],
-      }),
+      body: JSON.stringify(request.body),
+      signal: controller.signal,
     });
 
-    if (!openaiResponse.ok) {
-      const errorText = await openaiResponse.text();
-      return {
-        error: `AI service error: ${openaiResponse.status} — ${errorText || "Unknown error"}`,
-      };
+    if (!response.ok) {
+      const errorText = await response.text();
+      return { error: provider.mapError(response.status, errorText) };
+    }
+
+    const contentType = response.headers?.get?.("content-type") || "";
+    if (!response.body || !contentType.includes("text/event-stream")) {
+      return { error: "AI service did not return a stream.", streamUnsupported: true };
     }
 
-    const openaiData = await openaiResponse.json();
-    const text = openaiData.choices?.[0]?.message?.content?.trim() || "";
-    return text ? { text } : { error: "AI service returned an empty response." };
+    await readServerSentEvents(response, async ({ data }) => {
+      if (data === "[DONE]") {
+        return false;
+      }
+
+      let parsed;
+      try {
+        parsed = JSON.parse(data);
+      } catch {
+        return true;
+      }
+
+      if (parsed?.error || parsed?.type === "error") {
+        throw new Error(parsed.error?.message || "Stream error");
+      }
+
+      const streamEvent = provider.parseStreamEvent(parsed);
+      const keepReading = await appendDelta(streamEvent.delta);
+      return keepReading && !streamEvent.done;
+    });
   } catch (err) {
-    return { error: `AI service error: ${err.message || String(err)}` };
+    if (!cancelled) {
+      const message = timedOut
+        ? "AI service error: the request timed out."
+        : `AI service error: ${err.message || String(err)}`;
+      return text.trim() ? { text: text.trim(), error: message } : { error: message, streamUnsupported: true };
+    }
+  } finally {
+    clearTimeout(timeoutHandle);
   }
+
+  if (cancelled) {
+    return { text: text.trim(), cancelled: true };
+  }
+  return text.trim() ? { text: text.trim() } : { error: "AI service returned an empty response." };
 }
 
 function getPortalChatRequesterId(context) {
@@ -662,41 +1423,351 @@ function getPortalChatRequesterId(context) {
   );
 }
 
-async function checkPortalChatRateLimit(context) {
+/**
+ * Identity for data stored per customer (drafts, conversation history). The
+ * extension localId is shared by everyone on the portal, so it never counts.
+ */
+function getPortalPersonalStorageId(context) {
   const requesterId = getPortalChatRequesterId(context);
-  const rateLimitKey = `portalChatRate:${requesterId}`;
-  const now = Date.now();
+  return requesterId === "anonymous" || requesterId === context?.localId ? null : requesterId;
+}
 
-  try {
-    const existingState = (await storage.get(rateLimitKey)) || {};
-    let windowStart = Number(existingState.windowStart || 0);
-    let count = Number(existingState.count || 0);
-
-    if (!windowStart || now - windowStart >= PORTAL_CHAT_RATE_LIMIT_WINDOW_MS) {
-      windowStart = now;
-      count = 1;
-      await storage.set(rateLimitKey, { windowStart, count });
-      return { allowed: true };
+// ─── Rate Limiting ──────────────────────────────────────────────────
+// Fixed windows per requester, per project and site-wide, with escalating
+// cool-downs for repeat offenders; see rateLimitPolicy.js.
+
+async function getRateLimitPolicy() {
+  const stored = await storage.get(RATE_LIMIT_POLICY_STORAGE_KEY);
+  const result = sanitizeRateLimitPolicy(stored || {});
+  return result.policy || DEFAULT_RATE_LIMIT_POLICY;
+}
+
+function getRateLimitStorageKeys(requesterId, projectId) {
+  return {
+    requesterKey: `portalChatRate:${requesterId}`,
+    cooldownKey: `portalChatCooldown:${requesterId}`,
+    projectKey: projectId ? `portalChatRate:project:${projectId}` : null,
+    globalKey: "portalChatRate:global",
+  };
+}
+
+/**
+ * Counts a portal chat request. The requester's own limit is checked first so
+ * a single noisy customer is throttled (and earns a strike) before they can
+ * use up the project or site allowance for everyone else. Anonymous visitors
+ * share one identity, so one of them must not put the others in a cool-down;
+ * they only get the stricter anonymous window.
+ */
+async function checkPortalChatRateLimit(context, projectId) {
+  const requesterId = getPortalChatRequesterId(context);
+  const anonymous = !getPortalPersonalStorageId(context);
+  const keys = getRateLimitStorageKeys(requesterId, projectId);
+  const now = Date.now();
+  let policy = DEFAULT_RATE_LIMIT_POLICY;
+
+  try {
+    policy = await getRateLimitPolicy();
+
+    const usesCooldown = policy.cooldown.enabled && !anonymous;
+    const cooldownState = usesCooldown ? await storage.get(keys.cooldownKey) : null;
+    if (usesCooldown && Number(cooldownState?.until || 0) > now) {
+      return { allowed: false, scope: "cooldown", retryAfterSeconds: toRetryAfterSeconds(cooldownState.until - now) };
     }
 
-    if (count >= PORTAL_CHAT_RATE_LIMIT_MAX_REQUESTS) {
-      const retryAfterMs = Math.max(
-        0,
-        PORTAL_CHAT_RATE_LIMIT_WINDOW_MS - (now - windowStart)
-      );
-      return {
-        allowed: false,
-        retryAfterSeconds: Math.max(1, Math.ceil(retryAfterMs / 1000)),
-      };
+    const requesterLimit = anonymous ? policy.anonymous : policy.user;
+    const checks = [
+      { scope: "requester", key: keys.requesterKey, limit: requesterLimit },
+      { scope: "project", key: keys.projectKey, limit: policy.project },
+      { scope: "global", key: keys.globalKey, limit: policy.global },
+    ].filter((check) => check.key);
+
+    const results = [];
+    for (const check of checks) {
+      const result = evaluateRateWindow(await storage.get(check.key), check.limit, now);
+      if (!result.allowed) {
+        if (check.scope === "requester" && usesCooldown) {
+          const strike = applyRateLimitStrike(cooldownState, policy.cooldown, now);
+          await storage.set(keys.cooldownKey, strike);
+          return { allowed: false, scope: check.scope, retryAfterSeconds: toRetryAfterSeconds(strike.until - now) };
+        }
+        return { allowed: false, scope: check.scope, retryAfterSeconds: toRetryAfterSeconds(result.retryAfterMs) };
+      }
+      results.push({ key: check.key, nextState: result.nextState });
     }
 
-    count += 1;
-    await storage.set(rateLimitKey, { windowStart, count });
+    // Only requests that pass every limit are counted.
+    await Promise.all(results.map((result) => storage.set(result.key, result.nextState)));
     return { allowed: true };
   } catch {
-    // If rate limit state cannot be read/written, allow the request to avoid
-    // blocking legitimate users due to transient storage issues.
-    return { allowed: true };
+    // Anonymous traffic is the easiest to abuse, so it never fails open.
+    if (policy.failOpen && !anonymous) {
+      return { allowed: true };
+    }
+    return { allowed: false, scope: "unavailable", retryAfterSeconds: 30 };
+  }
+}
+
+/**
+ * Customer-facing text for a throttled request. Only the requester's own
+ * limits say "too quickly"; shared limits are not their fault.
+ */
+function describeRateLimitRejection(rateLimitState, language) {
+  const ownLimit = rateLimitState.scope === "requester" || rateLimitState.scope === "cooldown";
+  return translatePortalMessage(language, ownLimit ? "rateLimitTooQuickly" : "rateLimitBusy", {
+    seconds: rateLimitState.retryAfterSeconds,
+  });
+}
+
+// ─── LLM Usage & Budgets ────────────────────────────────────────────
+// Every AI call is added to a record for its UTC day (per project, provider
+// and model) and to a total for its UTC month; see llmUsage.js. The daily
+// token budget from the rate-limit policy and the monthly cost budget both
+// switch AI off until the period ends, leaving the deterministic replies.
+// Providers that do not report usage are estimated at four characters per
+// token.
+
+const LLM_TOKEN_BUDGET_EXHAUSTED_ERROR = "The daily AI token budget has been used up.";
+const LLM_MONTHLY_BUDGET_REACHED_ERROR = "The monthly AI budget has been reached.";
+
+function getUtcDay(now = Date.now()) {
+  return new Date(now).toISOString().slice(0, 10);
+}
+
+function getUtcMonth(now = Date.now()) {
+  return getUtcDay(now).slice(0, 7);
+}
+
+function getLlmUsageDayKey(day) {
+  return `llmUsage:${day}`;
+}
+
+function getLlmUsageMonthKey(month) {
+  return `llmUsageMonth:${month}`;
+}
+
+function estimateLlmTokenUsage(promptParts, replyText) {
+  const estimate = (text) => Math.ceil(String(text || "").length / 4);
+  return {
+    inputTokens: promptParts.reduce((sum, part) => sum + estimate(part), 0),
+    outputTokens: estimate(replyText),
+    estimated: true,
+  };
+}
+
+async function getLlmCostSettings() {
+  const stored = await storage.get(LLM_COST_SETTINGS_STORAGE_KEY);
+  return stored ? { ...DEFAULT_LLM_COST_SETTINGS, ...stored } : DEFAULT_LLM_COST_SETTINGS;
+}
+
+async function getLlmTokenUsageToday() {
+  const day = getUtcDay();
+  const record = await storage.get(getLlmUsageDayKey(day));
+  return { day, tokens: record?.day === day ? getLlmUsageTokens(record.totals) : 0 };
+}
+
+async function getLlmUsageThisMonth() {
+  const month = getUtcMonth();
+  const record = await storage.get(getLlmUsageMonthKey(month));
+  return { month, costUsd: record?.month === month ? record.totals.costUsd : 0 };
+}
+
+async function recordLlmTokenUsage({ llmSettings, projectId, usage }) {
+  if (getLlmUsageTokens(usage) <= 0) {
+    return;
+  }
+  try {
+    const now = Date.now();
+    const [day, month] = [getUtcDay(now), getUtcMonth(now)];
+    const { prices } = await getLlmCostSettings();
+    const price = findLlmPrice(prices, llmSettings.provider, llmSettings.model);
+    const entry = {
+      projectId,
+      provider: llmSettings.provider,
+      model: llmSettings.model,
+      inputTokens: usage.inputTokens,
+      outputTokens: usage.outputTokens,
+      costUsd: computeLlmCost(usage, price),
+      estimated: Boolean(usage.estimated),
+      priced: Boolean(price),
+    };
+    const [dayRecord, monthRecord] = await Promise.all([
+      storage.get(getLlmUsageDayKey(day)),
+      storage.get(getLlmUsageMonthKey(month)),
+    ]);
+    await Promise.all([
+      storage.set(getLlmUsageDayKey(day), addLlmUsageToDay(dayRecord, day, entry)),
+      storage.set(getLlmUsageMonthKey(month), addLlmUsageToMonth(monthRecord, month, entry)),
+    ]);
+  } catch {
+    // Usage tracking must not fail a reply that was already produced.
+  }
+}
+
+/**
+ * Returns the reason AI is switched off right now, or null. Budgets are a
+ * cost control, so a storage error lets the call through.
+ */
+async function getLlmBudgetError() {
+  try {
+    const [{ dailyTokenBudget }, { monthlyBudgetUsd }] = await Promise.all([
+      getRateLimitPolicy(),
+      getLlmCostSettings(),
+    ]);
+    if (dailyTokenBudget > 0 && (await getLlmTokenUsageToday()).tokens >= dailyTokenBudget) {
+      return LLM_TOKEN_BUDGET_EXHAUSTED_ERROR;
+    }
+    if (monthlyBudgetUsd > 0 && (await getLlmUsageThisMonth()).costUsd >= monthlyBudgetUsd) {
+      return LLM_MONTHLY_BUDGET_REACHED_ERROR;
+    }
+    return null;
+  } catch {
+    return null;
+  }
+}
+
+function normalizePortalChatStreamId(streamId) {
+  const normalized = typeof streamId === "string" ? streamId.trim() : "";
+  return PORTAL_CHAT_STREAM_ID_REGEX.test(normalized) ? normalized : null;
+}
+
+function getPortalChatStreamStorageKeys(streamId) {
+  return {
+    stateKey: `portalChatStream:${streamId}`,
+    cancelKey: `portalChatStreamCancel:${streamId}`,
+  };
+}
+
+/*
+ * Stops sent while portalChat is still loading issues have no stream to flag
+ * yet. They are kept in one key per requester, so at most one is ever left
+ * behind, and expire after PORTAL_CHAT_PENDING_CANCEL_TTL_MS.
+ */
+function getPortalChatPendingCancelKey(requesterId) {
+  return `portalChatStreamPendingCancel:${requesterId}`;
+}
+
+async function takePortalChatPendingCancel(requesterId, streamId) {
+  const pendingCancelKey = getPortalChatPendingCancelKey(requesterId);
+  const pendingCancel = await storage.get(pendingCancelKey).catch(() => null);
+  if (pendingCancel?.streamId !== streamId) {
+    return false;
+  }
+  await storage.delete(pendingCancelKey).catch(() => {});
+  return Number(pendingCancel.expiresAt || 0) > Date.now();
+}
+
+/**
+ * Forge resolvers cannot push to the browser, so streamed text is mirrored to
+ * storage where the portal UI polls it. Writes are throttled to keep storage
+ * traffic low, and the cancel flag lives in a separate key so a concurrent
+ * cancel is never overwritten by a partial-text write. The stream and any
+ * non-streaming fallback share one time budget, so together they finish
+ * within the resolver timeout.
+ *
+ * `checkReply` returns rejection reasons for a text. Every flush is checked
+ * before the customer can see it; the first rejection stops the stream and
+ * is returned as `rejectionReasons`.
+ */
+async function streamLlmTextToStorage({
+  streamId,
+  requesterId,
+  llmSettings,
+  systemPrompt,
+  userMessage,
+  maxTokens,
+  redactor,
+  projectId,
+  checkReply,
+}) {
+  const { stateKey, cancelKey } = getPortalChatStreamStorageKeys(streamId);
+  const deadline = Date.now() + LLM_CHAIN_TIME_BUDGET_MS;
+  let lastFlushAt = 0;
+  let rejectionReasons = null;
+  const restoreText = (text) => (redactor ? redactor.restore(text) : text);
+  const redactedPrompt = redactLlmPrompt({ systemPrompt, userMessage, redactor });
+
+  if (await takePortalChatPendingCancel(requesterId, streamId)) {
+    return { text: "", cancelled: true };
+  }
+
+  // Over budget, callLlmText returns the budget error without calling out.
+  if (await getLlmBudgetError()) {
+    return callLlmText({ llmSettings, systemPrompt, userMessage, maxTokens, redactor, projectId });
+  }
+
+  const writeState = async (text, done) => {
+    try {
+      await storage.set(stateKey, { requesterId, text, done, updatedAt: Date.now() });
+    } catch {
+      // Polling is best-effort; the final reply is still returned to the caller.
+    }
+  };
+
+  await writeState("", false);
+
+  try {
+    const streamResult = await callLlmTextStream({
+      llmSettings,
+      systemPrompt: redactedPrompt.systemPrompt,
+      userMessage: redactedPrompt.userMessage,
+      maxTokens,
+      timeoutMs: LLM_CHAIN_TIME_BUDGET_MS,
+      onText: async (text) => {
+        const now = Date.now();
+        if (now - lastFlushAt < PORTAL_CHAT_STREAM_FLUSH_INTERVAL_MS) {
+          return true;
+        }
+        lastFlushAt = now;
+
+        const cancelState = await storage.get(cancelKey).catch(() => null);
+        if (cancelState?.cancelled) {
+          return false;
+        }
+
+        // The last word may still be incomplete ("TJ-1" of "TJ-12"), so
+        // only whole words are checked and shown.
+        const visibleText = restoreText(text.slice(0, text.search(/\S*$/)));
+        const reasons = checkReply ? checkReply(visibleText) : [];
+        if (reasons.length > 0) {
+          rejectionReasons = reasons;
+          return false;
+        }
+
+        await writeState(visibleText, false);
+        return true;
+      },
+    });
+
+    if (rejectionReasons) {
+      return { text: restoreText(streamResult.text), rejectionReasons, answeredBy: describeLlmSettings(llmSettings) };
+    }
+
+    // Streams that fail before producing text go through the retrying,
+    // fallback-aware path instead of surfacing the first error.
+    if (streamResult.streamUnsupported || (streamResult.error && !streamResult.text)) {
+      return callLlmText({
+        llmSettings,
+        systemPrompt,
+        userMessage,
+        maxTokens,
+        redactor,
+        projectId,
+        timeBudgetMs: deadline - Date.now(),
+      });
+    }
+
+    // Streams do not report usage for every provider, so they are estimated.
+    await recordLlmTokenUsage({
+      llmSettings,
+      projectId,
+      usage: estimateLlmTokenUsage([redactedPrompt.systemPrompt, redactedPrompt.userMessage], streamResult.text),
+    });
+    return { ...streamResult, text: restoreText(streamResult.text), answeredBy: describeLlmSettings(llmSettings) };
+  } finally {
+    await Promise.all([
+      storage.delete(stateKey).catch(() => {}),
+      storage.delete(cancelKey).catch(() => {}),
+    ]);
   }
 }
 
@@ -782,6 +1853,78 @@ resolver.define("saveProjectChatSettings", async ({ payload }) => {
   return { success: true };
 });
 
+defineAdminResolver("getRateLimitPolicy", async () => {
+  return { policy: await getRateLimitPolicy() };
+});
+
+defineAdminResolver("saveRateLimitPolicy", async ({ payload }) => {
+  const result = sanitizeRateLimitPolicy(payload?.policy);
+  if (result.error) {
+    return { error: result.error };
+  }
+  await storage.set(RATE_LIMIT_POLICY_STORAGE_KEY, result.policy);
+  return { success: true, policy: result.policy };
+});
+
+const RATE_LIMIT_STATUS_MAX_COOLDOWNS = 20;
+
+/**
+ * Current throttling state for the admin page: window usage for the site and
+ * each enabled project, today's token usage and requesters in a cool-down.
+ */
+defineAdminResolver("getRateLimitStatus", async () => {
+  const now = Date.now();
+  const policy = await getRateLimitPolicy();
+  const describeWindow = (state, limit) => {
+    const windowStart = Number(state?.windowStart || 0);
+    const active = windowStart && now - windowStart < limit.windowSeconds * 1000;
+    return {
+      count: active ? Number(state.count) || 0 : 0,
+      maxRequests: limit.maxRequests,
+      resetsInSeconds: active ? toRetryAfterSeconds(limit.windowSeconds * 1000 - (now - windowStart)) : 0,
+    };
+  };
+
+  const projectSettings = (await storage.get("projectChatSettings")) || {};
+  const enabledProjectIds = Object.keys(projectSettings).filter((projectId) => projectSettings[projectId]);
+  const projects = await Promise.all(
+    enabledProjectIds.map(async (projectId) => ({
+      projectId,
+      ...describeWindow(await storage.get(getRateLimitStorageKeys("", projectId).projectKey), policy.project),
+    }))
+  );
+
+  const cooldownResults = await storage
+    .query()
+    .where("key", startsWith("portalChatCooldown:"))
+    .limit(RATE_LIMIT_STATUS_MAX_COOLDOWNS)
+    .getMany();
+  const cooldowns = (cooldownResults?.results || [])
+    .filter((entry) => Number(entry.value?.until || 0) > now)
+    .map((entry) => ({
+      requesterId: entry.key.slice("portalChatCooldown:".length),
+      strikes: Number(entry.value.strikes) || 0,
+      remainingSeconds: toRetryAfterSeconds(entry.value.until - now),
+    }));
+
+  const tokenUsage = await getLlmTokenUsageToday();
+  return {
+    global: describeWindow(await storage.get(getRateLimitStorageKeys("").globalKey), policy.global),
+    projects,
+    cooldowns,
+    tokenUsage: { day: tokenUsage.day, tokens: tokenUsage.tokens, budget: policy.dailyTokenBudget },
+  };
+});
+
+defineAdminResolver("liftRateLimitCooldown", async ({ payload }) => {
+  const requesterId = String(payload?.requesterId || "");
+  if (!requesterId) {
+    return { error: "A requester is required." };
+  }
+  await storage.delete(getRateLimitStorageKeys(requesterId).cooldownKey);
+  return { success: true };
+});
+
 resolver.define("getPortalChatAvailability", async ({ payload, context }) => {
   const invocationContext = extractPortalContextFromInvocation(context);
   const projectId = payload?.projectId ?? invocationContext.projectId;
@@ -842,45 +1985,67 @@ resolver.define("getPortalRequestTypes", async ({ payload, context }) => {
   }
 
   return {
-    requestTypes: (requestTypeResult.values || []).map((requestType) => ({
-      id: String(requestType.id || ""),
-      name: requestType.name || "Request type",
-      description: requestType.description || "",
-      helpText: requestType.helpText || "",
-      issueTypeName: requestType.issueTypeName || "",
-    })),
+    requestTypes: (requestTypeResult.values || []).map(mapRequestTypeSummary),
   };
 });
 
-resolver.define("getPortalRequestTypeFields", async ({ payload, context }) => {
-  const invocationContext = extractPortalContextFromInvocation(context);
-  const projectId = payload?.projectId ?? invocationContext.projectId;
-  const projectKey = payload?.projectKey ?? invocationContext.projectKey;
-  const portalId = payload?.portalId ?? invocationContext.portalId;
+resolver.define("recommendPortalRequestTypes", async ({ payload, context }) => {
+  const access = await checkPortalChatAccess(payload, context);
+  if (!access.availability) {
+    return { requestTypes: [], recommendations: [], error: access.reply };
+  }
 
-  const requestTypeId =
-    payload?.requestTypeId === null || payload?.requestTypeId === undefined
-      ? ""
-      : String(payload.requestTypeId).trim();
-  if (!requestTypeId) {
-    return { fields: [], error: "Request type id is required." };
+  const allowedServiceDesk = await ensureAllowedServiceDesk(payload?.serviceDeskId, access.portalContext);
+  if (allowedServiceDesk.error) {
+    return { requestTypes: [], recommendations: [], error: allowedServiceDesk.error };
   }
 
-  const allowedServiceDesk = await ensureAllowedServiceDesk(payload?.serviceDeskId, {
-    projectId,
-    projectKey,
-    portalId,
-  });
+  const requestTypeResult = await fetchRequestTypesForServiceDesk(
+    allowedServiceDesk.serviceDesk.serviceDeskId
+  );
+  if (requestTypeResult.error) {
+    return { requestTypes: [], recommendations: [], error: requestTypeResult.error };
+  }
+
+  const requestTypes = (requestTypeResult.values || []).map(mapRequestTypeSummary);
+  const description = String(payload?.description || "").trim().slice(0, FIELD_EXTRACTION_MAX_DESCRIPTION_LENGTH);
+  const llmSettings = description ? await getLlmRuntimeSettings() : null;
+  const recommendations = description
+    ? await recommendRequestTypes({
+        requestTypes,
+        description,
+        llmSettings,
+        redactor: await getProjectRedactor(access.availability.projectId),
+        projectId: access.availability.projectId,
+      })
+    : [];
+
+  return { requestTypes, recommendations };
+});
+
+/**
+ * Loads the fields the portal flow asks for. Optional fields are only
+ * included on request and always come after the required ones, so the flow
+ * can offer to skip them once everything required is answered.
+ */
+async function loadPortalRequestTypeFields({ serviceDeskId, requestTypeId, portalContext, includeOptional = false }) {
+  const normalizedRequestTypeId =
+    requestTypeId === null || requestTypeId === undefined ? "" : String(requestTypeId).trim();
+  if (!normalizedRequestTypeId) {
+    return { error: "Request type id is required." };
+  }
+
+  const allowedServiceDesk = await ensureAllowedServiceDesk(serviceDeskId, portalContext);
   if (allowedServiceDesk.error) {
-    return { fields: [], error: allowedServiceDesk.error };
+    return { error: allowedServiceDesk.error };
   }
 
   const fieldResult = await fetchRequestTypeFields(
     allowedServiceDesk.serviceDesk.serviceDeskId,
-    requestTypeId
+    normalizedRequestTypeId
   );
   if (fieldResult.error) {
-    return { fields: [], error: fieldResult.error };
+    return { error: fieldResult.error };
   }
 
   const allVisibleFields = (fieldResult.values || []).filter(
@@ -893,12 +2058,126 @@ resolver.define("getPortalRequestTypeFields", async ({ payload, context }) => {
 
   const normalizedFields = (fieldResult.values || [])
     .map(normalizePortalField)
-    .filter((field) => field.visible && field.required && field.fieldId !== "attachment");
+    .filter((field) => field.visible && field.fieldId !== "attachment");
+  const requiredFields = normalizedFields.filter((field) => field.required);
+  const optionalFields = includeOptional ? normalizedFields.filter((field) => !field.required) : [];
+
+  return { fields: [...requiredFields, ...optionalFields], allowsAttachments };
+}
+
+resolver.define("getPortalRequestTypeFields", async ({ payload, context }) => {
+  const invocationContext = extractPortalContextFromInvocation(context);
+  const result = await loadPortalRequestTypeFields({
+    serviceDeskId: payload?.serviceDeskId,
+    requestTypeId: payload?.requestTypeId,
+    includeOptional: Boolean(payload?.includeOptional),
+    portalContext: {
+      projectId: payload?.projectId ?? invocationContext.projectId,
+      projectKey: payload?.projectKey ?? invocationContext.projectKey,
+      portalId: payload?.portalId ?? invocationContext.portalId,
+    },
+  });
+  if (result.error) {
+    return { fields: [], error: result.error };
+  }
 
-  return { fields: normalizedFields, allowsAttachments };
+  return result;
 });
 
-resolver.define("createPortalRequest", async ({ payload, context }) => {
+resolver.define("extractRequestFieldAnswers", async ({ payload, context }) => {
+  const access = await checkPortalChatAccess(payload, context);
+  if (!access.availability) {
+    return { answers: {}, error: access.reply };
+  }
+
+  const description = String(payload?.description || "").trim().slice(0, FIELD_EXTRACTION_MAX_DESCRIPTION_LENGTH);
+  if (!description) {
+    return { answers: {} };
+  }
+
+  const fieldResult = await loadPortalRequestTypeFields({
+    serviceDeskId: payload?.serviceDeskId,
+    requestTypeId: payload?.requestTypeId,
+    includeOptional: Boolean(payload?.includeOptional),
+    portalContext: access.portalContext,
+  });
+  if (fieldResult.error) {
+    return { answers: {}, error: fieldResult.error };
+  }
+
+  const llmSettings = await getLlmRuntimeSettings();
+  return extractFieldAnswersFromDescription({
+    fields: fieldResult.fields,
+    description,
+    llmSettings,
+    redactor: await getProjectRedactor(access.availability.projectId),
+    projectId: access.availability.projectId,
+    validationOptions: { today: payload?.today, timeZoneOffsetMinutes: payload?.timeZoneOffsetMinutes },
+  });
+});
+
+const PORTAL_USER_SEARCH_LIMIT = 5;
+
+/**
+ * People search for user picker fields. Runs as the customer, so it only
+ * returns users Jira lets them see; "me" always resolves to the customer.
+ */
+async function searchPortalUsers(query) {
+  try {
+    if (/^(me|myself)$/i.test(query)) {
+      const response = await api.asUser().requestJira(route`/rest/api/3/myself`, {
+        headers: { Accept: "application/json" },
+      });
+      if (!response.ok) {
+        return { users: [] };
+      }
+      const me = await response.json();
+      return { users: me?.accountId ? [{ accountId: me.accountId, label: me.displayName || "Me" }] : [] };
+    }
+
+    const response = await api
+      .asUser()
+      .requestJira(route`/rest/api/3/user/picker?query=${query}&maxResults=${PORTAL_USER_SEARCH_LIMIT}`, {
+        headers: { Accept: "application/json" },
+      });
+    if (response.status === 401 || response.status === 403) {
+      return { error: "You don't have permission to search for people. Type \"me\" to pick yourself." };
+    }
+    if (!response.ok) {
+      const text = await response.text();
+      return { error: `Failed to search people: ${response.status} — ${text}` };
+    }
+
+    const data = await response.json();
+    const users = (Array.isArray(data.users) ? data.users : [])
+      .filter((user) => user?.accountId)
+      .slice(0, PORTAL_USER_SEARCH_LIMIT)
+      .map((user) => ({ accountId: String(user.accountId), label: user.displayName || user.accountId }));
+    return { users };
+  } catch (err) {
+    return { error: `Failed to search people: ${err.message || String(err)}` };
+  }
+}
+
+resolver.define("searchPortalUsers", async ({ payload, context }) => {
+  const access = await checkPortalChatAccess(payload, context);
+  if (!access.availability) {
+    return { users: [], error: access.reply };
+  }
+
+  const query = String(payload?.query || "").trim().slice(0, 100);
+  if (query.length < 2) {
+    return { users: [], error: "Type at least two characters of a name." };
+  }
+
+  return searchPortalUsers(query);
+});
+
+/**
+ * Creates the request from the answers the create flow collected. The
+ * resolver below records how it ended for conversation analytics.
+ */
+async function submitPortalRequest({ payload, context }) {
   const invocationContext = extractPortalContextFromInvocation(context);
   const projectId = payload?.projectId ?? invocationContext.projectId;
   const projectKey = payload?.projectKey ?? invocationContext.projectKey;
@@ -937,20 +2216,41 @@ resolver.define("createPortalRequest", async ({ payload, context }) => {
 
   const fieldAnswers =
     payload?.fieldAnswers && typeof payload.fieldAnswers === "object" ? payload.fieldAnswers : {};
+  const validationRules = await getFieldValidationRules();
   const requestFieldValues = {};
-  const missingFields = [];
+  const fieldErrors = [];
+
+  // Every answer goes through the same validation as the chat flow; failures
+  // are reported per field so the portal can re-ask just those.
+  const prepareAnswer = (field, answer) => {
+    const fieldName = field.name || field.fieldId;
+    const validation = validateFieldAnswer(normalizePortalField(field), answer, {
+      rule: findFieldValidationRule(validationRules, field.fieldId),
+      today: payload?.today,
+      timeZoneOffsetMinutes: payload?.timeZoneOffsetMinutes,
+    });
+    if (validation.error) {
+      fieldErrors.push({ fieldId: field.fieldId, name: fieldName, message: validation.error });
+      return { failed: true };
+    }
 
-  for (const field of requiredFields) {
-    const answer = fieldAnswers[field.fieldId];
-    const converted = convertFieldAnswerToRequestValue(field, answer);
-    const isMissing = converted === undefined || (Array.isArray(converted) && converted.length === 0);
+    const converted = convertFieldAnswerToRequestValue(field, validation.value);
+    const isEmpty = converted === undefined || (Array.isArray(converted) && converted.length === 0);
+    return isEmpty ? {} : { value: converted };
+  };
 
-    if (isMissing) {
-      missingFields.push(field.name || field.fieldId);
+  for (const field of requiredFields) {
+    const prepared = prepareAnswer(field, fieldAnswers[field.fieldId]);
+    if (prepared.failed) {
+      continue;
+    }
+    if (prepared.value === undefined) {
+      const fieldName = field.name || field.fieldId;
+      fieldErrors.push({ fieldId: field.fieldId, name: fieldName, message: `${fieldName} is required.` });
       continue;
     }
 
-    requestFieldValues[field.fieldId] = converted;
+    requestFieldValues[field.fieldId] = prepared.value;
   }
 
   // Include optional answers if the field is visible in this request type.
@@ -959,17 +2259,24 @@ resolver.define("createPortalRequest", async ({ payload, context }) => {
       continue;
     }
     const field = visibleFields.find((candidate) => candidate.fieldId === fieldId);
-    if (!field || field.fieldId === "attachment") {
+    if (!field || field.fieldId === "attachment" || field.required) {
       continue;
     }
-    const converted = convertFieldAnswerToRequestValue(field, answer);
-    if (converted !== undefined && (!Array.isArray(converted) || converted.length > 0)) {
-      requestFieldValues[fieldId] = converted;
+    const prepared = prepareAnswer(field, answer);
+    if (prepared.value !== undefined) {
+      requestFieldValues[fieldId] = prepared.value;
     }
   }
 
-  if (missingFields.length > 0) {
-    return { error: `Missing required fields: ${missingFields.join(", ")}` };
+  if (fieldErrors.length > 0) {
+    return {
+      error: `Please fix these answers:\n${fieldErrors.map((fieldError) => `- ${fieldError.message}`).join("\n")}`,
+      fieldErrors,
+      card: buildErrorCard({
+        message: "Please fix these answers:",
+        items: fieldErrors.map((fieldError) => fieldError.message),
+      }),
+    };
   }
 
   const temporaryAttachmentIds = Array.isArray(payload?.temporaryAttachmentIds)
@@ -1051,7 +2358,30 @@ resolver.define("createPortalRequest", async ({ payload, context }) => {
     }
 
     if (!finalAttempt.ok) {
-      return { error: formatCreateError(finalAttempt) };
+      const jiraErrors = finalAttempt.parsedBody?.errors;
+      const jiraFieldErrors =
+        jiraErrors && typeof jiraErrors === "object"
+          ? Object.entries(jiraErrors)
+              .map(([fieldId, message]) => ({
+                field: visibleFields.find((candidate) => candidate.fieldId === fieldId),
+                message: String(message || ""),
+              }))
+              .filter(({ field }) => Boolean(field))
+              .map(({ field, message }) => ({
+                fieldId: field.fieldId,
+                name: field.name || field.fieldId,
+                message: `${field.name || field.fieldId}: ${message}`,
+              }))
+          : [];
+      const createError = formatCreateError(finalAttempt);
+      return {
+        error: createError,
+        fieldErrors: jiraFieldErrors,
+        card: buildErrorCard({
+          message: createError,
+          items: jiraFieldErrors.map((fieldError) => fieldError.message),
+        }),
+      };
     }
 
     const createdRequest = finalAttempt.parsedBody || {};
@@ -1115,207 +2445,2244 @@ resolver.define("createPortalRequest", async ({ payload, context }) => {
       }
     }
 
+    const requestLink = createdRequest?._links?.web || createdRequest?._links?.self || "";
     return {
       success: true,
       issueKey: createdRequest?.issueKey || "",
       issueId: createdRequest?.issueId || "",
-      requestLink: createdRequest?._links?.web || createdRequest?._links?.self || "",
+      requestLink,
       warning: attachmentWarning,
+      card: buildConfirmationCard({
+        title: "Request created",
+        details: [
+          { label: "Issue key", value: createdRequest?.issueKey },
+          { label: "Summary", value: requestFieldValues.summary },
+        ],
+        url: requestLink,
+        note: attachmentWarning,
+      }),
     };
   } catch (err) {
     return { error: `Failed to create request: ${err.message || String(err)}` };
   }
+}
+
+resolver.define("createPortalRequest", async ({ payload, context }) => {
+  const startedAt = Date.now();
+  const result = await submitPortalRequest({ payload, context });
+  await recordChatAnalyticsEvent({
+    kind: "create_request",
+    intent: "create_request",
+    ...(result.success
+      ? { outcome: "created_request" }
+      : { outcome: "error", reason: result.fieldErrors?.length ? "field_validation" : "create_failed" }),
+    latencyMs: Date.now() - startedAt,
+    projectId: payload?.projectId ?? extractPortalContextFromInvocation(context).projectId,
+  });
+  return result;
 });
 
-// ─── LLM / AI Model Settings ────────────────────────────────────────
+// ─── Intake Validation Rules ────────────────────────────────────────
 
-resolver.define("getLLMSettings", async () => {
-  return getLlmSettingsForAdmin();
+const FIELD_VALIDATION_RULES_STORAGE_KEY = "fieldValidationRules";
+
+async function getFieldValidationRules() {
+  const rules = await storage.get(FIELD_VALIDATION_RULES_STORAGE_KEY);
+  return Array.isArray(rules) ? rules : [];
+}
+
+defineAdminResolver("getFieldValidationRules", async () => {
+  return { rules: await getFieldValidationRules() };
 });
 
-resolver.define("saveLLMSettings", async ({ payload }) => {
-  const { provider, model, apiKey } = payload || {};
-  return saveLlmSettingsSecurely({ provider, model, apiKey });
+defineAdminResolver("saveFieldValidationRules", async ({ payload }) => {
+  const result = sanitizeFieldValidationRules(payload?.rules);
+  if (result.error) {
+    return { error: result.error };
+  }
+  await storage.set(FIELD_VALIDATION_RULES_STORAGE_KEY, result.rules);
+  return { success: true, rules: result.rules };
 });
 
-// ─── Chat ────────────────────────────────────────────────────────────
+/**
+ * Checks a single answer while the customer is filling in the form. This is
+ * advisory and touches no Jira data; createPortalRequest re-validates every
+ * answer against the real field definitions before submitting.
+ */
+resolver.define("validatePortalFieldAnswer", async ({ payload }) => {
+  const field = {
+    fieldId: String(payload?.field?.fieldId || ""),
+    name: String(payload?.field?.name || ""),
+    inputType: String(payload?.field?.inputType || "text"),
+    jiraSchema: payload?.field?.jiraSchema || {},
+  };
+  const validationRules = await getFieldValidationRules();
 
-resolver.define("chat", async ({ payload }) => {
-  const settings = await storage.get("agentSettings");
+  return validateFieldAnswer(field, payload?.answer, {
+    rule: findFieldValidationRule(validationRules, field.fieldId),
+    today: payload?.today,
+    timeZoneOffsetMinutes: payload?.timeZoneOffsetMinutes,
+  });
+});
 
-  if (!settings?.enableChatbot) {
-    return { error: "Chatbot is disabled by admin." };
+// ─── Redaction ──────────────────────────────────────────────────────
+// Personal data and secrets are replaced with placeholders before portal
+// text goes to an AI provider or the FastAPI backend; see redaction.js.
+
+const REDACTION_SETTINGS_STORAGE_KEY = "redactionSettings";
+
+async function getRedactionSettings() {
+  const stored = await storage.get(REDACTION_SETTINGS_STORAGE_KEY);
+  return stored ? { ...DEFAULT_REDACTION_SETTINGS, ...stored } : DEFAULT_REDACTION_SETTINGS;
+}
+
+/**
+ * A fresh redactor for one request, or null when the admin switched
+ * redaction off for the project.
+ */
+async function getProjectRedactor(projectId) {
+  const settings = await getRedactionSettings();
+  return isRedactionEnabledForProject(settings, projectId) ? createRedactor(settings) : null;
+}
+
+defineAdminResolver("getRedactionSettings", async () => {
+  return {
+    settings: await getRedactionSettings(),
+    categories: REDACTION_CATEGORIES,
+    customPatternLimit: REDACTION_CUSTOM_PATTERN_LIMIT,
+  };
+});
+
+defineAdminResolver("saveRedactionSettings", async ({ payload }) => {
+  const result = sanitizeRedactionSettings(payload?.settings);
+  if (result.error) {
+    return { error: result.error };
   }
+  await storage.set(REDACTION_SETTINGS_STORAGE_KEY, result.settings);
+  return { success: true, settings: result.settings };
+});
 
-  if (!settings?.fastApiUrl) {
-    return { error: "FastAPI URL not configured." };
+// ─── Prompt Safety ──────────────────────────────────────────────────
+// Blocked prompt-injection attempts and rejected model replies are kept for
+// the admin page; see promptSafety.js for the checks themselves.
+
+const PROMPT_SAFETY_LOG_STORAGE_KEY = "promptSafetyLog";
+
+async function recordPromptSafetyEvent({ stage, reasons, excerpt, projectId }) {
+  try {
+    // The log outlives the request, so it gets the same redaction as a prompt.
+    const redactor = await getProjectRedactor(projectId);
+    const entry = buildPromptSafetyLogEntry({
+      stage,
+      reasons,
+      excerpt: redactor ? redactor.redact(String(excerpt || "")) : excerpt,
+      projectId,
+    });
+    const entries = (await storage.get(PROMPT_SAFETY_LOG_STORAGE_KEY)) || [];
+    await storage.set(PROMPT_SAFETY_LOG_STORAGE_KEY, [entry, ...entries].slice(0, PROMPT_SAFETY_LOG_LIMIT));
+  } catch {
+    // Logging is best-effort; the customer still gets the safe reply.
   }
+}
 
-  // Check project-level setting if projectId is provided
-  if (payload?.projectId) {
-    const projectSettings = await storage.get("projectChatSettings");
-    if (projectSettings && !projectSettings[payload.projectId]) {
-      return { error: "Chat agent is not enabled for this project." };
+defineAdminResolver("getPromptSafetyLog", async () => {
+  const entries = (await storage.get(PROMPT_SAFETY_LOG_STORAGE_KEY)) || [];
+  return { entries, limit: PROMPT_SAFETY_LOG_LIMIT };
+});
+
+defineAdminResolver("clearPromptSafetyLog", async () => {
+  await storage.delete(PROMPT_SAFETY_LOG_STORAGE_KEY);
+  return { success: true };
+});
+
+// ─── Conversation Analytics ─────────────────────────────────────────
+// One event per portal chat message and per finished create flow, counted in
+// a record per UTC day and stored in that day's event shards; see
+// chatAnalytics.js. Questions are redacted like prompts.
+
+const CHAT_ANALYTICS_DAYS_STORAGE_KEY = "chatAnalyticsDays";
+const CHAT_ANALYTICS_DEFAULT_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const ISO_DAY_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+
+function getChatAnalyticsDayKey(day) {
+  return `chatAnalytics:${day}`;
+}
+
+function getChatAnalyticsShardKey(day, shardIndex) {
+  return `chatAnalyticsEvents:${day}:${shardIndex}`;
+}
+
+/**
+ * Runs on the first event of a day. The list of stored days makes sure every
+ * day that fell out of retention is deleted with its shards, including days
+ * before a gap without any traffic.
+ */
+async function retireExpiredChatAnalyticsDays(today) {
+  const oldestKeptDay = getUtcDay(Date.parse(today) - (CHAT_ANALYTICS_RETENTION_DAYS - 1) * DAY_MS);
+  const storedDays = await storage.get(CHAT_ANALYTICS_DAYS_STORAGE_KEY);
+  const days = Array.isArray(storedDays) ? storedDays : [];
+
+  for (const day of days.filter((storedDay) => storedDay < oldestKeptDay)) {
+    const shardCount = getChatAnalyticsShardCount(await storage.get(getChatAnalyticsDayKey(day)));
+    const keys = [
+      getChatAnalyticsDayKey(day),
+      ...Array.from({ length: shardCount }, (_, index) => getChatAnalyticsShardKey(day, index)),
+    ];
+    await Promise.all(keys.map((key) => storage.delete(key)));
+  }
+
+  await storage.set(CHAT_ANALYTICS_DAYS_STORAGE_KEY, [
+    ...days.filter((storedDay) => storedDay >= oldestKeptDay && storedDay !== today),
+    today,
+  ]);
+}
+
+async function recordChatAnalyticsEvent({ kind, intent, outcome, reason, latencyMs, projectId, question }) {
+  try {
+    const redactor = question ? await getProjectRedactor(projectId) : null;
+    const event = buildChatAnalyticsEvent({
+      kind,
+      intent,
+      outcome,
+      reason,
+      latencyMs,
+      projectId,
+      question: redactor ? redactor.redact(String(question)) : question,
+    });
+    const day = event.at.slice(0, 10);
+    const record = await storage.get(getChatAnalyticsDayKey(day));
+    if (!record) {
+      await retireExpiredChatAnalyticsDays(day);
+    }
+    const { dayRecord, shardIndex } = addChatAnalyticsEvent(record, day, event);
+    if (shardIndex !== null) {
+      const shardKey = getChatAnalyticsShardKey(day, shardIndex);
+      await storage.set(shardKey, appendChatAnalyticsShardEvent(await storage.get(shardKey), event));
     }
+    await storage.set(getChatAnalyticsDayKey(day), dayRecord);
+  } catch {
+    // Analytics must not fail the reply.
   }
+}
 
-  // Retrieve LLM settings and include them in the backend request.
-  const llmSettings = await getLlmRuntimeSettings();
-  const chatPayload = {
-    ...payload,
-    llm:
-      llmSettings?.provider && llmSettings?.model && llmSettings?.apiKey
-        ? {
-            provider: llmSettings.provider,
-            model: llmSettings.model,
-            apiKey: llmSettings.apiKey,
-          }
-        : undefined,
+/**
+ * Resolves the admin's date filter to the list of UTC days to read. Both
+ * ends are inclusive; the range is limited to the retention period.
+ */
+function resolveChatAnalyticsDays(payload) {
+  const to = payload?.to || getUtcDay();
+  const from = payload?.from || getUtcDay(Date.parse(to) - (CHAT_ANALYTICS_DEFAULT_DAYS - 1) * DAY_MS);
+  if (![from, to].every((day) => ISO_DAY_REGEX.test(day) && !Number.isNaN(Date.parse(day)))) {
+    return { error: "Dates must use the format YYYY-MM-DD." };
+  }
+  const dayCount = Math.round((Date.parse(to) - Date.parse(from)) / DAY_MS) + 1;
+  if (dayCount < 1) {
+    return { error: "The start date must not be after the end date." };
+  }
+  if (dayCount > CHAT_ANALYTICS_RETENTION_DAYS) {
+    return { error: `Choose at most ${CHAT_ANALYTICS_RETENTION_DAYS} days.` };
+  }
+  return {
+    from,
+    to,
+    days: Array.from({ length: dayCount }, (_, index) => getUtcDay(Date.parse(from) + index * DAY_MS)),
   };
+}
 
-  const response = await fetch(`${settings.fastApiUrl}/chat`, {
-    method: "POST",
-    headers: { "Content-Type": "application/json" },
-    body: JSON.stringify(chatPayload),
+async function loadChatAnalytics(payload) {
+  const range = resolveChatAnalyticsDays(payload);
+  if (range.error) {
+    return range;
+  }
+  const dayRecords = await Promise.all(range.days.map((day) => storage.get(getChatAnalyticsDayKey(day))));
+  const projectId = payload?.projectId ? String(payload.projectId) : null;
+  return { ...range, projectId, dayRecords };
+}
+
+defineAdminResolver("getChatAnalytics", async ({ payload }) => {
+  const analytics = await loadChatAnalytics(payload);
+  if (analytics.error) {
+    return { error: analytics.error };
+  }
+  const { from, to, days, projectId, dayRecords } = analytics;
+  return {
+    from,
+    to,
+    projectId,
+    outcomes: CHAT_ANALYTICS_OUTCOMES,
+    ...summarizeChatAnalytics(days, dayRecords, projectId),
+  };
+});
+
+/**
+ * Reads the stored events day by day, oldest first, and stops once the
+ * export limit is reached; `truncated` tells the admin to pick fewer days.
+ */
+defineAdminResolver("exportChatAnalyticsCsv", async ({ payload }) => {
+  const analytics = await loadChatAnalytics(payload);
+  if (analytics.error) {
+    return { error: analytics.error };
+  }
+  const { from, to, days, projectId, dayRecords } = analytics;
+  let events = [];
+  for (const [index, day] of days.entries()) {
+    if (events.length >= CHAT_ANALYTICS_EXPORT_EVENT_LIMIT) {
+      break;
+    }
+    const shardCount = dayRecords[index]?.day === day ? getChatAnalyticsShardCount(dayRecords[index]) : 0;
+    const shardRecords = await Promise.all(
+      Array.from({ length: shardCount }, (_, shardIndex) => storage.get(getChatAnalyticsShardKey(day, shardIndex)))
+    );
+    events = [...events, ...collectChatAnalyticsEvents(shardRecords, projectId)];
+  }
+  return {
+    filename: `jira-assistant-analytics-${from}-to-${to}${projectId ? `-project-${projectId}` : ""}.csv`,
+    csv: buildChatAnalyticsCsv(events.slice(0, CHAT_ANALYTICS_EXPORT_EVENT_LIMIT)),
+    truncated: events.length > CHAT_ANALYTICS_EXPORT_EVENT_LIMIT,
+  };
+});
+
+// ─── Intake Field Extraction ────────────────────────────────────────
+
+const FIELD_EXTRACTION_MAX_DESCRIPTION_LENGTH = 4000;
+const FIELD_EXTRACTION_SUMMARY_MAX_LENGTH = 255;
+
+/**
+ * JSON schema for the model's reply. Option fields are restricted to their
+ * labels so the model cannot make up values.
+ */
+function buildFieldExtractionSchema(fields) {
+  const answerProperties = {};
+  for (const field of fields) {
+    const optionLabels = field.validValues.map((option) => option.label);
+    if (["user", "multi_user", "cascading_select"].includes(field.inputType)) {
+      continue;
+    }
+    if (field.inputType === "labels") {
+      answerProperties[field.fieldId] = { type: "array", items: { type: "string" } };
+    } else if (field.inputType === "multi_select") {
+      answerProperties[field.fieldId] = { type: "array", items: { type: "string", enum: optionLabels } };
+    } else if (optionLabels.length > 0) {
+      answerProperties[field.fieldId] = { type: "string", enum: optionLabels };
+    } else if (field.inputType === "number") {
+      answerProperties[field.fieldId] = { type: "number" };
+    } else if (field.inputType === "date") {
+      answerProperties[field.fieldId] = { type: "string", format: "date" };
+    } else if (field.inputType === "datetime") {
+      answerProperties[field.fieldId] = { type: "string", format: "date-time" };
+    } else {
+      answerProperties[field.fieldId] = { type: "string" };
+    }
+  }
+
+  return {
+    type: "object",
+    properties: {
+      answers: { type: "object", properties: answerProperties, additionalProperties: false },
+      ambiguous: { type: "array", items: { type: "string", enum: fields.map((field) => field.fieldId) } },
+    },
+    required: ["answers"],
+  };
+}
+
+function toSelectedOptionAnswer(option) {
+  return { id: option.id, value: option.value, label: option.label };
+}
+
+/**
+ * Checks one extracted value against the field definition and converts it to
+ * the answer shape the intake flow stores. Returns undefined when the value
+ * cannot be used, so the field is asked for instead.
+ */
+function normalizeExtractedFieldAnswer(field, rawValue) {
+  if (rawValue === undefined || rawValue === null || rawValue === "") {
+    return undefined;
+  }
+
+  // People and cascading options need an explicit pick in the portal flow.
+  if (["user", "multi_user", "cascading_select"].includes(field.inputType)) {
+    return undefined;
+  }
+
+  if (field.inputType === "labels") {
+    const labels = (Array.isArray(rawValue) ? rawValue : String(rawValue).split(/[\s,]+/))
+      .map((label) => String(label || "").trim().replace(/\s+/g, "_"))
+      .filter(Boolean);
+    return labels.length > 0 ? labels : undefined;
+  }
+
+  if (field.validValues.length > 0) {
+    const candidates = Array.isArray(rawValue) ? rawValue : [rawValue];
+    const matchedOptions = candidates.map((candidate) => matchValidValueOption(field.validValues, candidate));
+    if (matchedOptions.length === 0 || matchedOptions.some((option) => !option)) {
+      return undefined;
+    }
+    if (field.inputType === "multi_select") {
+      return matchedOptions.map(toSelectedOptionAnswer);
+    }
+    return matchedOptions.length === 1 ? toSelectedOptionAnswer(matchedOptions[0]) : undefined;
+  }
+
+  if (Array.isArray(rawValue) || typeof rawValue === "object") {
+    return undefined;
+  }
+
+  // Numbers, dates and formats are checked by validateFieldAnswer afterwards.
+  const text = String(rawValue).trim();
+  if (!text) {
+    return undefined;
+  }
+  if (field.fieldId === "summary") {
+    return truncateText(text.replace(/\s+/g, " "), FIELD_EXTRACTION_SUMMARY_MAX_LENGTH);
+  }
+  return text;
+}
+
+/**
+ * Pre-fills request fields from the customer's problem description. Only
+ * values that validate against the field definition are returned; anything
+ * missing or ambiguous is left for the intake flow to ask about.
+ */
+async function extractFieldAnswersFromDescription({
+  fields,
+  description,
+  llmSettings,
+  redactor,
+  projectId,
+  validationOptions = {},
+}) {
+  const validationRules = await getFieldValidationRules();
+  const answers = {};
+  const ambiguousFieldIds = new Set();
+
+  if (fields.length > 0 && isLlmConfigured(llmSettings)) {
+    const systemPrompt =
+      "You fill in a service request form from a customer's description of their problem. " +
+      "Respond with a single JSON object that matches this JSON schema and no other text:\n" +
+      `${JSON.stringify(buildFieldExtractionSchema(fields))}\n` +
+      "Only include a field in answers when the description clearly provides it. " +
+      "Use option labels exactly as listed. Put fields that could have more than one answer in ambiguous. " +
+      "Never invent values.";
+    const userMessage = JSON.stringify({
+      description,
+      fields: fields.map((field) => ({
+        fieldId: field.fieldId,
+        name: field.name,
+        description: field.description,
+        type: field.inputType,
+        options: field.validValues.map((option) => option.label),
+      })),
+    });
+
+    const llmResult = await callLlmText({
+      llmSettings,
+      systemPrompt,
+      userMessage,
+      maxTokens: 800,
+      redactor,
+      projectId,
+    });
+    const parsed = llmResult.text ? parseLlmJson(llmResult.text) : null;
+    const rawAnswers = parsed?.answers && typeof parsed.answers === "object" ? parsed.answers : {};
+    for (const fieldId of Array.isArray(parsed?.ambiguous) ? parsed.ambiguous : []) {
+      ambiguousFieldIds.add(String(fieldId));
+    }
+
+    for (const field of fields) {
+      if (ambiguousFieldIds.has(field.fieldId)) {
+        continue;
+      }
+      const answer = normalizeExtractedFieldAnswer(field, rawAnswers[field.fieldId]);
+      if (answer === undefined) {
+        continue;
+      }
+      const validation = validateFieldAnswer(field, answer, {
+        ...validationOptions,
+        rule: findFieldValidationRule(validationRules, field.fieldId),
+      });
+      if (!validation.error) {
+        answers[field.fieldId] = validation.value;
+      }
+    }
+  }
+
+  // The description field can always take the customer's own words.
+  const descriptionField = fields.find((field) => field.fieldId === "description");
+  if (descriptionField && answers.description === undefined) {
+    answers.description = description;
+    ambiguousFieldIds.delete("description");
+  }
+
+  return {
+    answers,
+    ambiguous: fields.map((field) => field.fieldId).filter((fieldId) => ambiguousFieldIds.has(fieldId)),
+  };
+}
+
+// ─── Portal Request Drafts ──────────────────────────────────────────
+// One in-progress request per customer and portal, so a reload or closed
+// chat bubble does not lose a half-finished form.
+
+const PORTAL_DRAFT_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+// Unused temporary attachments are discarded by Jira Service Management
+// after a while, so older upload ids are dropped when the draft is loaded.
+const PORTAL_DRAFT_ATTACHMENT_TTL_MS = 60 * 60 * 1000;
+const PORTAL_DRAFT_MAX_SIZE = 60000;
+const PORTAL_DRAFT_STAGES = ["collect_fields", "attachments", "confirm"];
+
+/**
+ * Drafts are keyed by requester and portal. Saving is not a chat message, so
+ * this checks availability only and skips the chat rate limit.
+ */
+async function resolvePortalDraftScope(payload, context) {
+  const invocationContext = extractPortalContextFromInvocation(context);
+  const portalContext = {
+    projectId: payload?.projectId ?? invocationContext.projectId,
+    projectKey: payload?.projectKey ?? invocationContext.projectKey,
+    portalId: payload?.portalId ?? invocationContext.portalId,
+  };
+  const availability = await getPortalChatAvailability(portalContext);
+  if (!availability.enabled) {
+    return { error: "Jira Assistant is disabled for this portal project." };
+  }
+
+  const requesterId = getPortalPersonalStorageId(context);
+  if (!requesterId) {
+    return { error: "Drafts are only available to signed-in customers." };
+  }
+
+  const portalScope = portalContext.portalId || portalContext.projectKey || availability.projectId || "global";
+  return { key: `portalRequestDraft:${requesterId}:${portalScope}` };
+}
+
+function toStringList(values) {
+  return (Array.isArray(values) ? values : []).map((value) => String(value || "").trim()).filter(Boolean);
+}
+
+function sanitizePortalDraft(draft) {
+  const currentFieldIndex = Number(draft?.currentFieldIndex);
+  return {
+    stage: PORTAL_DRAFT_STAGES.includes(draft?.stage) ? draft.stage : "collect_fields",
+    problemDescription: String(draft?.problemDescription || "").slice(0, FIELD_EXTRACTION_MAX_DESCRIPTION_LENGTH),
+    selectedProject: {
+      serviceDeskId: String(draft?.selectedProject?.serviceDeskId || ""),
+      projectId: String(draft?.selectedProject?.projectId || ""),
+      projectKey: String(draft?.selectedProject?.projectKey || ""),
+      projectName: String(draft?.selectedProject?.projectName || ""),
+    },
+    selectedRequestType: {
+      id: String(draft?.selectedRequestType?.id || ""),
+      name: String(draft?.selectedRequestType?.name || ""),
+    },
+    currentFieldIndex: Number.isInteger(currentFieldIndex) && currentFieldIndex >= 0 ? currentFieldIndex : 0,
+    answers: draft?.answers && typeof draft.answers === "object" && !Array.isArray(draft.answers) ? draft.answers : {},
+    prefilledFieldIds: toStringList(draft?.prefilledFieldIds),
+    temporaryAttachmentIds: toStringList(draft?.temporaryAttachmentIds),
+    attachmentNames: toStringList(draft?.attachmentNames),
+  };
+}
+
+resolver.define("savePortalRequestDraft", async ({ payload, context }) => {
+  const scope = await resolvePortalDraftScope(payload, context);
+  if (scope.error) {
+    return { error: scope.error };
+  }
+
+  const draft = sanitizePortalDraft(payload?.draft);
+  if (!draft.selectedProject.serviceDeskId || !draft.selectedRequestType.id) {
+    return { error: "A draft needs a project and request type." };
+  }
+  if (JSON.stringify(draft).length > PORTAL_DRAFT_MAX_SIZE) {
+    return { error: "This request is too large to save as a draft." };
+  }
+
+  // Keep the original upload time while the attachment list is unchanged.
+  const existingDraft = await storage.get(scope.key);
+  const attachmentsUnchanged =
+    JSON.stringify(existingDraft?.temporaryAttachmentIds || []) === JSON.stringify(draft.temporaryAttachmentIds);
+  const now = Date.now();
+
+  await storage.set(scope.key, {
+    ...draft,
+    savedAt: now,
+    attachmentsSavedAt: attachmentsUnchanged && existingDraft?.attachmentsSavedAt ? existingDraft.attachmentsSavedAt : now,
   });
+  return { success: true, savedAt: now };
+});
 
-  const data = await response.json();
-  return data;
+resolver.define("getPortalRequestDraft", async ({ payload, context }) => {
+  const scope = await resolvePortalDraftScope(payload, context);
+  if (scope.error) {
+    return { draft: null };
+  }
+
+  const storedDraft = await storage.get(scope.key);
+  if (!storedDraft) {
+    return { draft: null };
+  }
+  if (Date.now() - Number(storedDraft.savedAt || 0) > PORTAL_DRAFT_TTL_MS) {
+    await storage.delete(scope.key);
+    return { draft: null };
+  }
+
+  const draft = sanitizePortalDraft(storedDraft);
+  const attachmentsExpired =
+    draft.temporaryAttachmentIds.length > 0 &&
+    Date.now() - Number(storedDraft.attachmentsSavedAt || 0) > PORTAL_DRAFT_ATTACHMENT_TTL_MS;
+  if (attachmentsExpired) {
+    draft.temporaryAttachmentIds = [];
+    draft.attachmentNames = [];
+  }
+
+  return { draft, savedAt: storedDraft.savedAt, attachmentsExpired };
 });
 
-// ─── Issue Details ──────────────────────────────────────────────────
+resolver.define("discardPortalRequestDraft", async ({ payload, context }) => {
+  // The widget says why it discards the draft; a cancelled create flow is
+  // otherwise never seen by the backend. Only cancels that pass the same
+  // access and rate-limit checks as a chat message are counted.
+  if (payload?.reason === "cancelled") {
+    const access = await checkPortalChatAccess(payload, context);
+    if (access.availability) {
+      await recordChatAnalyticsEvent({
+        kind: "create_request",
+        intent: "create_request",
+        outcome: "cancelled",
+        reason: "customer_cancelled",
+        projectId: access.availability.projectId,
+      });
+    }
+  }
 
-resolver.define("getIssueDetails", async ({ payload }) => {
-  const { issueKey } = payload;
+  const scope = await resolvePortalDraftScope(payload, context);
+  if (scope.error) {
+    return { error: scope.error };
+  }
+  await storage.delete(scope.key);
+  return { success: true };
+});
 
-  if (!issueKey) {
-    return { error: "Issue key is required." };
+// ─── Knowledge Base Deflection ──────────────────────────────────────
+
+const KB_DEFLECTION_STATS_STORAGE_KEY = "kbDeflectionStats";
+const KB_DEFLECTION_STATS_DAYS = 30;
+const KB_ARTICLE_LIMIT = 3;
+const KB_QUERY_MAX_LENGTH = 200;
+const KB_DEFLECTION_OUTCOMES = ["deflected", "not_helpful"];
+
+function createEmptyDeflectionCounts() {
+  return { searches: 0, shown: 0, deflected: 0, notHelpful: 0 };
+}
+
+/**
+ * Counts are kept as all-time totals plus one bucket per day so the admin page
+ * can show recent numbers without storing individual conversations.
+ */
+async function recordKbDeflectionEvents(eventNames) {
+  try {
+    const stats = (await storage.get(KB_DEFLECTION_STATS_STORAGE_KEY)) || {};
+    const totals = { ...createEmptyDeflectionCounts(), ...(stats.totals || {}) };
+    const daily = { ...(stats.daily || {}) };
+    const today = new Date().toISOString().slice(0, 10);
+    const todayCounts = { ...createEmptyDeflectionCounts(), ...(daily[today] || {}) };
+
+    for (const eventName of eventNames) {
+      const countKey = eventName === "not_helpful" ? "notHelpful" : eventName;
+      totals[countKey] += 1;
+      todayCounts[countKey] += 1;
+    }
+    daily[today] = todayCounts;
+
+    const retainedDays = Object.keys(daily).sort().slice(-KB_DEFLECTION_STATS_DAYS);
+    await storage.set(KB_DEFLECTION_STATS_STORAGE_KEY, {
+      totals,
+      daily: Object.fromEntries(retainedDays.map((day) => [day, daily[day]])),
+    });
+  } catch {
+    // Stats must not fail the search or the feedback they count.
   }
+}
 
+function cleanKbExcerpt(excerpt) {
+  const plainText = String(excerpt || "")
+    .replace(/@@@(end)?hl@@@/g, "")
+    .replace(/<[^>]+>/g, " ")
+    .replace(/\s+/g, " ");
+  return truncateText(plainText, 220);
+}
+
+/**
+ * Searches the knowledge base linked to the portal. With a single service desk
+ * in scope the desk's own KB is used; otherwise the site-wide article search.
+ */
+async function searchKnowledgeBaseArticles(query, serviceDeskId) {
   try {
-    const response = await api.asUser().requestJira(
-      route`/rest/api/3/issue/${issueKey}?fields=status,assignee,reporter,summary`,
-      { headers: { Accept: "application/json" } }
-    );
+    const requestPath = serviceDeskId
+      ? route`/rest/servicedeskapi/servicedesk/${serviceDeskId}/knowledgebase/article?query=${query}&highlight=true&start=0&limit=${KB_ARTICLE_LIMIT}`
+      : route`/rest/servicedeskapi/knowledgebase/article?query=${query}&highlight=true&start=0&limit=${KB_ARTICLE_LIMIT}`;
+    const response = await api.asUser().requestJira(requestPath, {
+      headers: {
+        Accept: "application/json",
+        // Knowledge base endpoints are still flagged experimental.
+        "X-ExperimentalApi": "opt-in",
+      },
+    });
 
     if (!response.ok) {
       const text = await response.text();
-      if (response.status === 404) {
-        return { error: `Issue ${issueKey} was not found.` };
-      }
-      return { error: `Failed to fetch issue: ${response.status} — ${text}` };
+      return { error: `Failed to search the knowledge base: ${response.status} — ${text}` };
     }
 
     const data = await response.json();
-    const fields = data.fields || {};
+    const articles = (Array.isArray(data.values) ? data.values : [])
+      .filter((article) => article?.title)
+      .slice(0, KB_ARTICLE_LIMIT)
+      .map((article) => ({
+        title: String(article.title),
+        excerpt: cleanKbExcerpt(article.excerpt),
+        url: article.source?.url || article._links?.web || "",
+      }));
+    return { articles };
+  } catch (err) {
+    return { error: `Failed to search the knowledge base: ${err.message || String(err)}` };
+  }
+}
 
-    return {
-      issueKey: data.key,
-      summary: fields.summary || "",
-      status: fields.status?.name || "Unknown",
-      statusCategory: fields.status?.statusCategory?.name || "",
-      assignee: fields.assignee
-        ? { displayName: fields.assignee.displayName, emailAddress: fields.assignee.emailAddress }
-        : null,
-      reporter: fields.reporter
-        ? { displayName: fields.reporter.displayName, emailAddress: fields.reporter.emailAddress }
-        : null,
+// ─── LLM / AI Model Settings ────────────────────────────────────────
+
+resolver.define("getLLMSettings", async () => {
+  return getLlmSettingsForAdmin();
+});
+
+resolver.define("saveLLMSettings", async ({ payload }) => {
+  const { provider, model, apiKey, options } = payload || {};
+  return saveLlmSettingsSecurely({ provider, model, apiKey, options });
+});
+
+defineAdminResolver("getLlmFallbackChain", async () => {
+  return { fallbacks: await getLlmFallbackChainForAdmin() };
+});
+
+defineAdminResolver("saveLlmFallbackChain", async ({ payload }) => {
+  return saveLlmFallbackChainSecurely(payload?.fallbacks);
+});
+
+defineAdminResolver("getLlmProviders", async () => {
+  return { providers: listLlmProviderSummaries() };
+});
+
+/**
+ * Live model listing for the admin page. Uses the stored key when the admin
+ * has not typed a new one, so listing works without re-entering secrets, but
+ * only for the provider and endpoint that key was saved for.
+ */
+defineAdminResolver("listLlmModels", async ({ payload }) => {
+  const provider = getLlmProvider(payload?.provider);
+  if (!provider) {
+    return { models: [], error: "Unknown provider." };
+  }
+
+  const runtimeSettings = await getLlmRuntimeSettings();
+  const options = pickLlmProviderOptions(provider, payload?.options);
+  const submittedApiKey = typeof payload?.apiKey === "string" ? payload.apiKey.trim() : "";
+  const isMaskedApiKey = Boolean(runtimeSettings.apiKey) && submittedApiKey === maskApiKey(runtimeSettings.apiKey);
+  const canReuseApiKey = isSameLlmEndpoint(runtimeSettings, provider.id, options);
+  if (isMaskedApiKey && !canReuseApiKey) {
+    return { models: [], error: LLM_API_KEY_REENTRY_ERROR };
+  }
+  const apiKey = submittedApiKey && !isMaskedApiKey ? submittedApiKey : canReuseApiKey ? runtimeSettings.apiKey : "";
+
+  try {
+    const result = await provider.listModels({
+      provider: provider.id,
+      apiKey,
+      ...options,
+    });
+    return { models: result.models || [], error: result.error };
+  } catch (err) {
+    return { models: [], error: `Failed to list models: ${err.message || String(err)}` };
+  }
+});
+
+// ─── LLM Usage & Cost ───────────────────────────────────────────────
+
+defineAdminResolver("getLlmCostSettings", async () => {
+  return { settings: await getLlmCostSettings() };
+});
+
+defineAdminResolver("saveLlmCostSettings", async ({ payload }) => {
+  const result = sanitizeLlmCostSettings(payload?.settings, LLM_PROVIDERS.map((provider) => provider.id));
+  if (result.error) {
+    return { error: result.error };
+  }
+  await storage.set(LLM_COST_SETTINGS_STORAGE_KEY, result.settings);
+  return { settings: result.settings };
+});
+
+/**
+ * Usage for the last `days` UTC days (today included) plus month-to-date
+ * spend. Day records older than the chart are not read.
+ */
+defineAdminResolver("getLlmUsageDashboard", async ({ payload }) => {
+  const requestedDays = Number(payload?.days);
+  const dayCount = Number.isInteger(requestedDays)
+    ? Math.min(Math.max(requestedDays, 1), LLM_USAGE_DASHBOARD_MAX_DAYS)
+    : 30;
+  const now = Date.now();
+  const days = Array.from({ length: dayCount }, (_, index) =>
+    getUtcDay(now - (dayCount - 1 - index) * 24 * 60 * 60 * 1000)
+  );
+
+  const [dayRecords, monthToDate, { monthlyBudgetUsd }, budgetError] = await Promise.all([
+    Promise.all(days.map((day) => storage.get(getLlmUsageDayKey(day)))),
+    getLlmUsageThisMonth(),
+    getLlmCostSettings(),
+    getLlmBudgetError(),
+  ]);
+
+  return {
+    ...summarizeLlmUsage(days, dayRecords),
+    monthToDate: { ...monthToDate, budgetUsd: monthlyBudgetUsd },
+    deterministicOnly: Boolean(budgetError),
+    deterministicOnlyReason: budgetError,
+  };
+});
+
+// ─── Chat ────────────────────────────────────────────────────────────
+
+resolver.define("chat", async ({ payload }) => {
+  const settings = await storage.get("agentSettings");
+
+  if (!settings?.enableChatbot) {
+    return { error: "Chatbot is disabled by admin." };
+  }
+
+  if (!settings?.fastApiUrl) {
+    return { error: "FastAPI URL not configured." };
+  }
+
+  // Check project-level setting if projectId is provided
+  if (payload?.projectId) {
+    const projectSettings = await storage.get("projectChatSettings");
+    if (projectSettings && !projectSettings[payload.projectId]) {
+      return { error: "Chat agent is not enabled for this project." };
+    }
+  }
+
+  // The customer's text is redacted before it leaves Forge; the LLM block
+  // below is added afterwards so API keys reach the backend intact.
+  const redactor = await getProjectRedactor(payload?.projectId);
+
+  // Retrieve LLM settings and include them in the backend request, unless an
+  // AI budget is used up. Only the primary model is sent: the fallback chain
+  // runs inside Forge, and its keys stay there.
+  const llmSettings = await getLlmRuntimeSettings();
+  const llmAllowed = isLlmConfigured(llmSettings) && !(await getLlmBudgetError());
+  const chatPayload = {
+    ...(redactor ? redactor.redactValue(payload) : payload),
+    llm: llmAllowed
+      ? {
+          provider: llmSettings.provider,
+          model: llmSettings.model,
+          apiKey: llmSettings.apiKey,
+          options: pickLlmProviderOptions(getLlmProvider(llmSettings.provider), llmSettings),
+        }
+      : undefined,
+  };
+
+  const response = await fetch(`${settings.fastApiUrl}/chat`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(chatPayload),
+  });
+
+  const data = await response.json();
+  return redactor ? redactor.restoreValue(data) : data;
+});
+
+// ─── Issue Details ──────────────────────────────────────────────────
+
+resolver.define("getIssueDetails", async ({ payload }) => {
+  const { issueKey } = payload;
+
+  if (!issueKey) {
+    return { error: "Issue key is required." };
+  }
+
+  try {
+    const response = await api.asUser().requestJira(
+      route`/rest/api/3/issue/${issueKey}?fields=status,assignee,reporter,summary`,
+      { headers: { Accept: "application/json" } }
+    );
+
+    if (!response.ok) {
+      const text = await response.text();
+      if (response.status === 404) {
+        return { error: `Issue ${issueKey} was not found.` };
+      }
+      return { error: `Failed to fetch issue: ${response.status} — ${text}` };
+    }
+
+    const data = await response.json();
+    const fields = data.fields || {};
+
+    return {
+      issueKey: data.key,
+      summary: fields.summary || "",
+      status: fields.status?.name || "Unknown",
+      statusCategory: fields.status?.statusCategory?.name || "",
+      assignee: fields.assignee
+        ? { displayName: fields.assignee.displayName, emailAddress: fields.assignee.emailAddress }
+        : null,
+      reporter: fields.reporter
+        ? { displayName: fields.reporter.displayName, emailAddress: fields.reporter.emailAddress }
+        : null,
+    };
+  } catch (err) {
+    return { error: `Failed to fetch issue details: ${err.message || String(err)}` };
+  }
+});
+
+// ─── Issue Analysis (Issue Panel) ───────────────────────────────────
+
+const ISSUE_ANALYSIS_MAX_COMMENTS = 10;
+const ISSUE_ANALYSIS_MAX_TEXT_LENGTH = 4000;
+const ISSUE_ANALYSIS_MAX_COMMENT_LENGTH = 1000;
+
+/**
+ * Jira REST v3 returns descriptions and comments as Atlassian Document Format.
+ * Flatten it to plain text so prompts stay compact and provider-agnostic.
+ */
+function adfToPlainText(node) {
+  if (node === null || node === undefined) {
+    return "";
+  }
+  if (typeof node === "string") {
+    return node;
+  }
+  if (Array.isArray(node)) {
+    return node.map(adfToPlainText).join("");
+  }
+  if (node.type === "text") {
+    return node.text || "";
+  }
+  if (node.type === "hardBreak") {
+    return "\n";
+  }
+  if (node.type === "mention" || node.type === "emoji") {
+    return node.attrs?.text || "";
+  }
+  if (node.type === "inlineCard" || node.type === "blockCard") {
+    return node.attrs?.url || "";
+  }
+
+  const childText = adfToPlainText(node.content || []);
+  const isBlock = [
+    "paragraph",
+    "heading",
+    "listItem",
+    "codeBlock",
+    "blockquote",
+    "panel",
+    "rule",
+    "tableRow",
+  ].includes(node.type);
+  return isBlock ? `${childText}\n` : childText;
+}
+
+function truncateText(text, maxLength) {
+  const normalized = String(text || "").trim();
+  if (normalized.length <= maxLength) {
+    return normalized;
+  }
+  return `${normalized.slice(0, maxLength).trimEnd()}…`;
+}
+
+function mapLinkedIssue(link) {
+  const linkedIssue = link?.outwardIssue || link?.inwardIssue;
+  if (!linkedIssue?.key) {
+    return null;
+  }
+
+  return {
+    issueKey: linkedIssue.key,
+    relationship: link.outwardIssue ? link.type?.outward || "relates to" : link.type?.inward || "relates to",
+    summary: linkedIssue.fields?.summary || "",
+    status: linkedIssue.fields?.status?.name || "Unknown",
+    statusCategory: linkedIssue.fields?.status?.statusCategory?.key || "",
+  };
+}
+
+function normalizeAnalysisList(value) {
+  const values = Array.isArray(value) ? value : value ? [value] : [];
+  return values
+    .map((item) => String(item || "").trim())
+    .filter(Boolean)
+    .slice(0, 10);
+}
+
+resolver.define("analyzeIssue", async ({ payload, context }) => {
+  const issueKey = payload?.issueKey || context?.extension?.issue?.key || "";
+
+  if (!issueKey) {
+    return { error: "Issue key is required." };
+  }
+
+  const llmSettings = await getLlmRuntimeSettings();
+  if (!isLlmConfigured(llmSettings)) {
+    return { error: "AI settings are incomplete. Ask your administrator to configure a model in Agent Settings." };
+  }
+
+  let issueData;
+  try {
+    const response = await api.asUser().requestJira(
+      route`/rest/api/3/issue/${issueKey}?fields=summary,description,status,priority,issuetype,comment,issuelinks,project`,
+      { headers: { Accept: "application/json" } }
+    );
+
+    if (!response.ok) {
+      const text = await response.text();
+      if (response.status === 404) {
+        return { error: `Issue ${issueKey} was not found.` };
+      }
+      return { error: `Failed to fetch issue: ${response.status} — ${text}` };
+    }
+
+    issueData = await response.json();
+  } catch (err) {
+    return { error: `Failed to fetch issue details: ${err.message || String(err)}` };
+  }
+
+  const fields = issueData.fields || {};
+  const comments = Array.isArray(fields.comment?.comments) ? fields.comment.comments : [];
+  const issueContext = {
+    issueKey: issueData.key,
+    issueType: fields.issuetype?.name || "",
+    status: fields.status?.name || "Unknown",
+    priority: fields.priority?.name || "",
+    summary: fields.summary || "",
+    description: truncateText(adfToPlainText(fields.description), ISSUE_ANALYSIS_MAX_TEXT_LENGTH),
+    // The newest comments usually carry the current investigation state.
+    comments: comments.slice(-ISSUE_ANALYSIS_MAX_COMMENTS).map((comment) => ({
+      author: comment.author?.displayName || "Unknown",
+      created: comment.created || "",
+      body: truncateText(adfToPlainText(comment.body), ISSUE_ANALYSIS_MAX_COMMENT_LENGTH),
+    })),
+    linkedIssues: (Array.isArray(fields.issuelinks) ? fields.issuelinks : [])
+      .map(mapLinkedIssue)
+      .filter(Boolean),
+  };
+
+  const systemPrompt =
+    "You are an assistant helping Jira agents triage issues. Analyze only the provided issue data. " +
+    "Respond with a single JSON object and no other text, using exactly these keys: " +
+    '"summary" (string, 1-3 sentences), "rootCause" (string, the most probable root cause or "Unknown"), ' +
+    '"nextSteps" (array of short strings), "missingInformation" (array of short strings). ' +
+    "Do not invent facts that are not supported by the issue data.";
+
+  const llmResult = await callLlmText({
+    llmSettings,
+    systemPrompt,
+    userMessage: JSON.stringify(issueContext),
+    maxTokens: 800,
+    projectId: fields.project?.id,
+  });
+
+  if (llmResult.error) {
+    return { error: llmResult.error };
+  }
+
+  const parsed = parseLlmJson(llmResult.text);
+  if (!parsed) {
+    return { error: "AI service returned an analysis in an unexpected format. Please try again." };
+  }
+
+  return {
+    issueKey: issueContext.issueKey,
+    analysis: {
+      summary: String(parsed.summary || "").trim(),
+      rootCause: String(parsed.rootCause || "").trim() || "Unknown",
+      nextSteps: normalizeAnalysisList(parsed.nextSteps),
+      missingInformation: normalizeAnalysisList(parsed.missingInformation),
+    },
+    answeredBy: llmResult.answeredBy || null,
+    sources: {
+      commentCount: issueContext.comments.length,
+      linkedIssueCount: issueContext.linkedIssues.length,
+    },
+  };
+});
+
+// ─── Portal Chat (Jira Assistant) ───────────────────────────────────
+
+/**
+ * Deterministic issue key extraction keeps the assistant useful even when
+ * an external AI provider is unavailable or temporarily misconfigured.
+ */
+const ISSUE_KEY_REGEX = /\b([A-Z][A-Z0-9]+-\d+)\b/g;
+
+/**
+ * Greeting-only messages ("hi", "hello", etc.) should always return a
+ * friendly help response instead of attempting AI extraction.
+ */
+const GREETING_ONLY_REGEX = /^(hi|hello|hey|yo|hola|good\s+(morning|afternoon|evening))(?:[\s!.,?])*$/i;
+
+function extractIssueKeysFromMessage(message) {
+  const normalizedMessage = (message || "").toUpperCase();
+  const matches = normalizedMessage.match(ISSUE_KEY_REGEX) || [];
+  return [...new Set(matches)];
+}
+
+/**
+ * One pattern per answerable aspect of an issue. "status" is the default
+ * when nothing else matches; asking about several aspects answers "all".
+ */
+const ISSUE_INTENT_PATTERNS = [
+  ["assignee", /\b(assignee|assigned|owner|working on)\b/],
+  ["reporter", /\b(reporter|reported|raised|created by|opened by)\b/],
+  ["due", /\b(when will|when can|when is it|due|deadline|eta|how long|time left|time remaining|sla)\b/],
+  [
+    "latest_update",
+    /\b(?:last|latest|recent|newest|any)\s+(?:update|comment|reply|response|message)s?\b|\bcomments?\b|\bheard back\b|\breplied\b/,
+  ],
+  ["priority", /\b(priority|urgent|urgency|severity)\b/],
+  ["resolution", /\b(resolution|resolved|fixed|closed)\b/],
+  ["links", /\b(blocked|blocking|blocker|blocks|linked|links?|depends on|dependency|dependencies)\b/],
+];
+
+function isGreetingOnly(message) {
+  const trimmedMessage = (message || "").trim();
+  return GREETING_ONLY_REGEX.test(trimmedMessage) || matchesLocalizedKeyword("greeting", trimmedMessage);
+}
+
+function inferIntentFromMessage(message) {
+  const lowerMessage = (message || "").toLowerCase();
+  const askedIntents = ISSUE_INTENT_PATTERNS.filter(
+    ([intent, pattern]) => pattern.test(lowerMessage) || matchesLocalizedKeyword(intent, message)
+  ).map(([intent]) => intent);
+  // "When will it be resolved?" asks for a date, not the resolution.
+  const intents = askedIntents.includes("due")
+    ? askedIntents.filter((intent) => intent !== "resolution")
+    : askedIntents;
+
+  if (intents.length > 1) {
+    return "all";
+  }
+  return intents[0] || "status";
+}
+
+function buildNoIssueKeyReply(message, language) {
+  return translatePortalMessage(language, isGreetingOnly(message) ? "greetingHelp" : "noIssueKey");
+}
+
+const PORTAL_CHAT_COMMENT_PAGE_SIZE = 50;
+const PORTAL_CHAT_COMMENT_MAX_PAGES = 4;
+const PORTAL_CHAT_COMMENT_MAX_LENGTH = 500;
+
+/**
+ * The servicedesk comment API only returns what the customer can see on the
+ * portal, so internal agent notes never reach the chat. Comments are listed
+ * oldest first; a few pages are read to find the newest.
+ */
+async function fetchLatestPublicComment(issueKey) {
+  let latestComment = null;
+  let start = 0;
+  try {
+    for (let page = 0; page < PORTAL_CHAT_COMMENT_MAX_PAGES; page += 1) {
+      const response = await api
+        .asUser()
+        .requestJira(
+          route`/rest/servicedeskapi/request/${issueKey}/comment?public=true&internal=false&start=${start}&limit=${PORTAL_CHAT_COMMENT_PAGE_SIZE}`,
+          { headers: { Accept: "application/json" } }
+        );
+      if (!response.ok) {
+        break;
+      }
+      const data = await response.json();
+      const values = Array.isArray(data.values) ? data.values : [];
+      if (values.length > 0) {
+        latestComment = values[values.length - 1];
+      }
+      if (data.isLastPage || values.length === 0) {
+        break;
+      }
+      start += values.length;
+    }
+  } catch {
+    // Best-effort: the rest of the answer does not depend on comments.
+  }
+
+  if (!latestComment) {
+    return null;
+  }
+  return {
+    author: latestComment.author?.displayName || "Unknown",
+    created: latestComment.created?.friendly || String(latestComment.created?.iso8601 || "").slice(0, 10),
+    body: truncateText(latestComment.body, PORTAL_CHAT_COMMENT_MAX_LENGTH),
+  };
+}
+
+/**
+ * SLA lines for one request. Issues outside a service desk have none.
+ */
+async function fetchRequestSlaLines(issueKey) {
+  try {
+    const response = await api.asUser().requestJira(route`/rest/servicedeskapi/request/${issueKey}/sla`, {
+      headers: { Accept: "application/json" },
+    });
+    return response.ok ? summarizeRequestSla(await response.json()) : [];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Portal customers cannot open /browse pages, so link to the portal view of
+ * the request when the chat runs on a portal.
+ */
+function buildIssueWebUrl(issueData, portalId) {
+  let siteUrl = "";
+  try {
+    siteUrl = issueData?.self ? new URL(issueData.self).origin : "";
+  } catch {
+    siteUrl = "";
+  }
+  if (!siteUrl || !issueData?.key) {
+    return "";
+  }
+  return portalId
+    ? `${siteUrl}/servicedesk/customer/portal/${encodeURIComponent(portalId)}/${issueData.key}`
+    : `${siteUrl}/browse/${issueData.key}`;
+}
+
+/**
+ * Linked issues that block this one and are not done yet.
+ */
+function findOpenBlockers(linkedIssues) {
+  return linkedIssues.filter(
+    (linkedIssue) => /blocked by/i.test(linkedIssue.relationship) && linkedIssue.statusCategory !== "done"
+  );
+}
+
+/**
+ * Search is scoped to the current portal project, or to every project the
+ * admin enabled when the page has no single project context.
+ */
+async function getRequestSearchProjectIds(availability) {
+  if (availability?.projectId) {
+    return [availability.projectId];
+  }
+
+  const projectSettings = (await storage.get("projectChatSettings")) || {};
+  return Object.entries(projectSettings)
+    .filter(([, enabled]) => Boolean(enabled))
+    .map(([projectId]) => projectId);
+}
+
+async function buildRequestSearchFilter(message, llmSettings, redactor, projectId) {
+  if (!isLlmConfigured(llmSettings)) {
+    return inferRequestSearchFilter(message);
+  }
+
+  const llmResult = await callLlmText({
+    llmSettings,
+    redactor,
+    projectId,
+    systemPrompt: `${REQUEST_SEARCH_SYSTEM_PROMPT} Today is ${new Date().toISOString().slice(0, 10)}.`,
+    userMessage: JSON.stringify({ question: message }),
+    maxTokens: 200,
+  });
+  const parsedFilter = llmResult.text ? parseLlmJson(llmResult.text) : null;
+  return parsedFilter ? sanitizeRequestSearchFilter(parsedFilter) : inferRequestSearchFilter(message);
+}
+
+function describeRequestSearchScope(filter) {
+  const filterDescription = describeRequestSearchFilter(filter);
+  return filterDescription ? ` (${filterDescription})` : "";
+}
+
+function getRequestSearchHeading(filter, offset, language) {
+  if (offset > 0) {
+    return translatePortalMessage(language, "requestSearchMoreIntro");
+  }
+  return translatePortalMessage(language, filter.onlyMine ? "requestSearchMineIntro" : "requestSearchIntro", {
+    filter: describeRequestSearchScope(filter),
+  });
+}
+
+function formatRequestSearchReply({ issues, filter, offset, hasMore, language }) {
+  if (issues.length === 0) {
+    if (offset > 0) {
+      return translatePortalMessage(language, "requestSearchNoMore");
+    }
+    return translatePortalMessage(language, filter.onlyMine ? "requestSearchMineEmpty" : "requestSearchEmpty", {
+      filter: describeRequestSearchScope(filter),
+    });
+  }
+
+  const lines = issues.map((issue, index) => {
+    const fields = issue.fields || {};
+    const status = fields.status?.name || translatePortalMessage(language, "valueUnknown");
+    const updated = fields.updated
+      ? `, ${translatePortalMessage(language, "detailUpdated", { date: String(fields.updated).slice(0, 10) })}`
+      : "";
+    return `${offset + index + 1}. ${issue.key} — ${fields.summary || ""} (${status}${updated})`;
+  });
+
+  const footer = hasMore ? `\n\n${translatePortalMessage(language, "showMoreFooter")}` : "";
+  return `${getRequestSearchHeading(filter, offset, language)}\n${lines.join("\n")}${footer}`;
+}
+
+function buildRequestSearchCard({ issues, filter, offset, hasMore, language }) {
+  if (issues.length === 0) {
+    return undefined;
+  }
+  return buildRequestListCard({
+    intro: getRequestSearchHeading(filter, offset, language),
+    footer: hasMore ? translatePortalMessage(language, "showMoreFooter") : "",
+    requests: issues.map((issue, index) => ({
+      position: offset + index + 1,
+      issueKey: issue.key,
+      summary: issue.fields?.summary || "",
+      status: issue.fields?.status?.name || translatePortalMessage(language, "valueUnknown"),
+      statusCategory: issue.fields?.status?.statusCategory?.key,
+      details: issue.fields?.updated
+        ? [translatePortalMessage(language, "detailUpdated", { date: String(issue.fields.updated).slice(0, 10) })]
+        : [],
+    })),
+  });
+}
+
+/**
+ * Runs a sanitized search filter as the current user. Pagination state is the
+ * filter itself plus Jira's page token, so the client never sends JQL.
+ */
+async function runPortalRequestSearch({
+  filter,
+  availability,
+  nextPageToken,
+  offset = 0,
+  language = DEFAULT_PORTAL_LANGUAGE,
+}) {
+  const safeFilter = sanitizeRequestSearchFilter(filter);
+  const projectIds = await getRequestSearchProjectIds(availability);
+  const jql = buildRequestSearchJql(safeFilter, projectIds);
+  if (!jql) {
+    return { reply: "Request search is not available because no portal projects are enabled for the assistant." };
+  }
+
+  const searchBody = {
+    jql,
+    maxResults: REQUEST_SEARCH_PAGE_SIZE,
+    fields: ["summary", "status", "updated", "created", "project"],
+  };
+  if (nextPageToken) {
+    searchBody.nextPageToken = String(nextPageToken);
+  }
+
+  let data;
+  try {
+    const response = await api.asUser().requestJira(route`/rest/api/3/search/jql`, {
+      method: "POST",
+      headers: {
+        Accept: "application/json",
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify(searchBody),
+    });
+
+    if (!response.ok) {
+      // 400 usually means a status or priority name from the question does
+      // not exist in this project.
+      return {
+        reply:
+          response.status === 400
+            ? "I couldn't search with those criteria. Try describing the status or time range differently."
+            : "I couldn't search your requests right now. Please try again later.",
+      };
+    }
+
+    data = await response.json();
+  } catch {
+    return { reply: "I couldn't search your requests right now. Please try again later." };
+  }
+
+  // Extra safety guard mirroring issue lookups: drop anything outside scope.
+  const issues = (Array.isArray(data.issues) ? data.issues : []).filter((issue) =>
+    projectIds.includes(normalizeProjectId(issue.fields?.project?.id))
+  );
+  const hasMore = Boolean(data.nextPageToken) && !data.isLast;
+
+  return {
+    reply: formatRequestSearchReply({ issues, filter: safeFilter, offset, hasMore, language }),
+    card: buildRequestSearchCard({ issues, filter: safeFilter, offset, hasMore, language }),
+    options: hasMore
+      ? [
+          {
+            label: translatePortalMessage(language, "optionShowMore"),
+            action: "search_more",
+            search: {
+              filter: safeFilter,
+              nextPageToken: data.nextPageToken,
+              offset: offset + issues.length,
+            },
+          },
+        ]
+      : undefined,
+  };
+}
+
+// ─── Portal Request Tracking ────────────────────────────────────────
+
+/**
+ * "My requests" style questions without filters. Anything with a status or
+ * time qualifier goes to the JQL search instead.
+ */
+const MY_REQUESTS_INTENT_REGEX =
+  /\b(?:all\s+)?my\s+(?:requests?|tickets?|cases?)\b|\b(?:track|where are|status of)\b.*\b(?:requests?|tickets?)\b/i;
+
+function formatSlaCycle(slaMetric) {
+  const name = slaMetric?.name || "SLA";
+  const ongoingCycle = slaMetric?.ongoingCycle;
+
+  if (ongoingCycle) {
+    if (ongoingCycle.breached) {
+      return `${name}: breached`;
+    }
+    const remaining = ongoingCycle.remainingTime?.friendly;
+    const state = ongoingCycle.paused ? " (paused)" : "";
+    return remaining ? `${name}: ${remaining} remaining${state}` : `${name}: in progress${state}`;
+  }
+
+  const completedCycles = Array.isArray(slaMetric?.completedCycles) ? slaMetric.completedCycles : [];
+  const lastCycle = completedCycles[completedCycles.length - 1];
+  if (lastCycle) {
+    return `${name}: ${lastCycle.breached ? "breached" : "met"}`;
+  }
+  return null;
+}
+
+/**
+ * Summarizes servicedesk SLA metrics (expand=sla) into short readable lines.
+ */
+function summarizeRequestSla(sla) {
+  const metrics = Array.isArray(sla?.values) ? sla.values : [];
+  return metrics.map(formatSlaCycle).filter(Boolean);
+}
+
+function getRequestSummary(request) {
+  const fieldValues = Array.isArray(request?.requestFieldValues) ? request.requestFieldValues : [];
+  const summaryField = fieldValues.find((fieldValue) => fieldValue?.fieldId === "summary");
+  return typeof summaryField?.value === "string" ? summaryField.value : "";
+}
+
+/**
+ * Servicedesk requests do not carry an "updated" timestamp, so load it for
+ * the listed keys in one search. Best-effort: falls back to status dates.
+ */
+async function fetchIssueUpdatedDates(issueKeys) {
+  const validKeys = issueKeys.filter((key) => /^[A-Z][A-Z0-9]+-\d+$/.test(String(key || "")));
+  if (validKeys.length === 0) {
+    return {};
+  }
+
+  try {
+    const response = await api.asUser().requestJira(route`/rest/api/3/search/jql`, {
+      method: "POST",
+      headers: {
+        Accept: "application/json",
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify({
+        jql: `issuekey in (${validKeys.join(", ")})`,
+        maxResults: validKeys.length,
+        fields: ["updated"],
+      }),
+    });
+    if (!response.ok) {
+      return {};
+    }
+
+    const data = await response.json();
+    return (Array.isArray(data.issues) ? data.issues : []).reduce((dates, issue) => {
+      if (issue?.key && issue.fields?.updated) {
+        dates[issue.key] = String(issue.fields.updated).slice(0, 10);
+      }
+      return dates;
+    }, {});
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Lists requests the customer raised, limited to service desks the assistant
+ * is enabled for (and to the current portal when the page has one).
+ */
+async function listMyPortalRequests({ portalContext, start, language = DEFAULT_PORTAL_LANGUAGE }) {
+  const allowed = await getAllowedPortalServiceDesks(portalContext);
+  if (allowed.error) {
+    return { reply: allowed.error };
+  }
+
+  const allowedServiceDeskIds = (allowed.serviceDesks || []).map((desk) => desk.serviceDeskId);
+  if (allowedServiceDeskIds.length === 0) {
+    return { reply: "There are no portal projects enabled for the assistant." };
+  }
+
+  const singleServiceDeskId = allowedServiceDeskIds.length === 1 ? allowedServiceDeskIds[0] : null;
+  let data;
+  try {
+    const requestPath = singleServiceDeskId
+      ? route`/rest/servicedeskapi/request?requestOwnership=OWNED_REQUESTS&requestStatus=ALL_REQUESTS&serviceDeskId=${singleServiceDeskId}&expand=sla&start=${start}&limit=${MY_REQUESTS_PAGE_SIZE}`
+      : route`/rest/servicedeskapi/request?requestOwnership=OWNED_REQUESTS&requestStatus=ALL_REQUESTS&expand=sla&start=${start}&limit=${MY_REQUESTS_PAGE_SIZE}`;
+    const response = await api.asUser().requestJira(requestPath, {
+      headers: { Accept: "application/json" },
+    });
+
+    if (!response.ok) {
+      return { reply: "I couldn't load your requests right now. Please try again later." };
+    }
+    data = await response.json();
+  } catch {
+    return { reply: "I couldn't load your requests right now. Please try again later." };
+  }
+
+  const pageValues = Array.isArray(data.values) ? data.values : [];
+  const requests = pageValues.filter((request) =>
+    allowedServiceDeskIds.includes(String(request?.serviceDeskId || ""))
+  );
+  const hasMore = !data.isLastPage && pageValues.length > 0;
+  const nextStart = start + pageValues.length;
+
+  if (requests.length === 0) {
+    return {
+      reply: translatePortalMessage(language, start > 0 ? "myRequestsNoMore" : "myRequestsEmpty"),
+      options: hasMore
+        ? [{ label: translatePortalMessage(language, "optionShowMore"), action: "my_requests_more", start: nextStart }]
+        : undefined,
+    };
+  }
+
+  const updatedDates = await fetchIssueUpdatedDates(requests.map((request) => request.issueKey));
+  const listedRequests = requests.map((request, index) => {
+    const lastUpdate =
+      updatedDates[request.issueKey] || String(request.currentStatus?.statusDate?.iso8601 || "").slice(0, 10);
+    return {
+      position: start + index + 1,
+      issueKey: request.issueKey,
+      summary: getRequestSummary(request),
+      status: request.currentStatus?.status || translatePortalMessage(language, "valueUnknown"),
+      statusCategory: request.currentStatus?.statusCategory,
+      details: [
+        lastUpdate ? translatePortalMessage(language, "detailUpdated", { date: lastUpdate }) : null,
+        ...summarizeRequestSla(request.sla),
+      ].filter(Boolean),
+      url: request._links?.web || "",
+    };
+  });
+  const lines = listedRequests.map(
+    (request) =>
+      `${request.position}. ${request.issueKey} — ${request.summary}\n   ${[
+        `${translatePortalMessage(language, "labelStatus")}: ${request.status}`,
+        ...request.details,
+      ].join(" · ")}`
+  );
+  const intro = translatePortalMessage(language, start > 0 ? "myRequestsMoreIntro" : "myRequestsIntro");
+  const footer = translatePortalMessage(language, "myRequestsFooter");
+
+  const options = requests.map((request) => ({
+    label: request.issueKey,
+    action: "request_status",
+    issueKey: request.issueKey,
+  }));
+  if (hasMore) {
+    options.push({
+      label: translatePortalMessage(language, "optionShowMore"),
+      action: "my_requests_more",
+      start: nextStart,
+    });
+  }
+
+  return {
+    reply: `${intro}\n${lines.join("\n")}\n\n${footer}`,
+    card: buildRequestListCard({ intro, footer, requests: listedRequests }),
+    options,
+  };
+}
+
+function formatStatusHistory(statusValues) {
+  const values = Array.isArray(statusValues) ? statusValues : [];
+  // The servicedesk API lists the most recent status first.
+  return values
+    .slice(0, 4)
+    .reverse()
+    .map((value) => {
+      const date = String(value?.statusDate?.iso8601 || "").slice(0, 10);
+      return date ? `${value.status} (${date})` : value?.status;
+    })
+    .filter(Boolean)
+    .join(" → ");
+}
+
+/**
+ * Loads one customer request as the user and confirms it belongs to a service
+ * desk the assistant is enabled for. Anything else is reported as not found so
+ * the chat does not reveal requests from disabled projects.
+ */
+async function fetchAllowedPortalRequest(issueKey, portalContext) {
+  const normalizedKey = String(issueKey || "").trim().toUpperCase();
+  if (!/^[A-Z][A-Z0-9]+-\d+$/.test(normalizedKey)) {
+    return { error: "Please choose a valid request." };
+  }
+
+  const allowed = await getAllowedPortalServiceDesks(portalContext);
+  if (allowed.error) {
+    return { error: allowed.error };
+  }
+
+  let request;
+  try {
+    const response = await api
+      .asUser()
+      .requestJira(route`/rest/servicedeskapi/request/${normalizedKey}?expand=sla,status,requestType`, {
+        headers: { Accept: "application/json" },
+      });
+    if (!response.ok) {
+      return { error: `${normalizedKey}: Could not be found.` };
+    }
+    request = await response.json();
+  } catch {
+    return { error: `${normalizedKey}: Could not be found.` };
+  }
+
+  const allowedServiceDeskIds = (allowed.serviceDesks || []).map((desk) => desk.serviceDeskId);
+  if (!allowedServiceDeskIds.includes(String(request?.serviceDeskId || ""))) {
+    return { error: `${normalizedKey}: Could not be found.` };
+  }
+
+  return { request };
+}
+
+/**
+ * Detailed status view for one request: current status, history, SLA and link.
+ */
+async function describePortalRequestStatus({ issueKey, portalContext, language = DEFAULT_PORTAL_LANGUAGE }) {
+  const { request, error } = await fetchAllowedPortalRequest(issueKey, portalContext);
+  if (error) {
+    return { reply: error };
+  }
+
+  const label = (key) => translatePortalMessage(language, key);
+  const lines = [`${request.issueKey} — ${getRequestSummary(request)}`];
+  if (request.requestType?.name) {
+    lines.push(`${label("labelRequestType")}: ${request.requestType.name}`);
+  }
+  const statusName = request.currentStatus?.status || label("valueUnknown");
+  const statusSince = request.currentStatus?.statusDate?.friendly;
+  const status = statusSince
+    ? translatePortalMessage(language, "valueStatusSince", { status: statusName, since: statusSince })
+    : statusName;
+  lines.push(`${label("labelStatus")}: ${status}`);
+  const statusHistory = formatStatusHistory(request.status?.values);
+  if (statusHistory) {
+    lines.push(`${label("labelHistory")}: ${statusHistory}`);
+  }
+  if (request.createdDate?.friendly) {
+    lines.push(`${label("labelCreated")}: ${request.createdDate.friendly}`);
+  }
+  const slaLines = summarizeRequestSla(request.sla);
+  if (slaLines.length > 0) {
+    lines.push(`${label("labelSla")}:\n${slaLines.map((line) => `• ${line}`).join("\n")}`);
+  }
+  if (request._links?.web) {
+    lines.push(`${label("labelLink")}: ${request._links.web}`);
+  }
+
+  return {
+    reply: lines.join("\n"),
+    card: buildIssueCard({
+      issues: [
+        {
+          issueKey: request.issueKey,
+          summary: getRequestSummary(request),
+          status,
+          statusCategory: request.currentStatus?.statusCategory,
+          url: request._links?.web,
+          details: [
+            { label: label("labelRequestType"), value: request.requestType?.name },
+            { label: label("labelHistory"), value: statusHistory },
+            { label: label("labelCreated"), value: request.createdDate?.friendly },
+            ...slaLines.map((line) => ({ label: label("labelSla"), value: line })),
+          ],
+        },
+      ],
+    }),
+    options: [{ label: label("optionAddComment"), action: "add_comment", issueKey: request.issueKey }],
+  };
+}
+
+// ─── Portal Request Comments ────────────────────────────────────────
+
+const PORTAL_COMMENT_MAX_LENGTH = 5000;
+
+function formatServiceDeskError(status, rawText) {
+  try {
+    const parsed = rawText ? JSON.parse(rawText) : null;
+    const errorMessages = Array.isArray(parsed?.errorMessages) ? parsed.errorMessages.filter(Boolean) : [];
+    const detail = [parsed?.errorMessage, ...errorMessages].filter(Boolean).join("; ");
+    if (detail) {
+      return `${status} — ${detail}`;
+    }
+  } catch {
+    // Fall back to the raw response text below.
+  }
+  return `${status} — ${rawText || "Unknown error"}`;
+}
+
+/**
+ * Posts a public comment as the customer, then attaches any temporary files
+ * uploaded from the portal UI. Attachment failures do not undo the comment;
+ * they come back as a warning instead.
+ */
+async function addPortalRequestComment({ request, body, temporaryAttachmentIds }) {
+  const issueKey = request.issueKey;
+
+  try {
+    const commentResponse = await api
+      .asUser()
+      .requestJira(route`/rest/servicedeskapi/request/${issueKey}/comment`, {
+        method: "POST",
+        headers: {
+          Accept: "application/json",
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({ body, public: true }),
+      });
+
+    if (!commentResponse.ok) {
+      const rawText = await commentResponse.text();
+      return { error: `Failed to add comment: ${formatServiceDeskError(commentResponse.status, rawText)}` };
+    }
+  } catch (err) {
+    return { error: `Failed to add comment: ${err.message || String(err)}` };
+  }
+
+  let warning = "";
+  if (temporaryAttachmentIds.length > 0) {
+    try {
+      const attachResponse = await api
+        .asUser()
+        .requestJira(route`/rest/servicedeskapi/request/${issueKey}/attachment`, {
+          method: "POST",
+          headers: {
+            Accept: "application/json",
+            "Content-Type": "application/json",
+          },
+          body: JSON.stringify({ temporaryAttachmentIds, public: true }),
+        });
+
+      if (!attachResponse.ok) {
+        const rawText = await attachResponse.text();
+        warning =
+          "Comment added, but attachments could not be added " +
+          `(${formatServiceDeskError(attachResponse.status, rawText)}).`;
+      }
+    } catch (err) {
+      warning = `Comment added, but attachments could not be added (${err.message || String(err)}).`;
+    }
+  }
+
+  return {
+    success: true,
+    issueKey,
+    requestLink: request._links?.web || "",
+    warning,
+    card: buildConfirmationCard({
+      title: `Comment added to ${issueKey}`,
+      details: [{ label: "Request", value: getRequestSummary(request) }],
+      url: request._links?.web,
+      note: warning,
+    }),
+  };
+}
+
+// ─── Portal Request Transitions ─────────────────────────────────────
+
+const PORTAL_TRANSITION_ISSUE_LIMIT = 3;
+
+/**
+ * Customer transition names are workflow-specific. Map the common ones to
+ * friendlier button labels and keep the workflow name for everything else.
+ */
+function describeCustomerTransition(transitionName) {
+  const name = String(transitionName || "").trim();
+  if (/\bcancel|withdraw/i.test(name)) {
+    return "Cancel my request";
+  }
+  if (/\bre-?open/i.test(name)) {
+    return "Reopen";
+  }
+  if (/\b(resolve|close|done|complete)/i.test(name)) {
+    return "Mark as resolved";
+  }
+  return name || "Update request";
+}
+
+/**
+ * Lists transitions the current customer may perform on a request. The
+ * servicedesk endpoint only returns customer-visible transitions.
+ */
+async function fetchCustomerTransitions(issueKey) {
+  try {
+    const response = await api
+      .asUser()
+      .requestJira(route`/rest/servicedeskapi/request/${issueKey}/transition?start=0&limit=20`, {
+        headers: { Accept: "application/json" },
+      });
+    if (!response.ok) {
+      const rawText = await response.text();
+      return { error: `Failed to load request actions: ${formatServiceDeskError(response.status, rawText)}` };
+    }
+
+    const data = await response.json();
+    const transitions = (Array.isArray(data.values) ? data.values : [])
+      .filter((transition) => transition?.id)
+      .map((transition) => ({
+        id: String(transition.id),
+        name: String(transition.name || ""),
+        label: describeCustomerTransition(transition.name),
+      }));
+    return { transitions };
+  } catch (err) {
+    return { error: `Failed to load request actions: ${err.message || String(err)}` };
+  }
+}
+
+function buildTransitionOptions(issueKey, transitions, includeIssueKey) {
+  return transitions.map((transition) => ({
+    label: includeIssueKey ? `${transition.label} (${issueKey})` : transition.label,
+    action: "request_transition",
+    issueKey,
+    transitionId: transition.id,
+    transitionName: transition.name,
+  }));
+}
+
+/**
+ * Action buttons for issue lookups: only requests the customer reported, in
+ * projects enabled for the assistant, and only transitions Jira offers them.
+ */
+async function buildOwnRequestTransitionOptions(ownRequestKeys) {
+  const keys = ownRequestKeys.slice(0, PORTAL_TRANSITION_ISSUE_LIMIT);
+  const results = await Promise.all(keys.map((issueKey) => fetchCustomerTransitions(issueKey)));
+
+  return results.flatMap((result, index) =>
+    result.transitions ? buildTransitionOptions(keys[index], result.transitions, keys.length > 1) : []
+  );
+}
+
+/**
+ * Performs a customer transition after re-checking it is still offered, so a
+ * stale or tampered transition id cannot reach the workflow.
+ */
+async function transitionPortalRequest({ request, transitionId, comment }) {
+  const issueKey = request.issueKey;
+  const available = await fetchCustomerTransitions(issueKey);
+  if (available.error) {
+    return { error: available.error };
+  }
+
+  const transition = available.transitions.find((candidate) => candidate.id === transitionId);
+  if (!transition) {
+    return { error: "That action is no longer available for this request." };
+  }
+
+  const body = { id: transition.id };
+  if (comment) {
+    body.additionalComment = { body: comment };
+  }
+
+  try {
+    const response = await api
+      .asUser()
+      .requestJira(route`/rest/servicedeskapi/request/${issueKey}/transition`, {
+        method: "POST",
+        headers: {
+          Accept: "application/json",
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify(body),
+      });
+
+    if (!response.ok) {
+      const rawText = await response.text();
+      return { error: `Failed to update request: ${formatServiceDeskError(response.status, rawText)}` };
+    }
+  } catch (err) {
+    return { error: `Failed to update request: ${err.message || String(err)}` };
+  }
+
+  return {
+    success: true,
+    issueKey,
+    transitionName: transition.name,
+    requestLink: request._links?.web || "",
+    card: buildConfirmationCard({
+      title: `Done: ${transition.name} — ${issueKey}`,
+      details: [
+        { label: "Request", value: getRequestSummary(request) },
+        { label: "Comment", value: comment ? "Added to the request" : "" },
+      ],
+      url: request._links?.web,
+    }),
+  };
+}
+
+/**
+ * Shared gate for portalChat and its follow-up resolvers: project availability
+ * plus the per-requester rate limit. Returns { availability, portalContext } or
+ * a { reply } that should be sent back as-is; throttled replies also carry the
+ * `rateLimitScope` that blocked them.
+ */
+/**
+ * Reading or clearing history is not a chat message, so callers that only
+ * need the availability check pass `countRequest: false` to skip the limit.
+ */
+async function checkPortalChatAccess(payload, context, { countRequest = true, language } = {}) {
+  const replyLanguage = language || normalizePortalLanguage(payload?.language) || DEFAULT_PORTAL_LANGUAGE;
+  const invocationContext = extractPortalContextFromInvocation(context);
+  const portalContext = {
+    projectId: payload?.projectId ?? invocationContext.projectId,
+    projectKey: payload?.projectKey ?? invocationContext.projectKey,
+    portalId: payload?.portalId ?? invocationContext.portalId,
+  };
+  const availability = await getPortalChatAvailability(portalContext);
+  if (!availability.enabled) {
+    return { reply: translatePortalMessage(replyLanguage, "portalChatDisabled") };
+  }
+  if (!countRequest) {
+    return { availability, portalContext };
+  }
+
+  const rateLimitState = await checkPortalChatRateLimit(context, availability.projectId);
+  if (!rateLimitState.allowed) {
+    return {
+      reply: describeRateLimitRejection(rateLimitState, replyLanguage),
+      rateLimitScope: rateLimitState.scope,
     };
-  } catch (err) {
-    return { error: `Failed to fetch issue details: ${err.message || String(err)}` };
   }
-});
 
-// ─── Portal Chat (Jira Assistant) ───────────────────────────────────
+  return { availability, portalContext };
+}
+
+// ─── Portal Conversation History ────────────────────────────────────
+// Free-text turns with portalChat are kept per customer so the widget can
+// restore them and follow-up questions can be answered in context.
+
+const PORTAL_CONVERSATION_MAX_MESSAGES = 40;
+const PORTAL_CONVERSATION_MESSAGE_MAX_LENGTH = 4000;
+const PORTAL_CONVERSATION_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+// Only the most recent turns go into the LLM prompt, bounded by size.
+const PORTAL_CONVERSATION_PROMPT_MESSAGES = 8;
+const PORTAL_CONVERSATION_PROMPT_MAX_LENGTH = 4000;
 
 /**
- * Deterministic issue key extraction keeps the assistant useful even when
- * an external AI provider is unavailable or temporarily misconfigured.
+ * Keyed by requester and portal, like drafts, so a customer who uses several
+ * portals does not see one portal's history (or follow-up context) in another.
  */
-const ISSUE_KEY_REGEX = /\b([A-Z][A-Z0-9]+-\d+)\b/g;
+function getPortalConversationKey(context, access) {
+  const requesterId = getPortalPersonalStorageId(context);
+  if (!requesterId) {
+    return null;
+  }
+  const { portalContext, availability } = access;
+  const portalScope = portalContext.portalId || portalContext.projectKey || availability.projectId || "global";
+  return `portalConversation:${requesterId}:${portalScope}`;
+}
 
 /**
- * Greeting-only messages ("hi", "hello", etc.) should always return a
- * friendly help response instead of attempting AI extraction.
+ * The stored record holds the turns plus the follow-up context left by the
+ * last issue lookup (see conversationContext.js).
  */
-const GREETING_ONLY_REGEX = /^(hi|hello|hey|yo|hola|good\s+(morning|afternoon|evening))(?:[\s!.,?])*$/i;
-
-function extractIssueKeysFromMessage(message) {
-  const normalizedMessage = (message || "").toUpperCase();
-  const matches = normalizedMessage.match(ISSUE_KEY_REGEX) || [];
-  return [...new Set(matches)];
+async function loadPortalConversation(conversationKey) {
+  if (!conversationKey) {
+    return { messages: [], context: null };
+  }
+  const conversation = await storage.get(conversationKey);
+  if (!conversation || Date.now() - Number(conversation.updatedAt || 0) > PORTAL_CONVERSATION_TTL_MS) {
+    return { messages: [], context: null };
+  }
+  return {
+    messages: Array.isArray(conversation.messages) ? conversation.messages : [],
+    context: conversation.context || null,
+  };
 }
 
-function inferIntentFromMessage(message) {
-  const lowerMessage = (message || "").toLowerCase();
-  const asksAssignee = /\b(assignee|assigned|owner|working on)\b/.test(lowerMessage);
-  const asksReporter = /\b(reporter|reported|raised|created by|opened by)\b/.test(lowerMessage);
+async function appendPortalConversation(conversationKey, conversation, entries) {
+  const messages = [
+    ...conversation.messages,
+    ...entries.map((entry) => ({
+      role: entry.role === "assistant" ? "assistant" : "user",
+      content: truncateText(String(entry.content || ""), PORTAL_CONVERSATION_MESSAGE_MAX_LENGTH),
+      at: Date.now(),
+    })),
+  ].slice(-PORTAL_CONVERSATION_MAX_MESSAGES);
 
-  if (asksAssignee && asksReporter) {
-    return "all";
-  }
-  if (asksAssignee) {
-    return "assignee";
-  }
-  if (asksReporter) {
-    return "reporter";
+  try {
+    await storage.set(conversationKey, { messages, context: conversation.context, updatedAt: Date.now() });
+  } catch {
+    // History is a convenience; a failed write must not fail the reply.
   }
+}
 
-  return "status";
+/**
+ * Newest turns first until the size budget is spent, returned oldest first.
+ */
+function buildConversationPromptWindow(history) {
+  const promptWindow = [];
+  let remainingLength = PORTAL_CONVERSATION_PROMPT_MAX_LENGTH;
+  for (const entry of history.slice(-PORTAL_CONVERSATION_PROMPT_MESSAGES).reverse()) {
+    if (remainingLength <= 0) {
+      break;
+    }
+    const content = truncateText(entry.content, Math.min(1000, remainingLength));
+    promptWindow.unshift({ role: entry.role, content });
+    remainingLength -= content.length;
+  }
+  return promptWindow;
 }
 
-function buildNoIssueKeyReply(message) {
-  if (GREETING_ONLY_REGEX.test((message || "").trim())) {
-    return `I'm your Jira Assistant! I can help you check the status, assignee, and reporter of Jira issues.\n\nTry asking me something like:\n• "What is the status of TJ-1?"\n• "Who is assigned to PROJ-42?"\n• "Tell me about ABC-10"`;
+resolver.define("getPortalConversation", async ({ payload, context }) => {
+  const access = await checkPortalChatAccess(payload, context, { countRequest: false });
+  if (!access.availability) {
+    return { messages: [] };
   }
+  const { messages } = await loadPortalConversation(getPortalConversationKey(context, access));
+  return { messages: messages.map((entry) => ({ role: entry.role, content: entry.content })) };
+});
 
-  return "Please include a Jira issue key (for example TJ-1).\n\nI can then tell you the status, assignee, and reporter for that issue.";
-}
+resolver.define("clearPortalConversation", async ({ payload, context }) => {
+  const access = await checkPortalChatAccess(payload, context, { countRequest: false });
+  if (!access.availability) {
+    return { error: access.reply };
+  }
+  const conversationKey = getPortalConversationKey(context, access);
+  if (conversationKey) {
+    await storage.delete(conversationKey);
+  }
+  return { success: true };
+});
 
 resolver.define("portalChat", async ({ payload, context }) => {
-  const invocationContext = extractPortalContextFromInvocation(context);
+  const startedAt = Date.now();
   const { message } = payload || {};
+  // The widget sends the language it last used and the customer's locale.
+  const language = resolvePortalLanguage({
+    message,
+    preferredLanguage: payload?.language,
+    locale: payload?.locale || context?.locale,
+  });
 
   if (!message || !message.trim()) {
-    return { reply: "Please enter a message." };
+    return { reply: translatePortalMessage(language, "emptyMessage"), language };
   }
 
-  const availability = await getPortalChatAvailability({
-    projectId: payload?.projectId ?? invocationContext.projectId,
-    projectKey: payload?.projectKey ?? invocationContext.projectKey,
-    portalId: payload?.portalId ?? invocationContext.portalId,
+  const access = await checkPortalChatAccess(payload, context, { language });
+  if (!access.availability) {
+    if (access.rateLimitScope) {
+      await recordChatAnalyticsEvent({
+        kind: "chat",
+        outcome: "rate_limited",
+        reason: `rate_limit_${access.rateLimitScope}`,
+        latencyMs: Date.now() - startedAt,
+        projectId: payload?.projectId,
+      });
+    }
+    return access;
+  }
+
+  const conversationKey = getPortalConversationKey(context, access);
+  const conversation = await loadPortalConversation(conversationKey);
+  const { conversationContext, analytics, ...result } = await answerPortalChatMessage({
+    message,
+    payload,
+    context,
+    access,
+    language,
+    history: conversation.messages,
+    conversationContext: getActiveConversationContext(conversation.context),
   });
-  if (!availability.enabled) {
-    return { reply: "Jira Assistant is disabled for this portal project. Please contact your administrator." };
+
+  if (conversationKey && result.reply && !result.cancelled) {
+    // Replies that did not resolve any issue leave the previous context as is.
+    await appendPortalConversation(
+      conversationKey,
+      { ...conversation, context: conversationContext || conversation.context },
+      [
+        { role: "user", content: message },
+        { role: "assistant", content: result.reply },
+      ]
+    );
+  }
+
+  await recordChatAnalyticsEvent({
+    ...analytics,
+    kind: "chat",
+    latencyMs: Date.now() - startedAt,
+    projectId: access.availability.projectId,
+    question: message,
+  });
+  return { ...result, language };
+});
+
+/**
+ * LLM fallback for follow-ups the deterministic rules did not catch. The
+ * answer is limited to keys already in the context.
+ */
+async function resolveFollowUpWithLlm({
+  message,
+  history,
+  conversationContext,
+  llmSettings,
+  redactor,
+  projectId,
+}) {
+  const llmResult = await callLlmText({
+    llmSettings,
+    redactor,
+    projectId,
+    systemPrompt: FOLLOW_UP_SYSTEM_PROMPT,
+    userMessage: JSON.stringify({
+      message,
+      previousIssueKeys: conversationContext.issueKeys,
+      recentConversation: buildConversationPromptWindow(history),
+    }),
+    maxTokens: 100,
+  });
+  const parsedResolution = llmResult.text ? parseLlmJson(llmResult.text) : null;
+  return sanitizeFollowUpResolution(parsedResolution, conversationContext);
+}
+
+/**
+ * Free text from Jira that goes into the reply prompt. Keys, statuses and
+ * dates are structured values and stay as they are.
+ */
+function delimitIssueResultForPrompt(issueResult) {
+  if (issueResult.error) {
+    return issueResult;
+  }
+  return {
+    ...issueResult,
+    summary: wrapUntrustedContent(issueResult.summary),
+    linkedIssues: issueResult.linkedIssues.map((linkedIssue) => ({
+      ...linkedIssue,
+      summary: wrapUntrustedContent(linkedIssue.summary),
+    })),
+    latestComment: issueResult.latestComment
+      ? { ...issueResult.latestComment, body: wrapUntrustedContent(issueResult.latestComment.body) }
+      : null,
+  };
+}
+
+function findInjectionInIssueResults(issueResults) {
+  for (const issueResult of issueResults) {
+    const texts = [
+      issueResult.summary,
+      issueResult.latestComment?.body,
+      ...(issueResult.linkedIssues || []).map((linkedIssue) => linkedIssue.summary),
+    ];
+    for (const text of texts) {
+      const reasons = detectPromptInjection(text);
+      if (reasons.length > 0) {
+        return { reasons, excerpt: `${issueResult.issueKey}: ${text}` };
+      }
+    }
   }
+  return null;
+}
 
+async function answerPortalChatMessage({ message, payload, context, access, language, history, conversationContext }) {
+  const { availability, portalContext } = access;
   const resolvedProjectId = availability.projectId;
 
-  const rateLimitState = await checkPortalChatRateLimit(context);
-  if (!rateLimitState.allowed) {
-    return {
-      reply:
-        `You're sending messages too quickly. ` +
-        `Please wait about ${rateLimitState.retryAfterSeconds} seconds and try again.`,
-    };
+  // Messages that try to instruct the model never reach it; they get the same
+  // deterministic answers as when no AI provider is configured.
+  const injectionReasons = detectPromptInjection(message);
+  if (injectionReasons.length > 0) {
+    await recordPromptSafetyEvent({
+      stage: "input",
+      reasons: injectionReasons,
+      excerpt: message,
+      projectId: resolvedProjectId,
+    });
   }
 
   // Retrieve LLM settings once. These are optional for deterministic mode;
   // if they are missing or invalid, we still return a useful fallback reply.
-  const llmSettings = await getLlmRuntimeSettings();
+  const llmSettings = injectionReasons.length > 0 ? null : await getLlmRuntimeSettings();
+  // One redactor per message keeps placeholders consistent across LLM calls.
+  const redactor = isLlmConfigured(llmSettings) ? await getProjectRedactor(resolvedProjectId) : null;
 
   try {
     // Step 1: deterministic parsing avoids hard failures for simple greetings
     // and issue-key lookups when AI providers return transient 4xx errors.
-    const issueKeys = extractIssueKeysFromMessage(message);
-    const intent = inferIntentFromMessage(message);
-
-    // No issue key present in the message.
+    let issueKeys = extractIssueKeysFromMessage(message);
+    const intent = resolveFollowUpIntent(message, inferIntentFromMessage(message), conversationContext, language);
+
+    // No issue key present: the customer's request list, a natural-language
+    // request search, a follow-up ("what about its reporter?") about issues
+    // from earlier in the conversation, or help. Explicit list and search
+    // requests win over the context, so "show my open requests" after a
+    // lookup is not read as a question about that issue.
+    let resolvedFromContext = false;
     if (!issueKeys.length) {
-      return { reply: buildNoIssueKeyReply(message) };
+      const asksForMyRequests = MY_REQUESTS_INTENT_REGEX.test(message) || matchesLocalizedKeyword("myRequests", message);
+      if (asksForMyRequests && !hasRequestSearchCriteria(inferRequestSearchFilter(message))) {
+        return {
+          ...(await listMyPortalRequests({ portalContext, start: 0, language })),
+          analytics: { intent: "my_requests", outcome: "answered" },
+        };
+      }
+      if (REQUEST_SEARCH_INTENT_REGEX.test(message) || matchesLocalizedKeyword("requestSearch", message)) {
+        const searchFilter = await buildRequestSearchFilter(message, llmSettings, redactor, resolvedProjectId);
+        return {
+          ...(await runPortalRequestSearch({ filter: searchFilter, availability, language })),
+          analytics: { intent: "request_search", outcome: "answered" },
+        };
+      }
+      issueKeys = resolveFollowUpIssueKeys(message, conversationContext, language);
+      resolvedFromContext = issueKeys.length > 0;
+      if (!issueKeys.length && conversationContext && !isGreetingOnly(message) && isLlmConfigured(llmSettings)) {
+        issueKeys = await resolveFollowUpWithLlm({
+          message,
+          history,
+          conversationContext,
+          llmSettings,
+          redactor,
+          projectId: resolvedProjectId,
+        });
+        resolvedFromContext = issueKeys.length > 0;
+      }
+      if (!issueKeys.length) {
+        return {
+          reply: buildNoIssueKeyReply(message, language),
+          analytics: isGreetingOnly(message)
+            ? { intent: "greeting", outcome: "answered" }
+            : { intent: "unknown", outcome: "not_found", reason: "no_issue_key" },
+        };
+      }
     }
 
-    // Step 2: Fetch issue details for each issue key concurrently.
+    // Step 2: Fetch issue details for each issue key concurrently. Requests
+    // the customer reported are collected separately for action buttons; the
+    // reporter account id is not passed on to the LLM.
+    const requesterAccountId = context?.accountId || context?.principal?.accountId || null;
+    const projectSettings = (await storage.get("projectChatSettings")) || {};
+    const ownRequestKeys = [];
+    // Card-only data (links, avatars) is kept out of what the LLM sees.
+    const issueCardExtras = {};
     const issueResults = await Promise.all(
       issueKeys.map(async (key) => {
         let response;
@@ -1323,7 +4690,7 @@ resolver.define("portalChat", async ({ payload, context }) => {
           // Use user-scoped Jira calls so portal customers only get issues they
           // are actually allowed to read in Jira Service Management.
           response = await api.asUser().requestJira(
-            route`/rest/api/3/issue/${key}?fields=project,status,assignee,reporter,summary`,
+            route`/rest/api/3/issue/${key}?fields=project,status,assignee,reporter,summary,priority,duedate,resolution,resolutiondate,issuelinks`,
             { headers: { Accept: "application/json" } }
           );
         } catch {
@@ -1352,6 +4719,31 @@ resolver.define("portalChat", async ({ payload, context }) => {
           return { issueKey: key, error: "not in this portal project" };
         }
 
+        if (
+          requesterAccountId &&
+          fields.reporter?.accountId === requesterAccountId &&
+          issueProjectId &&
+          projectSettings[issueProjectId]
+        ) {
+          ownRequestKeys.push(data.key);
+        }
+
+        issueCardExtras[data.key] = {
+          assigned: Boolean(fields.assignee),
+          statusCategory: fields.status?.statusCategory?.key || "",
+          assigneeAvatarUrl: fields.assignee?.avatarUrls?.["48x48"] || fields.assignee?.avatarUrls?.["32x32"] || "",
+          url: buildIssueWebUrl(data, portalContext?.portalId),
+        };
+
+        // Comments and SLA need extra calls, so only load them when asked.
+        const [latestComment, sla] = await Promise.all([
+          intent === "latest_update" || intent === "all" ? fetchLatestPublicComment(data.key) : null,
+          intent === "due" || intent === "all" ? fetchRequestSlaLines(data.key) : [],
+        ]);
+        const linkedIssues = (Array.isArray(fields.issuelinks) ? fields.issuelinks : [])
+          .map(mapLinkedIssue)
+          .filter(Boolean);
+
         return {
           issueKey: data.key,
           summary: fields.summary || "",
@@ -1359,17 +4751,32 @@ resolver.define("portalChat", async ({ payload, context }) => {
           statusCategory: fields.status?.statusCategory?.name || "",
           assignee: fields.assignee?.displayName || "Unassigned",
           reporter: fields.reporter?.displayName || "Unknown",
+          priority: fields.priority?.name || "",
+          dueDate: fields.duedate || "",
+          resolution: fields.resolution?.name || "",
+          resolutionDate: String(fields.resolutiondate || "").slice(0, 10),
+          linkedIssues,
+          blockedBy: findOpenBlockers(linkedIssues).map((linkedIssue) => linkedIssue.issueKey),
+          sla,
+          latestComment,
         };
       })
     );
 
     // Start from a deterministic structured reply, then optionally enhance
     // with LLM phrasing when provider configuration is valid.
-    let naturalReply = formatFallbackReply(issueResults, intent);
+    let naturalReply = formatFallbackReply(issueResults, intent, language);
+    // Null means the deterministic formatter produced the reply.
+    let answeredBy = null;
+
+    // Summaries and comments are written by other customers and agents, so
+    // they are screened the same way as the message itself.
+    const issueDataInjection = isLlmConfigured(llmSettings) ? findInjectionInIssueResults(issueResults) : null;
+    if (issueDataInjection) {
+      await recordPromptSafetyEvent({ ...issueDataInjection, stage: "issue_data", projectId: resolvedProjectId });
+    }
 
-    const canUseLlmForReply = Boolean(
-      llmSettings?.provider && llmSettings?.model && llmSettings?.apiKey
-    );
+    const canUseLlmForReply = isLlmConfigured(llmSettings) && !issueDataInjection;
 
     if (canUseLlmForReply) {
       // Keep user content isolated in a dedicated message payload to reduce
@@ -1377,43 +4784,490 @@ resolver.define("portalChat", async ({ payload, context }) => {
       const llmSystemPrompt =
         "You are Jira Assistant, a friendly and concise chatbot on a Jira Service Management customer portal. " +
         "Use only the provided issue data. If issue data contains errors, explain them politely. " +
-        "Do not invent issue fields. Keep replies concise and conversational without markdown headers.";
+        "recentConversation holds earlier turns for context only; the issue data is always authoritative. " +
+        "Do not invent issue fields. Keep replies concise and conversational without markdown headers. " +
+        `${UNTRUSTED_CONTENT_SYSTEM_PROMPT_NOTE} ` +
+        buildLanguageInstruction(language);
 
       const llmUserMessage = JSON.stringify({
-        userMessage: message,
+        recentConversation: buildConversationPromptWindow(history).map((entry) => ({
+          ...entry,
+          content: wrapUntrustedContent(entry.content),
+        })),
+        userMessage: wrapUntrustedContent(message),
+        resolvedFromConversation: resolvedFromContext,
         intent,
-        issueResults,
+        issueResults: issueResults.map(delimitIssueResultForPrompt),
       });
 
-      const llmResult = await callLlmText({
+      const checkReply = (text) => checkLlmReply({ reply: text, issueResults, userText: message });
+
+      // When the UI passes a stream id, partial text is mirrored to storage
+      // for polling; otherwise keep the single-shot request.
+      const streamId = normalizePortalChatStreamId(payload?.streamId);
+      const llmRequest = {
         llmSettings,
         systemPrompt: llmSystemPrompt,
         userMessage: llmUserMessage,
         maxTokens: 500,
-      });
+        redactor,
+        projectId: resolvedProjectId,
+      };
+      const llmResult = streamId
+        ? await streamLlmTextToStorage({
+            ...llmRequest,
+            streamId,
+            requesterId: getPortalChatRequesterId(context),
+            checkReply,
+          })
+        : await callLlmText(llmRequest);
+
+      // Replies that mention issues or fields the model was not given keep
+      // the deterministic text, and so does what a cancelled stream left.
+      const replyRejectionReasons =
+        llmResult.rejectionReasons || (llmResult.text ? checkReply(llmResult.text) : []);
+      if (replyRejectionReasons.length > 0) {
+        await recordPromptSafetyEvent({
+          stage: "output",
+          reasons: replyRejectionReasons,
+          excerpt: llmResult.text,
+          projectId: resolvedProjectId,
+        });
+      }
+
+      if (llmResult.cancelled) {
+        const isRejected = replyRejectionReasons.length > 0;
+        return {
+          reply: isRejected ? naturalReply : llmResult.text || "",
+          cancelled: true,
+          answeredBy: isRejected ? null : llmResult.answeredBy || null,
+          analytics: { intent, outcome: "cancelled", reason: "stream_cancelled" },
+        };
+      }
 
-      if (llmResult.text) {
+      if (replyRejectionReasons.length === 0 && llmResult.text) {
         naturalReply = llmResult.text;
+        answeredBy = llmResult.answeredBy || null;
       }
     }
 
-    return { reply: naturalReply };
+    const orderedOwnRequestKeys = issueResults
+      .map((result) => result.issueKey)
+      .filter((issueKey) => ownRequestKeys.includes(issueKey));
+    const transitionOptions = await buildOwnRequestTransitionOptions(orderedOwnRequestKeys);
+
+    // Say which issues a follow-up was taken to mean, so a wrong guess is
+    // obvious to the customer.
+    const resolvedKeysNote = resolvedFromContext ? describeResolvedIssueKeys(issueKeys, language) : "";
+    if (resolvedKeysNote) {
+      naturalReply = `${resolvedKeysNote}\n\n${naturalReply}`;
+    }
+
+    return {
+      reply: naturalReply,
+      // LLM phrasing goes above the card; the deterministic text is the card.
+      card: buildIssueResultCard({
+        issueResults,
+        intent,
+        language,
+        issueCardExtras,
+        intro: answeredBy ? naturalReply : resolvedKeysNote,
+      }),
+      answeredBy,
+      options: transitionOptions.length > 0 ? transitionOptions : undefined,
+      resolvedIssueKeys: resolvedFromContext ? issueKeys : undefined,
+      conversationContext: buildConversationContext({
+        issueKeys: issueResults.filter((result) => !result.error).map((result) => result.issueKey),
+        intent,
+      }),
+      analytics: { intent, ...describeIssueLookupOutcome(issueResults) },
+    };
   } catch (err) {
-    return { reply: `Something went wrong: ${err.message || String(err)}` };
+    const errorMessage = translatePortalMessage(language, "somethingWentWrong", { error: err.message || String(err) });
+    return {
+      reply: errorMessage,
+      card: buildErrorCard({ message: errorMessage }),
+      analytics: { outcome: "error", reason: "exception" },
+    };
+  }
+}
+
+const ISSUE_LOOKUP_FAILURE_REASONS = {
+  "not found": "issue_not_found",
+  "not accessible": "issue_not_accessible",
+  "not in this portal project": "issue_in_other_project",
+  "fetch error": "issue_fetch_error",
+};
+
+/* A lookup counts as answered when at least one issue could be shown. */
+function describeIssueLookupOutcome(issueResults) {
+  const failedResult = issueResults.find((result) => result.error);
+  if (!failedResult || issueResults.some((result) => !result.error)) {
+    return { outcome: "answered" };
+  }
+  return { outcome: "not_found", reason: ISSUE_LOOKUP_FAILURE_REASONS[failedResult.error] || "issue_fetch_error" };
+}
+
+resolver.define("searchPortalRequests", async ({ payload, context }) => {
+  const access = await checkPortalChatAccess(payload, context);
+  if (!access.availability) {
+    return access;
   }
+
+  const offset = Math.max(0, Math.round(Number(payload?.offset) || 0));
+  return runPortalRequestSearch({
+    filter: payload?.filter,
+    availability: access.availability,
+    nextPageToken: payload?.nextPageToken,
+    offset,
+    language: normalizePortalLanguage(payload?.language) || DEFAULT_PORTAL_LANGUAGE,
+  });
+});
+
+resolver.define("getMyPortalRequests", async ({ payload, context }) => {
+  const access = await checkPortalChatAccess(payload, context);
+  if (!access.availability) {
+    return access;
+  }
+
+  return listMyPortalRequests({
+    portalContext: access.portalContext,
+    start: Math.max(0, Math.round(Number(payload?.start) || 0)),
+    language: normalizePortalLanguage(payload?.language) || DEFAULT_PORTAL_LANGUAGE,
+  });
+});
+
+resolver.define("getPortalCommentTarget", async ({ payload, context }) => {
+  const access = await checkPortalChatAccess(payload, context);
+  if (!access.availability) {
+    return { error: access.reply };
+  }
+
+  const { request, error } = await fetchAllowedPortalRequest(payload?.issueKey, access.portalContext);
+  if (error) {
+    return { error };
+  }
+
+  return {
+    request: {
+      issueKey: request.issueKey,
+      summary: getRequestSummary(request),
+      status: request.currentStatus?.status || "",
+      serviceDeskId: String(request.serviceDeskId),
+    },
+  };
+});
+
+resolver.define("addPortalRequestComment", async ({ payload, context }) => {
+  const access = await checkPortalChatAccess(payload, context);
+  if (!access.availability) {
+    return { error: access.reply };
+  }
+
+  const body = String(payload?.body || "").trim();
+  if (!body) {
+    return { error: "Please enter a comment." };
+  }
+  if (body.length > PORTAL_COMMENT_MAX_LENGTH) {
+    return { error: `Comments can be at most ${PORTAL_COMMENT_MAX_LENGTH} characters.` };
+  }
+
+  const { request, error } = await fetchAllowedPortalRequest(payload?.issueKey, access.portalContext);
+  if (error) {
+    return { error };
+  }
+
+  const temporaryAttachmentIds = Array.isArray(payload?.temporaryAttachmentIds)
+    ? payload.temporaryAttachmentIds
+        .map((value) => String(value || "").trim())
+        .filter(Boolean)
+    : [];
+
+  return addPortalRequestComment({ request, body, temporaryAttachmentIds });
+});
+
+resolver.define("getPortalRequestTransitions", async ({ payload, context }) => {
+  const access = await checkPortalChatAccess(payload, context);
+  if (!access.availability) {
+    return { error: access.reply };
+  }
+
+  const { request, error } = await fetchAllowedPortalRequest(payload?.issueKey, access.portalContext);
+  if (error) {
+    return { error };
+  }
+
+  const result = await fetchCustomerTransitions(request.issueKey);
+  if (result.error) {
+    return { error: result.error };
+  }
+
+  return {
+    issueKey: request.issueKey,
+    transitions: result.transitions,
+    options: buildTransitionOptions(request.issueKey, result.transitions, false),
+  };
+});
+
+resolver.define("transitionPortalRequest", async ({ payload, context }) => {
+  const access = await checkPortalChatAccess(payload, context);
+  if (!access.availability) {
+    return { error: access.reply };
+  }
+
+  const transitionId = String(payload?.transitionId || "").trim();
+  if (!/^\d+$/.test(transitionId)) {
+    return { error: "Please choose an action for this request." };
+  }
+
+  const comment = String(payload?.comment || "").trim();
+  if (comment.length > PORTAL_COMMENT_MAX_LENGTH) {
+    return { error: `Comments can be at most ${PORTAL_COMMENT_MAX_LENGTH} characters.` };
+  }
+
+  const { request, error } = await fetchAllowedPortalRequest(payload?.issueKey, access.portalContext);
+  if (error) {
+    return { error };
+  }
+
+  return transitionPortalRequest({ request, transitionId, comment });
+});
+
+resolver.define("searchKnowledgeBase", async ({ payload, context }) => {
+  const language = normalizePortalLanguage(payload?.language) || DEFAULT_PORTAL_LANGUAGE;
+  const access = await checkPortalChatAccess(payload, context, { language });
+  if (!access.availability) {
+    return { articles: [], error: access.reply };
+  }
+
+  const query = String(payload?.query || "").replace(/\s+/g, " ").trim().slice(0, KB_QUERY_MAX_LENGTH);
+  if (query.length < 3) {
+    return { articles: [] };
+  }
+
+  const allowed = await getAllowedPortalServiceDesks(access.portalContext);
+  if (allowed.error) {
+    return { articles: [], error: allowed.error };
+  }
+  const serviceDesks = allowed.serviceDesks || [];
+  if (serviceDesks.length === 0) {
+    return { articles: [] };
+  }
+
+  const result = await searchKnowledgeBaseArticles(
+    query,
+    serviceDesks.length === 1 ? serviceDesks[0].serviceDeskId : null
+  );
+  if (result.error) {
+    return { articles: [], error: result.error };
+  }
+
+  await recordKbDeflectionEvents(result.articles.length > 0 ? ["searches", "shown"] : ["searches"]);
+  return {
+    articles: result.articles,
+    card:
+      result.articles.length > 0
+        ? buildArticleListCard({
+            intro: translatePortalMessage(language, "kbArticlesIntro"),
+            articles: result.articles,
+          })
+        : undefined,
+  };
+});
+
+resolver.define("recordKbDeflectionOutcome", async ({ payload, context }) => {
+  const access = await checkPortalChatAccess(payload, context);
+  if (!access.availability) {
+    return { error: access.reply };
+  }
+
+  const outcome = String(payload?.outcome || "");
+  if (!KB_DEFLECTION_OUTCOMES.includes(outcome)) {
+    return { error: "Unknown deflection outcome." };
+  }
+
+  await recordKbDeflectionEvents([outcome]);
+  return { success: true };
+});
+
+defineAdminResolver("getKbDeflectionStats", async () => {
+  const stats = (await storage.get(KB_DEFLECTION_STATS_STORAGE_KEY)) || {};
+  const recent = Object.values(stats.daily || {}).reduce((sum, dayCounts) => {
+    for (const key of Object.keys(sum)) {
+      sum[key] += Number(dayCounts?.[key]) || 0;
+    }
+    return sum;
+  }, createEmptyDeflectionCounts());
+
+  return {
+    totals: { ...createEmptyDeflectionCounts(), ...(stats.totals || {}) },
+    recent,
+    recentDays: KB_DEFLECTION_STATS_DAYS,
+  };
+});
+
+resolver.define("getPortalRequestStatus", async ({ payload, context }) => {
+  const access = await checkPortalChatAccess(payload, context);
+  if (!access.availability) {
+    return access;
+  }
+
+  return describePortalRequestStatus({
+    issueKey: payload?.issueKey,
+    portalContext: access.portalContext,
+    language: normalizePortalLanguage(payload?.language) || DEFAULT_PORTAL_LANGUAGE,
+  });
+});
+
+resolver.define("getPortalChatStream", async ({ payload, context }) => {
+  const streamId = normalizePortalChatStreamId(payload?.streamId);
+  if (!streamId) {
+    return { error: "Invalid stream id." };
+  }
+
+  const { stateKey } = getPortalChatStreamStorageKeys(streamId);
+  const streamState = await storage.get(stateKey);
+  if (!streamState) {
+    return { text: "", done: true };
+  }
+  if (streamState.requesterId !== getPortalChatRequesterId(context)) {
+    return { error: "Stream not found." };
+  }
+
+  const isStale = Date.now() - Number(streamState.updatedAt || 0) > PORTAL_CHAT_STREAM_STALE_MS;
+  return { text: streamState.text || "", done: Boolean(streamState.done) || isStale };
+});
+
+resolver.define("cancelPortalChatStream", async ({ payload, context }) => {
+  const streamId = normalizePortalChatStreamId(payload?.streamId);
+  if (!streamId) {
+    return { error: "Invalid stream id." };
+  }
+
+  const requesterId = getPortalChatRequesterId(context);
+  const { stateKey, cancelKey } = getPortalChatStreamStorageKeys(streamId);
+  const streamState = await storage.get(stateKey);
+  if (streamState && streamState.requesterId !== requesterId) {
+    return { error: "Stream not found." };
+  }
+  if (streamState?.done) {
+    return { success: false, reason: "not_running" };
+  }
+
+  // The streaming resolver deletes its keys when it finishes, so a flag for a
+  // stream that is not running yet goes to the requester's pending key.
+  if (streamState) {
+    await storage.set(cancelKey, { cancelled: true, cancelledAt: Date.now() });
+  } else {
+    await storage.set(getPortalChatPendingCancelKey(requesterId), {
+      streamId,
+      expiresAt: Date.now() + PORTAL_CHAT_PENDING_CANCEL_TTL_MS,
+    });
+  }
+  return { success: true };
 });
 
-function formatFallbackReply(issueResults, intent) {
+/**
+ * Label/value lines answering the intent for one issue. "all" lists every
+ * aspect that has a value; a single intent also says when its value is
+ * missing ("Due: Not set"). Shared by the text reply and the issue card.
+ */
+function buildIssueResultDetails(r, intent, language) {
+  const shows = (...intents) => intent === "all" || intents.includes(intent);
+  const showsMissing = intent !== "all";
+  const t = (key, params) => translatePortalMessage(language, key, params);
+  const details = [];
+
+  // Values (status names, people, Jira link types) stay as Jira returns them.
+  if (shows("status", "due", "latest_update", "resolution", "links")) {
+    details.push({ key: "status", label: t("labelStatus"), value: r.status });
+  }
+  if (shows("assignee")) details.push({ key: "assignee", label: t("labelAssignee"), value: r.assignee });
+  if (shows("reporter")) details.push({ key: "reporter", label: t("labelReporter"), value: r.reporter });
+  if (shows("priority") && (r.priority || showsMissing)) {
+    details.push({ key: "priority", label: t("labelPriority"), value: r.priority || t("valueNone") });
+  }
+  if (shows("due")) {
+    if (r.dueDate || (showsMissing && !r.resolution)) {
+      details.push({ key: "due", label: t("labelDue"), value: r.dueDate || t("valueNotSet") });
+    }
+    (r.sla || []).forEach((line) => details.push({ key: "sla", label: t("labelSla"), value: line }));
+  }
+  if ((shows("resolution") && (r.resolution || showsMissing)) || (intent === "due" && r.resolution)) {
+    details.push({
+      key: "resolution",
+      label: t("labelResolution"),
+      value: r.resolution
+        ? `${r.resolution}${r.resolutionDate ? ` (${r.resolutionDate})` : ""}`
+        : t("valueUnresolved"),
+    });
+  }
+  if (shows("latest_update")) {
+    if (r.latestComment) {
+      details.push({
+        key: "latest_update",
+        label: t("labelLatestUpdateBy", { author: r.latestComment.author, created: r.latestComment.created }),
+        value: r.latestComment.body,
+      });
+    } else if (showsMissing) {
+      details.push({ key: "latest_update", label: t("labelLatestUpdate"), value: t("valueNoPublicComments") });
+    }
+  }
+  if (shows("links")) {
+    const linkedIssues = r.linkedIssues || [];
+    if (r.blockedBy?.length) {
+      details.push({ key: "blocked_by", label: t("labelBlockedBy"), value: r.blockedBy.join(", ") });
+    }
+    if (linkedIssues.length > 0 || showsMissing) {
+      details.push({
+        key: "links",
+        label: t("labelLinkedIssues"),
+        value:
+          linkedIssues
+            .map((linkedIssue) => `${linkedIssue.relationship} ${linkedIssue.issueKey} (${linkedIssue.status})`)
+            .join("; ") || t("valueNone"),
+      });
+    }
+  }
+  return details;
+}
+
+function formatFallbackReply(issueResults, intent, language = DEFAULT_PORTAL_LANGUAGE) {
   return issueResults
     .map((r) => {
-      if (r.error) return `${r.issueKey}: Could not be found.`;
+      if (r.error) return `${r.issueKey}: ${translatePortalMessage(language, "issueNotFound")}`;
       const parts = [`${r.issueKey} — ${r.summary}`];
-      if (intent === "status" || intent === "all") parts.push(`Status: ${r.status}`);
-      if (intent === "assignee" || intent === "all") parts.push(`Assignee: ${r.assignee}`);
-      if (intent === "reporter" || intent === "all") parts.push(`Reporter: ${r.reporter}`);
+      buildIssueResultDetails(r, intent, language).forEach((detail) => parts.push(`${detail.label}: ${detail.value}`));
       return parts.join("\n");
     })
     .join("\n\n");
 }
 
+/**
+ * Status and assignee are shown as the card's lozenge and avatar, so they are
+ * left out of its detail lines.
+ */
+function buildIssueResultCard({ issueResults, intent, language, issueCardExtras, intro }) {
+  return buildIssueCard({
+    intro,
+    issues: issueResults.map((r) => {
+      if (r.error) {
+        return { issueKey: r.issueKey, error: translatePortalMessage(language, "issueNotFound") };
+      }
+      const extras = issueCardExtras[r.issueKey] || {};
+      return {
+        issueKey: r.issueKey,
+        summary: r.summary,
+        status: r.status,
+        statusCategory: extras.statusCategory || r.statusCategory,
+        assignee: extras.assigned ? { displayName: r.assignee, avatarUrl: extras.assigneeAvatarUrl } : null,
+        url: extras.url,
+        details: buildIssueResultDetails(r, intent, language).filter(
+          (detail) => detail.key !== "status" && !(detail.key === "assignee" && extras.assigned)
+        ),
+      };
+    }),
+  });
+}
+
 export const handler = resolver.getDefinitions();
@@ -0,0 +1,459 @@
+/**
+ * LLM provider registry. Each provider owns its request shape, response, usage
+ * and stream parsing, error mapping and model listing so callers in index.js
+ * stay provider-agnostic. Add a provider by adding an entry to LLM_PROVIDERS.
+ */
+
+const ANTHROPIC_API_VERSION = "2023-06-01";
+const DEFAULT_AZURE_API_VERSION = "2024-10-21";
+
+/**
+ * Provider error bodies are usually JSON with a nested message. Prefer that
+ * message over the raw body so admins see something readable.
+ */
+function extractProviderErrorMessage(errorText) {
+  const rawText = String(errorText || "").trim();
+  if (!rawText) {
+    return "Unknown error";
+  }
+
+  try {
+    const parsed = JSON.parse(rawText);
+    const candidate = Array.isArray(parsed) ? parsed[0] : parsed;
+    return (
+      candidate?.error?.message ||
+      candidate?.message ||
+      (typeof candidate?.error === "string" ? candidate.error : "") ||
+      rawText
+    );
+  } catch {
+    return rawText;
+  }
+}
+
+function mapCommonProviderError(status, errorText) {
+  const detail = extractProviderErrorMessage(errorText);
+  if (status === 401 || status === 403) {
+    return `AI service error: ${status} — the API key was rejected (${detail})`;
+  }
+  if (status === 404) {
+    return `AI service error: ${status} — model or endpoint not found (${detail})`;
+  }
+  if (status === 429) {
+    return `AI service error: ${status} — rate limit or quota exceeded (${detail})`;
+  }
+  return `AI service error: ${status} — ${detail}`;
+}
+
+function trimTrailingSlashes(value) {
+  return String(value || "").trim().replace(/\/+$/, "");
+}
+
+function buildOpenAiChatBody({ model, systemPrompt, userMessage, maxTokens, stream }) {
+  const body = {
+    max_tokens: maxTokens,
+    messages: [
+      { role: "system", content: systemPrompt },
+      { role: "user", content: userMessage },
+    ],
+  };
+  if (model) {
+    body.model = model;
+  }
+  if (stream) {
+    body.stream = true;
+  }
+  return body;
+}
+
+function parseOpenAiChatResponse(data) {
+  return data?.choices?.[0]?.message?.content?.trim() || "";
+}
+
+function parseOpenAiUsage(data) {
+  return data?.usage
+    ? { inputTokens: Number(data.usage.prompt_tokens) || 0, outputTokens: Number(data.usage.completion_tokens) || 0 }
+    : null;
+}
+
+function parseOpenAiStreamEvent(data) {
+  return { delta: data?.choices?.[0]?.delta?.content };
+}
+
+/**
+ * OpenAI-style GET /models listing shared by OpenAI and compatible servers
+ * (vLLM, Ollama, LM Studio).
+ */
+async function listOpenAiStyleModels(url, headers) {
+  const response = await fetch(url, { headers: { Accept: "application/json", ...headers } });
+  if (!response.ok) {
+    const errorText = await response.text();
+    return { error: mapCommonProviderError(response.status, errorText) };
+  }
+
+  const data = await response.json();
+  const values = Array.isArray(data?.data) ? data.data : Array.isArray(data?.models) ? data.models : [];
+  return {
+    models: values
+      .map((model) => String(model?.id || model?.name || "").trim())
+      .filter(Boolean)
+      .sort()
+      .map((id) => ({ value: id, label: id })),
+  };
+}
+
+function validateHttpsUrl(value, label) {
+  const normalized = trimTrailingSlashes(value);
+  if (!normalized) {
+    return `${label} is required.`;
+  }
+  try {
+    const url = new URL(normalized);
+    if (url.protocol !== "https:") {
+      return `${label} must use https.`;
+    }
+  } catch {
+    return `${label} must be a valid URL.`;
+  }
+  return null;
+}
+
+const openAiProvider = {
+  id: "openai",
+  label: "OpenAI",
+  apiKeyRequired: true,
+  apiKeyPlaceholder: "sk-...",
+  modelLabel: "Model",
+  allowCustomModel: false,
+  settingsFields: [],
+  models: [
+    { value: "gpt-4o", label: "GPT-4o" },
+    { value: "gpt-4o-mini", label: "GPT-4o Mini" },
+    { value: "gpt-4-turbo", label: "GPT-4 Turbo" },
+    { value: "gpt-3.5-turbo", label: "GPT-3.5 Turbo" },
+  ],
+  buildRequest({ settings, systemPrompt, userMessage, maxTokens, stream }) {
+    return {
+      url: "https://api.openai.com/v1/chat/completions",
+      headers: { Authorization: `Bearer ${settings.apiKey}` },
+      body: buildOpenAiChatBody({ model: settings.model, systemPrompt, userMessage, maxTokens, stream }),
+    };
+  },
+  parseResponse: parseOpenAiChatResponse,
+  parseUsage: parseOpenAiUsage,
+  parseStreamEvent: parseOpenAiStreamEvent,
+  mapError: mapCommonProviderError,
+  async listModels(settings) {
+    if (!settings?.apiKey) {
+      return { models: this.models };
+    }
+    const listed = await listOpenAiStyleModels("https://api.openai.com/v1/models", {
+      Authorization: `Bearer ${settings.apiKey}`,
+    });
+    if (listed.error) {
+      return listed;
+    }
+    // The raw listing includes embeddings, audio and moderation models.
+    return { models: listed.models.filter((model) => /^(gpt|o\d|chatgpt)/i.test(model.value)) };
+  },
+};
+
+const claudeProvider = {
+  id: "claude",
+  label: "Anthropic Claude",
+  apiKeyRequired: true,
+  apiKeyPlaceholder: "sk-ant-...",
+  modelLabel: "Model",
+  allowCustomModel: false,
+  settingsFields: [],
+  models: [
+    { value: "claude-sonnet-4-5-20250929", label: "Claude Sonnet 4.5" },
+    { value: "claude-opus-4-6", label: "Claude Opus 4.6" },
+    { value: "claude-haiku-4-5-20251001", label: "Claude Haiku 4.5" },
+  ],
+  buildRequest({ settings, systemPrompt, userMessage, maxTokens, stream }) {
+    const body = {
+      model: settings.model,
+      max_tokens: maxTokens,
+      system: systemPrompt,
+      messages: [{ role: "user", content: userMessage }],
+    };
+    if (stream) {
+      body.stream = true;
+    }
+    return {
+      url: "https://api.anthropic.com/v1/messages",
+      headers: {
+        "x-api-key": settings.apiKey,
+        "anthropic-version": ANTHROPIC_API_VERSION,
+      },
+      body,
+    };
+  },
+  parseResponse(data) {
+    return Array.isArray(data?.content)
+      ? data.content
+          .map((part) => (typeof part?.text === "string" ? part.text : ""))
+          .join("\n")
+          .trim()
+      : "";
+  },
+  parseUsage(data) {
+    return data?.usage
+      ? { inputTokens: Number(data.usage.input_tokens) || 0, outputTokens: Number(data.usage.output_tokens) || 0 }
+      : null;
+  },
+  parseStreamEvent(data) {
+    if (data?.type === "message_stop") {
+      return { done: true };
+    }
+    return data?.type === "content_block_delta" ? { delta: data.delta?.text } : {};
+  },
+  mapError: mapCommonProviderError,
+  async listModels() {
+    return { models: this.models };
+  },
+};
+
+const azureOpenAiProvider = {
+  id: "azure_openai",
+  label: "Azure OpenAI",
+  apiKeyRequired: true,
+  apiKeyPlaceholder: "Azure resource key",
+  modelLabel: "Deployment name",
+  allowCustomModel: true,
+  settingsFields: [
+    {
+      key: "baseUrl",
+      label: "Endpoint",
+      placeholder: "https://my-resource.openai.azure.com",
+      required: true,
+    },
+    {
+      key: "apiVersion",
+      label: "API version",
+      placeholder: DEFAULT_AZURE_API_VERSION,
+      required: false,
+      defaultValue: DEFAULT_AZURE_API_VERSION,
+    },
+  ],
+  models: [],
+  validateSettings(settings) {
+    return validateHttpsUrl(settings?.baseUrl, "Endpoint");
+  },
+  buildRequest({ settings, systemPrompt, userMessage, maxTokens, stream }) {
+    const baseUrl = trimTrailingSlashes(settings.baseUrl);
+    const deployment = encodeURIComponent(settings.model);
+    const apiVersion = encodeURIComponent(settings.apiVersion || DEFAULT_AZURE_API_VERSION);
+    return {
+      url: `${baseUrl}/openai/deployments/${deployment}/chat/completions?api-version=${apiVersion}`,
+      headers: { "api-key": settings.apiKey },
+      // The deployment in the URL selects the model; Azure ignores body.model.
+      body: buildOpenAiChatBody({ systemPrompt, userMessage, maxTokens, stream }),
+    };
+  },
+  parseResponse: parseOpenAiChatResponse,
+  parseUsage: parseOpenAiUsage,
+  parseStreamEvent: parseOpenAiStreamEvent,
+  mapError: mapCommonProviderError,
+  async listModels() {
+    // Deployments are named per resource and need management-plane access to list.
+    return { models: [] };
+  },
+};
+
+const geminiProvider = {
+  id: "gemini",
+  label: "Google Gemini",
+  apiKeyRequired: true,
+  apiKeyPlaceholder: "AIza...",
+  modelLabel: "Model",
+  allowCustomModel: false,
+  settingsFields: [],
+  models: [
+    { value: "gemini-2.5-pro", label: "Gemini 2.5 Pro" },
+    { value: "gemini-2.5-flash", label: "Gemini 2.5 Flash" },
+    { value: "gemini-2.0-flash", label: "Gemini 2.0 Flash" },
+  ],
+  buildRequest({ settings, systemPrompt, userMessage, maxTokens, stream }) {
+    const model = encodeURIComponent(settings.model);
+    const action = stream ? "streamGenerateContent?alt=sse" : "generateContent";
+    return {
+      url: `https://generativelanguage.googleapis.com/v1beta/models/${model}:${action}`,
+      headers: { "x-goog-api-key": settings.apiKey },
+      body: {
+        systemInstruction: { parts: [{ text: systemPrompt }] },
+        contents: [{ role: "user", parts: [{ text: userMessage }] }],
+        generationConfig: { maxOutputTokens: maxTokens },
+      },
+    };
+  },
+  parseResponse(data) {
+    const parts = data?.candidates?.[0]?.content?.parts;
+    return Array.isArray(parts)
+      ? parts
+          .map((part) => (typeof part?.text === "string" ? part.text : ""))
+          .join("")
+          .trim()
+      : "";
+  },
+  parseUsage(data) {
+    const usage = data?.usageMetadata;
+    return usage
+      ? { inputTokens: Number(usage.promptTokenCount) || 0, outputTokens: Number(usage.candidatesTokenCount) || 0 }
+      : null;
+  },
+  parseStreamEvent(data) {
+    const parts = data?.candidates?.[0]?.content?.parts;
+    return {
+      delta: Array.isArray(parts)
+        ? parts.map((part) => (typeof part?.text === "string" ? part.text : "")).join("")
+        : "",
+    };
+  },
+  mapError: mapCommonProviderError,
+  async listModels(settings) {
+    if (!settings?.apiKey) {
+      return { models: this.models };
+    }
+
+    const response = await fetch("https://generativelanguage.googleapis.com/v1beta/models?pageSize=100", {
+      headers: { Accept: "application/json", "x-goog-api-key": settings.apiKey },
+    });
+    if (!response.ok) {
+      const errorText = await response.text();
+      return { error: mapCommonProviderError(response.status, errorText) };
+    }
+
+    const data = await response.json();
+    return {
+      models: (Array.isArray(data?.models) ? data.models : [])
+        .filter((model) => (model?.supportedGenerationMethods || []).includes("generateContent"))
+        .map((model) => {
+          const value = String(model.name || "").replace(/^models\//, "");
+          return { value, label: model.displayName || value };
+        })
+        .filter((model) => model.value),
+    };
+  },
+};
+
+const openAiCompatibleProvider = {
+  id: "openai_compatible",
+  label: "OpenAI-compatible endpoint",
+  apiKeyRequired: false,
+  apiKeyPlaceholder: "Optional bearer token",
+  modelLabel: "Model",
+  allowCustomModel: true,
+  settingsFields: [
+    {
+      key: "baseUrl",
+      label: "Base URL",
+      placeholder: "https://llm.example.com/v1",
+      required: true,
+    },
+  ],
+  models: [],
+  validateSettings(settings) {
+    return validateHttpsUrl(settings?.baseUrl, "Base URL");
+  },
+  buildRequest({ settings, systemPrompt, userMessage, maxTokens, stream }) {
+    return {
+      url: `${trimTrailingSlashes(settings.baseUrl)}/chat/completions`,
+      headers: settings.apiKey ? { Authorization: `Bearer ${settings.apiKey}` } : {},
+      body: buildOpenAiChatBody({ model: settings.model, systemPrompt, userMessage, maxTokens, stream }),
+    };
+  },
+  parseResponse: parseOpenAiChatResponse,
+  parseUsage: parseOpenAiUsage,
+  parseStreamEvent: parseOpenAiStreamEvent,
+  mapError: mapCommonProviderError,
+  async listModels(settings) {
+    if (this.validateSettings(settings)) {
+      return { models: [] };
+    }
+    return listOpenAiStyleModels(
+      `${trimTrailingSlashes(settings.baseUrl)}/models`,
+      settings.apiKey ? { Authorization: `Bearer ${settings.apiKey}` } : {}
+    );
+  },
+};
+
+export const LLM_PROVIDERS = [
+  openAiProvider,
+  claudeProvider,
+  azureOpenAiProvider,
+  geminiProvider,
+  openAiCompatibleProvider,
+];
+
+export const DEFAULT_LLM_PROVIDER_ID = openAiProvider.id;
+
+export function getLlmProvider(providerId) {
+  return LLM_PROVIDERS.find((provider) => provider.id === providerId) || null;
+}
+
+/**
+ * Picks only the provider-declared extra settings (base URL, API version)
+ * from arbitrary input, applying declared defaults.
+ */
+export function pickLlmProviderOptions(provider, source) {
+  const options = {};
+  for (const field of provider?.settingsFields || []) {
+    const rawValue = typeof source?.[field.key] === "string" ? source[field.key].trim() : "";
+    const value = rawValue || field.defaultValue || "";
+    if (value) {
+      options[field.key] = field.key === "baseUrl" ? trimTrailingSlashes(value) : value;
+    }
+  }
+  return options;
+}
+
+/**
+ * Returns a validation error message for a settings object, or null when the
+ * provider has everything it needs to make a request.
+ */
+export function validateLlmSettings(settings) {
+  const provider = getLlmProvider(settings?.provider);
+  if (!provider) {
+    return `Invalid provider. Must be one of: ${LLM_PROVIDERS.map((candidate) => `'${candidate.id}'`).join(", ")}.`;
+  }
+  if (!settings.model) {
+    return `${provider.modelLabel} is required.`;
+  }
+  if (provider.apiKeyRequired && !settings.apiKey) {
+    return "API key is required.";
+  }
+  for (const field of provider.settingsFields) {
+    if (field.required && !settings[field.key]) {
+      return `${field.label} is required.`;
+    }
+  }
+  return provider.validateSettings ? provider.validateSettings(settings) : null;
+}
+
+export function isLlmConfigured(settings) {
+  return !validateLlmSettings(settings);
+}
+
+/**
+ * Serializable provider metadata for the admin page. Functions stay server-side.
+ */
+export function listLlmProviderSummaries() {
+  return LLM_PROVIDERS.map((provider) => ({
+    id: provider.id,
+    label: provider.label,
+    apiKeyRequired: provider.apiKeyRequired,
+    apiKeyPlaceholder: provider.apiKeyPlaceholder,
+    modelLabel: provider.modelLabel,
+    allowCustomModel: provider.allowCustomModel,
+    settingsFields: provider.settingsFields.map(({ key, label, placeholder, required, defaultValue }) => ({
+      key,
+      label,
+      placeholder,
+      required,
+      defaultValue: defaultValue || "",
+    })),
+    models: provider.models,
+  }));
+}
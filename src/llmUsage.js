@@ -0,0 +1,209 @@
+/**
+ * AI token usage and cost accounting. Every successful provider call is added
+ * to a record for its UTC day, broken down by portal project, provider and
+ * model, and to a running total for its UTC month that the monthly budget is
+ * checked against.
+ *
+ * Costs are computed from the admin's price table when usage is recorded, so
+ * editing a price does not rewrite earlier days. Models without a price count
+ * tokens but no cost, and the dashboard lists them so they can be priced.
+ *
+ * This module only holds the price table and the arithmetic; the records live
+ * in Forge storage and are handled in index.js.
+ */
+
+// USD per million tokens, list prices when this table was written. Admins
+// edit them to match their contract; Azure and custom endpoints have none.
+export const DEFAULT_LLM_PRICE_TABLE = [
+  { provider: "openai", model: "gpt-4o", inputPerMillion: 2.5, outputPerMillion: 10 },
+  { provider: "openai", model: "gpt-4o-mini", inputPerMillion: 0.15, outputPerMillion: 0.6 },
+  { provider: "openai", model: "gpt-4-turbo", inputPerMillion: 10, outputPerMillion: 30 },
+  { provider: "openai", model: "gpt-3.5-turbo", inputPerMillion: 0.5, outputPerMillion: 1.5 },
+  { provider: "claude", model: "claude-sonnet-4-5-20250929", inputPerMillion: 3, outputPerMillion: 15 },
+  { provider: "claude", model: "claude-opus-4-6", inputPerMillion: 5, outputPerMillion: 25 },
+  { provider: "claude", model: "claude-haiku-4-5-20251001", inputPerMillion: 1, outputPerMillion: 5 },
+  { provider: "gemini", model: "gemini-2.5-pro", inputPerMillion: 1.25, outputPerMillion: 10 },
+  { provider: "gemini", model: "gemini-2.5-flash", inputPerMillion: 0.3, outputPerMillion: 2.5 },
+  { provider: "gemini", model: "gemini-2.0-flash", inputPerMillion: 0.1, outputPerMillion: 0.4 },
+];
+
+export const DEFAULT_LLM_COST_SETTINGS = {
+  // Zero means no budget.
+  monthlyBudgetUsd: 0,
+  prices: DEFAULT_LLM_PRICE_TABLE,
+};
+
+export const LLM_PRICE_TABLE_LIMIT = 50;
+export const LLM_USAGE_DASHBOARD_MAX_DAYS = 90;
+
+// Matches every model of a provider that has no entry of its own.
+export const ANY_MODEL = "*";
+
+const MAX_PRICE_PER_MILLION = 10000;
+const MAX_MONTHLY_BUDGET_USD = 1000000;
+const MODEL_MAX_LENGTH = 200;
+const TOP_PROJECT_LIMIT = 10;
+// Storage rows are keyed by project, provider and model; the project is empty
+// for features outside the portal, such as issue analysis.
+const ROW_KEY_SEPARATOR = "|";
+
+function toPrice(value) {
+  const number = Number(value);
+  return Number.isFinite(number) ? number : NaN;
+}
+
+function roundCost(value) {
+  return Math.round(value * 1e6) / 1e6;
+}
+
+/**
+ * Validates the admin form. Provider ids are checked against the registry by
+ * the caller, which passes the known ids in.
+ */
+export function sanitizeLlmCostSettings(rawSettings, providerIds) {
+  const monthlyBudgetUsd = toPrice(rawSettings?.monthlyBudgetUsd ?? 0);
+  if (Number.isNaN(monthlyBudgetUsd) || monthlyBudgetUsd < 0 || monthlyBudgetUsd > MAX_MONTHLY_BUDGET_USD) {
+    return { error: `The monthly budget must be between 0 and ${MAX_MONTHLY_BUDGET_USD} USD.` };
+  }
+
+  const submittedPrices = Array.isArray(rawSettings?.prices) ? rawSettings.prices : [];
+  if (submittedPrices.length > LLM_PRICE_TABLE_LIMIT) {
+    return { error: `At most ${LLM_PRICE_TABLE_LIMIT} prices can be configured.` };
+  }
+
+  const prices = [];
+  const seen = new Set();
+  for (const [index, rawPrice] of submittedPrices.entries()) {
+    const label = `Price ${index + 1}`;
+    const provider = String(rawPrice?.provider || "").trim();
+    const model = String(rawPrice?.model || "").trim() || ANY_MODEL;
+    if (!providerIds.includes(provider)) {
+      return { error: `${label}: choose a provider.` };
+    }
+    if (model.length > MODEL_MAX_LENGTH) {
+      return { error: `${label}: the model name can be at most ${MODEL_MAX_LENGTH} characters.` };
+    }
+    const inputPerMillion = toPrice(rawPrice?.inputPerMillion);
+    const outputPerMillion = toPrice(rawPrice?.outputPerMillion);
+    for (const value of [inputPerMillion, outputPerMillion]) {
+      if (Number.isNaN(value) || value < 0 || value > MAX_PRICE_PER_MILLION) {
+        return { error: `${label}: prices must be between 0 and ${MAX_PRICE_PER_MILLION} USD per million tokens.` };
+      }
+    }
+    const key = `${provider}${ROW_KEY_SEPARATOR}${model}`;
+    if (seen.has(key)) {
+      return { error: `${label}: ${model} already has a price for this provider.` };
+    }
+    seen.add(key);
+    prices.push({ provider, model, inputPerMillion, outputPerMillion });
+  }
+
+  return { settings: { monthlyBudgetUsd, prices } };
+}
+
+/* Exact model first, then the provider's "*" entry. */
+export function findLlmPrice(prices, provider, model) {
+  const candidates = (Array.isArray(prices) ? prices : []).filter((price) => price.provider === provider);
+  return (
+    candidates.find((price) => price.model === model) ||
+    candidates.find((price) => price.model === ANY_MODEL) ||
+    null
+  );
+}
+
+export function computeLlmCost(usage, price) {
+  if (!price) {
+    return 0;
+  }
+  return roundCost(
+    ((Number(usage?.inputTokens) || 0) * price.inputPerMillion +
+      (Number(usage?.outputTokens) || 0) * price.outputPerMillion) /
+      1e6
+  );
+}
+
+function createTotals() {
+  return { requests: 0, inputTokens: 0, outputTokens: 0, costUsd: 0, estimatedRequests: 0, unpricedRequests: 0 };
+}
+
+function addToTotals(totals, entry) {
+  return {
+    requests: totals.requests + (entry.requests ?? 1),
+    inputTokens: totals.inputTokens + (Number(entry.inputTokens) || 0),
+    outputTokens: totals.outputTokens + (Number(entry.outputTokens) || 0),
+    costUsd: roundCost(totals.costUsd + (Number(entry.costUsd) || 0)),
+    estimatedRequests: totals.estimatedRequests + (entry.estimatedRequests ?? (entry.estimated ? 1 : 0)),
+    unpricedRequests: totals.unpricedRequests + (entry.unpricedRequests ?? (entry.priced === false ? 1 : 0)),
+  };
+}
+
+/**
+ * Adds one call to a day record: { day, totals, rows: { [key]: row } }.
+ * `entry` is { projectId, provider, model, inputTokens, outputTokens,
+ * costUsd, estimated, priced }.
+ */
+export function addLlmUsageToDay(dayRecord, day, entry) {
+  const projectId = entry.projectId ? String(entry.projectId) : "";
+  const key = [projectId, entry.provider, entry.model].join(ROW_KEY_SEPARATOR);
+  const rows = { ...(dayRecord?.day === day ? dayRecord.rows : {}) };
+  const previousRow = rows[key] || { projectId, provider: entry.provider, model: entry.model, ...createTotals() };
+  rows[key] = { ...previousRow, ...addToTotals(previousRow, entry) };
+  return {
+    day,
+    totals: addToTotals(dayRecord?.day === day ? dayRecord.totals : createTotals(), entry),
+    rows,
+  };
+}
+
+/* Month records keep totals only: { month, totals }. */
+export function addLlmUsageToMonth(monthRecord, month, entry) {
+  return {
+    month,
+    totals: addToTotals(monthRecord?.month === month ? monthRecord.totals : createTotals(), entry),
+  };
+}
+
+export function getLlmUsageTokens(totals) {
+  return (Number(totals?.inputTokens) || 0) + (Number(totals?.outputTokens) || 0);
+}
+
+/**
+ * Dashboard view of consecutive day records (missing days may be null):
+ * a daily series, the projects with the highest cost (tokens break ties for
+ * unpriced models), per-model totals and the unpriced models.
+ */
+export function summarizeLlmUsage(days, dayRecords) {
+  const byProject = new Map();
+  const byModel = new Map();
+
+  const daily = days.map((day, index) => {
+    const record = dayRecords[index]?.day === day ? dayRecords[index] : null;
+    for (const row of Object.values(record?.rows || {})) {
+      byProject.set(row.projectId, addToTotals(byProject.get(row.projectId) || createTotals(), row));
+      const modelKey = `${row.provider}${ROW_KEY_SEPARATOR}${row.model}`;
+      byModel.set(modelKey, addToTotals(byModel.get(modelKey) || createTotals(), row));
+    }
+    return { day, ...(record?.totals || createTotals()) };
+  });
+
+  const byCost = (a, b) => b.costUsd - a.costUsd || getLlmUsageTokens(b) - getLlmUsageTokens(a);
+  const models = [...byModel.entries()]
+    .map(([key, totals]) => {
+      const [provider, ...modelParts] = key.split(ROW_KEY_SEPARATOR);
+      return { provider, model: modelParts.join(ROW_KEY_SEPARATOR), ...totals };
+    })
+    .sort(byCost);
+
+  return {
+    daily,
+    totals: daily.reduce((totals, day) => addToTotals(totals, day), createTotals()),
+    topProjects: [...byProject.entries()]
+      .map(([projectId, totals]) => ({ projectId: projectId || null, ...totals }))
+      .sort(byCost)
+      .slice(0, TOP_PROJECT_LIMIT),
+    models,
+    unpricedModels: models
+      .filter((model) => model.unpricedRequests > 0)
+      .map(({ provider, model }) => ({ provider, model })),
+  };
+}
@@ -0,0 +1,469 @@
+/**
+ * Language support for the portal assistant: detection from the message and
+ * the customer's Atlassian locale, a catalog for built-in reply strings and
+ * localized intent keywords. English stays the base language; its keywords
+ * live next to the code that uses them and the patterns below extend them.
+ */
+
+export const DEFAULT_PORTAL_LANGUAGE = "en";
+export const SUPPORTED_PORTAL_LANGUAGES = ["en", "de", "fr", "es", "ja"];
+
+const LANGUAGE_NAMES = {
+  en: "English",
+  de: "German",
+  fr: "French",
+  es: "Spanish",
+  ja: "Japanese",
+};
+
+const JAPANESE_SCRIPT_REGEX = /[\u3040-\u30ff\u4e00-\u9faf]/;
+
+// Common short words per language. Words shared between languages (e.g. "la")
+// count for each of them, so only a clear majority decides.
+const LANGUAGE_MARKER_WORDS = {
+  en: [
+    "the", "is", "what", "who", "when", "my", "of", "and", "please", "it", "its", "hi", "hello",
+    "show", "about", "how", "can", "where", "thanks", "yes",
+  ],
+  de: [
+    "der", "die", "das", "ist", "und", "nicht", "ich", "mein", "meine", "wer", "wann", "was", "wie",
+    "bitte", "hallo", "ein", "eine", "den", "dem", "mit", "für", "zugewiesen", "anfrage",
+    "anfragen", "danke", "ja",
+  ],
+  fr: [
+    "le", "la", "les", "est", "et", "je", "mon", "ma", "mes", "qui", "quand", "quel", "quelle",
+    "bonjour", "salut", "pour", "une", "des", "du", "avec", "statut", "demande", "demandes",
+    "merci", "vous", "oui",
+  ],
+  es: [
+    "el", "la", "los", "las", "es", "y", "mi", "mis", "quién", "quien", "cuándo", "cuando", "qué",
+    "hola", "para", "una", "del", "con", "estado", "solicitud", "solicitudes", "gracias", "por",
+    "favor", "está", "sí",
+  ],
+};
+
+/**
+ * Keyword patterns per non-English language, matched on whole words. Issue
+ * intents use the same names as inferIntentFromMessage.
+ */
+const LOCALIZED_KEYWORD_PATTERNS = {
+  de: {
+    greeting: "^\\s*(?:hallo|servus|moin|guten\\s+(?:morgen|tag|abend))[\\s!.,?]*$",
+    assignee: "zugewiesen|bearbeiter|zuständig|wer\\s+bearbeitet",
+    reporter: "gemeldet|erstellt\\s+von|melder|ersteller",
+    due: "wann|fällig|frist|deadline|wie\\s+lange|sla",
+    latest_update: "letzte\\s+(?:aktualisierung|antwort|nachricht)|kommentare?|neuigkeiten",
+    priority: "priorität|dringend",
+    resolution: "gelöst|behoben|geschlossen|lösung",
+    links: "blockiert|verknüpft|abhängig",
+    myRequests: "meine\\s+(?:anfragen|tickets|vorgänge)",
+    requestSearch: "(?:zeige?|liste|finde|suche|welche)\\s.*(?:anfragen|tickets|vorgänge)",
+    followUpReference: "sein|seine|ihr|ihre|dies|diese|dieses|das\\s+ticket|die\\s+anfrage",
+    followUpEllipsis: "^\\s*(?:und|auch|was\\s+ist\\s+mit|wie\\s+sieht\\s+es\\s+mit)",
+  },
+  fr: {
+    greeting: "^\\s*(?:bonjour|salut|bonsoir|coucou)[\\s!.,?]*$",
+    assignee: "assigné|attribué|responsable|qui\\s+s'en\\s+occupe",
+    reporter: "signalé|créé\\s+par|rapporteur|demandeur",
+    due: "quand|échéance|date\\s+limite|combien\\s+de\\s+temps|sla",
+    latest_update: "dernière?\\s+(?:mise\\s+à\\s+jour|réponse|nouvelle)|commentaires?|nouvelles",
+    priority: "priorité|urgent",
+    resolution: "résolue?|corrigée?|fermée?|résolution",
+    links: "bloquée?|liée?|dépend",
+    myRequests: "mes\\s+(?:demandes|tickets)",
+    requestSearch: "(?:montre|affiche|liste|trouve|cherche|quelles?)\\s.*(?:demandes|tickets)",
+    followUpReference: "elle|son|ses|ce\\s+ticket|cette\\s+demande|celui-ci|celle-ci",
+    followUpEllipsis: "^\\s*(?:et|aussi|et\\s+pour|quid\\s+de)",
+  },
+  es: {
+    greeting: "^\\s*(?:hola|buen(?:os)?\\s+(?:días|dias|tardes|noches))[\\s!.,?]*$",
+    assignee: "asignado|asignada|responsable|quién\\s+(?:lo\\s+)?(?:atiende|trabaja)",
+    reporter: "reportado|reportada|creado\\s+por|informador|solicitante",
+    due: "cuándo|cuando|vencimiento|fecha\\s+límite|cuánto\\s+tiempo|sla",
+    latest_update: "última\\s+(?:actualización|respuesta|novedad)|comentarios?|novedades",
+    priority: "prioridad|urgente",
+    resolution: "resuelto|resuelta|arreglado|cerrado|cerrada|resolución",
+    links: "bloqueado|bloqueada|vinculado|vinculada|depende",
+    myRequests: "mis\\s+(?:solicitudes|tickets|peticiones)",
+    requestSearch: "(?:muestra|lista|busca|encuentra|cuáles|cuales)\\s.*(?:solicitudes|tickets|peticiones)",
+    followUpReference: "sus|este|esta|ese|esa|eso|el\\s+ticket|la\\s+solicitud",
+    followUpEllipsis: "^\\s*(?:y|también|tambien|qué\\s+hay\\s+de|que\\s+hay\\s+de)",
+  },
+  ja: {
+    greeting: "^\\s*(?:こんにちは|こんばんは|おはよう(?:ございます)?|もしもし)[\\s!！。、？?]*$",
+    assignee: "担当者|担当|アサイン",
+    reporter: "報告者|起票者|作成者",
+    due: "いつ|期限|期日|締め切り|どのくらい|SLA",
+    latest_update: "最新|コメント|返信",
+    priority: "優先度|緊急",
+    resolution: "解決|完了|クローズ",
+    links: "ブロック|リンク|依存",
+    myRequests: "(?:私|わたし)の(?:リクエスト|チケット|依頼)",
+    requestSearch: "(?:リクエスト|チケット|依頼).*(?:一覧|表示|検索|探)",
+    followUpReference: "それ|その|この|あの",
+    followUpEllipsis: "^\\s*(?:それで|あと|じゃあ|では)",
+  },
+};
+
+const compiledKeywordPatterns = {};
+
+// \b only knows ASCII letters, so word edges are checked with Unicode classes.
+// Japanese has no spaces between words and is matched as a plain substring.
+function getKeywordPattern(language, kind) {
+  const cacheKey = `${language}:${kind}`;
+  if (!(cacheKey in compiledKeywordPatterns)) {
+    const source = LOCALIZED_KEYWORD_PATTERNS[language]?.[kind];
+    compiledKeywordPatterns[cacheKey] = source
+      ? new RegExp(language === "ja" ? source : `(?<![\\p{L}])(?:${source})(?![\\p{L}])`, "iu")
+      : null;
+  }
+  return compiledKeywordPatterns[cacheKey];
+}
+
+// Pronouns and connectives are ordinary words in the other languages ("sein",
+// "y", "et"), so these kinds only match in the conversation's own language.
+const LANGUAGE_SCOPED_KINDS = ["followUpReference", "followUpEllipsis"];
+
+/**
+ * True when the text matches the keyword kind in any supported non-English
+ * language. Every language is tried so that short replies work before the
+ * conversation language is known, except for the language-scoped kinds,
+ * which only match in `language`.
+ */
+export function matchesLocalizedKeyword(kind, text, language) {
+  const value = String(text || "");
+  const languages = LANGUAGE_SCOPED_KINDS.includes(kind)
+    ? [normalizePortalLanguage(language)].filter((code) => code in LOCALIZED_KEYWORD_PATTERNS)
+    : Object.keys(LOCALIZED_KEYWORD_PATTERNS);
+  return languages.some((code) => getKeywordPattern(code, kind)?.test(value));
+}
+
+export function normalizePortalLanguage(value) {
+  const language = String(value || "")
+    .trim()
+    .toLowerCase()
+    .split(/[-_]/)[0];
+  return SUPPORTED_PORTAL_LANGUAGES.includes(language) ? language : null;
+}
+
+/**
+ * Best guess from the text alone, or null when the message is too short or
+ * mixed to tell (issue keys, "ok", ...).
+ */
+export function detectMessageLanguage(message) {
+  const text = String(message || "");
+  if (JAPANESE_SCRIPT_REGEX.test(text)) {
+    return "ja";
+  }
+
+  const words = text.toLowerCase().match(/[\p{L}]+/gu) || [];
+  const scores = Object.entries(LANGUAGE_MARKER_WORDS)
+    .map(([language, markers]) => ({
+      language,
+      score: words.filter((word) => markers.includes(word)).length,
+    }))
+    .sort((a, b) => b.score - a.score);
+
+  return scores[0].score > 0 && scores[0].score > scores[1].score ? scores[0].language : null;
+}
+
+/**
+ * Message language first, then what the widget used last (it may have
+ * detected it from an earlier message), then the customer's profile locale.
+ */
+export function resolvePortalLanguage({ message, preferredLanguage, locale }) {
+  return (
+    detectMessageLanguage(message) ||
+    normalizePortalLanguage(preferredLanguage) ||
+    normalizePortalLanguage(locale) ||
+    DEFAULT_PORTAL_LANGUAGE
+  );
+}
+
+export function getPortalLanguageName(language) {
+  return LANGUAGE_NAMES[normalizePortalLanguage(language) || DEFAULT_PORTAL_LANGUAGE];
+}
+
+/**
+ * Instruction appended to customer-facing LLM prompts. Jira values are data,
+ * not prose, and must stay as the customer sees them in the portal.
+ */
+export function buildLanguageInstruction(language) {
+  return (
+    `Reply in ${getPortalLanguageName(language)}. ` +
+    "Keep issue keys, status names, request type names and field names exactly as given; do not translate them."
+  );
+}
+
+const PORTAL_MESSAGE_CATALOG = {
+  en: {
+    emptyMessage: "Please enter a message.",
+    greetingHelp:
+      "I'm your Jira Assistant! I can help you check the status, assignee, due date, SLA, priority, latest update and blockers of Jira issues.\n\nTry asking me something like:\n• \"What is the status of TJ-1?\"\n• \"When will PROJ-42 be done?\"\n• \"What was the last update on TJ-7?\"\n• \"Show my open requests from last week\"",
+    noIssueKey:
+      "Please include a Jira issue key (for example TJ-1), or ask me to find your requests (for example \"show my open requests\").\n\nI can then tell you the status, assignee, due date, SLA, latest update and blockers for that issue.",
+    somethingWentWrong: "Something went wrong: {error}",
+    issueNotFound: "Could not be found.",
+    resolvedKeysNote: "(Taking this to be about {keys}.)",
+    labelStatus: "Status",
+    labelAssignee: "Assignee",
+    labelReporter: "Reporter",
+    labelPriority: "Priority",
+    labelDue: "Due",
+    labelSla: "SLA",
+    labelResolution: "Resolution",
+    labelLatestUpdate: "Latest update",
+    labelLatestUpdateBy: "Latest update ({author}, {created})",
+    labelBlockedBy: "Blocked by",
+    labelLinkedIssues: "Linked issues",
+    valueNone: "None",
+    valueNotSet: "Not set",
+    valueUnresolved: "Unresolved",
+    valueNoPublicComments: "No public comments yet",
+    myRequestsIntro: "Here are your requests:",
+    myRequestsMoreIntro: "More of your requests:",
+    myRequestsFooter: "Select a request to see its full status.",
+    myRequestsEmpty: "You don't have any requests in this portal yet.",
+    myRequestsNoMore: "There are no more requests to show.",
+    portalChatDisabled: "Jira Assistant is disabled for this portal project. Please contact your administrator.",
+    rateLimitTooQuickly: "You're sending messages too quickly. Please wait about {seconds} seconds and try again.",
+    rateLimitBusy:
+      "Jira Assistant is handling a lot of requests right now. Please wait about {seconds} seconds and try again.",
+    requestSearchMineIntro: "Here are your requests{filter}:",
+    requestSearchIntro: "Here are requests{filter}:",
+    requestSearchMoreIntro: "More matching requests:",
+    requestSearchMineEmpty: "I couldn't find any of your requests{filter}.",
+    requestSearchEmpty: "I couldn't find any requests{filter}.",
+    requestSearchNoMore: "There are no more matching requests.",
+    showMoreFooter: "Select \"Show more\" to see the next page.",
+    optionShowMore: "Show more",
+    optionAddComment: "Add a comment",
+    labelRequestType: "Request type",
+    labelHistory: "History",
+    labelCreated: "Created",
+    labelLink: "Link",
+    valueUnknown: "Unknown",
+    valueStatusSince: "{status} (since {since})",
+    detailUpdated: "Updated {date}",
+    kbArticlesIntro: "These articles might help:",
+  },
+  de: {
+    emptyMessage: "Bitte gib eine Nachricht ein.",
+    greetingHelp:
+      "Ich bin dein Jira Assistant! Ich kann dir Status, Bearbeiter, Fälligkeit, SLA, Priorität, letzte Aktualisierung und Blocker von Jira-Vorgängen nennen.\n\nFrag mich zum Beispiel:\n• \"Was ist der Status von TJ-1?\"\n• \"Wann ist PROJ-42 fertig?\"\n• \"Was war die letzte Aktualisierung zu TJ-7?\"\n• \"Zeige meine offenen Anfragen\"",
+    noIssueKey:
+      "Bitte gib einen Jira-Schlüssel an (zum Beispiel TJ-1) oder bitte mich, deine Anfragen zu suchen (zum Beispiel \"zeige meine offenen Anfragen\").\n\nDann nenne ich dir Status, Bearbeiter, Fälligkeit, SLA, letzte Aktualisierung und Blocker.",
+    somethingWentWrong: "Etwas ist schiefgelaufen: {error}",
+    issueNotFound: "Nicht gefunden.",
+    resolvedKeysNote: "(Ich gehe davon aus, dass es um {keys} geht.)",
+    labelStatus: "Status",
+    labelAssignee: "Bearbeiter",
+    labelReporter: "Melder",
+    labelPriority: "Priorität",
+    labelDue: "Fällig",
+    labelSla: "SLA",
+    labelResolution: "Lösung",
+    labelLatestUpdate: "Letzte Aktualisierung",
+    labelLatestUpdateBy: "Letzte Aktualisierung ({author}, {created})",
+    labelBlockedBy: "Blockiert durch",
+    labelLinkedIssues: "Verknüpfte Vorgänge",
+    valueNone: "Keine",
+    valueNotSet: "Nicht festgelegt",
+    valueUnresolved: "Ungelöst",
+    valueNoPublicComments: "Noch keine öffentlichen Kommentare",
+    myRequestsIntro: "Hier sind deine Anfragen:",
+    myRequestsMoreIntro: "Weitere Anfragen:",
+    myRequestsFooter: "Wähle eine Anfrage, um ihren vollständigen Status zu sehen.",
+    myRequestsEmpty: "Du hast in diesem Portal noch keine Anfragen.",
+    myRequestsNoMore: "Es gibt keine weiteren Anfragen.",
+    portalChatDisabled:
+      "Jira Assistant ist für dieses Portalprojekt deaktiviert. Bitte wende dich an deinen Administrator.",
+    rateLimitTooQuickly:
+      "Du sendest Nachrichten zu schnell. Bitte warte etwa {seconds} Sekunden und versuche es erneut.",
+    rateLimitBusy:
+      "Jira Assistant bearbeitet gerade sehr viele Anfragen. Bitte warte etwa {seconds} Sekunden und versuche es erneut.",
+    requestSearchMineIntro: "Hier sind deine Anfragen{filter}:",
+    requestSearchIntro: "Hier sind die Anfragen{filter}:",
+    requestSearchMoreIntro: "Weitere passende Anfragen:",
+    requestSearchMineEmpty: "Ich konnte keine deiner Anfragen finden{filter}.",
+    requestSearchEmpty: "Ich konnte keine Anfragen finden{filter}.",
+    requestSearchNoMore: "Es gibt keine weiteren passenden Anfragen.",
+    showMoreFooter: "Wähle \"Mehr anzeigen\", um die nächste Seite zu sehen.",
+    optionShowMore: "Mehr anzeigen",
+    optionAddComment: "Kommentar hinzufügen",
+    labelRequestType: "Anfragetyp",
+    labelHistory: "Verlauf",
+    labelCreated: "Erstellt",
+    labelLink: "Link",
+    valueUnknown: "Unbekannt",
+    valueStatusSince: "{status} (seit {since})",
+    detailUpdated: "Aktualisiert {date}",
+    kbArticlesIntro: "Diese Artikel könnten helfen:",
+  },
+  fr: {
+    emptyMessage: "Veuillez saisir un message.",
+    greetingHelp:
+      "Je suis votre Jira Assistant ! Je peux vous indiquer le statut, le responsable, l'échéance, le SLA, la priorité, la dernière mise à jour et les blocages de vos tickets Jira.\n\nEssayez par exemple :\n• \"Quel est le statut de TJ-1 ?\"\n• \"Quand PROJ-42 sera-t-il terminé ?\"\n• \"Quelle est la dernière mise à jour de TJ-7 ?\"\n• \"Montre mes demandes ouvertes\"",
+    noIssueKey:
+      "Veuillez indiquer une clé de ticket Jira (par exemple TJ-1) ou demandez-moi de retrouver vos demandes (par exemple \"montre mes demandes ouvertes\").\n\nJe pourrai alors vous donner le statut, le responsable, l'échéance, le SLA, la dernière mise à jour et les blocages.",
+    somethingWentWrong: "Une erreur s'est produite : {error}",
+    issueNotFound: "Introuvable.",
+    resolvedKeysNote: "(Je suppose qu'il s'agit de {keys}.)",
+    labelStatus: "Statut",
+    labelAssignee: "Responsable",
+    labelReporter: "Rapporteur",
+    labelPriority: "Priorité",
+    labelDue: "Échéance",
+    labelSla: "SLA",
+    labelResolution: "Résolution",
+    labelLatestUpdate: "Dernière mise à jour",
+    labelLatestUpdateBy: "Dernière mise à jour ({author}, {created})",
+    labelBlockedBy: "Bloqué par",
+    labelLinkedIssues: "Tickets liés",
+    valueNone: "Aucun",
+    valueNotSet: "Non définie",
+    valueUnresolved: "Non résolu",
+    valueNoPublicComments: "Aucun commentaire public pour l'instant",
+    myRequestsIntro: "Voici vos demandes :",
+    myRequestsMoreIntro: "Autres demandes :",
+    myRequestsFooter: "Sélectionnez une demande pour voir son statut complet.",
+    myRequestsEmpty: "Vous n'avez encore aucune demande dans ce portail.",
+    myRequestsNoMore: "Il n'y a pas d'autres demandes.",
+    portalChatDisabled:
+      "Jira Assistant est désactivé pour ce projet de portail. Veuillez contacter votre administrateur.",
+    rateLimitTooQuickly:
+      "Vous envoyez des messages trop rapidement. Veuillez patienter environ {seconds} secondes et réessayer.",
+    rateLimitBusy:
+      "Jira Assistant traite actuellement de nombreuses demandes. Veuillez patienter environ {seconds} secondes et réessayer.",
+    requestSearchMineIntro: "Voici vos demandes{filter} :",
+    requestSearchIntro: "Voici les demandes{filter} :",
+    requestSearchMoreIntro: "Autres demandes correspondantes :",
+    requestSearchMineEmpty: "Je n'ai trouvé aucune de vos demandes{filter}.",
+    requestSearchEmpty: "Je n'ai trouvé aucune demande{filter}.",
+    requestSearchNoMore: "Il n'y a plus de demandes correspondantes.",
+    showMoreFooter: "Sélectionnez \"Afficher plus\" pour voir la page suivante.",
+    optionShowMore: "Afficher plus",
+    optionAddComment: "Ajouter un commentaire",
+    labelRequestType: "Type de demande",
+    labelHistory: "Historique",
+    labelCreated: "Créée",
+    labelLink: "Lien",
+    valueUnknown: "Inconnu",
+    valueStatusSince: "{status} (depuis {since})",
+    detailUpdated: "Mise à jour le {date}",
+    kbArticlesIntro: "Ces articles pourraient vous aider :",
+  },
+  es: {
+    emptyMessage: "Escribe un mensaje, por favor.",
+    greetingHelp:
+      "¡Soy tu Jira Assistant! Puedo decirte el estado, el responsable, la fecha de vencimiento, el SLA, la prioridad, la última actualización y los bloqueos de tus incidencias de Jira.\n\nPrueba a preguntarme:\n• \"¿Cuál es el estado de TJ-1?\"\n• \"¿Cuándo estará listo PROJ-42?\"\n• \"¿Cuál fue la última actualización de TJ-7?\"\n• \"Muestra mis solicitudes abiertas\"",
+    noIssueKey:
+      "Incluye una clave de Jira (por ejemplo TJ-1) o pídeme que busque tus solicitudes (por ejemplo \"muestra mis solicitudes abiertas\").\n\nAsí podré decirte el estado, el responsable, la fecha de vencimiento, el SLA, la última actualización y los bloqueos.",
+    somethingWentWrong: "Algo salió mal: {error}",
+    issueNotFound: "No se encontró.",
+    resolvedKeysNote: "(Entiendo que te refieres a {keys}.)",
+    labelStatus: "Estado",
+    labelAssignee: "Responsable",
+    labelReporter: "Informador",
+    labelPriority: "Prioridad",
+    labelDue: "Vencimiento",
+    labelSla: "SLA",
+    labelResolution: "Resolución",
+    labelLatestUpdate: "Última actualización",
+    labelLatestUpdateBy: "Última actualización ({author}, {created})",
+    labelBlockedBy: "Bloqueado por",
+    labelLinkedIssues: "Incidencias vinculadas",
+    valueNone: "Ninguna",
+    valueNotSet: "Sin definir",
+    valueUnresolved: "Sin resolver",
+    valueNoPublicComments: "Todavía no hay comentarios públicos",
+    myRequestsIntro: "Estas son tus solicitudes:",
+    myRequestsMoreIntro: "Más solicitudes:",
+    myRequestsFooter: "Selecciona una solicitud para ver su estado completo.",
+    myRequestsEmpty: "Todavía no tienes solicitudes en este portal.",
+    myRequestsNoMore: "No hay más solicitudes.",
+    portalChatDisabled:
+      "Jira Assistant está desactivado para este proyecto del portal. Ponte en contacto con tu administrador.",
+    rateLimitTooQuickly:
+      "Estás enviando mensajes demasiado rápido. Espera unos {seconds} segundos y vuelve a intentarlo.",
+    rateLimitBusy:
+      "Jira Assistant está atendiendo muchas solicitudes en este momento. Espera unos {seconds} segundos y vuelve a intentarlo.",
+    requestSearchMineIntro: "Estas son tus solicitudes{filter}:",
+    requestSearchIntro: "Estas son las solicitudes{filter}:",
+    requestSearchMoreIntro: "Más solicitudes que coinciden:",
+    requestSearchMineEmpty: "No encontré ninguna de tus solicitudes{filter}.",
+    requestSearchEmpty: "No encontré ninguna solicitud{filter}.",
+    requestSearchNoMore: "No hay más solicitudes que coincidan.",
+    showMoreFooter: "Selecciona \"Mostrar más\" para ver la página siguiente.",
+    optionShowMore: "Mostrar más",
+    optionAddComment: "Añadir un comentario",
+    labelRequestType: "Tipo de solicitud",
+    labelHistory: "Historial",
+    labelCreated: "Creada",
+    labelLink: "Enlace",
+    valueUnknown: "Desconocido",
+    valueStatusSince: "{status} (desde {since})",
+    detailUpdated: "Actualizada {date}",
+    kbArticlesIntro: "Estos artículos podrían ayudarte:",
+  },
+  ja: {
+    emptyMessage: "メッセージを入力してください。",
+    greetingHelp:
+      "Jira Assistant です。Jira 課題のステータス、担当者、期限、SLA、優先度、最新の更新、ブロッカーをお調べします。\n\n例えば次のように聞いてください:\n• 「TJ-1 のステータスは?」\n• 「PROJ-42 はいつ完了しますか?」\n• 「TJ-7 の最新の更新は?」\n• 「私のリクエスト一覧を表示して」",
+    noIssueKey:
+      "Jira の課題キー (例: TJ-1) を含めるか、リクエストの検索をご依頼ください (例: 「私のリクエスト一覧を表示して」)。\n\nその課題のステータス、担当者、期限、SLA、最新の更新、ブロッカーをお伝えします。",
+    somethingWentWrong: "エラーが発生しました: {error}",
+    issueNotFound: "見つかりませんでした。",
+    resolvedKeysNote: "({keys} についてのご質問として回答します。)",
+    labelStatus: "ステータス",
+    labelAssignee: "担当者",
+    labelReporter: "報告者",
+    labelPriority: "優先度",
+    labelDue: "期限",
+    labelSla: "SLA",
+    labelResolution: "解決状況",
+    labelLatestUpdate: "最新の更新",
+    labelLatestUpdateBy: "最新の更新 ({author}、{created})",
+    labelBlockedBy: "ブロック元",
+    labelLinkedIssues: "リンクされた課題",
+    valueNone: "なし",
+    valueNotSet: "未設定",
+    valueUnresolved: "未解決",
+    valueNoPublicComments: "公開コメントはまだありません",
+    myRequestsIntro: "あなたのリクエスト:",
+    myRequestsMoreIntro: "その他のリクエスト:",
+    myRequestsFooter: "リクエストを選択すると詳細なステータスを表示します。",
+    myRequestsEmpty: "このポータルにはまだリクエストがありません。",
+    myRequestsNoMore: "これ以上のリクエストはありません。",
+    portalChatDisabled: "このポータルプロジェクトでは Jira Assistant が無効になっています。管理者にお問い合わせください。",
+    rateLimitTooQuickly: "メッセージの送信間隔が短すぎます。約 {seconds} 秒待ってから再度お試しください。",
+    rateLimitBusy: "Jira Assistant は現在多くのリクエストを処理しています。約 {seconds} 秒待ってから再度お試しください。",
+    requestSearchMineIntro: "あなたのリクエスト{filter}:",
+    requestSearchIntro: "リクエスト{filter}:",
+    requestSearchMoreIntro: "その他の該当リクエスト:",
+    requestSearchMineEmpty: "該当するあなたのリクエストは見つかりませんでした{filter}。",
+    requestSearchEmpty: "該当するリクエストは見つかりませんでした{filter}。",
+    requestSearchNoMore: "これ以上該当するリクエストはありません。",
+    showMoreFooter: "次のページを表示するには「さらに表示」を選択してください。",
+    optionShowMore: "さらに表示",
+    optionAddComment: "コメントを追加",
+    labelRequestType: "リクエストタイプ",
+    labelHistory: "履歴",
+    labelCreated: "作成日",
+    labelLink: "リンク",
+    valueUnknown: "不明",
+    valueStatusSince: "{status} ({since} から)",
+    detailUpdated: "更新日 {date}",
+    kbArticlesIntro: "次の記事が役立つかもしれません:",
+  },
+};
+
+/**
+ * Catalog lookup with {placeholder} substitution. Missing translations fall
+ * back to English so a new string never shows up as a raw key.
+ */
+export function translatePortalMessage(language, key, params = {}) {
+  const catalog = PORTAL_MESSAGE_CATALOG[normalizePortalLanguage(language) || DEFAULT_PORTAL_LANGUAGE];
+  const template = catalog[key] ?? PORTAL_MESSAGE_CATALOG[DEFAULT_PORTAL_LANGUAGE][key] ?? key;
+  return template.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+}
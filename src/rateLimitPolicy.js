@@ -0,0 +1,144 @@
+/**
+ * Rate limiting policy for portal chat. Requests are counted in fixed windows
+ * per requester, per portal project and across the site. Requesters without
+ * an Atlassian account cannot be told apart, so they share one stricter
+ * limit. Signed-in requesters who keep hitting their limit get a cool-down
+ * that doubles with every strike. The daily token budget caps AI usage
+ * across all features.
+ *
+ * This module only holds the policy and the window arithmetic; counters live
+ * in Forge storage and are handled in index.js.
+ */
+
+export const DEFAULT_RATE_LIMIT_POLICY = {
+  user: { maxRequests: 20, windowSeconds: 60 },
+  anonymous: { maxRequests: 5, windowSeconds: 60 },
+  project: { maxRequests: 300, windowSeconds: 60 },
+  global: { maxRequests: 1000, windowSeconds: 60 },
+  // Zero means no budget.
+  dailyTokenBudget: 0,
+  cooldown: { enabled: true, baseSeconds: 60, maxSeconds: 3600, strikeResetSeconds: 24 * 60 * 60 },
+  // Storage errors block requests unless the admin prefers availability.
+  // Anonymous requesters are always blocked on errors.
+  failOpen: false,
+};
+
+export const RATE_LIMIT_SCOPES = ["user", "anonymous", "project", "global"];
+
+const MAX_REQUESTS_LIMIT = 100000;
+const MAX_WINDOW_SECONDS = 24 * 60 * 60;
+const MAX_COOLDOWN_SECONDS = 7 * 24 * 60 * 60;
+const MAX_DAILY_TOKEN_BUDGET = 1000000000;
+
+const SCOPE_LABELS = {
+  user: "Per customer",
+  anonymous: "Anonymous visitors",
+  project: "Per project",
+  global: "Whole site",
+};
+
+function toWholeNumber(value) {
+  const number = Number(value);
+  return Number.isInteger(number) ? number : NaN;
+}
+
+function checkRange(label, value, min, max) {
+  if (Number.isNaN(value) || value < min || value > max) {
+    return `${label} must be a whole number between ${min} and ${max}.`;
+  }
+  return null;
+}
+
+/**
+ * Validates the admin form. Missing values keep their defaults so older
+ * stored policies pick up new settings.
+ */
+export function sanitizeRateLimitPolicy(rawPolicy) {
+  const policy = {};
+
+  for (const scope of RATE_LIMIT_SCOPES) {
+    const rawLimit = { ...DEFAULT_RATE_LIMIT_POLICY[scope], ...(rawPolicy?.[scope] || {}) };
+    const maxRequests = toWholeNumber(rawLimit.maxRequests);
+    const windowSeconds = toWholeNumber(rawLimit.windowSeconds);
+    const error =
+      checkRange(`${SCOPE_LABELS[scope]}: requests`, maxRequests, 1, MAX_REQUESTS_LIMIT) ||
+      checkRange(`${SCOPE_LABELS[scope]}: window`, windowSeconds, 1, MAX_WINDOW_SECONDS);
+    if (error) {
+      return { error };
+    }
+    policy[scope] = { maxRequests, windowSeconds };
+  }
+
+  const dailyTokenBudget = toWholeNumber(rawPolicy?.dailyTokenBudget ?? DEFAULT_RATE_LIMIT_POLICY.dailyTokenBudget);
+  const budgetError = checkRange("Daily token budget", dailyTokenBudget, 0, MAX_DAILY_TOKEN_BUDGET);
+  if (budgetError) {
+    return { error: budgetError };
+  }
+
+  const rawCooldown = { ...DEFAULT_RATE_LIMIT_POLICY.cooldown, ...(rawPolicy?.cooldown || {}) };
+  const cooldown = {
+    enabled: Boolean(rawCooldown.enabled),
+    baseSeconds: toWholeNumber(rawCooldown.baseSeconds),
+    maxSeconds: toWholeNumber(rawCooldown.maxSeconds),
+    strikeResetSeconds: toWholeNumber(rawCooldown.strikeResetSeconds),
+  };
+  const cooldownError =
+    checkRange("Cool-down", cooldown.baseSeconds, 1, MAX_COOLDOWN_SECONDS) ||
+    checkRange("Longest cool-down", cooldown.maxSeconds, 1, MAX_COOLDOWN_SECONDS) ||
+    checkRange("Strike memory", cooldown.strikeResetSeconds, 60, MAX_COOLDOWN_SECONDS);
+  if (cooldownError) {
+    return { error: cooldownError };
+  }
+  if (cooldown.maxSeconds < cooldown.baseSeconds) {
+    return { error: "The longest cool-down must not be shorter than the first one." };
+  }
+
+  return {
+    policy: {
+      ...policy,
+      dailyTokenBudget,
+      cooldown,
+      failOpen: Boolean(rawPolicy?.failOpen ?? DEFAULT_RATE_LIMIT_POLICY.failOpen),
+    },
+  };
+}
+
+/**
+ * Counts one request against a fixed window. Returns the state to store when
+ * the request is allowed, or how long to wait when it is not.
+ */
+export function evaluateRateWindow(state, limit, now) {
+  const windowMs = limit.windowSeconds * 1000;
+  const windowStart = Number(state?.windowStart || 0);
+  if (!windowStart || now - windowStart >= windowMs) {
+    return { allowed: true, nextState: { windowStart: now, count: 1 } };
+  }
+
+  const count = Number(state?.count || 0);
+  if (count >= limit.maxRequests) {
+    return { allowed: false, retryAfterMs: Math.max(0, windowMs - (now - windowStart)) };
+  }
+  return { allowed: true, nextState: { windowStart, count: count + 1 } };
+}
+
+/**
+ * The first strike waits baseSeconds, each further strike twice as long, up
+ * to maxSeconds. Strikes older than strikeResetSeconds are forgotten.
+ */
+export function applyRateLimitStrike(cooldownState, cooldownPolicy, now) {
+  const lastStrikeAt = Number(cooldownState?.lastStrikeAt || 0);
+  const previousStrikes =
+    lastStrikeAt && now - lastStrikeAt < cooldownPolicy.strikeResetSeconds * 1000
+      ? Number(cooldownState?.strikes || 0)
+      : 0;
+  const strikes = previousStrikes + 1;
+  const cooldownSeconds = Math.min(
+    cooldownPolicy.maxSeconds,
+    cooldownPolicy.baseSeconds * 2 ** Math.min(strikes - 1, 30)
+  );
+  return { strikes, lastStrikeAt: now, until: now + cooldownSeconds * 1000 };
+}
+
+export function toRetryAfterSeconds(retryAfterMs) {
+  return Math.max(1, Math.ceil(retryAfterMs / 1000));
+}
@@ -0,0 +1,271 @@
+/**
+ * Redaction of personal data and secrets before text leaves Forge for an AI
+ * provider or the FastAPI backend. Matches are swapped for placeholders such
+ * as [EMAIL_1]; the redactor keeps the mapping for the current request only,
+ * so replies that repeat a placeholder can be restored before the customer
+ * sees them. Nothing is stored.
+ *
+ * Admin settings: { categories: [...], customPatterns: [{ name, pattern }],
+ * projects: { [projectId]: false } }. Redaction is on for a project unless
+ * it is switched off there.
+ */
+
+export const REDACTION_CATEGORIES = [
+  { id: "email", label: "Email addresses" },
+  { id: "phone", label: "Phone numbers" },
+  { id: "card", label: "Credit card numbers" },
+  { id: "iban", label: "IBANs" },
+  { id: "secret", label: "API keys and tokens" },
+];
+
+export const REDACTION_CUSTOM_PATTERN_LIMIT = 20;
+
+const PATTERN_MAX_LENGTH = 500;
+const CUSTOM_NAME_MAX_LENGTH = 30;
+
+export const DEFAULT_REDACTION_SETTINGS = {
+  categories: REDACTION_CATEGORIES.map((category) => category.id),
+  customPatterns: [],
+  projects: {},
+};
+
+const EMAIL_REGEX = /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g;
+// Digits with optional spaces or dashes; the Luhn check weeds out the rest.
+const CARD_REGEX = /\b\d(?:[ -]?\d){12,18}\b/g;
+const IBAN_REGEX = /\b[A-Z]{2}\d{2}(?: ?[A-Z0-9]){11,30}\b/g;
+const PHONE_REGEX = /(?:\+|\b)\d[\d\s().-]{5,}\d\b/g;
+const DATE_PREFIX_REGEX = /^\d{4}[-./]\d{1,2}[-./]\d{1,2}\b/;
+const SECRET_REGEXES = [
+  /\bBearer\s+[A-Za-z0-9._~+/=-]{16,}/g,
+  /\b(?:sk|pk|rk)-[A-Za-z0-9_-]{16,}/g,
+  /\b(?:ghp|gho|ghu|ghs|ghr|github_pat)_[A-Za-z0-9_]{20,}/g,
+  /\bxox[abprs]-[A-Za-z0-9-]{10,}/g,
+  /\bAKIA[0-9A-Z]{16}\b/g,
+  /\bAIza[0-9A-Za-z_-]{35}\b/g,
+  /\beyJ[A-Za-z0-9_-]{8,}\.[A-Za-z0-9_-]{8,}\.[A-Za-z0-9_-]{8,}/g,
+  // Long mixed letter/digit runs look like keys even without a known prefix.
+  /\b(?=[A-Za-z0-9_-]*\d)(?=[A-Za-z0-9_-]*[A-Za-z])[A-Za-z0-9_-]{32,}\b/g,
+];
+
+const PLACEHOLDER_REGEX = /\[([A-Z][A-Z0-9_]*_\d+)\]/g;
+const PLACEHOLDER_SPLIT_REGEX = /(\[[A-Z][A-Z0-9_]*_\d+\])/;
+
+function passesLuhnCheck(digits) {
+  let sum = 0;
+  for (let index = 0; index < digits.length; index += 1) {
+    let digit = Number(digits[digits.length - 1 - index]);
+    if (index % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) {
+        digit -= 9;
+      }
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+function isCardNumber(match) {
+  const digits = match.replace(/\D/g, "");
+  return digits.length >= 13 && digits.length <= 19 && passesLuhnCheck(digits);
+}
+
+// ISO 13616: move the country code and check digits to the end, then mod 97.
+function isIban(match) {
+  const iban = match.replace(/\s/g, "");
+  const rearranged = `${iban.slice(4)}${iban.slice(0, 4)}`;
+  let remainder = 0;
+  for (const char of rearranged) {
+    const value = /\d/.test(char) ? char : String(char.charCodeAt(0) - 55);
+    for (const digit of value) {
+      remainder = (remainder * 10 + Number(digit)) % 97;
+    }
+  }
+  return remainder === 1;
+}
+
+// Dates, issue numbers and version strings share the phone shape; 7 to 15
+// digits (E.164) and a separator or leading "+" keep those out.
+function isPhoneNumber(match) {
+  const digits = match.replace(/\D/g, "");
+  return (
+    digits.length >= 7 &&
+    digits.length <= 15 &&
+    !DATE_PREFIX_REGEX.test(match) &&
+    (match.startsWith("+") || /[\s().-]/.test(match))
+  );
+}
+
+function toPlaceholderName(name) {
+  return (
+    String(name || "")
+      .toUpperCase()
+      .replace(/[^A-Z0-9]+/g, "_")
+      .replace(/^_+|_+$/g, "")
+      .replace(/^(\d)/, "X$1")
+      .slice(0, CUSTOM_NAME_MAX_LENGTH) || "CUSTOM"
+  );
+}
+
+function buildCustomPatternRegex(pattern) {
+  try {
+    return new RegExp(pattern, "g");
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Validates admin input. Unknown categories are dropped; invalid custom
+ * patterns are reported so the admin can fix them.
+ */
+export function sanitizeRedactionSettings(rawSettings) {
+  const categoryIds = REDACTION_CATEGORIES.map((category) => category.id);
+  const categories = (Array.isArray(rawSettings?.categories) ? rawSettings.categories : []).filter((category) =>
+    categoryIds.includes(category)
+  );
+
+  const submittedPatterns = Array.isArray(rawSettings?.customPatterns) ? rawSettings.customPatterns : [];
+  if (submittedPatterns.length > REDACTION_CUSTOM_PATTERN_LIMIT) {
+    return { error: `At most ${REDACTION_CUSTOM_PATTERN_LIMIT} custom patterns can be configured.` };
+  }
+
+  const customPatterns = [];
+  for (const [index, rawPattern] of submittedPatterns.entries()) {
+    const label = `Pattern ${index + 1}`;
+    const pattern = String(rawPattern?.pattern || "").trim();
+    if (!pattern) {
+      return { error: `${label}: enter a regular expression.` };
+    }
+    if (pattern.length > PATTERN_MAX_LENGTH) {
+      return { error: `${label}: the pattern can be at most ${PATTERN_MAX_LENGTH} characters.` };
+    }
+    try {
+      new RegExp(pattern, "g");
+    } catch (err) {
+      return { error: `${label}: invalid pattern — ${err.message}` };
+    }
+    if (new RegExp(pattern, "g").test("")) {
+      return { error: `${label}: the pattern must not match empty text.` };
+    }
+    customPatterns.push({ name: toPlaceholderName(rawPattern?.name), pattern });
+  }
+
+  const projects = {};
+  if (rawSettings?.projects && typeof rawSettings.projects === "object") {
+    for (const [projectId, enabled] of Object.entries(rawSettings.projects)) {
+      if (/^\d+$/.test(projectId) && enabled === false) {
+        projects[projectId] = false;
+      }
+    }
+  }
+
+  return { settings: { categories: [...new Set(categories)], customPatterns, projects } };
+}
+
+export function isRedactionEnabledForProject(settings, projectId) {
+  return !projectId || settings?.projects?.[String(projectId)] !== false;
+}
+
+/**
+ * Creates a redactor for one request. The same value always gets the same
+ * placeholder, so the model can still tell two addresses apart.
+ */
+export function createRedactor(settings) {
+  const enabledCategories = new Set(settings?.categories || []);
+  const detectors = [];
+  if (enabledCategories.has("secret")) {
+    SECRET_REGEXES.forEach((regex) => detectors.push({ name: "SECRET", regex }));
+  }
+  if (enabledCategories.has("email")) {
+    detectors.push({ name: "EMAIL", regex: EMAIL_REGEX });
+  }
+  if (enabledCategories.has("iban")) {
+    detectors.push({ name: "IBAN", regex: IBAN_REGEX, accept: isIban });
+  }
+  if (enabledCategories.has("card")) {
+    detectors.push({ name: "CARD", regex: CARD_REGEX, accept: isCardNumber });
+  }
+  if (enabledCategories.has("phone")) {
+    detectors.push({ name: "PHONE", regex: PHONE_REGEX, accept: isPhoneNumber });
+  }
+  for (const customPattern of settings?.customPatterns || []) {
+    const regex = buildCustomPatternRegex(customPattern.pattern);
+    if (regex) {
+      detectors.push({ name: toPlaceholderName(customPattern.name), regex });
+    }
+  }
+
+  const placeholdersByValue = new Map();
+  const valuesByPlaceholder = new Map();
+  const countsByName = {};
+
+  const getPlaceholder = (name, value) => {
+    const existing = placeholdersByValue.get(value);
+    if (existing) {
+      return existing;
+    }
+    countsByName[name] = (countsByName[name] || 0) + 1;
+    const placeholder = `[${name}_${countsByName[name]}]`;
+    placeholdersByValue.set(value, placeholder);
+    valuesByPlaceholder.set(placeholder, value);
+    return placeholder;
+  };
+
+  const redact = (text) => {
+    if (typeof text !== "string" || !text || detectors.length === 0) {
+      return text;
+    }
+    return detectors.reduce(
+      (current, detector) =>
+        // Placeholders from an earlier detector sit at odd indices and are
+        // never redacted again.
+        current
+          .split(PLACEHOLDER_SPLIT_REGEX)
+          .map((segment, index) =>
+            index % 2 === 1
+              ? segment
+              : segment.replace(detector.regex, (match) =>
+                  detector.accept && !detector.accept(match) ? match : getPlaceholder(detector.name, match)
+                )
+          )
+          .join(""),
+      text
+    );
+  };
+
+  const restore = (text) => {
+    if (typeof text !== "string" || valuesByPlaceholder.size === 0) {
+      return text;
+    }
+    return text.replace(PLACEHOLDER_REGEX, (placeholder) => valuesByPlaceholder.get(placeholder) ?? placeholder);
+  };
+
+  // Walks plain JSON values (payloads, parsed replies) and maps every string.
+  const mapStrings = (value, mapText) => {
+    if (typeof value === "string") {
+      return mapText(value);
+    }
+    if (Array.isArray(value)) {
+      return value.map((item) => mapStrings(item, mapText));
+    }
+    if (value && typeof value === "object") {
+      return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, mapStrings(item, mapText)]));
+    }
+    return value;
+  };
+
+  return {
+    redact,
+    restore,
+    redactValue: (value) => mapStrings(value, redact),
+    restoreValue: (value) => mapStrings(value, restore),
+    get redactedCount() {
+      return valuesByPlaceholder.size;
+    },
+  };
+}
+
+export const REDACTION_SYSTEM_PROMPT_NOTE =
+  "Some values were replaced with placeholders such as [EMAIL_1] for privacy. " +
+  "Repeat a placeholder exactly when you need to refer to that value; never guess what it stands for.";
@@ -0,0 +1,227 @@
+/**
+ * Natural-language request search for the portal assistant. The LLM (or the
+ * deterministic fallback below) only ever produces a filter object; JQL is
+ * built here from a fixed allowlist so customer text never reaches JQL
+ * unescaped and the query cannot leave the portal project scope.
+ */
+
+export const REQUEST_SEARCH_PAGE_SIZE = 5;
+
+const REQUEST_SEARCH_MAX_DAYS = 365;
+const REQUEST_SEARCH_MAX_LIST_VALUES = 5;
+const REQUEST_SEARCH_MAX_VALUE_LENGTH = 60;
+const REQUEST_SEARCH_MAX_TEXT_LENGTH = 100;
+
+const STATUS_CATEGORY_NAMES = {
+  todo: "To Do",
+  in_progress: "In Progress",
+  done: "Done",
+};
+
+const ORDER_BY_FIELDS = ["created", "updated"];
+
+/**
+ * Search questions without an issue key, e.g. "show my open requests" or
+ * "which of my tickets are waiting for support".
+ */
+export const REQUEST_SEARCH_INTENT_REGEX =
+  /\b(show|list|find|search|which|what|any|all|how many)\b.*\b(requests?|tickets?|issues?|cases?)\b|\bmy\s+(open\s+|closed\s+|resolved\s+)?(requests?|tickets?|issues?|cases?)\b/i;
+
+function normalizeStringList(value) {
+  const values = Array.isArray(value) ? value : value ? [value] : [];
+  return [
+    ...new Set(
+      values
+        .map((item) => String(item || "").trim())
+        .filter((item) => item && item.length <= REQUEST_SEARCH_MAX_VALUE_LENGTH)
+    ),
+  ].slice(0, REQUEST_SEARCH_MAX_LIST_VALUES);
+}
+
+function normalizeDayCount(value) {
+  const days = Math.round(Number(value));
+  if (!Number.isFinite(days) || days <= 0) {
+    return null;
+  }
+  return Math.min(days, REQUEST_SEARCH_MAX_DAYS);
+}
+
+/**
+ * Reduces arbitrary (LLM or client supplied) input to the allowlisted filter
+ * shape. Unknown keys and out-of-range values are dropped, never passed on.
+ */
+export function sanitizeRequestSearchFilter(rawFilter) {
+  const source = rawFilter && typeof rawFilter === "object" ? rawFilter : {};
+
+  const statusCategories = normalizeStringList(source.statusCategories)
+    .map((category) => category.toLowerCase().replace(/[\s-]+/g, "_"))
+    .filter((category) => Object.prototype.hasOwnProperty.call(STATUS_CATEGORY_NAMES, category));
+
+  const text = String(source.text || "")
+    .replace(/[+\-&|!(){}[\]^~*?\\:"]/g, " ")
+    .replace(/\s+/g, " ")
+    .trim()
+    .slice(0, REQUEST_SEARCH_MAX_TEXT_LENGTH);
+
+  return {
+    statusCategories: [...new Set(statusCategories)],
+    statuses: normalizeStringList(source.statuses),
+    priorities: normalizeStringList(source.priorities),
+    createdWithinDays: normalizeDayCount(source.createdWithinDays),
+    updatedWithinDays: normalizeDayCount(source.updatedWithinDays),
+    text,
+    onlyMine: source.onlyMine !== false,
+    orderBy: ORDER_BY_FIELDS.includes(source.orderBy) ? source.orderBy : "updated",
+  };
+}
+
+function quoteJqlValue(value) {
+  return `"${String(value).replace(/[\\"]/g, "\\$&")}"`;
+}
+
+/**
+ * Builds JQL from a sanitized filter. projectIds is mandatory so every query
+ * stays inside projects the assistant is enabled for.
+ */
+export function buildRequestSearchJql(filter, projectIds) {
+  const safeFilter = sanitizeRequestSearchFilter(filter);
+  const scopedProjectIds = (projectIds || [])
+    .map((projectId) => String(projectId || "").trim())
+    .filter((projectId) => /^\d+$/.test(projectId));
+
+  if (scopedProjectIds.length === 0) {
+    return null;
+  }
+
+  const clauses = [
+    scopedProjectIds.length === 1
+      ? `project = ${scopedProjectIds[0]}`
+      : `project in (${scopedProjectIds.join(", ")})`,
+  ];
+
+  if (safeFilter.onlyMine) {
+    clauses.push("reporter = currentUser()");
+  }
+  if (safeFilter.statusCategories.length > 0) {
+    clauses.push(
+      `statusCategory in (${safeFilter.statusCategories
+        .map((category) => quoteJqlValue(STATUS_CATEGORY_NAMES[category]))
+        .join(", ")})`
+    );
+  }
+  if (safeFilter.statuses.length > 0) {
+    clauses.push(`status in (${safeFilter.statuses.map(quoteJqlValue).join(", ")})`);
+  }
+  if (safeFilter.priorities.length > 0) {
+    clauses.push(`priority in (${safeFilter.priorities.map(quoteJqlValue).join(", ")})`);
+  }
+  if (safeFilter.createdWithinDays) {
+    clauses.push(`created >= -${safeFilter.createdWithinDays}d`);
+  }
+  if (safeFilter.updatedWithinDays) {
+    clauses.push(`updated >= -${safeFilter.updatedWithinDays}d`);
+  }
+  if (safeFilter.text) {
+    clauses.push(`text ~ ${quoteJqlValue(safeFilter.text)}`);
+  }
+
+  return `${clauses.join(" AND ")} ORDER BY ${safeFilter.orderBy} DESC`;
+}
+
+/**
+ * Deterministic fallback used when no AI provider is configured or the model
+ * returns something unusable. Covers the most common phrasings only.
+ */
+export function inferRequestSearchFilter(message) {
+  const lowerMessage = String(message || "").toLowerCase();
+  const filter = { statusCategories: [], statuses: [] };
+
+  if (/\b(open|active|pending|unresolved|outstanding)\b/.test(lowerMessage)) {
+    filter.statusCategories.push("todo", "in_progress");
+  }
+  if (/\b(in progress|being worked on)\b/.test(lowerMessage)) {
+    filter.statusCategories.push("in_progress");
+  }
+  if (/\b(closed|resolved|done|completed|finished)\b/.test(lowerMessage)) {
+    filter.statusCategories.push("done");
+  }
+  if (/\bwaiting for (support|customer)\b/.test(lowerMessage)) {
+    filter.statuses.push(lowerMessage.includes("customer") ? "Waiting for customer" : "Waiting for support");
+  }
+
+  if (/\b(today)\b/.test(lowerMessage)) {
+    filter.createdWithinDays = 1;
+  } else if (/\b(this|last|past) week\b/.test(lowerMessage)) {
+    filter.createdWithinDays = 7;
+  } else if (/\b(this|last|past) month\b/.test(lowerMessage)) {
+    filter.createdWithinDays = 31;
+  } else {
+    const daysMatch = lowerMessage.match(/\b(?:last|past)\s+(\d{1,3})\s+days?\b/);
+    if (daysMatch) {
+      filter.createdWithinDays = Number(daysMatch[1]);
+    }
+  }
+
+  if (/\brecently updated|updated recently\b/.test(lowerMessage)) {
+    filter.updatedWithinDays = 7;
+    filter.orderBy = "updated";
+  }
+
+  return sanitizeRequestSearchFilter(filter);
+}
+
+export const REQUEST_SEARCH_SYSTEM_PROMPT =
+  "You convert a customer's question about their service requests into a JSON search filter. " +
+  "Respond with a single JSON object and no other text. Allowed keys only: " +
+  '"statusCategories" (array of "todo", "in_progress", "done"), ' +
+  '"statuses" (array of exact status names the customer mentioned, e.g. "Waiting for support"), ' +
+  '"priorities" (array of priority names), ' +
+  '"createdWithinDays" (number), "updatedWithinDays" (number), ' +
+  '"text" (short keywords to match in the request, or empty), ' +
+  '"onlyMine" (boolean, true unless the customer clearly asks about requests they did not raise), ' +
+  '"orderBy" ("created" or "updated"). ' +
+  'Treat "open" as statusCategories ["todo","in_progress"]. Omit keys that are not mentioned. ' +
+  "Never output JQL.";
+
+export function describeRequestSearchFilter(filter) {
+  const safeFilter = sanitizeRequestSearchFilter(filter);
+  const parts = [];
+
+  if (safeFilter.statusCategories.length > 0) {
+    parts.push(safeFilter.statusCategories.map((category) => STATUS_CATEGORY_NAMES[category]).join(" or "));
+  }
+  if (safeFilter.statuses.length > 0) {
+    parts.push(`status ${safeFilter.statuses.join(" or ")}`);
+  }
+  if (safeFilter.priorities.length > 0) {
+    parts.push(`priority ${safeFilter.priorities.join(" or ")}`);
+  }
+  if (safeFilter.createdWithinDays) {
+    parts.push(`created in the last ${safeFilter.createdWithinDays} day${safeFilter.createdWithinDays === 1 ? "" : "s"}`);
+  }
+  if (safeFilter.updatedWithinDays) {
+    parts.push(`updated in the last ${safeFilter.updatedWithinDays} day${safeFilter.updatedWithinDays === 1 ? "" : "s"}`);
+  }
+  if (safeFilter.text) {
+    parts.push(`matching "${safeFilter.text}"`);
+  }
+
+  return parts.join(", ");
+}
+
+/**
+ * True when a filter narrows results beyond "everything I raised". Plain
+ * "my requests" questions go to the request listing instead of JQL search.
+ */
+export function hasRequestSearchCriteria(filter) {
+  const safeFilter = sanitizeRequestSearchFilter(filter);
+  return Boolean(
+    safeFilter.statusCategories.length ||
+      safeFilter.statuses.length ||
+      safeFilter.priorities.length ||
+      safeFilter.createdWithinDays ||
+      safeFilter.updatedWithinDays ||
+      safeFilter.text ||
+      !safeFilter.onlyMine
+  );
+}
@@ -0,0 +1,122 @@
+/**
+ * Request-type recommendation for the portal intake flow. Lexical scoring
+ * always runs so recommendations work without an AI provider; the LLM only
+ * re-ranks a short candidate list and must pick ids from that list.
+ */
+
+export const REQUEST_TYPE_RECOMMENDATION_LIMIT = 3;
+export const REQUEST_TYPE_RERANK_CANDIDATE_LIMIT = 12;
+
+const REQUEST_TYPE_REASON_MAX_LENGTH = 140;
+
+// Field weights: a term in the request type name says more than one buried
+// in its help text.
+const FIELD_WEIGHTS = {
+  name: 3,
+  description: 1.5,
+  helpText: 1,
+};
+
+const STOP_WORDS = new Set([
+  "the", "and", "for", "with", "that", "this", "have", "has", "not", "but", "are", "was",
+  "can", "cannot", "can't", "you", "your", "our", "from", "into", "when", "what", "how",
+  "please", "need", "want", "would", "like", "help", "get", "got", "any", "all", "some",
+  "request", "issue", "problem", "since", "about", "there", "their", "them", "they",
+  "its", "it's", "i'm", "been", "will", "just", "also", "does", "doesn't", "don't",
+]);
+
+function stemToken(token) {
+  if (token.length > 5 && token.endsWith("ing")) {
+    return token.slice(0, -3);
+  }
+  if (token.length > 4 && token.endsWith("ed")) {
+    return token.slice(0, -2);
+  }
+  if (token.length > 3 && token.endsWith("s") && !token.endsWith("ss")) {
+    return token.slice(0, -1);
+  }
+  return token;
+}
+
+function tokenize(text) {
+  return String(text || "")
+    .toLowerCase()
+    .split(/[^a-z0-9']+/)
+    .filter((token) => token.length > 2 && !STOP_WORDS.has(token))
+    .map(stemToken);
+}
+
+/**
+ * Scores every request type against the description. Returns all types with
+ * a positive score, best first, with the terms that matched.
+ */
+export function rankRequestTypesLexically(requestTypes, description) {
+  const queryTokens = [...new Set(tokenize(description))];
+  if (queryTokens.length === 0) {
+    return [];
+  }
+
+  return (requestTypes || [])
+    .map((requestType) => {
+      const fieldTokens = Object.fromEntries(
+        Object.keys(FIELD_WEIGHTS).map((fieldName) => [fieldName, new Set(tokenize(requestType[fieldName]))])
+      );
+
+      let score = 0;
+      const matchedTerms = [];
+      for (const token of queryTokens) {
+        const weight = Math.max(
+          0,
+          ...Object.entries(FIELD_WEIGHTS).map(([fieldName, fieldWeight]) =>
+            fieldTokens[fieldName].has(token) ? fieldWeight : 0
+          )
+        );
+        if (weight > 0) {
+          score += weight;
+          matchedTerms.push(token);
+        }
+      }
+
+      return { id: requestType.id, score, matchedTerms };
+    })
+    .filter((ranking) => ranking.score > 0)
+    .sort((left, right) => right.score - left.score);
+}
+
+export function describeLexicalMatch(matchedTerms) {
+  return `Mentions ${matchedTerms.slice(0, 3).map((term) => `"${term}"`).join(", ")}`;
+}
+
+export const REQUEST_TYPE_RERANK_SYSTEM_PROMPT =
+  "You help a customer pick the right service request type for their problem. " +
+  "Respond with a single JSON object and no other text, shaped as " +
+  '{"recommendations":[{"id":"<request type id>","reason":"<one short sentence>"}]}. ' +
+  `Recommend at most ${REQUEST_TYPE_RECOMMENDATION_LIMIT} request types, best first, ` +
+  "using only ids from the provided list. Recommend nothing when none fits. " +
+  "Reasons are shown to the customer: keep them short and plain.";
+
+/**
+ * Keeps only known candidate ids, drops duplicates and trims reasons.
+ */
+export function sanitizeRequestTypeRerank(parsed, candidateIds) {
+  const allowedIds = new Set((candidateIds || []).map(String));
+  const recommendations = Array.isArray(parsed?.recommendations) ? parsed.recommendations : [];
+  const seenIds = new Set();
+
+  return recommendations
+    .map((recommendation) => ({
+      id: String(recommendation?.id ?? ""),
+      reason: String(recommendation?.reason || "")
+        .replace(/\s+/g, " ")
+        .trim()
+        .slice(0, REQUEST_TYPE_REASON_MAX_LENGTH),
+    }))
+    .filter((recommendation) => {
+      if (!allowedIds.has(recommendation.id) || seenIds.has(recommendation.id)) {
+        return false;
+      }
+      seenIds.add(recommendation.id);
+      return true;
+    })
+    .slice(0, REQUEST_TYPE_RECOMMENDATION_LIMIT);
+}
@@ -204,6 +204,48 @@ const styles = {
     borderTop: '1px solid #DFE1E6',
     background: '#FAFBFC',
   },
+  labelRow: {
+    display: 'flex',
+    justifyContent: 'space-between',
+    alignItems: 'baseline',
+  },
+  linkButton: (disabled) => ({
+    background: 'none',
+    border: 'none',
+    padding: 0,
+    fontSize: 12,
+    color: disabled ? '#6B778C' : '#0052CC',
+    cursor: disabled ? 'not-allowed' : 'pointer',
+  }),
+  inlineFields: {
+    display: 'flex',
+    gap: 8,
+  },
+  secondaryButton: (disabled) => ({
+    padding: '8px 20px',
+    fontSize: 14,
+    fontWeight: 500,
+    color: disabled ? '#A5ADBA' : '#0052CC',
+    backgroundColor: '#FFFFFF',
+    border: `1px solid ${disabled ? '#DFE1E6' : '#0052CC'}`,
+    borderRadius: 4,
+    cursor: disabled ? 'not-allowed' : 'pointer',
+  }),
+  statGrid: {
+    display: 'grid',
+    gridTemplateColumns: 'repeat(4, 1fr)',
+    gap: 12,
+  },
+  statValue: {
+    fontSize: 22,
+    fontWeight: 600,
+    color: '#172B4D',
+  },
+  statLabel: {
+    fontSize: 12,
+    color: '#6B778C',
+    marginTop: 2,
+  },
   apiKeyWrapper: {
     position: 'relative',
     display: 'flex',
@@ -220,6 +262,55 @@ const styles = {
     outline: 'none',
     boxSizing: 'border-box',
   },
+  checkboxLabel: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: 8,
+    fontSize: 14,
+    color: '#172B4D',
+    padding: '4px 0',
+  },
+  redactionProjectRow: {
+    display: 'flex',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    fontSize: 14,
+    color: '#172B4D',
+    padding: '6px 0',
+  },
+  logReasons: {
+    fontSize: 14,
+    color: '#172B4D',
+  },
+  logExcerpt: {
+    fontSize: 12,
+    color: '#6B778C',
+    marginTop: 4,
+    fontFamily: 'monospace',
+    wordBreak: 'break-word',
+  },
+  usageChart: {
+    display: 'flex',
+    alignItems: 'flex-end',
+    gap: 2,
+    height: 120,
+    padding: '8px 0',
+    borderBottom: '1px solid #DFE1E6',
+  },
+  usageBar: (heightPercent) => ({
+    flex: 1,
+    minHeight: heightPercent > 0 ? 2 : 0,
+    height: `${heightPercent}%`,
+    backgroundColor: '#0052CC',
+    borderRadius: '2px 2px 0 0',
+  }),
+  usageChartAxis: {
+    display: 'flex',
+    justifyContent: 'space-between',
+    fontSize: 12,
+    color: '#6B778C',
+    marginTop: 4,
+  },
   showHideButton: {
     position: 'absolute',
     right: 8,
@@ -232,37 +323,1685 @@ const styles = {
   },
 };
 
-function Toggle({ checked, onChange, projectName }) {
+function Toggle({ checked, onChange, projectName, feature = 'chat' }) {
+  return (
+    <label
+      style={styles.toggleLabel}
+      title={checked ? `Disable ${feature} for ${projectName}` : `Enable ${feature} for ${projectName}`}
+    >
+      <input
+        type="checkbox"
+        style={styles.toggleInput}
+        checked={checked}
+        onChange={onChange}
+        aria-label={`Toggle ${feature === 'chat' ? 'chat agent' : feature} for ${projectName}`}
+      />
+      <span style={styles.toggleSlider(checked)}>
+        <span style={styles.toggleKnob(checked)} />
+      </span>
+    </label>
+  );
+}
+
+/**
+ * Model choices come from the backend provider registry (getLlmProviders), so
+ * adding a provider server-side is enough to surface it here.
+ */
+function buildModelOptions(providers) {
+  return providers.reduce((options, provider) => {
+    options[provider.id] = Array.isArray(provider.models) ? provider.models : [];
+    return options;
+  }, {});
+}
+
+function buildDefaultProviderOptions(provider) {
+  return (provider?.settingsFields || []).reduce((options, field) => {
+    options[field.key] = field.defaultValue || '';
+    return options;
+  }, {});
+}
+
+let fallbackRowCounter = 0;
+
+function createFallbackRow(entry, providers) {
+  fallbackRowCounter += 1;
+  const provider = providers.find((candidate) => candidate.id === entry?.provider) || providers[0];
+  return {
+    rowKey: `fallback-${fallbackRowCounter}`,
+    id: entry?.id || '',
+    provider: provider?.id || 'openai',
+    model: entry?.model || '',
+    options: entry?.options || buildDefaultProviderOptions(provider),
+    apiKey: entry?.apiKeyMasked || '',
+    hasApiKey: Boolean(entry?.hasApiKey),
+  };
+}
+
+/**
+ * Ordered list of backup provider/model pairs. The backend tries them in order
+ * after the primary model keeps failing with retryable errors.
+ */
+function FallbackModelSettings({ providers, showNotification, maxEntries = 4 }) {
+  const [rows, setRows] = useState([]);
+  const [loadingRows, setLoadingRows] = useState(true);
+  const [savingRows, setSavingRows] = useState(false);
+
+  useEffect(() => {
+    if (providers.length === 0) {
+      return;
+    }
+
+    invoke('getLlmFallbackChain')
+      .then((result) => {
+        const fallbacks = Array.isArray(result?.fallbacks) ? result.fallbacks : [];
+        setRows(fallbacks.map((entry) => createFallbackRow(entry, providers)));
+      })
+      .catch(() => showNotification('Failed to load fallback models.', 'error'))
+      .finally(() => setLoadingRows(false));
+  }, [providers, showNotification]);
+
+  const updateRow = (rowKey, patch) => {
+    setRows((prev) => prev.map((row) => (row.rowKey === rowKey ? { ...row, ...patch } : row)));
+  };
+
+  const moveRow = (index, direction) => {
+    setRows((prev) => {
+      const target = index + direction;
+      if (target < 0 || target >= prev.length) {
+        return prev;
+      }
+      const next = [...prev];
+      [next[index], next[target]] = [next[target], next[index]];
+      return next;
+    });
+  };
+
+  const handleSave = async () => {
+    setSavingRows(true);
+    try {
+      const result = await invoke('saveLlmFallbackChain', {
+        fallbacks: rows.map((row) => ({
+          id: row.id || undefined,
+          provider: row.provider,
+          model: row.model.trim(),
+          options: row.options,
+          apiKey: row.apiKey.trim(),
+        })),
+      });
+
+      if (result?.error) {
+        showNotification(result.error, 'error');
+        return;
+      }
+
+      const fallbacks = Array.isArray(result?.fallbacks) ? result.fallbacks : [];
+      setRows(fallbacks.map((entry) => createFallbackRow(entry, providers)));
+      showNotification(
+        fallbacks.length > 0
+          ? `Saved ${fallbacks.length} fallback model${fallbacks.length === 1 ? '' : 's'}.`
+          : 'Fallback models cleared.'
+      );
+    } catch (err) {
+      showNotification('Failed to save fallback models. Please try again.', 'error');
+    } finally {
+      setSavingRows(false);
+    }
+  };
+
+  return (
+    <div style={styles.card}>
+      <div style={styles.cardHeader}>
+        <span style={styles.cardHeaderTitle}>Fallback Models</span>
+        <span style={styles.cardHeaderRight}>
+          {rows.length} of {maxEntries} configured
+        </span>
+      </div>
+
+      {loadingRows ? (
+        <div style={styles.emptyState}>Loading fallback models...</div>
+      ) : rows.length === 0 ? (
+        <div style={styles.emptyState}>
+          No fallback models. If the primary model fails, the assistant answers without AI.
+        </div>
+      ) : (
+        rows.map((row, index) => {
+          const provider = providers.find((candidate) => candidate.id === row.provider);
+          const models = provider?.models || [];
+          return (
+            <div key={row.rowKey} style={styles.formGroup}>
+              <div style={styles.labelRow}>
+                <label style={styles.label}>Fallback {index + 1}</label>
+                <span>
+                  <button
+                    type="button"
+                    style={styles.linkButton(index === 0)}
+                    disabled={index === 0}
+                    onClick={() => moveRow(index, -1)}
+                  >
+                    Move up
+                  </button>{' '}
+                  <button
+                    type="button"
+                    style={styles.linkButton(index === rows.length - 1)}
+                    disabled={index === rows.length - 1}
+                    onClick={() => moveRow(index, 1)}
+                  >
+                    Move down
+                  </button>{' '}
+                  <button
+                    type="button"
+                    style={styles.linkButton(false)}
+                    onClick={() => setRows((prev) => prev.filter((candidate) => candidate.rowKey !== row.rowKey))}
+                  >
+                    Remove
+                  </button>
+                </span>
+              </div>
+              <div style={styles.inlineFields}>
+                <select
+                  style={styles.select}
+                  value={row.provider}
+                  onChange={(e) =>
+                    updateRow(row.rowKey, {
+                      provider: e.target.value,
+                      model: '',
+                      options: buildDefaultProviderOptions(
+                        providers.find((candidate) => candidate.id === e.target.value)
+                      ),
+                    })
+                  }
+                >
+                  {providers.map((candidate) => (
+                    <option key={candidate.id} value={candidate.id}>
+                      {candidate.label}
+                    </option>
+                  ))}
+                </select>
+                <input
+                  style={styles.input}
+                  type="text"
+                  list={`fallback-models-${row.rowKey}`}
+                  value={row.model}
+                  onChange={(e) => updateRow(row.rowKey, { model: e.target.value })}
+                  placeholder={provider?.modelLabel || 'Model'}
+                />
+                <datalist id={`fallback-models-${row.rowKey}`}>
+                  {models.map((opt) => (
+                    <option key={opt.value} value={opt.value}>
+                      {opt.label}
+                    </option>
+                  ))}
+                </datalist>
+              </div>
+              {(provider?.settingsFields || []).map((field) => (
+                <input
+                  key={field.key}
+                  style={{ ...styles.input, marginTop: 8 }}
+                  type="text"
+                  value={row.options[field.key] || ''}
+                  onChange={(e) =>
+                    updateRow(row.rowKey, { options: { ...row.options, [field.key]: e.target.value } })
+                  }
+                  placeholder={`${field.label}${field.required ? '' : ' (optional)'} — ${field.placeholder}`}
+                />
+              ))}
+              <input
+                style={{ ...styles.input, marginTop: 8 }}
+                type="password"
+                value={row.apiKey}
+                onChange={(e) => updateRow(row.rowKey, { apiKey: e.target.value })}
+                placeholder={`API key${provider?.apiKeyRequired ? '' : ' (optional)'} — ${provider?.apiKeyPlaceholder || ''}`}
+              />
+            </div>
+          );
+        })
+      )}
+
+      <div style={{ ...styles.buttonRow, justifyContent: 'space-between' }}>
+        <button
+          type="button"
+          style={styles.secondaryButton(rows.length >= maxEntries || loadingRows)}
+          disabled={rows.length >= maxEntries || loadingRows}
+          onClick={() => setRows((prev) => [...prev, createFallbackRow(null, providers)])}
+        >
+          Add fallback model
+        </button>
+        <button
+          type="button"
+          style={styles.saveButton(savingRows || loadingRows)}
+          disabled={savingRows || loadingRows}
+          onClick={handleSave}
+        >
+          {savingRows ? 'Saving...' : 'Save Fallback Models'}
+        </button>
+      </div>
+    </div>
+  );
+}
+
+let validationRuleRowCounter = 0;
+
+function createValidationRuleRow(rule) {
+  validationRuleRowCounter += 1;
+  const toText = (value) => (value === undefined || value === null ? '' : String(value));
+  return {
+    rowKey: `validation-rule-${validationRuleRowCounter}`,
+    fieldId: rule?.fieldId || '',
+    format: rule?.format || '',
+    pattern: rule?.pattern || '',
+    message: rule?.message || '',
+    min: toText(rule?.min),
+    max: toText(rule?.max),
+    maxLength: toText(rule?.maxLength),
+  };
+}
+
+/**
+ * Per-field rules applied to portal intake answers, both while the customer
+ * types and again when the request is submitted.
+ */
+function FieldValidationRules({ showNotification, maxEntries = 50 }) {
+  const [rows, setRows] = useState([]);
+  const [loadingRows, setLoadingRows] = useState(true);
+  const [savingRows, setSavingRows] = useState(false);
+
+  useEffect(() => {
+    invoke('getFieldValidationRules')
+      .then((result) => {
+        const rules = Array.isArray(result?.rules) ? result.rules : [];
+        setRows(rules.map(createValidationRuleRow));
+      })
+      .catch(() => showNotification('Failed to load validation rules.', 'error'))
+      .finally(() => setLoadingRows(false));
+  }, [showNotification]);
+
+  const updateRow = (rowKey, patch) => {
+    setRows((prev) => prev.map((row) => (row.rowKey === rowKey ? { ...row, ...patch } : row)));
+  };
+
+  const handleSave = async () => {
+    setSavingRows(true);
+    try {
+      const result = await invoke('saveFieldValidationRules', {
+        rules: rows.map((row) => ({
+          fieldId: row.fieldId.trim(),
+          format: row.format,
+          pattern: row.pattern.trim(),
+          message: row.message.trim(),
+          min: row.min.trim(),
+          max: row.max.trim(),
+          maxLength: row.maxLength.trim(),
+        })),
+      });
+
+      if (result?.error) {
+        showNotification(result.error, 'error');
+        return;
+      }
+
+      const rules = Array.isArray(result?.rules) ? result.rules : [];
+      setRows(rules.map(createValidationRuleRow));
+      showNotification(
+        rules.length > 0
+          ? `Saved ${rules.length} validation rule${rules.length === 1 ? '' : 's'}.`
+          : 'Validation rules cleared.'
+      );
+    } catch (err) {
+      showNotification('Failed to save validation rules. Please try again.', 'error');
+    } finally {
+      setSavingRows(false);
+    }
+  };
+
+  return (
+    <div style={styles.card}>
+      <div style={styles.cardHeader}>
+        <span style={styles.cardHeaderTitle}>Validation Rules</span>
+        <span style={styles.cardHeaderRight}>
+          {rows.length} of {maxEntries} configured
+        </span>
+      </div>
+
+      {loadingRows ? (
+        <div style={styles.emptyState}>Loading validation rules...</div>
+      ) : rows.length === 0 ? (
+        <div style={styles.emptyState}>
+          No custom rules. Answers are still checked against each field's type (numbers, dates, URLs,
+          text length).
+        </div>
+      ) : (
+        rows.map((row, index) => (
+          <div key={row.rowKey} style={styles.formGroup}>
+            <div style={styles.labelRow}>
+              <label style={styles.label}>Rule {index + 1}</label>
+              <button
+                type="button"
+                style={styles.linkButton(false)}
+                onClick={() => setRows((prev) => prev.filter((candidate) => candidate.rowKey !== row.rowKey))}
+              >
+                Remove
+              </button>
+            </div>
+            <div style={styles.inlineFields}>
+              <input
+                style={styles.input}
+                type="text"
+                value={row.fieldId}
+                onChange={(e) => updateRow(row.rowKey, { fieldId: e.target.value })}
+                placeholder="Field id — e.g. customfield_10050"
+              />
+              <select
+                style={styles.select}
+                value={row.format}
+                onChange={(e) => updateRow(row.rowKey, { format: e.target.value })}
+              >
+                <option value="">Any format</option>
+                <option value="email">Email address</option>
+                <option value="url">Web address</option>
+              </select>
+            </div>
+            <input
+              style={{ ...styles.input, marginTop: 8 }}
+              type="text"
+              value={row.pattern}
+              onChange={(e) => updateRow(row.rowKey, { pattern: e.target.value })}
+              placeholder="Pattern (optional) — regular expression, e.g. ^[A-Z]{3}-\d{4}$"
+            />
+            <input
+              style={{ ...styles.input, marginTop: 8 }}
+              type="text"
+              value={row.message}
+              onChange={(e) => updateRow(row.rowKey, { message: e.target.value })}
+              placeholder="Message shown when the pattern does not match (optional)"
+            />
+            <div style={{ ...styles.inlineFields, marginTop: 8 }}>
+              <input
+                style={styles.input}
+                type="number"
+                value={row.min}
+                onChange={(e) => updateRow(row.rowKey, { min: e.target.value })}
+                placeholder="Minimum (numbers)"
+              />
+              <input
+                style={styles.input}
+                type="number"
+                value={row.max}
+                onChange={(e) => updateRow(row.rowKey, { max: e.target.value })}
+                placeholder="Maximum (numbers)"
+              />
+              <input
+                style={styles.input}
+                type="number"
+                value={row.maxLength}
+                onChange={(e) => updateRow(row.rowKey, { maxLength: e.target.value })}
+                placeholder="Max length (text)"
+              />
+            </div>
+          </div>
+        ))
+      )}
+
+      <div style={{ ...styles.buttonRow, justifyContent: 'space-between' }}>
+        <button
+          type="button"
+          style={styles.secondaryButton(rows.length >= maxEntries || loadingRows)}
+          disabled={rows.length >= maxEntries || loadingRows}
+          onClick={() => setRows((prev) => [...prev, createValidationRuleRow(null)])}
+        >
+          Add rule
+        </button>
+        <button
+          type="button"
+          style={styles.saveButton(savingRows || loadingRows)}
+          disabled={savingRows || loadingRows}
+          onClick={handleSave}
+        >
+          {savingRows ? 'Saving...' : 'Save Validation Rules'}
+        </button>
+      </div>
+    </div>
+  );
+}
+
+let redactionPatternRowCounter = 0;
+
+function createRedactionPatternRow(customPattern) {
+  redactionPatternRowCounter += 1;
+  return {
+    rowKey: `redaction-pattern-${redactionPatternRowCounter}`,
+    name: customPattern?.name || '',
+    pattern: customPattern?.pattern || '',
+  };
+}
+
+/**
+ * What is replaced with placeholders before portal text is sent to the AI
+ * provider or the FastAPI backend, and for which projects.
+ */
+function RedactionSettings({ projects, showNotification }) {
+  const [categories, setCategories] = useState([]);
+  const [enabledCategories, setEnabledCategories] = useState([]);
+  const [patternRows, setPatternRows] = useState([]);
+  const [disabledProjects, setDisabledProjects] = useState({});
+  const [maxPatterns, setMaxPatterns] = useState(20);
+  const [loadingSettings, setLoadingSettings] = useState(true);
+  const [savingSettings, setSavingSettings] = useState(false);
+
+  const applySettings = (settings) => {
+    setEnabledCategories(Array.isArray(settings?.categories) ? settings.categories : []);
+    setPatternRows(
+      (Array.isArray(settings?.customPatterns) ? settings.customPatterns : []).map(createRedactionPatternRow)
+    );
+    setDisabledProjects(settings?.projects || {});
+  };
+
+  useEffect(() => {
+    invoke('getRedactionSettings')
+      .then((result) => {
+        setCategories(Array.isArray(result?.categories) ? result.categories : []);
+        setMaxPatterns(result?.customPatternLimit || 20);
+        applySettings(result?.settings);
+      })
+      .catch(() => showNotification('Failed to load redaction settings.', 'error'))
+      .finally(() => setLoadingSettings(false));
+  }, [showNotification]);
+
+  const toggleCategory = (categoryId) => {
+    setEnabledCategories((prev) =>
+      prev.includes(categoryId) ? prev.filter((id) => id !== categoryId) : [...prev, categoryId]
+    );
+  };
+
+  const toggleProject = (projectId) => {
+    setDisabledProjects((prev) => {
+      const next = { ...prev };
+      if (next[projectId] === false) {
+        delete next[projectId];
+      } else {
+        next[projectId] = false;
+      }
+      return next;
+    });
+  };
+
+  const updatePatternRow = (rowKey, patch) => {
+    setPatternRows((prev) => prev.map((row) => (row.rowKey === rowKey ? { ...row, ...patch } : row)));
+  };
+
+  const handleSave = async () => {
+    setSavingSettings(true);
+    try {
+      const result = await invoke('saveRedactionSettings', {
+        settings: {
+          categories: enabledCategories,
+          customPatterns: patternRows.map((row) => ({ name: row.name.trim(), pattern: row.pattern.trim() })),
+          projects: disabledProjects,
+        },
+      });
+
+      if (result?.error) {
+        showNotification(result.error, 'error');
+        return;
+      }
+
+      applySettings(result?.settings);
+      showNotification('Redaction settings saved.');
+    } catch (err) {
+      showNotification('Failed to save redaction settings. Please try again.', 'error');
+    } finally {
+      setSavingSettings(false);
+    }
+  };
+
+  if (loadingSettings) {
+    return (
+      <div style={styles.card}>
+        <div style={styles.emptyState}>Loading redaction settings...</div>
+      </div>
+    );
+  }
+
+  return (
+    <div style={styles.card}>
+      <div style={styles.cardHeader}>
+        <span style={styles.cardHeaderTitle}>Redaction</span>
+        <span style={styles.cardHeaderRight}>
+          {enabledCategories.length} of {categories.length} built-in detectors on
+        </span>
+      </div>
+
+      <div style={styles.formGroup}>
+        <label style={styles.label}>Detect</label>
+        {categories.map((category) => (
+          <label key={category.id} style={styles.checkboxLabel}>
+            <input
+              type="checkbox"
+              checked={enabledCategories.includes(category.id)}
+              onChange={() => toggleCategory(category.id)}
+            />
+            {category.label}
+          </label>
+        ))}
+      </div>
+
+      {patternRows.map((row, index) => (
+        <div key={row.rowKey} style={styles.formGroup}>
+          <div style={styles.labelRow}>
+            <label style={styles.label}>Custom pattern {index + 1}</label>
+            <button
+              type="button"
+              style={styles.linkButton(false)}
+              onClick={() => setPatternRows((prev) => prev.filter((candidate) => candidate.rowKey !== row.rowKey))}
+            >
+              Remove
+            </button>
+          </div>
+          <div style={styles.inlineFields}>
+            <input
+              style={{ ...styles.input, flex: '0 0 30%' }}
+              type="text"
+              value={row.name}
+              onChange={(e) => updatePatternRow(row.rowKey, { name: e.target.value })}
+              placeholder="Name — e.g. Employee ID"
+            />
+            <input
+              style={styles.input}
+              type="text"
+              value={row.pattern}
+              onChange={(e) => updatePatternRow(row.rowKey, { pattern: e.target.value })}
+              placeholder="Regular expression — e.g. EMP-\d{5}"
+            />
+          </div>
+        </div>
+      ))}
+
+      {projects.length > 0 && (
+        <div style={styles.formGroup}>
+          <label style={styles.label}>Projects</label>
+          {projects.map((project) => (
+            <div key={project.id} style={styles.redactionProjectRow}>
+              <span>
+                {project.name} <span style={styles.projectKey}>{project.key}</span>
+              </span>
+              <Toggle
+                checked={disabledProjects[project.id] !== false}
+                onChange={() => toggleProject(project.id)}
+                projectName={project.name}
+                feature="redaction"
+              />
+            </div>
+          ))}
+        </div>
+      )}
+
+      <div style={{ ...styles.buttonRow, justifyContent: 'space-between' }}>
+        <button
+          type="button"
+          style={styles.secondaryButton(patternRows.length >= maxPatterns)}
+          disabled={patternRows.length >= maxPatterns}
+          onClick={() => setPatternRows((prev) => [...prev, createRedactionPatternRow(null)])}
+        >
+          Add pattern
+        </button>
+        <button
+          type="button"
+          style={styles.saveButton(savingSettings)}
+          disabled={savingSettings}
+          onClick={handleSave}
+        >
+          {savingSettings ? 'Saving...' : 'Save Redaction Settings'}
+        </button>
+      </div>
+    </div>
+  );
+}
+
+function formatDeflectionRate(counts) {
+  if (!counts?.shown) {
+    return '—';
+  }
+  return `${Math.round((counts.deflected / counts.shown) * 100)}%`;
+}
+
+function DeflectionStatsRow({ title, counts }) {
+  const stats = [
+    { label: 'Knowledge base searches', value: counts?.searches || 0 },
+    { label: 'Articles suggested', value: counts?.shown || 0 },
+    { label: 'Solved without a ticket', value: counts?.deflected || 0 },
+    { label: 'Deflection rate', value: formatDeflectionRate(counts) },
+  ];
+
+  return (
+    <div style={styles.formGroup}>
+      <label style={styles.label}>{title}</label>
+      <div style={styles.statGrid}>
+        {stats.map((stat) => (
+          <div key={stat.label}>
+            <div style={styles.statValue}>{stat.value}</div>
+            <div style={styles.statLabel}>{stat.label}</div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+function KnowledgeBaseDeflectionStats({ showNotification }) {
+  const [stats, setStats] = useState(null);
+  const [loadingStats, setLoadingStats] = useState(true);
+
+  const loadStats = useCallback(() => {
+    setLoadingStats(true);
+    invoke('getKbDeflectionStats')
+      .then((result) => setStats(result || null))
+      .catch(() => showNotification('Failed to load knowledge base statistics.', 'error'))
+      .finally(() => setLoadingStats(false));
+  }, [showNotification]);
+
+  useEffect(() => {
+    loadStats();
+  }, [loadStats]);
+
+  return (
+    <div style={styles.card}>
+      <div style={styles.cardHeader}>
+        <span style={styles.cardHeaderTitle}>Ticket Deflection</span>
+        <button
+          type="button"
+          style={styles.linkButton(loadingStats)}
+          disabled={loadingStats}
+          onClick={loadStats}
+        >
+          {loadingStats ? 'Loading...' : 'Refresh'}
+        </button>
+      </div>
+
+      {!stats ? (
+        <div style={styles.emptyState}>{loadingStats ? 'Loading statistics...' : 'No statistics available.'}</div>
+      ) : (
+        <>
+          <DeflectionStatsRow title={`Last ${stats.recentDays || 30} days`} counts={stats.recent} />
+          <DeflectionStatsRow title="All time" counts={stats.totals} />
+        </>
+      )}
+    </div>
+  );
+}
+
+const RATE_LIMIT_SCOPE_FIELDS = [
+  { scope: 'user', label: 'Per customer' },
+  { scope: 'anonymous', label: 'Anonymous visitors (shared)' },
+  { scope: 'project', label: 'Per project' },
+  { scope: 'global', label: 'Whole site' },
+];
+
+const toFormNumber = (value) => (value === undefined || value === null ? '' : String(value));
+
+function createRateLimitForm(policy) {
+  const form = {
+    dailyTokenBudget: toFormNumber(policy?.dailyTokenBudget),
+    cooldownEnabled: Boolean(policy?.cooldown?.enabled),
+    cooldownBaseSeconds: toFormNumber(policy?.cooldown?.baseSeconds),
+    cooldownMaxSeconds: toFormNumber(policy?.cooldown?.maxSeconds),
+    cooldownStrikeResetSeconds: toFormNumber(policy?.cooldown?.strikeResetSeconds),
+    failOpen: Boolean(policy?.failOpen),
+  };
+  RATE_LIMIT_SCOPE_FIELDS.forEach(({ scope }) => {
+    form[`${scope}MaxRequests`] = toFormNumber(policy?.[scope]?.maxRequests);
+    form[`${scope}WindowSeconds`] = toFormNumber(policy?.[scope]?.windowSeconds);
+  });
+  return form;
+}
+
+function buildRateLimitPolicy(form) {
+  const policy = {
+    dailyTokenBudget: Number(form.dailyTokenBudget || 0),
+    cooldown: {
+      enabled: form.cooldownEnabled,
+      baseSeconds: Number(form.cooldownBaseSeconds),
+      maxSeconds: Number(form.cooldownMaxSeconds),
+      strikeResetSeconds: Number(form.cooldownStrikeResetSeconds),
+    },
+    failOpen: form.failOpen,
+  };
+  RATE_LIMIT_SCOPE_FIELDS.forEach(({ scope }) => {
+    policy[scope] = {
+      maxRequests: Number(form[`${scope}MaxRequests`]),
+      windowSeconds: Number(form[`${scope}WindowSeconds`]),
+    };
+  });
+  return policy;
+}
+
+/**
+ * Request limits for the portal chat and the daily AI token budget, with the
+ * current throttling state next to them.
+ */
+function RateLimitSettings({ projects, showNotification }) {
+  const [form, setForm] = useState(null);
+  const [status, setStatus] = useState(null);
+  const [savingPolicy, setSavingPolicy] = useState(false);
+  const [loadingStatus, setLoadingStatus] = useState(true);
+
+  const loadStatus = useCallback(() => {
+    setLoadingStatus(true);
+    invoke('getRateLimitStatus')
+      .then((result) => setStatus(result || null))
+      .catch(() => showNotification('Failed to load throttling status.', 'error'))
+      .finally(() => setLoadingStatus(false));
+  }, [showNotification]);
+
+  useEffect(() => {
+    invoke('getRateLimitPolicy')
+      .then((result) => setForm(createRateLimitForm(result?.policy)))
+      .catch(() => showNotification('Failed to load rate limits.', 'error'));
+    loadStatus();
+  }, [showNotification, loadStatus]);
+
+  const updateForm = (patch) => setForm((prev) => ({ ...prev, ...patch }));
+
+  const handleSave = async () => {
+    setSavingPolicy(true);
+    try {
+      const result = await invoke('saveRateLimitPolicy', { policy: buildRateLimitPolicy(form) });
+      if (result?.error) {
+        showNotification(result.error, 'error');
+        return;
+      }
+      setForm(createRateLimitForm(result?.policy));
+      showNotification('Rate limits saved.');
+      loadStatus();
+    } catch (err) {
+      showNotification('Failed to save rate limits. Please try again.', 'error');
+    } finally {
+      setSavingPolicy(false);
+    }
+  };
+
+  const handleLiftCooldown = async (requesterId) => {
+    try {
+      const result = await invoke('liftRateLimitCooldown', { requesterId });
+      if (result?.error) {
+        showNotification(result.error, 'error');
+        return;
+      }
+      showNotification('Cool-down lifted.');
+      loadStatus();
+    } catch (err) {
+      showNotification('Failed to lift the cool-down.', 'error');
+    }
+  };
+
+  const projectName = (projectId) => projects.find((project) => project.id === projectId)?.name || projectId;
+  const tokenUsage = status?.tokenUsage;
+
+  return (
+    <>
+      <div style={styles.card}>
+        <div style={styles.cardHeader}>
+          <span style={styles.cardHeaderTitle}>Throttling Status</span>
+          <button
+            type="button"
+            style={styles.linkButton(loadingStatus)}
+            disabled={loadingStatus}
+            onClick={loadStatus}
+          >
+            {loadingStatus ? 'Loading...' : 'Refresh'}
+          </button>
+        </div>
+
+        {!status ? (
+          <div style={styles.emptyState}>{loadingStatus ? 'Loading status...' : 'No status available.'}</div>
+        ) : (
+          <>
+            <div style={styles.formGroup}>
+              <div style={styles.statGrid}>
+                <div>
+                  <div style={styles.statValue}>
+                    {status.global.count} / {status.global.maxRequests}
+                  </div>
+                  <div style={styles.statLabel}>Site requests this window</div>
+                </div>
+                <div>
+                  <div style={styles.statValue}>
+                    {tokenUsage.tokens.toLocaleString()}
+                    {tokenUsage.budget > 0 ? ` / ${tokenUsage.budget.toLocaleString()}` : ''}
+                  </div>
+                  <div style={styles.statLabel}>AI tokens today (UTC)</div>
+                </div>
+                <div>
+                  <div style={styles.statValue}>{status.cooldowns.length}</div>
+                  <div style={styles.statLabel}>Requesters in cool-down</div>
+                </div>
+              </div>
+            </div>
+
+            {status.projects.length > 0 && (
+              <div style={styles.formGroup}>
+                <label style={styles.label}>Projects this window</label>
+                {status.projects.map((project) => (
+                  <div key={project.projectId} style={styles.redactionProjectRow}>
+                    <span>{projectName(project.projectId)}</span>
+                    <span>
+                      {project.count} / {project.maxRequests}
+                    </span>
+                  </div>
+                ))}
+              </div>
+            )}
+
+            {status.cooldowns.length > 0 && (
+              <div style={styles.formGroup}>
+                <label style={styles.label}>Cool-downs</label>
+                {status.cooldowns.map((cooldown) => (
+                  <div key={cooldown.requesterId} style={styles.redactionProjectRow}>
+                    <span>
+                      {cooldown.requesterId}
+                      <span style={styles.statLabel}>
+                        {' '}
+                        — strike {cooldown.strikes}, {cooldown.remainingSeconds}s left
+                      </span>
+                    </span>
+                    <button
+                      type="button"
+                      style={styles.linkButton(false)}
+                      onClick={() => handleLiftCooldown(cooldown.requesterId)}
+                    >
+                      Lift
+                    </button>
+                  </div>
+                ))}
+              </div>
+            )}
+          </>
+        )}
+      </div>
+
+      <div style={{ ...styles.card, marginTop: 16 }}>
+        <div style={styles.cardHeader}>
+          <span style={styles.cardHeaderTitle}>Limits</span>
+        </div>
+
+        {!form ? (
+          <div style={styles.emptyState}>Loading rate limits...</div>
+        ) : (
+          <>
+            {RATE_LIMIT_SCOPE_FIELDS.map(({ scope, label }) => (
+              <div key={scope} style={styles.formGroup}>
+                <label style={styles.label}>{label}</label>
+                <div style={styles.inlineFields}>
+                  <input
+                    style={styles.input}
+                    type="number"
+                    min="1"
+                    value={form[`${scope}MaxRequests`]}
+                    onChange={(e) => updateForm({ [`${scope}MaxRequests`]: e.target.value })}
+                    placeholder="Requests"
+                  />
+                  <input
+                    style={styles.input}
+                    type="number"
+                    min="1"
+                    value={form[`${scope}WindowSeconds`]}
+                    onChange={(e) => updateForm({ [`${scope}WindowSeconds`]: e.target.value })}
+                    placeholder="Per seconds"
+                  />
+                </div>
+              </div>
+            ))}
+
+            <div style={styles.formGroup}>
+              <label style={styles.label}>Daily AI token budget</label>
+              <input
+                style={styles.input}
+                type="number"
+                min="0"
+                value={form.dailyTokenBudget}
+                onChange={(e) => updateForm({ dailyTokenBudget: e.target.value })}
+                placeholder="0 for no budget"
+              />
+            </div>
+
+            <div style={styles.formGroup}>
+              <label style={styles.checkboxLabel}>
+                <input
+                  type="checkbox"
+                  checked={form.cooldownEnabled}
+                  onChange={(e) => updateForm({ cooldownEnabled: e.target.checked })}
+                />
+                Cool down signed-in requesters who hit their limit (doubles with every strike)
+              </label>
+              <div style={{ ...styles.inlineFields, marginTop: 8 }}>
+                <input
+                  style={styles.input}
+                  type="number"
+                  min="1"
+                  value={form.cooldownBaseSeconds}
+                  onChange={(e) => updateForm({ cooldownBaseSeconds: e.target.value })}
+                  placeholder="First cool-down (seconds)"
+                  disabled={!form.cooldownEnabled}
+                />
+                <input
+                  style={styles.input}
+                  type="number"
+                  min="1"
+                  value={form.cooldownMaxSeconds}
+                  onChange={(e) => updateForm({ cooldownMaxSeconds: e.target.value })}
+                  placeholder="Longest cool-down (seconds)"
+                  disabled={!form.cooldownEnabled}
+                />
+                <input
+                  style={styles.input}
+                  type="number"
+                  min="60"
+                  value={form.cooldownStrikeResetSeconds}
+                  onChange={(e) => updateForm({ cooldownStrikeResetSeconds: e.target.value })}
+                  placeholder="Forget strikes after (seconds)"
+                  disabled={!form.cooldownEnabled}
+                />
+              </div>
+            </div>
+
+            <div style={styles.formGroup}>
+              <label style={styles.checkboxLabel}>
+                <input
+                  type="checkbox"
+                  checked={form.failOpen}
+                  onChange={(e) => updateForm({ failOpen: e.target.checked })}
+                />
+                Allow signed-in customers through when limits cannot be checked
+              </label>
+            </div>
+          </>
+        )}
+
+        <div style={styles.buttonRow}>
+          <button
+            type="button"
+            style={styles.saveButton(savingPolicy || !form)}
+            disabled={savingPolicy || !form}
+            onClick={handleSave}
+          >
+            {savingPolicy ? 'Saving...' : 'Save Rate Limits'}
+          </button>
+        </div>
+      </div>
+    </>
+  );
+}
+
+const PROMPT_SAFETY_STAGE_LABELS = {
+  input: 'Customer message',
+  issue_data: 'Issue data',
+  output: 'AI reply',
+};
+
+const PROMPT_SAFETY_REASON_LABELS = {
+  override_instructions: 'asked to ignore instructions',
+  reveal_prompt: 'asked for the system prompt',
+  role_change: 'tried to change the assistant role',
+  jailbreak: 'jailbreak phrase',
+  new_instructions: 'injected new instructions',
+  role_marker: 'fake role marker',
+  chat_template_token: 'chat template tokens',
+  delimiter_escape: 'tried to escape the data delimiters',
+  unknown_issue_key: 'mentioned an issue it was not given',
+  unknown_field: 'reported a field it was not given',
+  prompt_leak: 'quoted its instructions',
+};
+
+/**
+ * Recent portal chat messages that never reached the AI model, and model
+ * replies that were replaced with the standard answer.
+ */
+function PromptSafetyLog({ showNotification }) {
+  const [entries, setEntries] = useState([]);
+  const [loadingEntries, setLoadingEntries] = useState(true);
+
+  const loadEntries = useCallback(() => {
+    setLoadingEntries(true);
+    invoke('getPromptSafetyLog')
+      .then((result) => setEntries(Array.isArray(result?.entries) ? result.entries : []))
+      .catch(() => showNotification('Failed to load the prompt safety log.', 'error'))
+      .finally(() => setLoadingEntries(false));
+  }, [showNotification]);
+
+  useEffect(() => {
+    loadEntries();
+  }, [loadEntries]);
+
+  const handleClear = async () => {
+    try {
+      await invoke('clearPromptSafetyLog');
+      setEntries([]);
+      showNotification('Prompt safety log cleared.');
+    } catch (err) {
+      showNotification('Failed to clear the prompt safety log.', 'error');
+    }
+  };
+
   return (
-    <label style={styles.toggleLabel} title={checked ? `Disable chat for ${projectName}` : `Enable chat for ${projectName}`}>
-      <input
-        type="checkbox"
-        style={styles.toggleInput}
-        checked={checked}
-        onChange={onChange}
-        aria-label={`Toggle chat agent for ${projectName}`}
-      />
-      <span style={styles.toggleSlider(checked)}>
-        <span style={styles.toggleKnob(checked)} />
-      </span>
-    </label>
+    <div style={styles.card}>
+      <div style={styles.cardHeader}>
+        <span style={styles.cardHeaderTitle}>Blocked Attempts ({entries.length})</span>
+        <span style={{ display: 'flex', gap: 12 }}>
+          <button
+            type="button"
+            style={styles.linkButton(loadingEntries || entries.length === 0)}
+            disabled={loadingEntries || entries.length === 0}
+            onClick={handleClear}
+          >
+            Clear
+          </button>
+          <button
+            type="button"
+            style={styles.linkButton(loadingEntries)}
+            disabled={loadingEntries}
+            onClick={loadEntries}
+          >
+            {loadingEntries ? 'Loading...' : 'Refresh'}
+          </button>
+        </span>
+      </div>
+
+      {entries.length === 0 ? (
+        <div style={styles.emptyState}>{loadingEntries ? 'Loading log...' : 'Nothing has been blocked.'}</div>
+      ) : (
+        entries.map((entry, index) => (
+          <div key={`${entry.at}-${index}`} style={styles.formGroup}>
+            <div style={styles.labelRow}>
+              <label style={styles.label}>{PROMPT_SAFETY_STAGE_LABELS[entry.stage] || entry.stage}</label>
+              <span style={styles.statLabel}>{new Date(entry.at).toLocaleString()}</span>
+            </div>
+            <div style={styles.logReasons}>
+              {(entry.reasons || []).map((reason) => PROMPT_SAFETY_REASON_LABELS[reason] || reason).join(', ')}
+            </div>
+            <div style={styles.logExcerpt}>{entry.excerpt}</div>
+          </div>
+        ))
+      )}
+    </div>
   );
 }
 
-const MODEL_OPTIONS = {
-  openai: [
-    { value: 'gpt-4o', label: 'GPT-4o' },
-    { value: 'gpt-4o-mini', label: 'GPT-4o Mini' },
-    { value: 'gpt-4-turbo', label: 'GPT-4 Turbo' },
-    { value: 'gpt-3.5-turbo', label: 'GPT-3.5 Turbo' },
-  ],
-  claude: [
-    { value: 'claude-sonnet-4-5-20250929', label: 'Claude Sonnet 4.5' },
-    { value: 'claude-opus-4-6', label: 'Claude Opus 4.6' },
-    { value: 'claude-haiku-4-5-20251001', label: 'Claude Haiku 4.5' },
-  ],
+const CHAT_INTENT_LABELS = {
+  status: 'Status',
+  assignee: 'Assignee',
+  reporter: 'Reporter',
+  due: 'Due date / SLA',
+  latest_update: 'Latest update',
+  priority: 'Priority',
+  resolution: 'Resolution',
+  links: 'Linked issues',
+  all: 'Several details',
+  my_requests: 'My requests',
+  request_search: 'Request search',
+  greeting: 'Greeting',
+  create_request: 'Create request',
+  unknown: 'Not recognised',
 };
 
+const CHAT_FAILURE_REASON_LABELS = {
+  no_issue_key: 'No request key and no match',
+  issue_not_found: 'Request not found',
+  issue_not_accessible: 'Request not accessible',
+  issue_in_other_project: 'Request in another project',
+  issue_fetch_error: 'Jira error',
+  rate_limit_requester: 'Customer rate limit',
+  rate_limit_cooldown: 'Customer in cool-down',
+  rate_limit_project: 'Project rate limit',
+  rate_limit_global: 'Site rate limit',
+  rate_limit_unavailable: 'Rate limit check failed',
+  exception: 'Unexpected error',
+  field_validation: 'Rejected field values',
+  create_failed: 'Request creation failed',
+};
+
+function downloadCsv(filename, csv) {
+  const url = URL.createObjectURL(new Blob([csv], { type: 'text/csv;charset=utf-8' }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * What customers ask the assistant and how those conversations end, with
+ * the questions it could not answer. Dates are UTC days.
+ */
+function ConversationAnalytics({ projects, showNotification }) {
+  const [filters, setFilters] = useState({ projectId: '', from: '', to: '' });
+  const [analytics, setAnalytics] = useState(null);
+  const [loadingAnalytics, setLoadingAnalytics] = useState(true);
+  const [exporting, setExporting] = useState(false);
+
+  const loadAnalytics = useCallback(
+    (nextFilters) => {
+      setLoadingAnalytics(true);
+      invoke('getChatAnalytics', nextFilters)
+        .then((result) => {
+          if (result?.error) {
+            showNotification(result.error, 'error');
+            return;
+          }
+          setAnalytics(result || null);
+          setFilters({ projectId: result?.projectId || '', from: result?.from || '', to: result?.to || '' });
+        })
+        .catch(() => showNotification('Failed to load conversation analytics.', 'error'))
+        .finally(() => setLoadingAnalytics(false));
+    },
+    [showNotification]
+  );
+
+  useEffect(() => {
+    loadAnalytics({});
+  }, [loadAnalytics]);
+
+  const handleExport = async () => {
+    setExporting(true);
+    try {
+      const result = await invoke('exportChatAnalyticsCsv', filters);
+      if (result?.error) {
+        showNotification(result.error, 'error');
+        return;
+      }
+      downloadCsv(result.filename, result.csv);
+      if (result.truncated) {
+        showNotification('The export was cut short. Choose fewer days to get every interaction.', 'error');
+      }
+    } catch (err) {
+      showNotification('Failed to export conversation analytics.', 'error');
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const projectName = (projectId) => projects.find((project) => project.id === projectId)?.name || projectId;
+  const totals = analytics?.totals;
+  const chartMax = analytics ? Math.max(...analytics.daily.map((day) => day.total), 0) : 0;
+  const answeredCount = (totals?.outcomes?.answered || 0) + (totals?.outcomes?.created_request || 0);
+
+  return (
+    <div style={styles.card}>
+      <div style={styles.cardHeader}>
+        <span style={styles.cardHeaderTitle}>Conversations</span>
+        <span style={{ display: 'flex', gap: 12 }}>
+          <button
+            type="button"
+            style={styles.linkButton(exporting || !analytics)}
+            disabled={exporting || !analytics}
+            onClick={handleExport}
+          >
+            {exporting ? 'Exporting...' : 'Export CSV'}
+          </button>
+          <button
+            type="button"
+            style={styles.linkButton(loadingAnalytics)}
+            disabled={loadingAnalytics}
+            onClick={() => loadAnalytics(filters)}
+          >
+            {loadingAnalytics ? 'Loading...' : 'Apply'}
+          </button>
+        </span>
+      </div>
+
+      <div style={styles.formGroup}>
+        <div style={styles.inlineFields}>
+          <select
+            style={styles.select}
+            value={filters.projectId}
+            onChange={(e) => setFilters((prev) => ({ ...prev, projectId: e.target.value }))}
+          >
+            <option value="">All projects</option>
+            {projects.map((project) => (
+              <option key={project.id} value={project.id}>
+                {project.name}
+              </option>
+            ))}
+          </select>
+          <input
+            style={styles.input}
+            type="date"
+            value={filters.from}
+            onChange={(e) => setFilters((prev) => ({ ...prev, from: e.target.value }))}
+          />
+          <input
+            style={styles.input}
+            type="date"
+            value={filters.to}
+            onChange={(e) => setFilters((prev) => ({ ...prev, to: e.target.value }))}
+          />
+        </div>
+      </div>
+
+      {!analytics ? (
+        <div style={styles.emptyState}>{loadingAnalytics ? 'Loading analytics...' : 'No analytics available.'}</div>
+      ) : (
+        <>
+          <div style={styles.formGroup}>
+            <div style={styles.statGrid}>
+              <div>
+                <div style={styles.statValue}>{totals.total.toLocaleString()}</div>
+                <div style={styles.statLabel}>Interactions</div>
+              </div>
+              <div>
+                <div style={styles.statValue}>
+                  {totals.total ? `${Math.round((answeredCount / totals.total) * 100)}%` : '—'}
+                </div>
+                <div style={styles.statLabel}>Answered or created</div>
+              </div>
+              <div>
+                <div style={styles.statValue}>{(totals.outcomes.not_found || 0).toLocaleString()}</div>
+                <div style={styles.statLabel}>Could not answer</div>
+              </div>
+              <div>
+                <div style={styles.statValue}>
+                  {totals.averageLatencyMs === null ? '—' : `${(totals.averageLatencyMs / 1000).toFixed(1)}s`}
+                </div>
+                <div style={styles.statLabel}>Average response time</div>
+              </div>
+            </div>
+          </div>
+
+          <div style={styles.formGroup}>
+            <label style={styles.label}>Daily volume</label>
+            <div style={styles.usageChart}>
+              {analytics.daily.map((day) => (
+                <div
+                  key={day.day}
+                  style={styles.usageBar(chartMax > 0 ? (day.total / chartMax) * 100 : 0)}
+                  title={`${day.day}: ${day.total} interactions, ${day.answered} answered`}
+                />
+              ))}
+            </div>
+            <div style={styles.usageChartAxis}>
+              <span>{analytics.from}</span>
+              <span>{analytics.to}</span>
+            </div>
+            {analytics.dropped > 0 && (
+              <div style={{ ...styles.statLabel, marginTop: 8 }}>
+                {analytics.dropped} interactions on very busy days are counted but missing from the export.
+              </div>
+            )}
+          </div>
+
+          <div style={styles.formGroup}>
+            <label style={styles.label}>Outcomes</label>
+            {analytics.outcomes.map((outcome) => (
+              <div key={outcome.id} style={styles.redactionProjectRow}>
+                <span>{outcome.label}</span>
+                <span>{(totals.outcomes[outcome.id] || 0).toLocaleString()}</span>
+              </div>
+            ))}
+          </div>
+
+          {analytics.topIntents.length > 0 && (
+            <div style={styles.formGroup}>
+              <label style={styles.label}>Top intents</label>
+              {analytics.topIntents.map((entry) => (
+                <div key={entry.intent} style={styles.redactionProjectRow}>
+                  <span>{CHAT_INTENT_LABELS[entry.intent] || entry.intent}</span>
+                  <span>{entry.count.toLocaleString()}</span>
+                </div>
+              ))}
+            </div>
+          )}
+
+          {analytics.failureReasons.length > 0 && (
+            <div style={styles.formGroup}>
+              <label style={styles.label}>Failure reasons</label>
+              {analytics.failureReasons.map((entry) => (
+                <div key={entry.reason} style={styles.redactionProjectRow}>
+                  <span>{CHAT_FAILURE_REASON_LABELS[entry.reason] || entry.reason}</span>
+                  <span>{entry.count.toLocaleString()}</span>
+                </div>
+              ))}
+            </div>
+          )}
+
+          <div style={styles.formGroupLast}>
+            <label style={styles.label}>Questions the assistant could not answer ({analytics.unanswered.length})</label>
+            {analytics.unanswered.length === 0 ? (
+              <div style={styles.statLabel}>None in this period.</div>
+            ) : (
+              analytics.unanswered.map((entry, index) => (
+                <div key={`${entry.at}-${index}`} style={{ padding: '6px 0' }}>
+                  <div style={styles.logReasons}>{entry.question}</div>
+                  <div style={styles.statLabel}>
+                    {new Date(entry.at).toLocaleString()} · {projectName(entry.projectId)} ·{' '}
+                    {CHAT_FAILURE_REASON_LABELS[entry.reason] || entry.reason}
+                  </div>
+                </div>
+              ))
+            )}
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+const formatUsd = (value) =>
+  `$${(Number(value) || 0).toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+const formatTokens = (totals) => ((totals?.inputTokens || 0) + (totals?.outputTokens || 0)).toLocaleString();
+
+/**
+ * AI spend over the last 30 days. Bars show cost, or tokens while nothing
+ * is priced, so the chart is never empty when the assistant is in use.
+ */
+function LlmUsageDashboard({ projects, showNotification }) {
+  const [usage, setUsage] = useState(null);
+  const [loadingUsage, setLoadingUsage] = useState(true);
+
+  const loadUsage = useCallback(() => {
+    setLoadingUsage(true);
+    invoke('getLlmUsageDashboard', { days: 30 })
+      .then((result) => setUsage(result || null))
+      .catch(() => showNotification('Failed to load AI usage.', 'error'))
+      .finally(() => setLoadingUsage(false));
+  }, [showNotification]);
+
+  useEffect(() => {
+    loadUsage();
+  }, [loadUsage]);
+
+  const projectName = (projectId) =>
+    projectId ? projects.find((project) => project.id === projectId)?.name || projectId : 'Issue analysis';
+
+  const chartByCost = usage?.totals?.costUsd > 0;
+  const chartValue = (day) => (chartByCost ? day.costUsd : day.inputTokens + day.outputTokens);
+  const chartMax = usage ? Math.max(...usage.daily.map(chartValue), 0) : 0;
+  const monthToDate = usage?.monthToDate;
+
+  return (
+    <div style={styles.card}>
+      <div style={styles.cardHeader}>
+        <span style={styles.cardHeaderTitle}>Usage</span>
+        <button type="button" style={styles.linkButton(loadingUsage)} disabled={loadingUsage} onClick={loadUsage}>
+          {loadingUsage ? 'Loading...' : 'Refresh'}
+        </button>
+      </div>
+
+      {!usage ? (
+        <div style={styles.emptyState}>{loadingUsage ? 'Loading usage...' : 'No usage available.'}</div>
+      ) : (
+        <>
+          {usage.deterministicOnly && (
+            <div style={{ ...styles.banner('error'), margin: '16px 20px 0' }}>
+              {usage.deterministicOnlyReason} The assistant answers without AI until the budget resets.
+            </div>
+          )}
+
+          <div style={styles.formGroup}>
+            <div style={styles.statGrid}>
+              <div>
+                <div style={styles.statValue}>
+                  {formatUsd(monthToDate.costUsd)}
+                  {monthToDate.budgetUsd > 0 ? ` / ${formatUsd(monthToDate.budgetUsd)}` : ''}
+                </div>
+                <div style={styles.statLabel}>Spend this month (UTC)</div>
+              </div>
+              <div>
+                <div style={styles.statValue}>{formatUsd(usage.totals.costUsd)}</div>
+                <div style={styles.statLabel}>Spend, last 30 days</div>
+              </div>
+              <div>
+                <div style={styles.statValue}>{formatTokens(usage.totals)}</div>
+                <div style={styles.statLabel}>Tokens, last 30 days</div>
+              </div>
+              <div>
+                <div style={styles.statValue}>{usage.totals.requests.toLocaleString()}</div>
+                <div style={styles.statLabel}>AI requests, last 30 days</div>
+              </div>
+            </div>
+          </div>
+
+          <div style={styles.formGroup}>
+            <label style={styles.label}>{chartByCost ? 'Daily spend' : 'Daily tokens'}</label>
+            <div style={styles.usageChart}>
+              {usage.daily.map((day) => (
+                <div
+                  key={day.day}
+                  style={styles.usageBar(chartMax > 0 ? (chartValue(day) / chartMax) * 100 : 0)}
+                  title={`${day.day}: ${formatUsd(day.costUsd)}, ${formatTokens(day)} tokens`}
+                />
+              ))}
+            </div>
+            <div style={styles.usageChartAxis}>
+              <span>{usage.daily[0]?.day}</span>
+              <span>{usage.daily[usage.daily.length - 1]?.day}</span>
+            </div>
+          </div>
+
+          {usage.topProjects.length > 0 && (
+            <div style={styles.formGroup}>
+              <label style={styles.label}>Top projects</label>
+              {usage.topProjects.map((project) => (
+                <div key={project.projectId || 'none'} style={styles.redactionProjectRow}>
+                  <span>{projectName(project.projectId)}</span>
+                  <span>
+                    {formatUsd(project.costUsd)} <span style={styles.statLabel}>· {formatTokens(project)} tokens</span>
+                  </span>
+                </div>
+              ))}
+            </div>
+          )}
+
+          {usage.models.length > 0 && (
+            <div style={styles.formGroup}>
+              <label style={styles.label}>Models</label>
+              {usage.models.map((model) => (
+                <div key={`${model.provider}:${model.model}`} style={styles.redactionProjectRow}>
+                  <span>
+                    {model.model} <span style={styles.projectKey}>{model.provider}</span>
+                  </span>
+                  <span>
+                    {formatUsd(model.costUsd)} <span style={styles.statLabel}>· {formatTokens(model)} tokens</span>
+                  </span>
+                </div>
+              ))}
+            </div>
+          )}
+
+          {(usage.unpricedModels.length > 0 || usage.totals.estimatedRequests > 0) && (
+            <div style={styles.formGroup}>
+              {usage.unpricedModels.length > 0 && (
+                <div style={styles.statLabel}>
+                  No price set for {usage.unpricedModels.map((model) => model.model).join(', ')}; their usage is
+                  counted at $0.
+                </div>
+              )}
+              {usage.totals.estimatedRequests > 0 && (
+                <div style={styles.statLabel}>
+                  {usage.totals.estimatedRequests} requests were streamed or reported no usage and are estimated.
+                </div>
+              )}
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
+
+let priceRowCounter = 0;
+
+function createPriceRow(price, providers) {
+  priceRowCounter += 1;
+  return {
+    rowKey: `price-${priceRowCounter}`,
+    provider: price?.provider || providers[0]?.id || '',
+    model: price?.model || '',
+    inputPerMillion: price ? String(price.inputPerMillion) : '',
+    outputPerMillion: price ? String(price.outputPerMillion) : '',
+  };
+}
+
+/**
+ * Prices per million tokens and the monthly budget. "*" as the model prices
+ * every model of a provider that has no entry of its own.
+ */
+function LlmCostSettings({ providers, showNotification, maxEntries = 50 }) {
+  const [monthlyBudget, setMonthlyBudget] = useState('');
+  const [priceRows, setPriceRows] = useState([]);
+  const [loadingSettings, setLoadingSettings] = useState(true);
+  const [savingSettings, setSavingSettings] = useState(false);
+
+  const applySettings = useCallback(
+    (settings) => {
+      setMonthlyBudget(settings?.monthlyBudgetUsd ? String(settings.monthlyBudgetUsd) : '');
+      setPriceRows(
+        (Array.isArray(settings?.prices) ? settings.prices : []).map((price) => createPriceRow(price, providers))
+      );
+    },
+    [providers]
+  );
+
+  useEffect(() => {
+    if (providers.length === 0) {
+      return;
+    }
+    invoke('getLlmCostSettings')
+      .then((result) => applySettings(result?.settings))
+      .catch(() => showNotification('Failed to load AI prices.', 'error'))
+      .finally(() => setLoadingSettings(false));
+  }, [providers, applySettings, showNotification]);
+
+  const updatePriceRow = (rowKey, patch) => {
+    setPriceRows((prev) => prev.map((row) => (row.rowKey === rowKey ? { ...row, ...patch } : row)));
+  };
+
+  const handleSave = async () => {
+    setSavingSettings(true);
+    try {
+      const result = await invoke('saveLlmCostSettings', {
+        settings: {
+          monthlyBudgetUsd: Number(monthlyBudget || 0),
+          prices: priceRows.map(({ provider, model, inputPerMillion, outputPerMillion }) => ({
+            provider,
+            model: model.trim(),
+            inputPerMillion: Number(inputPerMillion),
+            outputPerMillion: Number(outputPerMillion),
+          })),
+        },
+      });
+      if (result?.error) {
+        showNotification(result.error, 'error');
+        return;
+      }
+      applySettings(result?.settings);
+      showNotification('AI prices saved.');
+    } catch (err) {
+      showNotification('Failed to save AI prices. Please try again.', 'error');
+    } finally {
+      setSavingSettings(false);
+    }
+  };
+
+  return (
+    <div style={{ ...styles.card, marginTop: 16 }}>
+      <div style={styles.cardHeader}>
+        <span style={styles.cardHeaderTitle}>Prices &amp; Budget</span>
+      </div>
+
+      {loadingSettings ? (
+        <div style={styles.emptyState}>Loading prices...</div>
+      ) : (
+        <>
+          <div style={styles.formGroup}>
+            <label style={styles.label}>Monthly budget (USD)</label>
+            <input
+              style={styles.input}
+              type="number"
+              min="0"
+              step="0.01"
+              value={monthlyBudget}
+              onChange={(e) => setMonthlyBudget(e.target.value)}
+              placeholder="No budget"
+            />
+          </div>
+
+          {priceRows.map((row, index) => (
+            <div key={row.rowKey} style={styles.formGroup}>
+              <div style={styles.labelRow}>
+                <label style={styles.label}>Price {index + 1} (USD per million tokens)</label>
+                <button
+                  type="button"
+                  style={styles.linkButton(false)}
+                  onClick={() => setPriceRows((prev) => prev.filter((candidate) => candidate.rowKey !== row.rowKey))}
+                >
+                  Remove
+                </button>
+              </div>
+              <div style={styles.inlineFields}>
+                <select
+                  style={{ ...styles.select, flex: '0 0 22%' }}
+                  value={row.provider}
+                  onChange={(e) => updatePriceRow(row.rowKey, { provider: e.target.value })}
+                >
+                  {providers.map((provider) => (
+                    <option key={provider.id} value={provider.id}>
+                      {provider.label}
+                    </option>
+                  ))}
+                </select>
+                <input
+                  style={styles.input}
+                  type="text"
+                  value={row.model}
+                  onChange={(e) => updatePriceRow(row.rowKey, { model: e.target.value })}
+                  placeholder="Model, or * for all"
+                />
+                <input
+                  style={{ ...styles.input, flex: '0 0 18%' }}
+                  type="number"
+                  min="0"
+                  step="0.01"
+                  value={row.inputPerMillion}
+                  onChange={(e) => updatePriceRow(row.rowKey, { inputPerMillion: e.target.value })}
+                  placeholder="Input"
+                />
+                <input
+                  style={{ ...styles.input, flex: '0 0 18%' }}
+                  type="number"
+                  min="0"
+                  step="0.01"
+                  value={row.outputPerMillion}
+                  onChange={(e) => updatePriceRow(row.rowKey, { outputPerMillion: e.target.value })}
+                  placeholder="Output"
+                />
+              </div>
+            </div>
+          ))}
+        </>
+      )}
+
+      <div style={{ ...styles.buttonRow, justifyContent: 'space-between' }}>
+        <button
+          type="button"
+          style={styles.secondaryButton(loadingSettings || priceRows.length >= maxEntries)}
+          disabled={loadingSettings || priceRows.length >= maxEntries}
+          onClick={() => setPriceRows((prev) => [...prev, createPriceRow(null, providers)])}
+        >
+          Add price
+        </button>
+        <button
+          type="button"
+          style={styles.saveButton(savingSettings || loadingSettings)}
+          disabled={savingSettings || loadingSettings}
+          onClick={handleSave}
+        >
+          {savingSettings ? 'Saving...' : 'Save Prices'}
+        </button>
+      </div>
+    </div>
+  );
+}
+
 function App() {
   const [projects, setProjects] = useState([]);
   const [projectSettings, setProjectSettings] = useState({});
@@ -273,8 +2012,12 @@ function App() {
   const [hoveredRow, setHoveredRow] = useState(null);
 
   // LLM settings state
+  const [llmProviders, setLlmProviders] = useState([]);
   const [llmProvider, setLlmProvider] = useState('openai');
   const [llmModel, setLlmModel] = useState('');
+  const [llmOptions, setLlmOptions] = useState({});
+  const [listedModels, setListedModels] = useState({});
+  const [loadingModels, setLoadingModels] = useState(false);
   const [llmApiKey, setLlmApiKey] = useState('');
   const [hasStoredApiKey, setHasStoredApiKey] = useState(false);
   const [showApiKey, setShowApiKey] = useState(false);
@@ -288,12 +2031,15 @@ function App() {
   useEffect(() => {
     async function loadData() {
       try {
-        const [projectsResult, settingsResult, llmResult] = await Promise.all([
+        const [projectsResult, settingsResult, llmResult, providersResult] = await Promise.all([
           invoke('getProjects'),
           invoke('getProjectChatSettings'),
           invoke('getLLMSettings'),
+          invoke('getLlmProviders'),
         ]);
 
+        setLlmProviders(Array.isArray(providersResult?.providers) ? providersResult.providers : []);
+
         if (projectsResult.error) {
           setError(projectsResult.error);
           return;
@@ -305,6 +2051,7 @@ function App() {
         if (llmResult) {
           setLlmProvider(llmResult.provider || 'openai');
           setLlmModel(llmResult.model || '');
+          setLlmOptions(llmResult.options || {});
           setLlmApiKey(llmResult.apiKeyMasked || llmResult.apiKey || '');
           setHasStoredApiKey(Boolean(llmResult.hasApiKey));
         }
@@ -348,11 +2095,55 @@ function App() {
     }
   };
 
+  const activeProvider = llmProviders.find((provider) => provider.id === llmProvider) || null;
+  const modelOptions = buildModelOptions(llmProviders);
+  const activeModelOptions = listedModels[llmProvider] || modelOptions[llmProvider] || [];
+  const apiKeyRequired = activeProvider ? activeProvider.apiKeyRequired : true;
+  const missingRequiredOption = (activeProvider?.settingsFields || []).some(
+    (field) => field.required && !String(llmOptions[field.key] || '').trim()
+  );
+  const cannotSaveLLM =
+    savingLLM ||
+    !llmModel ||
+    missingRequiredOption ||
+    (apiKeyRequired && !hasStoredApiKey && !llmApiKey.trim());
+
   const handleProviderChange = (e) => {
     const newProvider = e.target.value;
     setLlmProvider(newProvider);
-    // Reset model when switching providers
+    // Reset model and provider-specific options when switching providers
     setLlmModel('');
+    setLlmOptions(
+      buildDefaultProviderOptions(llmProviders.find((provider) => provider.id === newProvider))
+    );
+  };
+
+  const handleOptionChange = (key, value) => {
+    setLlmOptions((prev) => ({ ...prev, [key]: value }));
+  };
+
+  const handleLoadModels = async () => {
+    setLoadingModels(true);
+    try {
+      const result = await invoke('listLlmModels', {
+        provider: llmProvider,
+        apiKey: llmApiKey.trim(),
+        options: llmOptions,
+      });
+
+      if (result?.error) {
+        showNotification(result.error, 'error');
+        return;
+      }
+
+      const models = Array.isArray(result?.models) ? result.models : [];
+      setListedModels((prev) => ({ ...prev, [llmProvider]: models }));
+      showNotification(`Loaded ${models.length} model${models.length === 1 ? '' : 's'}.`);
+    } catch (err) {
+      showNotification('Failed to load models. Please try again.', 'error');
+    } finally {
+      setLoadingModels(false);
+    }
   };
 
   const handleSaveLLM = async () => {
@@ -360,7 +2151,7 @@ function App() {
       showNotification('Please select a model.', 'error');
       return;
     }
-    if (!llmApiKey.trim() && !hasStoredApiKey) {
+    if (apiKeyRequired && !llmApiKey.trim() && !hasStoredApiKey) {
       showNotification('Please enter an API key.', 'error');
       return;
     }
@@ -371,6 +2162,7 @@ function App() {
         provider: llmProvider,
         model: llmModel,
         apiKey: llmApiKey.trim(),
+        options: llmOptions,
       });
 
       if (result.error) {
@@ -379,9 +2171,10 @@ function App() {
         const refreshedSettings = await invoke('getLLMSettings');
         setLlmProvider(refreshedSettings?.provider || llmProvider);
         setLlmModel(refreshedSettings?.model || llmModel);
+        setLlmOptions(refreshedSettings?.options || llmOptions);
         setLlmApiKey(refreshedSettings?.apiKeyMasked || refreshedSettings?.apiKey || '');
         setHasStoredApiKey(Boolean(refreshedSettings?.hasApiKey));
-        showNotification(`AI model settings saved — using ${llmProvider === 'openai' ? 'OpenAI' : 'Claude'}`);
+        showNotification(`AI model settings saved — using ${activeProvider?.label || llmProvider}`);
       }
     } catch (err) {
       showNotification('Failed to save AI model settings. Please try again.', 'error');
@@ -483,7 +2276,7 @@ function App() {
           <div style={styles.cardHeader}>
             <span style={styles.cardHeaderTitle}>Provider & Model</span>
             <span style={{ fontSize: 12, color: '#6B778C' }}>
-              {llmProvider === 'openai' ? 'OpenAI' : 'Anthropic Claude'}
+              {activeProvider?.label || llmProvider}
               {llmModel ? ` — ${llmModel}` : ''}
             </span>
           </div>
@@ -495,36 +2288,88 @@ function App() {
               value={llmProvider}
               onChange={handleProviderChange}
             >
-              <option value="openai">OpenAI</option>
-              <option value="claude">Anthropic Claude</option>
+              {llmProviders.map((provider) => (
+                <option key={provider.id} value={provider.id}>
+                  {provider.label}
+                </option>
+              ))}
             </select>
           </div>
 
+          {(activeProvider?.settingsFields || []).map((field) => (
+            <div key={field.key} style={styles.formGroup}>
+              <label style={styles.label}>
+                {field.label}
+                {field.required ? '' : ' (optional)'}
+              </label>
+              <input
+                style={styles.input}
+                type="text"
+                value={llmOptions[field.key] || ''}
+                onChange={(e) => handleOptionChange(field.key, e.target.value)}
+                placeholder={field.placeholder}
+              />
+            </div>
+          ))}
+
           <div style={styles.formGroup}>
-            <label style={styles.label}>Model</label>
-            <select
-              style={styles.select}
-              value={llmModel}
-              onChange={(e) => setLlmModel(e.target.value)}
-            >
-              <option value="">Select a model...</option>
-              {MODEL_OPTIONS[llmProvider].map((opt) => (
-                <option key={opt.value} value={opt.value}>
-                  {opt.label}
-                </option>
-              ))}
-            </select>
+            <div style={styles.labelRow}>
+              <label style={styles.label}>{activeProvider?.modelLabel || 'Model'}</label>
+              <button
+                type="button"
+                style={styles.linkButton(loadingModels)}
+                disabled={loadingModels}
+                onClick={handleLoadModels}
+              >
+                {loadingModels ? 'Loading...' : 'Refresh model list'}
+              </button>
+            </div>
+            {activeProvider?.allowCustomModel ? (
+              <>
+                <input
+                  style={styles.input}
+                  type="text"
+                  list={`llm-models-${llmProvider}`}
+                  value={llmModel}
+                  onChange={(e) => setLlmModel(e.target.value)}
+                  placeholder={`Enter ${(activeProvider.modelLabel || 'model').toLowerCase()}...`}
+                />
+                <datalist id={`llm-models-${llmProvider}`}>
+                  {activeModelOptions.map((opt) => (
+                    <option key={opt.value} value={opt.value}>
+                      {opt.label}
+                    </option>
+                  ))}
+                </datalist>
+              </>
+            ) : (
+              <select
+                style={styles.select}
+                value={llmModel}
+                onChange={(e) => setLlmModel(e.target.value)}
+              >
+                <option value="">Select a model...</option>
+                {activeModelOptions.map((opt) => (
+                  <option key={opt.value} value={opt.value}>
+                    {opt.label}
+                  </option>
+                ))}
+                {llmModel && !activeModelOptions.some((opt) => opt.value === llmModel) && (
+                  <option value={llmModel}>{llmModel}</option>
+                )}
+              </select>
+            )}
           </div>
 
           <div style={styles.formGroupLast}>
-            <label style={styles.label}>API Key</label>
+            <label style={styles.label}>API Key{apiKeyRequired ? '' : ' (optional)'}</label>
             <div style={styles.apiKeyWrapper}>
               <input
                 style={styles.apiKeyInput}
                 type={showApiKey ? 'text' : 'password'}
                 value={llmApiKey}
                 onChange={(e) => setLlmApiKey(e.target.value)}
-                placeholder={llmProvider === 'openai' ? 'sk-...' : 'sk-ant-...'}
+                placeholder={activeProvider?.apiKeyPlaceholder || ''}
               />
               <button
                 type="button"
@@ -539,8 +2384,8 @@ function App() {
           <div style={styles.buttonRow}>
             <button
               type="button"
-              style={styles.saveButton(savingLLM || !llmModel || (!hasStoredApiKey && !llmApiKey.trim()))}
-              disabled={savingLLM || !llmModel || (!hasStoredApiKey && !llmApiKey.trim())}
+              style={styles.saveButton(cannotSaveLLM)}
+              disabled={cannotSaveLLM}
               onClick={handleSaveLLM}
             >
               {savingLLM ? 'Saving...' : 'Save AI Settings'}
@@ -548,6 +2393,99 @@ function App() {
           </div>
         </div>
       </div>
+
+      {/* ─── Fallback Model Chain ─────────────────────────────────── */}
+      <div style={styles.sectionSpacing}>
+        <h2 style={{ ...styles.heading, fontSize: 20 }}>Fallback Models</h2>
+        <p style={styles.subtitle}>
+          When the primary model is rate limited, unavailable or times out, requests are retried with
+          backoff and then sent to these models in order.
+        </p>
+
+        <FallbackModelSettings providers={llmProviders} showNotification={showNotification} />
+      </div>
+
+      {/* ─── AI Usage & Cost ──────────────────────────────────────── */}
+      <div style={styles.sectionSpacing}>
+        <h2 style={{ ...styles.heading, fontSize: 20 }}>AI Usage &amp; Cost</h2>
+        <p style={styles.subtitle}>
+          Tokens used by every AI feature, priced with the table below. Prices apply from the moment they
+          are saved. Once the monthly budget is reached, the assistant answers without AI until the next
+          month (UTC).
+        </p>
+
+        <LlmUsageDashboard projects={projects} showNotification={showNotification} />
+        <LlmCostSettings providers={llmProviders} showNotification={showNotification} />
+      </div>
+
+      {/* ─── Intake Validation ────────────────────────────────────── */}
+      <div style={styles.sectionSpacing}>
+        <h2 style={{ ...styles.heading, fontSize: 20 }}>Intake Validation</h2>
+        <p style={styles.subtitle}>
+          Extra checks for answers customers give when creating requests in the portal chat. Invalid
+          answers are re-asked before the request is submitted.
+        </p>
+
+        <FieldValidationRules showNotification={showNotification} />
+      </div>
+
+      {/* ─── Redaction ────────────────────────────────────────────── */}
+      <div style={styles.sectionSpacing}>
+        <h2 style={{ ...styles.heading, fontSize: 20 }}>Privacy</h2>
+        <p style={styles.subtitle}>
+          Email addresses, phone numbers, card numbers, IBANs, API keys and your own patterns are replaced
+          with placeholders before portal messages and issue data are sent to the AI provider or the chat
+          backend. Replies are shown to customers with the original values restored.
+        </p>
+
+        <RedactionSettings projects={projects} showNotification={showNotification} />
+      </div>
+
+      {/* ─── Rate Limiting ───────────────────────────────────────── */}
+      <div style={styles.sectionSpacing}>
+        <h2 style={{ ...styles.heading, fontSize: 20 }}>Rate Limiting</h2>
+        <p style={styles.subtitle}>
+          Limits how often the portal chat can be used, per customer, per project and for the whole site.
+          Customers who keep hitting their limit are paused for longer each time. When the daily token
+          budget is used up, the assistant answers without AI until midnight UTC.
+        </p>
+
+        <RateLimitSettings projects={projects} showNotification={showNotification} />
+      </div>
+
+      {/* ─── Prompt Safety ───────────────────────────────────────── */}
+      <div style={styles.sectionSpacing}>
+        <h2 style={{ ...styles.heading, fontSize: 20 }}>Prompt Safety</h2>
+        <p style={styles.subtitle}>
+          Portal messages and issue text that try to give the AI model instructions are answered without
+          the model, and AI replies that mention issues or fields it was not given are replaced with the
+          standard answer. The latest cases are listed here.
+        </p>
+
+        <PromptSafetyLog showNotification={showNotification} />
+      </div>
+
+      {/* ─── Knowledge Base Deflection ───────────────────────────── */}
+      <div style={styles.sectionSpacing}>
+        <h2 style={{ ...styles.heading, fontSize: 20 }}>Knowledge Base Deflection</h2>
+        <p style={styles.subtitle}>
+          Before creating a request, the Chat Agent suggests matching knowledge base articles. Customers
+          who confirm an article solved their problem count as deflected tickets.
+        </p>
+
+        <KnowledgeBaseDeflectionStats showNotification={showNotification} />
+      </div>
+
+      {/* ─── Conversation Analytics ──────────────────────────────── */}
+      <div style={styles.sectionSpacing}>
+        <h2 style={{ ...styles.heading, fontSize: 20 }}>Conversation Analytics</h2>
+        <p style={styles.subtitle}>
+          What customers ask the Jira Assistant and how each conversation ended, kept for 90 days.
+          Questions are stored only when they could not be answered, after the privacy redaction above.
+        </p>
+
+        <ConversationAnalytics projects={projects} showNotification={showNotification} />
+      </div>
     </div>
   );
 }
@@ -1,8 +1,85 @@
 import React, { useEffect, useState } from "react";
-import { view } from "@forge/bridge";
+import { invoke, view } from "@forge/bridge";
+
+const styles = {
+  container: {
+    padding: "16px",
+  },
+  button: (disabled) => ({
+    padding: "6px 14px",
+    fontSize: 14,
+    fontWeight: 500,
+    color: "#FFFFFF",
+    backgroundColor: disabled ? "#B3D4FF" : "#0052CC",
+    border: "none",
+    borderRadius: 4,
+    cursor: disabled ? "not-allowed" : "pointer",
+  }),
+  status: {
+    marginTop: 12,
+    fontSize: 14,
+    color: "#6B778C",
+  },
+  error: {
+    marginTop: 12,
+    padding: "10px 12px",
+    borderRadius: 4,
+    fontSize: 14,
+    background: "#FFEBE6",
+    color: "#BF2600",
+  },
+  section: {
+    marginTop: 16,
+  },
+  sectionTitle: {
+    fontSize: 12,
+    fontWeight: 600,
+    color: "#6B778C",
+    textTransform: "uppercase",
+    letterSpacing: "0.5px",
+    marginBottom: 4,
+  },
+  sectionBody: {
+    fontSize: 14,
+    color: "#172B4D",
+    whiteSpace: "pre-wrap",
+  },
+  list: {
+    margin: 0,
+    paddingLeft: 20,
+    fontSize: 14,
+    color: "#172B4D",
+  },
+};
+
+function AnalysisSection({ title, children }) {
+  return (
+    <div style={styles.section}>
+      <div style={styles.sectionTitle}>{title}</div>
+      {children}
+    </div>
+  );
+}
+
+function AnalysisList({ items, emptyText }) {
+  if (!items || items.length === 0) {
+    return <div style={styles.sectionBody}>{emptyText}</div>;
+  }
+
+  return (
+    <ul style={styles.list}>
+      {items.map((item, index) => (
+        <li key={index}>{item}</li>
+      ))}
+    </ul>
+  );
+}
 
 function App() {
   const [issueKey, setIssueKey] = useState(null);
+  const [analysis, setAnalysis] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
 
   useEffect(() => {
     view.getContext().then((context) => {
@@ -10,15 +87,61 @@ function App() {
     });
   }, []);
 
+  const handleAnalyze = async () => {
+    setLoading(true);
+    setError(null);
+
+    try {
+      const result = await invoke("analyzeIssue", { issueKey });
+      if (result?.error) {
+        setError(result.error);
+        setAnalysis(null);
+        return;
+      }
+      setAnalysis(result?.analysis || null);
+    } catch (err) {
+      setError(`Failed to analyze issue: ${err.message || "Unknown error"}. Please try again.`);
+      setAnalysis(null);
+    } finally {
+      setLoading(false);
+    }
+  };
+
   return (
-    <div style={{ padding: "16px" }}>
+    <div style={styles.container}>
       <h3>AI Agent</h3>
       <p>Current Issue: {issueKey}</p>
-      <button onClick={() => alert("AI analysis coming soon!")}>
-        Analyze Issue
+      <button
+        type="button"
+        style={styles.button(loading || !issueKey)}
+        disabled={loading || !issueKey}
+        onClick={handleAnalyze}
+      >
+        {loading ? "Analyzing..." : analysis ? "Analyze Again" : "Analyze Issue"}
       </button>
+
+      {loading && <div style={styles.status}>Reviewing the issue, comments and linked issues...</div>}
+
+      {error && <div style={styles.error}>{error}</div>}
+
+      {analysis && !loading && (
+        <div>
+          <AnalysisSection title="Summary">
+            <div style={styles.sectionBody}>{analysis.summary || "No summary available."}</div>
+          </AnalysisSection>
+          <AnalysisSection title="Probable root cause">
+            <div style={styles.sectionBody}>{analysis.rootCause}</div>
+          </AnalysisSection>
+          <AnalysisSection title="Suggested next steps">
+            <AnalysisList items={analysis.nextSteps} emptyText="No next steps suggested." />
+          </AnalysisSection>
+          <AnalysisSection title="Missing information">
+            <AnalysisList items={analysis.missingInformation} emptyText="Nothing obvious is missing." />
+          </AnalysisSection>
+        </div>
+      )}
     </div>
   );
 }
 
-export default App;
\ No newline at end of file
+export default App;
@@ -1,5 +1,6 @@
 import React, { useEffect, useRef, useState } from 'react';
-import { invoke, requestJira, view } from '@forge/bridge';
+import { invoke, requestJira, router, view } from '@forge/bridge';
+import { DEFAULT_LANGUAGE, buildKeywordRegex, normalizeLanguage, t } from './i18n';
 
 /*
  * Animations are injected once from JS so we keep this custom UI self-contained
@@ -41,44 +42,90 @@ body {
 }
 `;
 
-const CREATE_REQUEST_INTENT_REGEX =
-  /\b(create|raise|submit|open)\b.*\b(request|ticket|issue)\b|\bnew request\b/i;
-const CANCEL_FLOW_REGEX = /^(cancel|stop|exit|reset)$/i;
-const SKIP_STEP_REGEX = /^(skip|no|none|not now|done|continue|next)$/i;
-const CONFIRM_REGEX = /^(yes|y|create|submit|confirm|go ahead)$/i;
-const ATTACH_HELP_REGEX = /\b(attach|upload|file|document)\b/i;
-
-const createMessage = (role, content, options) => ({
+// Keywords are accepted in every supported language; see i18n.js.
+const CREATE_REQUEST_INTENT_REGEX = buildKeywordRegex('createIntent');
+const CANCEL_FLOW_REGEX = buildKeywordRegex('cancel');
+const CLEAR_CONVERSATION_REGEX = buildKeywordRegex('clearConversation');
+const SKIP_STEP_REGEX = buildKeywordRegex('skip');
+const SKIP_REMAINING_REGEX = buildKeywordRegex('skipRemaining');
+const EDIT_FIELD_REGEX = /^(?:edit|change|fix)\s+(.+)$/i;
+const CONFIRM_REGEX = buildKeywordRegex('confirm');
+const ATTACH_HELP_REGEX = buildKeywordRegex('attachHelp');
+const ADD_COMMENT_INTENT_REGEX = buildKeywordRegex('addCommentIntent');
+const ISSUE_KEY_REGEX = /\b[A-Z][A-Z0-9]+-\d+\b/i;
+const DEFLECTION_SOLVED_REGEX = buildKeywordRegex('deflectionSolved');
+const SHOW_ALL_REQUEST_TYPES_REGEX = buildKeywordRegex('showAllRequestTypes');
+
+const createMessage = (role, content, options, card) => ({
   id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
   role,
   content,
   options: Array.isArray(options) ? options : undefined,
+  card: card && typeof card === 'object' ? card : undefined,
 });
 
-const WELCOME_MESSAGE = createMessage(
-  'bot',
-  "Hi! I'm your Jira Assistant. I can help with issue lookups and request creation.\n\n" +
-    'Examples:\n' +
-    '- "What is the status of TJ-1?"\n' +
-    '- "Who is assigned to PROJ-42?"\n' +
-    '- "I want to create a request"'
-);
+const STREAM_POLL_INTERVAL_MS = 600;
+
+const createStreamId = () =>
+  `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+
+// Rendered in the customer's current language; see the message list below.
+const WELCOME_MESSAGE = createMessage('bot', t(DEFAULT_LANGUAGE, 'welcome'));
 
 const INITIAL_CREATE_FLOW = {
   active: false,
   stage: 'idle',
+  problemDescription: '',
   projects: [],
   requestTypes: [],
+  recommendedRequestTypes: [],
   selectedProject: null,
   selectedRequestType: null,
   allowsAttachments: false,
   fields: [],
   currentFieldIndex: 0,
   answers: {},
+  prefilledFieldIds: [],
+  fieldCandidates: [],
+  cascadeParent: null,
+  returnToConfirm: false,
+  fieldIdsToFix: [],
   temporaryAttachmentIds: [],
   attachmentNames: [],
 };
 
+// Stages from which a half-finished request is worth keeping as a draft.
+const DRAFT_STAGES = ['collect_fields', 'attachments', 'confirm'];
+
+const INITIAL_COMMENT_FLOW = {
+  active: false,
+  stage: 'idle',
+  request: null,
+  body: '',
+  temporaryAttachmentIds: [],
+  attachmentNames: [],
+};
+
+const INITIAL_TRANSITION_FLOW = {
+  active: false,
+  issueKey: null,
+  transitionId: null,
+  transitionName: '',
+  label: '',
+  comment: '',
+};
+
+const TRANSITION_CONFIRM_OPTIONS = [
+  { label: 'Confirm', value: 'yes' },
+  { label: 'Keep as is', value: 'cancel' },
+];
+
+const ATTACHMENT_STEP_OPTIONS = [
+  { label: 'Attach files', action: 'attach' },
+  { label: 'Skip attachments', value: 'skip' },
+  { label: 'Cancel', value: 'cancel' },
+];
+
 /* Chat bubble SVG icon */
 const ChatIcon = () => (
   <svg width="28" height="28" viewBox="0 0 24 24" fill="none">
@@ -112,6 +159,173 @@ const AttachmentIcon = () => (
   </svg>
 );
 
+/* Links open through the bridge; the portal iframe cannot navigate itself. */
+const CardLink = ({ url, children }) => (
+  <a
+    href={url}
+    target="_blank"
+    rel="noopener noreferrer"
+    style={s.cardLink}
+    onClick={(event) => {
+      event.preventDefault();
+      router.open(url).catch(() => {});
+    }}
+  >
+    {children}
+  </a>
+);
+
+const StatusLozenge = ({ status, statusCategory }) => (
+  <span style={s.lozenge(statusCategory)}>{status || 'Unknown'}</span>
+);
+
+const AssigneeAvatar = ({ person }) => {
+  if (!person?.displayName) {
+    return null;
+  }
+  const initials = person.displayName
+    .split(/\s+/)
+    .map((part) => part.charAt(0))
+    .join('')
+    .slice(0, 2)
+    .toUpperCase();
+
+  return (
+    <span style={s.assignee}>
+      {person.avatarUrl ? (
+        <img src={person.avatarUrl} alt="" style={s.avatar} />
+      ) : (
+        <span style={s.avatarInitials}>{initials}</span>
+      )}
+      <span>{person.displayName}</span>
+    </span>
+  );
+};
+
+const CardDetails = ({ details }) =>
+  Array.isArray(details) && details.length > 0 ? (
+    <div style={s.cardDetails}>
+      {details.map((detail, index) => (
+        <div key={`${detail.label}-${index}`} style={s.cardDetailRow}>
+          <span style={s.cardDetailLabel}>{detail.label}</span>
+          <span>{detail.value}</span>
+        </div>
+      ))}
+    </div>
+  ) : null;
+
+const IssueCard = ({ card }) => (
+  <>
+    {card.issues.map((issue) =>
+      issue.error ? (
+        <div key={issue.issueKey} style={s.card}>
+          <div style={s.cardMuted}>
+            {issue.issueKey}: {issue.error}
+          </div>
+        </div>
+      ) : (
+        <div key={issue.issueKey} style={s.card}>
+          <div style={s.cardHeaderRow}>
+            <span style={s.cardKey}>
+              {issue.url ? <CardLink url={issue.url}>{issue.issueKey}</CardLink> : issue.issueKey}
+            </span>
+            <StatusLozenge status={issue.status} statusCategory={issue.statusCategory} />
+          </div>
+          {issue.summary && <div style={s.cardTitle}>{issue.summary}</div>}
+          <AssigneeAvatar person={issue.assignee} />
+          <CardDetails details={issue.details} />
+        </div>
+      )
+    )}
+  </>
+);
+
+const RequestListCard = ({ card }) => (
+  <div style={s.card}>
+    {card.requests.map((request) => (
+      <div key={request.issueKey} style={s.cardListItem}>
+        <div style={s.cardHeaderRow}>
+          <span style={s.cardKey}>
+            {request.position ? `${request.position}. ` : ''}
+            {request.url ? <CardLink url={request.url}>{request.issueKey}</CardLink> : request.issueKey}
+          </span>
+          <StatusLozenge status={request.status} statusCategory={request.statusCategory} />
+        </div>
+        {request.summary && <div style={s.cardTitle}>{request.summary}</div>}
+        {request.details.length > 0 && <div style={s.cardMuted}>{request.details.join(' · ')}</div>}
+      </div>
+    ))}
+    {card.footer && <div style={s.cardFooter}>{card.footer}</div>}
+  </div>
+);
+
+const ConfirmationCard = ({ card }) => (
+  <div style={s.card}>
+    <div style={s.cardConfirmTitle}>✓ {card.title}</div>
+    <CardDetails details={card.details} />
+    {card.note && <div style={s.cardNote}>{card.note}</div>}
+    {card.url && (
+      <div style={s.cardFooter}>
+        <CardLink url={card.url}>Open in the portal</CardLink>
+      </div>
+    )}
+  </div>
+);
+
+const ErrorCard = ({ card }) => (
+  <div style={s.errorCard}>
+    <div>{card.message}</div>
+    {card.items.length > 0 && (
+      <ul style={s.cardErrorList}>
+        {card.items.map((item, index) => (
+          <li key={index}>{item}</li>
+        ))}
+      </ul>
+    )}
+  </div>
+);
+
+const ArticleListCard = ({ card }) => (
+  <div style={s.card}>
+    {card.articles.map((article, index) => (
+      <div key={`${article.title}-${index}`} style={s.cardListItem}>
+        <div style={s.cardTitle}>
+          {article.url ? <CardLink url={article.url}>{article.title}</CardLink> : article.title}
+        </div>
+        {article.excerpt && <div style={s.cardMuted}>{article.excerpt}</div>}
+      </div>
+    ))}
+    {card.footer && <div style={s.cardFooter}>{card.footer}</div>}
+  </div>
+);
+
+const CARD_COMPONENTS = {
+  issue: { component: IssueCard, listKey: 'issues' },
+  request_list: { component: RequestListCard, listKey: 'requests' },
+  confirmation: { component: ConfirmationCard },
+  error: { component: ErrorCard, listKey: 'items' },
+  article_list: { component: ArticleListCard, listKey: 'articles' },
+};
+
+/*
+ * Renders a resolver card. Unknown or malformed cards fall back to the plain
+ * text reply, which every resolver still sends.
+ */
+const MessageCard = ({ card, fallbackText }) => {
+  const entry = CARD_COMPONENTS[card?.type];
+  if (!entry || (entry.listKey && !Array.isArray(card[entry.listKey]))) {
+    return <div style={s.bubble(false)}>{fallbackText}</div>;
+  }
+
+  const CardComponent = entry.component;
+  return (
+    <div style={s.cardStack}>
+      {card.intro && <div style={s.bubble(false)}>{card.intro}</div>}
+      <CardComponent card={card} />
+    </div>
+  );
+};
+
 /**
  * Portal context shape differs across JSM pages. This helper extracts whichever
  * project references are available so backend permission checks stay consistent.
@@ -187,6 +401,21 @@ function findItemByUserInput(items, userInput, tokenBuilder) {
   );
 }
 
+function formatKnowledgeBaseArticles(articles) {
+  return articles
+    .map((article, index) => {
+      const lines = [`${index + 1}. ${article.title}`];
+      if (article.excerpt) {
+        lines.push(`   ${article.excerpt}`);
+      }
+      if (article.url) {
+        lines.push(`   ${article.url}`);
+      }
+      return lines.join('\n');
+    })
+    .join('\n\n');
+}
+
 function buildProjectOptions(projects) {
   return projects.map((project, index) => ({
     label: `${index + 1}. ${project.projectName}`,
@@ -201,39 +430,134 @@ function buildRequestTypeOptions(requestTypes) {
   }));
 }
 
-function buildFieldOptions(field) {
-  if (!Array.isArray(field?.validValues) || field.validValues.length === 0) {
+/*
+ * The value is the position in the short list: request type ids are often
+ * small numbers too, and findItemByUserInput reads a number as a position.
+ */
+function buildRecommendationOptions(recommendations) {
+  return [
+    ...recommendations.map((recommendation, index) => ({
+      label: `${index + 1}. ${recommendation.name}`,
+      value: String(index + 1),
+    })),
+    { label: 'Show all request types', value: 'show all' },
+  ];
+}
+
+function buildValidValueOptions(validValues) {
+  if (!Array.isArray(validValues) || validValues.length === 0) {
     return [];
   }
 
-  return field.validValues.slice(0, 12).map((option, index) => ({
+  return validValues.slice(0, 12).map((option, index) => ({
     label: `${index + 1}. ${option.label}`,
     value: option.id || option.value || option.label,
   }));
 }
 
+function buildFieldOptions(field) {
+  return buildValidValueOptions(field?.validValues);
+}
+
+function buildUserOptions(users) {
+  return users.map((user, index) => ({
+    label: `${index + 1}. ${user.label}`,
+    value: user.accountId,
+  }));
+}
+
 function buildFieldPrompt(field, index, total) {
-  const promptLines = [`Field ${index + 1} of ${total}: ${field.name}`];
+  const promptLines = [`Field ${index + 1} of ${total}: ${field.name}${field.required ? '' : ' (optional)'}`];
 
   if (field.description) {
     promptLines.push(field.description);
   }
 
-  if (field.inputType === 'select' || field.inputType === 'multi_select') {
+  if (field.inputType === 'select') {
     promptLines.push('Choose an option below, or type the option name/number.');
+  } else if (field.inputType === 'multi_select') {
+    promptLines.push('Choose an option below, or type one or more option names/numbers separated by commas.');
+  } else if (field.inputType === 'cascading_select') {
+    promptLines.push('Choose an option below; you will then pick the specific option within it.');
+  } else if (field.inputType === 'user') {
+    promptLines.push('Type a name to search for a person, or "me" for yourself.');
+  } else if (field.inputType === 'multi_user') {
+    promptLines.push('Type a name to search for a person, or "me" for yourself. You can add several people.');
+  } else if (field.inputType === 'labels') {
+    promptLines.push('Enter one or more labels separated by commas or spaces.');
+  } else if (field.inputType === 'url') {
+    promptLines.push('Enter a web address starting with http:// or https://.');
   } else if (field.inputType === 'date') {
-    promptLines.push('Enter a date in YYYY-MM-DD format.');
+    promptLines.push('Enter a date (for example 2026-03-14 or "next Friday").');
   } else if (field.inputType === 'datetime') {
-    promptLines.push('Enter a date/time (for example: 2026-02-13T14:30:00.000+0000).');
+    promptLines.push('Enter a date and time (for example 2026-03-14 14:30 or "tomorrow at 3pm").');
   } else if (field.inputType === 'number') {
     promptLines.push('Enter a numeric value.');
   } else {
     promptLines.push('Enter a value.');
   }
 
+  if (!field.required) {
+    promptLines.push('Type "skip" to leave it empty, or "skip remaining" to skip all remaining optional fields.');
+  }
+
   return promptLines.join('\n');
 }
 
+/*
+ * Dates such as "tomorrow" are resolved on the backend against the
+ * customer's own calendar day and time zone, not the server's.
+ */
+function getCustomerDateContext() {
+  const now = new Date();
+  const pad = (value) => String(value).padStart(2, '0');
+  return {
+    today: `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`,
+    timeZoneOffsetMinutes: -now.getTimezoneOffset(),
+  };
+}
+
+function buildDraftFromFlow(flow) {
+  return {
+    stage: flow.stage,
+    problemDescription: flow.problemDescription,
+    selectedProject: flow.selectedProject,
+    selectedRequestType: flow.selectedRequestType
+      ? { id: flow.selectedRequestType.id, name: flow.selectedRequestType.name }
+      : null,
+    currentFieldIndex: flow.currentFieldIndex,
+    answers: flow.answers,
+    prefilledFieldIds: flow.prefilledFieldIds,
+    temporaryAttachmentIds: flow.temporaryAttachmentIds,
+    attachmentNames: flow.attachmentNames,
+  };
+}
+
+function formatDraftAge(savedAt) {
+  const minutes = Math.max(0, Math.round((Date.now() - Number(savedAt || 0)) / 60000));
+  if (minutes < 1) {
+    return 'just now';
+  }
+  if (minutes < 60) {
+    return `${minutes} minute${minutes === 1 ? '' : 's'} ago`;
+  }
+  const hours = Math.round(minutes / 60);
+  if (hours < 24) {
+    return `${hours} hour${hours === 1 ? '' : 's'} ago`;
+  }
+  const days = Math.round(hours / 24);
+  return `${days} day${days === 1 ? '' : 's'} ago`;
+}
+
+function findNextUnansweredFieldIndex(fields, answers, fromIndex) {
+  for (let index = fromIndex; index < fields.length; index += 1) {
+    if (answers[fields[index].fieldId] === undefined) {
+      return index;
+    }
+  }
+  return -1;
+}
+
 function formatAnswerForSummary(answer) {
   if (answer === null || answer === undefined) {
     return '';
@@ -244,7 +568,8 @@ function formatAnswerForSummary(answer) {
   }
 
   if (typeof answer === 'object') {
-    return answer.label || answer.value || answer.id || answer.accountId || JSON.stringify(answer);
+    const label = answer.label || answer.value || answer.id || answer.accountId || JSON.stringify(answer);
+    return answer.child ? `${label} > ${formatAnswerForSummary(answer.child)}` : label;
   }
 
   return String(answer);
@@ -292,12 +617,35 @@ function App() {
   const [availabilityReason, setAvailabilityReason] = useState(null);
   const [checkingAvailability, setCheckingAvailability] = useState(true);
   const [createFlow, setCreateFlow] = useState(INITIAL_CREATE_FLOW);
+  const [commentFlow, setCommentFlow] = useState(INITIAL_COMMENT_FLOW);
+  const [transitionFlow, setTransitionFlow] = useState(INITIAL_TRANSITION_FLOW);
+  const [activeStreamId, setActiveStreamId] = useState(null);
+  const [streamingMessageId, setStreamingMessageId] = useState(null);
+  const [cancelRequested, setCancelRequested] = useState(false);
+  // Starts from the Atlassian locale; portalChat replies update it from what the customer writes.
+  const [language, setLanguage] = useState(DEFAULT_LANGUAGE);
 
   const chatEndRef = useRef(null);
   const fileInputRef = useRef(null);
+  const draftCheckedRef = useRef(false);
+  const historyRestoredRef = useRef(false);
 
-  const appendBotMessage = (content, options) => {
-    setMessages((prev) => [...prev, createMessage('bot', content, options)]);
+  const appendBotMessage = (content, options, card) => {
+    setMessages((prev) => [...prev, createMessage('bot', content, options, card)]);
+  };
+
+  const upsertMessage = (message, content, options, card) => {
+    const patch = {
+      content,
+      options: Array.isArray(options) ? options : undefined,
+      card: card && typeof card === 'object' ? card : undefined,
+    };
+    setMessages((prev) => {
+      const exists = prev.some((candidate) => candidate.id === message.id);
+      return exists
+        ? prev.map((candidate) => (candidate.id === message.id ? { ...candidate, ...patch } : candidate))
+        : [...prev, { ...message, ...patch }];
+    });
   };
 
   const appendUserMessage = (content) => {
@@ -308,6 +656,48 @@ function App() {
     setCreateFlow(INITIAL_CREATE_FLOW);
   };
 
+  const resetCommentFlow = () => {
+    setCommentFlow(INITIAL_COMMENT_FLOW);
+  };
+
+  const resetTransitionFlow = () => {
+    setTransitionFlow(INITIAL_TRANSITION_FLOW);
+  };
+
+  /* reason 'cancelled' counts the abandoned create flow in the admin analytics. */
+  const discardDraft = (reason) => {
+    invoke('discardPortalRequestDraft', {
+      reason,
+      projectId: portalProject.projectId,
+      projectKey: portalProject.projectKey,
+      portalId: portalProject.portalId,
+    }).catch(() => {});
+  };
+
+  /*
+   * Both the create and comment flows have an attachment step. Uploads go to
+   * whichever flow is currently on that step.
+   */
+  const attachmentTarget = (() => {
+    if (createFlow.active && createFlow.stage === 'attachments' && createFlow.allowsAttachments) {
+      return {
+        serviceDeskId: createFlow.selectedProject?.serviceDeskId,
+        attachmentNames: createFlow.attachmentNames,
+        setFlow: setCreateFlow,
+      };
+    }
+
+    if (commentFlow.active && commentFlow.stage === 'attachments') {
+      return {
+        serviceDeskId: commentFlow.request?.serviceDeskId,
+        attachmentNames: commentFlow.attachmentNames,
+        setFlow: setCommentFlow,
+      };
+    }
+
+    return null;
+  })();
+
   const requestHostResize = () => {
     // Forge embeds this app in an iframe. Trigger both common resize APIs.
     try {
@@ -337,9 +727,16 @@ function App() {
       return;
     }
 
+    const skipOptions = currentField.required
+      ? []
+      : [
+          { label: 'Skip', value: 'skip' },
+          { label: 'Skip remaining', value: 'skip remaining' },
+        ];
+
     appendBotMessage(
       buildFieldPrompt(currentField, flow.currentFieldIndex, flow.fields.length),
-      buildFieldOptions(currentField)
+      [...buildFieldOptions(currentField), ...skipOptions]
     );
   };
 
@@ -349,18 +746,103 @@ function App() {
 
     appendBotMessage(
       'You can add attachments now. Click Attach and pick files. When finished, type "done" (or type "skip").',
-      [
-        { label: 'Attach files', action: 'attach' },
-        { label: 'Skip attachments', value: 'skip' },
-        { label: 'Cancel', value: 'cancel' },
-      ]
+      ATTACHMENT_STEP_OPTIONS
     );
   };
 
+  /*
+   * Asks for the next field that has no answer yet (pre-filled fields are
+   * skipped), or moves on once every field is answered. A field re-answered
+   * from the confirm step goes straight back to the confirmation.
+   */
+  const advanceToNextField = (flow, fromIndex) => {
+    if (flow.returnToConfirm) {
+      if (flow.fieldIdsToFix.length > 0) {
+        reaskFields(flow, flow.fieldIdsToFix);
+      } else {
+        moveToConfirmStep({ ...flow, returnToConfirm: false });
+      }
+      return;
+    }
+
+    const nextIndex = findNextUnansweredFieldIndex(flow.fields, flow.answers, fromIndex);
+    if (nextIndex !== -1) {
+      const nextFlow = {
+        ...flow,
+        stage: 'collect_fields',
+        currentFieldIndex: nextIndex,
+        fieldCandidates: [],
+        cascadeParent: null,
+      };
+      setCreateFlow(nextFlow);
+      askForCurrentField(nextFlow);
+    } else if (flow.allowsAttachments) {
+      moveToAttachmentStep(flow);
+    } else {
+      moveToConfirmStep(flow);
+    }
+  };
+
+  /*
+   * Re-asks fields one after another — an edit picked at the confirm step, or
+   * answers the backend rejected — and then returns to the confirmation.
+   */
+  const reaskFields = (flow, fieldIds) => {
+    const [fieldId, ...remainingFieldIds] = fieldIds;
+    const fieldIndex = flow.fields.findIndex((field) => field.fieldId === fieldId);
+    if (fieldIndex === -1) {
+      moveToConfirmStep({ ...flow, returnToConfirm: false, fieldIdsToFix: [] });
+      return;
+    }
+
+    const { [fieldId]: _previousAnswer, ...remainingAnswers } = flow.answers;
+    const nextFlow = {
+      ...flow,
+      stage: 'collect_fields',
+      currentFieldIndex: fieldIndex,
+      answers: remainingAnswers,
+      prefilledFieldIds: flow.prefilledFieldIds.filter((prefilledFieldId) => prefilledFieldId !== fieldId),
+      fieldCandidates: [],
+      cascadeParent: null,
+      returnToConfirm: true,
+      fieldIdsToFix: remainingFieldIds,
+    };
+    setCreateFlow(nextFlow);
+    askForCurrentField(nextFlow);
+  };
+
+  /*
+   * Typed answers are checked by the backend's shared validation rules, which
+   * also normalize them (e.g. "next Friday" becomes a date). If the check
+   * cannot run the answer is kept; it is validated again on submit.
+   */
+  const validateTypedAnswer = async (field, answer) => {
+    setLoading(true);
+    try {
+      const result = await invoke('validatePortalFieldAnswer', {
+        field: {
+          fieldId: field.fieldId,
+          name: field.name,
+          inputType: field.inputType,
+          jiraSchema: field.jiraSchema,
+        },
+        answer,
+        ...getCustomerDateContext(),
+      });
+      return result?.error ? { error: result.error } : { value: result?.value ?? answer };
+    } catch {
+      return { value: answer };
+    } finally {
+      setLoading(false);
+    }
+  };
+
   const moveToConfirmStep = (flow) => {
-    const answerLines = flow.fields.map((field) => {
+    const answerLines = flow.fields.map((field, index) => {
       const answer = flow.answers[field.fieldId];
-      return `- ${field.name}: ${formatAnswerForSummary(answer)}`;
+      const prefilledNote = flow.prefilledFieldIds.includes(field.fieldId) ? ' (from your description)' : '';
+      const answerText = answer === undefined ? '(not provided)' : formatAnswerForSummary(answer);
+      return `${index + 1}. ${field.name}: ${answerText}${prefilledNote}`;
     });
 
     const attachmentLine = !flow.allowsAttachments
@@ -374,7 +856,8 @@ function App() {
         `Project: ${flow.selectedProject?.projectName || ''}\n` +
         `Request type: ${flow.selectedRequestType?.name || ''}\n` +
         `${answerLines.join('\n')}\n` +
-        `${attachmentLine}`,
+        `${attachmentLine}` +
+        (answerLines.length > 0 ? '\n\nType a field number to change that answer before submitting.' : ''),
       [
         { label: 'Create request', value: 'create' },
         { label: 'Cancel', value: 'cancel' },
@@ -384,7 +867,26 @@ function App() {
     setCreateFlow({ ...flow, stage: 'confirm' });
   };
 
-  const startCreateRequestFlow = async () => {
+  /*
+   * Deflection step: before any forms, check the knowledge base with the
+   * customer's own description of the problem.
+   */
+  const startCreateRequestFlow = () => {
+    resetCommentFlow();
+    resetTransitionFlow();
+
+    setCreateFlow({ ...INITIAL_CREATE_FLOW, active: true, stage: 'describe_problem' });
+    appendBotMessage(
+      'Sure. Briefly describe the problem and I will check the knowledge base for a quick fix first.\n' +
+        'Type "skip" to go straight to the request form.',
+      [
+        { label: 'Skip', value: 'skip' },
+        { label: 'Cancel', value: 'cancel' },
+      ]
+    );
+  };
+
+  const startProjectSelection = async (flowPatch) => {
     setLoading(true);
 
     try {
@@ -396,6 +898,7 @@ function App() {
 
       if (result?.error) {
         appendBotMessage(result.error);
+        resetCreateFlow();
         return;
       }
 
@@ -404,25 +907,79 @@ function App() {
         appendBotMessage(
           'I could not find any enabled service projects for request creation. Please ask your admin to enable project chat in Agent Settings.'
         );
+        resetCreateFlow();
         return;
       }
 
       const nextFlow = {
         ...INITIAL_CREATE_FLOW,
+        ...flowPatch,
         active: true,
         stage: 'select_project',
         projects,
       };
 
       setCreateFlow(nextFlow);
-      appendBotMessage('Sure. First, choose a project:', buildProjectOptions(projects));
+      appendBotMessage('First, choose a project:', buildProjectOptions(projects));
     } catch {
       appendBotMessage('Could not start request creation. Please try again.');
+      resetCreateFlow();
     } finally {
       setLoading(false);
     }
   };
 
+  const recordDeflectionOutcome = (outcome) => {
+    invoke('recordKbDeflectionOutcome', {
+      outcome,
+      projectId: portalProject.projectId,
+      projectKey: portalProject.projectKey,
+      portalId: portalProject.portalId,
+    }).catch(() => {});
+  };
+
+  const handleProblemDescription = async (text) => {
+    if (SKIP_STEP_REGEX.test(text)) {
+      await startProjectSelection({});
+      return;
+    }
+
+    setLoading(true);
+    let articles = [];
+    let articlesCard;
+    try {
+      const result = await invoke('searchKnowledgeBase', {
+        query: text,
+        language,
+        projectId: portalProject.projectId,
+        projectKey: portalProject.projectKey,
+        portalId: portalProject.portalId,
+      });
+      articles = Array.isArray(result?.articles) ? result.articles : [];
+      articlesCard = result?.card;
+    } catch {
+      articles = [];
+    } finally {
+      setLoading(false);
+    }
+
+    if (articles.length === 0) {
+      appendBotMessage('I could not find a matching help article, so let\'s create a request.');
+      await startProjectSelection({ problemDescription: text });
+      return;
+    }
+
+    setCreateFlow({ ...createFlow, stage: 'deflection', problemDescription: text });
+    appendBotMessage(
+      `These articles might help:\n\n${formatKnowledgeBaseArticles(articles)}\n\nDid one of them solve your problem?`,
+      [
+        { label: 'Yes, that solved it', value: 'solved' },
+        { label: 'No, create a request', value: 'no' },
+      ],
+      articlesCard ? { ...articlesCard, footer: 'Did one of them solve your problem?' } : undefined
+    );
+  };
+
   const handleCreateFlowInput = async (text) => {
     if (!createFlow.active) {
       return false;
@@ -430,10 +987,29 @@ function App() {
 
     if (CANCEL_FLOW_REGEX.test(text)) {
       resetCreateFlow();
+      discardDraft('cancelled');
       appendBotMessage('Request creation canceled.');
       return true;
     }
 
+    if (createFlow.stage === 'describe_problem') {
+      await handleProblemDescription(text);
+      return true;
+    }
+
+    if (createFlow.stage === 'deflection') {
+      if (DEFLECTION_SOLVED_REGEX.test(text)) {
+        recordDeflectionOutcome('deflected');
+        resetCreateFlow();
+        appendBotMessage('Great, glad that helped! Let me know if there is anything else.');
+        return true;
+      }
+
+      recordDeflectionOutcome('not_helpful');
+      await startProjectSelection({ problemDescription: createFlow.problemDescription });
+      return true;
+    }
+
     if (createFlow.stage === 'select_project') {
       const selectedProject = findItemByUserInput(
         createFlow.projects,
@@ -449,12 +1025,17 @@ function App() {
       setLoading(true);
 
       try {
-        const result = await invoke('getPortalRequestTypes', {
-          serviceDeskId: selectedProject.serviceDeskId,
-          projectId: portalProject.projectId,
-          projectKey: portalProject.projectKey,
-          portalId: portalProject.portalId,
-        });
+        // With a problem description the backend also ranks the request types.
+        const result = await invoke(
+          createFlow.problemDescription ? 'recommendPortalRequestTypes' : 'getPortalRequestTypes',
+          {
+            serviceDeskId: selectedProject.serviceDeskId,
+            description: createFlow.problemDescription || undefined,
+            projectId: portalProject.projectId,
+            projectKey: portalProject.projectKey,
+            portalId: portalProject.portalId,
+          }
+        );
 
         if (result?.error) {
           appendBotMessage(result.error);
@@ -470,17 +1051,35 @@ function App() {
           return true;
         }
 
+        const recommendations = (Array.isArray(result?.recommendations) ? result.recommendations : []).filter(
+          (recommendation) => requestTypes.some((requestType) => requestType.id === recommendation.id)
+        );
+
         setCreateFlow((prev) => ({
           ...prev,
           stage: 'select_request_type',
           selectedProject,
           requestTypes,
+          recommendedRequestTypes: recommendations,
         }));
 
-        appendBotMessage(
-          `Great. Now choose a request type for ${selectedProject.projectName}:`,
-          buildRequestTypeOptions(requestTypes)
-        );
+        if (recommendations.length > 0) {
+          appendBotMessage(
+            `Based on your description, these request types in ${selectedProject.projectName} look like the best fit:\n` +
+              recommendations
+                .map((recommendation, index) =>
+                  `${index + 1}. ${recommendation.name}${recommendation.reason ? ` — ${recommendation.reason}` : ''}`
+                )
+                .join('\n') +
+              '\n\nPick one, or choose "Show all request types".',
+            buildRecommendationOptions(recommendations)
+          );
+        } else {
+          appendBotMessage(
+            `Great. Now choose a request type for ${selectedProject.projectName}:`,
+            buildRequestTypeOptions(requestTypes)
+          );
+        }
       } catch {
         appendBotMessage('Could not load request types for that project. Please try again.');
       } finally {
@@ -491,11 +1090,21 @@ function App() {
     }
 
     if (createFlow.stage === 'select_request_type') {
-      const selectedRequestType = findItemByUserInput(
-        createFlow.requestTypes,
+      if (SHOW_ALL_REQUEST_TYPES_REGEX.test(text)) {
+        setCreateFlow({ ...createFlow, recommendedRequestTypes: [] });
+        appendBotMessage('Here are all request types:', buildRequestTypeOptions(createFlow.requestTypes));
+        return true;
+      }
+
+      // While recommendations are shown, numbers refer to that short list.
+      const recommendedMatch = findItemByUserInput(
+        createFlow.recommendedRequestTypes,
         text,
-        (requestType) => [requestType.name, requestType.id]
+        (recommendation) => [recommendation.name, recommendation.id]
       );
+      const selectedRequestType = recommendedMatch
+        ? createFlow.requestTypes.find((requestType) => requestType.id === recommendedMatch.id)
+        : findItemByUserInput(createFlow.requestTypes, text, (requestType) => [requestType.name, requestType.id]);
 
       if (!selectedRequestType) {
         appendBotMessage(
@@ -511,6 +1120,7 @@ function App() {
         const result = await invoke('getPortalRequestTypeFields', {
           serviceDeskId: createFlow.selectedProject?.serviceDeskId,
           requestTypeId: selectedRequestType.id,
+          includeOptional: true,
           projectId: portalProject.projectId,
           projectKey: portalProject.projectKey,
           portalId: portalProject.portalId,
@@ -523,27 +1133,53 @@ function App() {
 
         const fields = Array.isArray(result?.fields) ? result.fields : [];
         const allowsAttachments = Boolean(result?.allowsAttachments);
+
+        // Pre-fill what the problem description already answers; extraction
+        // is best-effort and the flow simply asks for everything on failure.
+        let prefilledAnswers = {};
+        if (fields.length > 0 && createFlow.problemDescription) {
+          try {
+            const extraction = await invoke('extractRequestFieldAnswers', {
+              serviceDeskId: createFlow.selectedProject?.serviceDeskId,
+              requestTypeId: selectedRequestType.id,
+              includeOptional: true,
+              ...getCustomerDateContext(),
+              description: createFlow.problemDescription,
+              projectId: portalProject.projectId,
+              projectKey: portalProject.projectKey,
+              portalId: portalProject.portalId,
+            });
+            prefilledAnswers = extraction?.answers && typeof extraction.answers === 'object' ? extraction.answers : {};
+          } catch {
+            prefilledAnswers = {};
+          }
+        }
+
+        const prefilledFields = fields.filter((field) => prefilledAnswers[field.fieldId] !== undefined);
         const nextFlow = {
           ...createFlow,
-          stage: fields.length > 0 ? 'collect_fields' : allowsAttachments ? 'attachments' : 'confirm',
           selectedRequestType,
           allowsAttachments,
           fields,
           currentFieldIndex: 0,
-          answers: {},
+          answers: Object.fromEntries(
+            prefilledFields.map((field) => [field.fieldId, prefilledAnswers[field.fieldId]])
+          ),
+          prefilledFieldIds: prefilledFields.map((field) => field.fieldId),
           temporaryAttachmentIds: [],
           attachmentNames: [],
         };
 
-        setCreateFlow(nextFlow);
-
-        if (fields.length > 0) {
-          askForCurrentField(nextFlow);
-        } else if (allowsAttachments) {
-          moveToAttachmentStep(nextFlow);
-        } else {
-          moveToConfirmStep(nextFlow);
+        if (prefilledFields.length > 0) {
+          appendBotMessage(
+            `I filled in ${prefilledFields.length} of ${fields.length} field${fields.length === 1 ? '' : 's'} from your description:\n` +
+              prefilledFields
+                .map((field) => `- ${field.name}: ${formatAnswerForSummary(prefilledAnswers[field.fieldId])}`)
+                .join('\n')
+          );
         }
+
+        advanceToNextField(nextFlow, 0);
       } catch {
         appendBotMessage('Could not load fields for that request type. Please try again.');
       } finally {
@@ -564,45 +1200,142 @@ function App() {
         return true;
       }
 
-      let parsedAnswer;
+      const inputType = currentField.inputType;
+
+      // Optional fields can be skipped one by one or all at once; a field
+      // with partial picks (multi-user) treats "done" as finished instead.
+      if (!currentField.required && SKIP_REMAINING_REGEX.test(text)) {
+        advanceToNextField(createFlow, createFlow.fields.length);
+        return true;
+      }
       if (
-        currentField.inputType === 'select' ||
-        currentField.inputType === 'multi_select' ||
-        (Array.isArray(currentField.validValues) && currentField.validValues.length > 0)
+        !currentField.required &&
+        SKIP_STEP_REGEX.test(text) &&
+        !createFlow.cascadeParent &&
+        createFlow.answers[currentField.fieldId] === undefined
       ) {
-        const matchedOption = findItemByUserInput(
-          currentField.validValues,
-          text,
-          (option) => [option.label, option.id, option.value]
-        );
+        advanceToNextField(createFlow, createFlow.currentFieldIndex + 1);
+        return true;
+      }
+
+      let parsedAnswer;
+      if (inputType === 'user' || inputType === 'multi_user') {
+        const pickedUsers = Array.isArray(createFlow.answers[currentField.fieldId])
+          ? createFlow.answers[currentField.fieldId]
+          : [];
+
+        // Multi-user fields keep collecting people until the customer is done.
+        if (inputType === 'multi_user' && pickedUsers.length > 0 && SKIP_STEP_REGEX.test(text)) {
+          advanceToNextField(createFlow, createFlow.currentFieldIndex + 1);
+          return true;
+        }
+
+        let pickedUser = findItemByUserInput(createFlow.fieldCandidates, text, (user) => [user.label, user.accountId]);
+        if (!pickedUser) {
+          setLoading(true);
+          let result;
+          try {
+            result = await invoke('searchPortalUsers', {
+              query: text,
+              projectId: portalProject.projectId,
+              projectKey: portalProject.projectKey,
+              portalId: portalProject.portalId,
+            });
+          } catch {
+            result = { error: 'Sorry, I could not search for people right now.' };
+          } finally {
+            setLoading(false);
+          }
+
+          const users = Array.isArray(result?.users) ? result.users : [];
+          if (result?.error || users.length !== 1) {
+            setCreateFlow({ ...createFlow, fieldCandidates: users });
+            appendBotMessage(
+              result?.error ||
+                (users.length === 0
+                  ? `No people found for "${text}". Try another name, or type "me".`
+                  : `Which person did you mean for ${currentField.name}?`),
+              buildUserOptions(users)
+            );
+            return true;
+          }
+          pickedUser = users[0];
+        }
+
+        const userAnswer = { accountId: pickedUser.accountId, label: pickedUser.label };
+        if (inputType === 'multi_user') {
+          const nextUsers = [
+            ...pickedUsers.filter((user) => user.accountId !== userAnswer.accountId),
+            userAnswer,
+          ];
+          setCreateFlow({
+            ...createFlow,
+            fieldCandidates: [],
+            answers: { ...createFlow.answers, [currentField.fieldId]: nextUsers },
+          });
+          appendBotMessage(
+            `Added ${userAnswer.label}. Type another name to add more people, or "done" to continue.`,
+            [{ label: 'Done', value: 'done' }]
+          );
+          return true;
+        }
+        parsedAnswer = userAnswer;
+      } else if (inputType === 'cascading_select') {
+        // Cascading selects are answered in two steps: parent, then child.
+        const parentOption = createFlow.cascadeParent;
+        const choices = parentOption ? parentOption.children : currentField.validValues;
+        const matchedOption = findItemByUserInput(choices, text, (option) => [option.label, option.id, option.value]);
 
         if (!matchedOption) {
+          appendBotMessage(`Please choose a valid option for ${currentField.name}.`, buildValidValueOptions(choices));
+          return true;
+        }
+
+        const optionAnswer = { id: matchedOption.id, value: matchedOption.value, label: matchedOption.label };
+        if (!parentOption && Array.isArray(matchedOption.children) && matchedOption.children.length > 0) {
+          setCreateFlow({ ...createFlow, cascadeParent: matchedOption });
           appendBotMessage(
-            `Please choose a valid option for ${currentField.name}.`,
-            buildFieldOptions(currentField)
+            `${matchedOption.label} — now choose the specific option.`,
+            buildValidValueOptions(matchedOption.children)
           );
           return true;
         }
 
-        parsedAnswer = {
-          id: matchedOption.id,
-          value: matchedOption.value,
-          label: matchedOption.label,
-        };
-      } else if (currentField.inputType === 'number') {
-        const numericValue = Number(text);
-        if (!Number.isFinite(numericValue)) {
-          appendBotMessage(`Please enter a numeric value for ${currentField.name}.`);
+        parsedAnswer = parentOption
+          ? { id: parentOption.id, value: parentOption.value, label: parentOption.label, child: optionAnswer }
+          : optionAnswer;
+      } else if (
+        inputType === 'select' ||
+        inputType === 'multi_select' ||
+        (Array.isArray(currentField.validValues) && currentField.validValues.length > 0)
+      ) {
+        const answerParts = inputType === 'multi_select' ? text.split(',') : [text];
+        const matchedOptions = answerParts
+          .map((part) => part.trim())
+          .filter(Boolean)
+          .map((part) =>
+            findItemByUserInput(currentField.validValues, part, (option) => [option.label, option.id, option.value])
+          );
+
+        if (matchedOptions.length === 0 || matchedOptions.some((option) => !option)) {
+          appendBotMessage(
+            `Please choose a valid option for ${currentField.name}.`,
+            buildFieldOptions(currentField)
+          );
           return true;
         }
-        parsedAnswer = numericValue;
+
+        const optionAnswers = matchedOptions
+          .filter((option, index) => matchedOptions.indexOf(option) === index)
+          .map((option) => ({ id: option.id, value: option.value, label: option.label }));
+        parsedAnswer = inputType === 'multi_select' ? optionAnswers : optionAnswers[0];
       } else {
-        const normalizedText = String(text || '').trim();
-        if (!normalizedText) {
-          appendBotMessage(`Please provide a value for ${currentField.name}.`);
+        const validation = await validateTypedAnswer(currentField, String(text || '').trim());
+        if (validation.error) {
+          appendBotMessage(validation.error);
           return true;
         }
-        parsedAnswer = normalizedText;
+        parsedAnswer = validation.value;
       }
 
       const nextAnswers = {
@@ -610,23 +1343,7 @@ function App() {
         [currentField.fieldId]: parsedAnswer,
       };
 
-      if (createFlow.currentFieldIndex + 1 < createFlow.fields.length) {
-        const nextFlow = {
-          ...createFlow,
-          answers: nextAnswers,
-          currentFieldIndex: createFlow.currentFieldIndex + 1,
-        };
-        setCreateFlow(nextFlow);
-        askForCurrentField(nextFlow);
-      } else {
-        const completedFlow = { ...createFlow, answers: nextAnswers };
-        if (completedFlow.allowsAttachments) {
-          moveToAttachmentStep(completedFlow);
-        } else {
-          moveToConfirmStep(completedFlow);
-        }
-      }
-
+      advanceToNextField({ ...createFlow, answers: nextAnswers }, createFlow.currentFieldIndex + 1);
       return true;
     }
 
@@ -646,18 +1363,26 @@ function App() {
 
       appendBotMessage(
         'Use Attach to upload files, then type "done". Or type "skip" to continue without attachments.',
-        [
-          { label: 'Attach files', action: 'attach' },
-          { label: 'Skip attachments', value: 'skip' },
-          { label: 'Cancel', value: 'cancel' },
-        ]
+        ATTACHMENT_STEP_OPTIONS
       );
       return true;
     }
 
     if (createFlow.stage === 'confirm') {
       if (!CONFIRM_REGEX.test(text)) {
-        appendBotMessage('Type "create" to submit the request, or "cancel" to stop.');
+        // A field number (or "edit <field>") re-asks that field, then returns here.
+        const editMatch = text.match(EDIT_FIELD_REGEX);
+        const fieldToEdit =
+          editMatch || /^\d+$/.test(text.trim())
+            ? findItemByUserInput(createFlow.fields, editMatch ? editMatch[1] : text, (field) => [field.name])
+            : null;
+
+        if (!fieldToEdit) {
+          appendBotMessage('Type "create" to submit the request, a field number to change it, or "cancel" to stop.');
+          return true;
+        }
+
+        reaskFields(createFlow, [fieldToEdit.fieldId]);
         return true;
       }
 
@@ -669,64 +1394,494 @@ function App() {
           requestTypeId: createFlow.selectedRequestType?.id,
           fieldAnswers: createFlow.answers,
           temporaryAttachmentIds: createFlow.temporaryAttachmentIds,
+          ...getCustomerDateContext(),
           projectId: portalProject.projectId,
           projectKey: portalProject.projectKey,
           portalId: portalProject.portalId,
         });
 
-        if (!result?.success) {
-          appendBotMessage(result?.error || 'Failed to create the request. Please check the details and try again.');
-          return true;
-        }
+        if (!result?.success) {
+          appendBotMessage(
+            result?.error || 'Failed to create the request. Please check the details and try again.',
+            undefined,
+            result?.card
+          );
+
+          // Re-ask only the fields the backend rejected.
+          const fieldIdsToFix = (Array.isArray(result?.fieldErrors) ? result.fieldErrors : [])
+            .map((fieldError) => fieldError.fieldId)
+            .filter((fieldId) => createFlow.fields.some((field) => field.fieldId === fieldId));
+          if (fieldIdsToFix.length > 0) {
+            reaskFields(createFlow, [...new Set(fieldIdsToFix)]);
+          }
+          return true;
+        }
+
+        const requestSummary = [
+          'Request created successfully.',
+          result.issueKey ? `Issue key: ${result.issueKey}` : null,
+          result.requestLink ? `Link: ${result.requestLink}` : null,
+          result.warning ? `Note: ${result.warning}` : null,
+        ]
+          .filter(Boolean)
+          .join('\n');
+
+        appendBotMessage(requestSummary, undefined, result.card);
+        resetCreateFlow();
+        discardDraft();
+      } catch {
+        appendBotMessage('Failed to create the request. Please try again.');
+      } finally {
+        setLoading(false);
+      }
+
+      return true;
+    }
+
+    return false;
+  };
+
+  /*
+   * Rebuilds the create flow from a saved draft. Fields are loaded again so
+   * the form matches the request type as it is now; answers for fields that
+   * no longer exist are dropped.
+   */
+  const resumeDraft = async (draft, attachmentsExpired) => {
+    resetCommentFlow();
+    resetTransitionFlow();
+    setLoading(true);
+
+    try {
+      const result = await invoke('getPortalRequestTypeFields', {
+        serviceDeskId: draft.selectedProject?.serviceDeskId,
+        requestTypeId: draft.selectedRequestType?.id,
+        includeOptional: true,
+        projectId: portalProject.projectId,
+        projectKey: portalProject.projectKey,
+        portalId: portalProject.portalId,
+      });
+
+      if (result?.error) {
+        appendBotMessage(`I could not resume the draft: ${result.error}`);
+        return;
+      }
+
+      const fields = Array.isArray(result?.fields) ? result.fields : [];
+      const answers = Object.fromEntries(
+        Object.entries(draft.answers || {}).filter(([fieldId]) => fields.some((field) => field.fieldId === fieldId))
+      );
+      const flow = {
+        ...INITIAL_CREATE_FLOW,
+        active: true,
+        stage: 'collect_fields',
+        problemDescription: draft.problemDescription || '',
+        selectedProject: draft.selectedProject,
+        selectedRequestType: draft.selectedRequestType,
+        allowsAttachments: Boolean(result?.allowsAttachments),
+        fields,
+        answers,
+        prefilledFieldIds: (draft.prefilledFieldIds || []).filter((fieldId) => answers[fieldId] !== undefined),
+        temporaryAttachmentIds: draft.temporaryAttachmentIds || [],
+        attachmentNames: draft.attachmentNames || [],
+      };
+
+      appendBotMessage(
+        `Resuming your ${draft.selectedRequestType?.name || ''} request in ${draft.selectedProject?.projectName || 'the portal'}.` +
+          (attachmentsExpired ? ' Earlier attachments have expired, so please attach them again.' : '')
+      );
+
+      if (draft.stage === 'collect_fields') {
+        advanceToNextField(flow, Math.min(draft.currentFieldIndex || 0, fields.length));
+      } else if (draft.stage === 'attachments' && flow.allowsAttachments) {
+        moveToAttachmentStep(flow);
+      } else {
+        moveToConfirmStep(flow);
+      }
+    } catch {
+      appendBotMessage('I could not resume the draft. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const startCommentFlow = async (issueKey) => {
+    resetCreateFlow();
+    resetTransitionFlow();
+
+    if (!issueKey) {
+      setCommentFlow({ ...INITIAL_COMMENT_FLOW, active: true, stage: 'select_request' });
+      appendBotMessage('Which request would you like to comment on? Type its key (for example: TJ-5).', [
+        { label: 'Cancel', value: 'cancel' },
+      ]);
+      return;
+    }
+
+    setLoading(true);
+
+    try {
+      const result = await invoke('getPortalCommentTarget', {
+        issueKey,
+        projectId: portalProject.projectId,
+        projectKey: portalProject.projectKey,
+        portalId: portalProject.portalId,
+      });
+
+      if (result?.error || !result?.request) {
+        appendBotMessage(result?.error || 'I could not find that request.');
+        resetCommentFlow();
+        return;
+      }
+
+      setCommentFlow({
+        ...INITIAL_COMMENT_FLOW,
+        active: true,
+        stage: 'collect_body',
+        request: result.request,
+      });
+      appendBotMessage(
+        `Adding a comment to ${result.request.issueKey}` +
+          `${result.request.summary ? ` — ${result.request.summary}` : ''}.\n` +
+          'What would you like to say? Your comment will be visible to the support team.',
+        [{ label: 'Cancel', value: 'cancel' }]
+      );
+    } catch {
+      appendBotMessage('Could not start the comment. Please try again.');
+      resetCommentFlow();
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const moveCommentToConfirmStep = (flow) => {
+    const attachmentLine =
+      flow.attachmentNames.length > 0 ? `Attachments: ${flow.attachmentNames.join(', ')}` : 'Attachments: none';
+
+    appendBotMessage(
+      `Please confirm your comment on ${flow.request?.issueKey || ''}:\n` +
+        `"${flow.body}"\n` +
+        `${attachmentLine}`,
+      [
+        { label: 'Post comment', value: 'post' },
+        { label: 'Cancel', value: 'cancel' },
+      ]
+    );
+
+    setCommentFlow({ ...flow, stage: 'confirm' });
+  };
+
+  const handleCommentFlowInput = async (text) => {
+    if (!commentFlow.active) {
+      return false;
+    }
+
+    if (CANCEL_FLOW_REGEX.test(text)) {
+      resetCommentFlow();
+      appendBotMessage('Comment canceled.');
+      return true;
+    }
+
+    if (commentFlow.stage === 'select_request') {
+      const issueKey = text.match(ISSUE_KEY_REGEX)?.[0];
+      if (!issueKey) {
+        appendBotMessage('Please type a request key such as TJ-5, or "cancel" to stop.');
+        return true;
+      }
+      await startCommentFlow(issueKey.toUpperCase());
+      return true;
+    }
+
+    if (commentFlow.stage === 'collect_body') {
+      setCommentFlow({ ...commentFlow, body: text, stage: 'attachments' });
+      appendBotMessage(
+        'Would you like to attach files to this comment? Click Attach and pick files, then type "done" (or type "skip").',
+        ATTACHMENT_STEP_OPTIONS
+      );
+      return true;
+    }
+
+    if (commentFlow.stage === 'attachments') {
+      if (SKIP_STEP_REGEX.test(text)) {
+        moveCommentToConfirmStep(commentFlow);
+        return true;
+      }
+
+      if (ATTACH_HELP_REGEX.test(text)) {
+        if (fileInputRef.current) {
+          fileInputRef.current.click();
+        }
+        appendBotMessage('Select file(s) in the picker. Then type "done" when you are ready to continue.');
+        return true;
+      }
+
+      appendBotMessage(
+        'Use Attach to upload files, then type "done". Or type "skip" to continue without attachments.',
+        ATTACHMENT_STEP_OPTIONS
+      );
+      return true;
+    }
+
+    if (commentFlow.stage === 'confirm') {
+      if (!CONFIRM_REGEX.test(text)) {
+        appendBotMessage('Type "post" to add the comment, or "cancel" to stop.');
+        return true;
+      }
+
+      setLoading(true);
+
+      try {
+        const result = await invoke('addPortalRequestComment', {
+          issueKey: commentFlow.request?.issueKey,
+          body: commentFlow.body,
+          temporaryAttachmentIds: commentFlow.temporaryAttachmentIds,
+          projectId: portalProject.projectId,
+          projectKey: portalProject.projectKey,
+          portalId: portalProject.portalId,
+        });
+
+        if (!result?.success) {
+          appendBotMessage(result?.error || 'Failed to add the comment. Please try again.');
+          return true;
+        }
+
+        const commentSummary = [
+          `Comment added to ${result.issueKey}.`,
+          result.requestLink ? `Link: ${result.requestLink}` : null,
+          result.warning ? `Note: ${result.warning}` : null,
+        ]
+          .filter(Boolean)
+          .join('\n');
+
+        appendBotMessage(commentSummary, undefined, result.card);
+        resetCommentFlow();
+      } catch {
+        appendBotMessage('Failed to add the comment. Please try again.');
+      } finally {
+        setLoading(false);
+      }
+
+      return true;
+    }
+
+    return false;
+  };
+
+  const startTransitionFlow = (option) => {
+    resetCreateFlow();
+    resetCommentFlow();
+
+    setTransitionFlow({
+      active: true,
+      issueKey: option.issueKey,
+      transitionId: option.transitionId,
+      transitionName: option.transitionName || option.label,
+      label: option.label,
+      comment: '',
+    });
+    appendBotMessage(
+      `Confirm "${option.transitionName || option.label}" for ${option.issueKey}?\n` +
+        'Type an optional comment for the support team, or choose Confirm to continue without one.',
+      TRANSITION_CONFIRM_OPTIONS
+    );
+  };
+
+  const handleTransitionFlowInput = async (text) => {
+    if (!transitionFlow.active) {
+      return false;
+    }
+
+    if (CANCEL_FLOW_REGEX.test(text) || /^no$/i.test(text)) {
+      resetTransitionFlow();
+      appendBotMessage(`No changes made to ${transitionFlow.issueKey}.`);
+      return true;
+    }
+
+    // Anything but an explicit confirmation is the comment; the change only
+    // runs once the customer confirms it together with that comment.
+    if (!CONFIRM_REGEX.test(text)) {
+      setTransitionFlow({ ...transitionFlow, comment: text });
+      appendBotMessage(
+        `Your comment will be added when ${transitionFlow.issueKey} is updated:\n"${text}"\n` +
+          `Confirm "${transitionFlow.transitionName}"? Type a new comment to replace it, or "cancel" to stop.`,
+        TRANSITION_CONFIRM_OPTIONS
+      );
+      return true;
+    }
+
+    const { comment } = transitionFlow;
+    setLoading(true);
+
+    try {
+      const result = await invoke('transitionPortalRequest', {
+        issueKey: transitionFlow.issueKey,
+        transitionId: transitionFlow.transitionId,
+        comment,
+        projectId: portalProject.projectId,
+        projectKey: portalProject.projectKey,
+        portalId: portalProject.portalId,
+      });
+
+      if (!result?.success) {
+        appendBotMessage(result?.error || 'Failed to update the request. Please try again.');
+        return true;
+      }
 
-        const requestSummary = [
-          'Request created successfully.',
-          result.issueKey ? `Issue key: ${result.issueKey}` : null,
+      appendBotMessage(
+        [
+          `Done: ${result.transitionName || transitionFlow.transitionName} — ${result.issueKey}.`,
+          comment ? 'Your comment was added to the request.' : null,
           result.requestLink ? `Link: ${result.requestLink}` : null,
-          result.warning ? `Note: ${result.warning}` : null,
         ]
           .filter(Boolean)
-          .join('\n');
+          .join('\n'),
+        undefined,
+        result.card
+      );
+    } catch {
+      appendBotMessage('Failed to update the request. Please try again.');
+    } finally {
+      resetTransitionFlow();
+      setLoading(false);
+    }
 
-        appendBotMessage(requestSummary);
-        resetCreateFlow();
+    return true;
+  };
+
+  /*
+   * Resolvers cannot push partial output, so the final portalChat call runs
+   * alongside a poll loop that reads the streamed text from storage.
+   */
+  const handleChatLookup = async (text) => {
+    const streamId = createStreamId();
+    const streamMessage = createMessage('bot', '');
+    let finished = false;
+    let pollTimer = null;
+
+    const pollStream = async () => {
+      try {
+        const streamState = await invoke('getPortalChatStream', { streamId });
+        if (!finished && streamState?.text) {
+          upsertMessage(streamMessage, streamState.text);
+          setStreamingMessageId(streamMessage.id);
+        }
       } catch {
-        appendBotMessage('Failed to create the request. Please try again.');
-      } finally {
-        setLoading(false);
+        // Keep polling; the final portalChat result still renders the reply.
       }
 
-      return true;
+      if (!finished) {
+        pollTimer = window.setTimeout(pollStream, STREAM_POLL_INTERVAL_MS);
+      }
+    };
+
+    setLoading(true);
+    setActiveStreamId(streamId);
+    pollTimer = window.setTimeout(pollStream, STREAM_POLL_INTERVAL_MS);
+
+    try {
+      const result = await invoke('portalChat', {
+        message: text,
+        streamId,
+        language,
+        projectId: portalProject.projectId,
+        projectKey: portalProject.projectKey,
+        portalId: portalProject.portalId,
+      });
+
+      finished = true;
+      const replyLanguage = normalizeLanguage(result?.language) || language;
+      setLanguage(replyLanguage);
+      if (result?.cancelled) {
+        upsertMessage(
+          streamMessage,
+          result.reply
+            ? `${result.reply}\n\n(${t(replyLanguage, 'responseStopped')})`
+            : t(replyLanguage, 'responseStopped')
+        );
+      } else {
+        upsertMessage(
+          streamMessage,
+          result.reply || result.error || t(replyLanguage, 'couldNotProcess'),
+          result.options,
+          result.card
+        );
+      }
+    } catch {
+      finished = true;
+      appendBotMessage(t(language, 'somethingWentWrong'));
+    } finally {
+      finished = true;
+      window.clearTimeout(pollTimer);
+      setActiveStreamId(null);
+      setStreamingMessageId(null);
+      setCancelRequested(false);
+      setLoading(false);
     }
+  };
 
-    return false;
+  const handleCancelStream = async () => {
+    if (!activeStreamId || cancelRequested) {
+      return;
+    }
+
+    setCancelRequested(true);
+    try {
+      const result = await invoke('cancelPortalChatStream', { streamId: activeStreamId });
+      if (!result?.success) {
+        setCancelRequested(false);
+      }
+    } catch {
+      setCancelRequested(false);
+    }
   };
 
-  const handleChatLookup = async (text) => {
+  /**
+   * Runs a resolver behind an option button (search paging, request
+   * drill-down) and shows its reply as a regular bot message.
+   */
+  const runOptionResolver = async (option, resolverName, payload, failureText) => {
+    appendUserMessage(option.label || 'Show more');
     setLoading(true);
 
     try {
-      const result = await invoke('portalChat', {
-        message: text,
+      const result = await invoke(resolverName, {
+        ...payload,
+        language,
         projectId: portalProject.projectId,
         projectKey: portalProject.projectKey,
         portalId: portalProject.portalId,
       });
 
-      appendBotMessage(result.reply || result.error || 'Sorry, I could not process your request.');
+      appendBotMessage(result?.reply || `Sorry, ${failureText}`, result?.options, result?.card);
     } catch {
-      appendBotMessage('Something went wrong. Please try again.');
+      appendBotMessage(`${failureText} Please try again.`);
     } finally {
       setLoading(false);
     }
   };
 
+  /* Forgets the conversation here and on the server; drafts are kept. */
+  const clearConversation = () => {
+    resetCreateFlow();
+    resetCommentFlow();
+    resetTransitionFlow();
+    setMessages([WELCOME_MESSAGE]);
+    invoke('clearPortalConversation', {
+      projectId: portalProject.projectId,
+      projectKey: portalProject.projectKey,
+      portalId: portalProject.portalId,
+    }).catch(() => {});
+  };
+
   const processUserInput = async (rawInput) => {
     const text = String(rawInput || '').trim();
     if (!text || loading) {
       return;
     }
 
+    if (CLEAR_CONVERSATION_REGEX.test(text)) {
+      clearConversation();
+      return;
+    }
+
     appendUserMessage(text);
 
     if (createFlow.active) {
@@ -736,8 +1891,27 @@ function App() {
       }
     }
 
+    if (commentFlow.active) {
+      const handledByCommentFlow = await handleCommentFlowInput(text);
+      if (handledByCommentFlow) {
+        return;
+      }
+    }
+
+    if (transitionFlow.active) {
+      const handledByTransitionFlow = await handleTransitionFlowInput(text);
+      if (handledByTransitionFlow) {
+        return;
+      }
+    }
+
+    if (ADD_COMMENT_INTENT_REGEX.test(text)) {
+      await startCommentFlow(text.match(ISSUE_KEY_REGEX)?.[0]?.toUpperCase());
+      return;
+    }
+
     if (CREATE_REQUEST_INTENT_REGEX.test(text)) {
-      await startCreateRequestFlow();
+      startCreateRequestFlow();
       return;
     }
 
@@ -760,7 +1934,7 @@ function App() {
     }
 
     if (option?.action === 'attach') {
-      if (!createFlow.active || createFlow.stage !== 'attachments' || !createFlow.allowsAttachments) {
+      if (!attachmentTarget) {
         appendBotMessage('Attachments are only available during the attachment step for supported request types.');
         return;
       }
@@ -771,6 +1945,51 @@ function App() {
       return;
     }
 
+    if (option?.action === 'search_more') {
+      await runOptionResolver(option, 'searchPortalRequests', option.search, 'I could not load more requests.');
+      return;
+    }
+
+    if (option?.action === 'my_requests_more') {
+      await runOptionResolver(option, 'getMyPortalRequests', { start: option.start }, 'I could not load more requests.');
+      return;
+    }
+
+    if (option?.action === 'request_transition') {
+      appendUserMessage(option.label);
+      startTransitionFlow(option);
+      return;
+    }
+
+    if (option?.action === 'add_comment') {
+      appendUserMessage(option.label || 'Add a comment');
+      await startCommentFlow(option.issueKey);
+      return;
+    }
+
+    if (option?.action === 'resume_draft') {
+      appendUserMessage(option.label);
+      await resumeDraft(option.draft, option.attachmentsExpired);
+      return;
+    }
+
+    if (option?.action === 'discard_draft') {
+      appendUserMessage(option.label);
+      discardDraft('cancelled');
+      appendBotMessage('Draft discarded.');
+      return;
+    }
+
+    if (option?.action === 'request_status') {
+      await runOptionResolver(
+        option,
+        'getPortalRequestStatus',
+        { issueKey: option.issueKey },
+        'I could not load that request.'
+      );
+      return;
+    }
+
     const selectedValue = option?.value || option?.label || '';
     await processUserInput(selectedValue);
   };
@@ -812,8 +2031,9 @@ function App() {
   const handleAttachmentSelection = async (event) => {
     const files = Array.from(event.target.files || []);
 
-    if (!createFlow.active || createFlow.stage !== 'attachments' || !createFlow.selectedProject) {
-      appendBotMessage('Please start request creation first, then add attachments in the attachment step.');
+    const target = attachmentTarget;
+    if (!target?.serviceDeskId) {
+      appendBotMessage('Please start a request or comment first, then add attachments in the attachment step.');
       if (fileInputRef.current) {
         fileInputRef.current.value = '';
       }
@@ -831,7 +2051,7 @@ function App() {
 
     for (const file of files) {
       try {
-        const uploaded = await uploadAttachment(createFlow.selectedProject.serviceDeskId, file);
+        const uploaded = await uploadAttachment(target.serviceDeskId, file);
         uploadedIds.push(uploaded.id);
         uploadedNames.push(uploaded.fileName);
       } catch (error) {
@@ -842,7 +2062,7 @@ function App() {
     }
 
     if (uploadedIds.length > 0) {
-      setCreateFlow((prev) => ({
+      target.setFlow((prev) => ({
         ...prev,
         temporaryAttachmentIds: [...prev.temporaryAttachmentIds, ...uploadedIds],
         attachmentNames: [...prev.attachmentNames, ...uploadedNames],
@@ -868,8 +2088,33 @@ function App() {
   };
 
   const inputPlaceholder = (() => {
+    if (createFlow.stage === 'describe_problem') {
+      return 'Describe the problem, or type skip...';
+    }
+
+    if (createFlow.stage === 'deflection') {
+      return 'Type yes if an article helped, or no to create a request...';
+    }
+
+    if (transitionFlow.active) {
+      return 'Add an optional comment, or type yes to confirm...';
+    }
+
+    if (commentFlow.active) {
+      if (commentFlow.stage === 'select_request') {
+        return 'Type the request key...';
+      }
+      if (commentFlow.stage === 'collect_body') {
+        return 'Type your comment...';
+      }
+      if (commentFlow.stage === 'attachments') {
+        return 'Type done to continue, or skip to continue without files...';
+      }
+      return 'Type post to add the comment, or cancel...';
+    }
+
     if (!createFlow.active) {
-      return 'Ask about an issue, or type "I want to create a request"';
+      return t(language, 'placeholderDefault');
     }
 
     if (createFlow.stage === 'select_project') {
@@ -882,6 +2127,9 @@ function App() {
 
     if (createFlow.stage === 'collect_fields') {
       const currentField = createFlow.fields[createFlow.currentFieldIndex];
+      if (currentField?.inputType === 'user' || currentField?.inputType === 'multi_user') {
+        return `Type a name for ${currentField.name}, or "me"...`;
+      }
       return currentField ? `Enter ${currentField.name}...` : 'Enter a value...';
     }
 
@@ -890,10 +2138,10 @@ function App() {
     }
 
     if (createFlow.stage === 'confirm') {
-      return 'Type create to submit, or cancel...';
+      return 'Type create to submit, a field number to change it, or cancel...';
     }
 
-    return 'Type your message...';
+    return t(language, 'placeholderMessage');
   })();
 
   /* Load current portal context and decide if widget should render */
@@ -904,6 +2152,10 @@ function App() {
       try {
         const context = await view.getContext();
         const extractedProject = extractPortalProjectContext(context);
+        const localeLanguage = normalizeLanguage(context?.locale);
+        if (localeLanguage && !isCancelled) {
+          setLanguage(localeLanguage);
+        }
 
         const availability = await invoke('getPortalChatAvailability', extractedProject);
         const resolvedProjectId = availability?.projectId || extractedProject.projectId || null;
@@ -935,6 +2187,87 @@ function App() {
     };
   }, []);
 
+  /* Save the request being created so a reload or closed chat does not lose it. */
+  useEffect(() => {
+    if (!createFlow.active || !createFlow.selectedRequestType || !DRAFT_STAGES.includes(createFlow.stage)) {
+      return undefined;
+    }
+
+    const timer = window.setTimeout(() => {
+      invoke('savePortalRequestDraft', {
+        draft: buildDraftFromFlow(createFlow),
+        projectId: portalProject.projectId,
+        projectKey: portalProject.projectKey,
+        portalId: portalProject.portalId,
+      }).catch(() => {});
+    }, 1000);
+
+    return () => window.clearTimeout(timer);
+  }, [createFlow, portalProject]);
+
+  /* Restore earlier assistant turns the first time the chat is opened. */
+  useEffect(() => {
+    if (!open || historyRestoredRef.current) {
+      return;
+    }
+    historyRestoredRef.current = true;
+
+    invoke('getPortalConversation', {
+      projectId: portalProject.projectId,
+      projectKey: portalProject.projectKey,
+      portalId: portalProject.portalId,
+    })
+      .then((result) => {
+        const restoredMessages = (Array.isArray(result?.messages) ? result.messages : []).map((entry) =>
+          createMessage(entry.role === 'assistant' ? 'bot' : 'user', entry.content)
+        );
+        if (restoredMessages.length === 0) {
+          return;
+        }
+        // Keep the welcome first and anything said since opening last.
+        setMessages((prev) => [
+          WELCOME_MESSAGE,
+          ...restoredMessages,
+          ...prev.filter((message) => message !== WELCOME_MESSAGE),
+        ]);
+      })
+      .catch(() => {});
+  }, [open, portalProject]);
+
+  /* Offer to resume a saved draft the first time the chat is opened. */
+  useEffect(() => {
+    if (!open || createFlow.active || draftCheckedRef.current) {
+      return;
+    }
+    draftCheckedRef.current = true;
+
+    invoke('getPortalRequestDraft', {
+      projectId: portalProject.projectId,
+      projectKey: portalProject.projectKey,
+      portalId: portalProject.portalId,
+    })
+      .then((result) => {
+        const draft = result?.draft;
+        if (!draft) {
+          return;
+        }
+        setMessages((prev) => [
+          ...prev,
+          createMessage(
+            'bot',
+            `You have an unfinished ${draft.selectedRequestType?.name || ''} request in ` +
+              `${draft.selectedProject?.projectName || 'this portal'} (saved ${formatDraftAge(result.savedAt)}). ` +
+              'Do you want to continue where you left off?',
+            [
+              { label: 'Resume draft', action: 'resume_draft', draft, attachmentsExpired: Boolean(result.attachmentsExpired) },
+              { label: 'Discard draft', action: 'discard_draft' },
+            ]
+          ),
+        ]);
+      })
+      .catch(() => {});
+  }, [open, createFlow.active, portalProject]);
+
   /* Auto-scroll when new messages arrive. */
   useEffect(() => {
     if (chatEndRef.current) {
@@ -968,7 +2301,7 @@ function App() {
       window.cancelAnimationFrame(frameHandle);
       window.clearTimeout(timeoutHandle);
     };
-  }, [open, messages.length, loading, createFlow.stage]);
+  }, [open, messages.length, loading, createFlow.stage, commentFlow.stage]);
 
   if (checkingAvailability) {
     return null;
@@ -997,6 +2330,15 @@ function App() {
               <div style={s.headerTitle}>Jira Assistant</div>
               <div style={s.headerSubtitle}>Status checks and request creation</div>
             </div>
+            <button
+              type="button"
+              style={s.clearBtn(loading)}
+              onClick={clearConversation}
+              disabled={loading}
+              title={t(language, 'clearTitle')}
+            >
+              {t(language, 'clear')}
+            </button>
             <button
               type="button"
               style={s.closeBtn}
@@ -1011,7 +2353,13 @@ function App() {
             {messages.map((message) => (
               <div key={message.id}>
                 {message.role === 'bot' && <div style={s.botLabel}>Jira Assistant</div>}
-                <div style={s.bubble(message.role === 'user')}>{message.content}</div>
+                {message.role === 'bot' && message.card ? (
+                  <MessageCard card={message.card} fallbackText={message.content} />
+                ) : (
+                  <div style={s.bubble(message.role === 'user')}>
+                    {message.id === WELCOME_MESSAGE.id ? t(language, 'welcome') : message.content}
+                  </div>
+                )}
 
                 {message.role === 'bot' && Array.isArray(message.options) && message.options.length > 0 && (
                   <div style={s.optionWrap}>
@@ -1031,7 +2379,7 @@ function App() {
               </div>
             ))}
 
-            {loading && (
+            {loading && !streamingMessageId && (
               <div>
                 <div style={s.botLabel}>Jira Assistant</div>
                 <div style={s.typingWrap}>
@@ -1045,11 +2393,11 @@ function App() {
             <div ref={chatEndRef} />
           </div>
 
-          {createFlow.active && createFlow.stage === 'attachments' && createFlow.allowsAttachments && (
+          {attachmentTarget && (
             <div style={s.attachmentStrip}>
               <div style={s.attachmentSummary}>
-                {createFlow.attachmentNames.length > 0
-                  ? `Attached: ${createFlow.attachmentNames.join(', ')}`
+                {attachmentTarget.attachmentNames.length > 0
+                  ? `Attached: ${attachmentTarget.attachmentNames.join(', ')}`
                   : 'No attachments added yet.'}
               </div>
               <button
@@ -1074,14 +2422,25 @@ function App() {
               onKeyDown={handleKeyDown}
               disabled={loading}
             />
-            <button
-              type="button"
-              style={s.sendBtn(loading || !input.trim())}
-              disabled={loading || !input.trim()}
-              onClick={handleSend}
-            >
-              Send
-            </button>
+            {activeStreamId ? (
+              <button
+                type="button"
+                style={s.stopBtn(cancelRequested)}
+                disabled={cancelRequested}
+                onClick={handleCancelStream}
+              >
+                {cancelRequested ? 'Stopping...' : 'Stop'}
+              </button>
+            ) : (
+              <button
+                type="button"
+                style={s.sendBtn(loading || !input.trim())}
+                disabled={loading || !input.trim()}
+                onClick={handleSend}
+              >
+                Send
+              </button>
+            )}
           </div>
 
           <input
@@ -1097,7 +2456,7 @@ function App() {
       <div style={s.fabRow}>
         {!open && tooltipVisible && (
           <div style={s.tooltip}>
-            <span style={s.tooltipText}>How can I help?</span>
+            <span style={s.tooltipText}>{t(language, 'tooltip')}</span>
             <div style={s.tooltipArrow} />
           </div>
         )}
@@ -1227,6 +2586,18 @@ const s = {
     marginTop: 2,
   },
 
+  clearBtn: (disabled) => ({
+    background: 'rgba(255,255,255,0.18)',
+    border: 'none',
+    color: '#FFFFFF',
+    cursor: disabled ? 'not-allowed' : 'pointer',
+    fontSize: 12,
+    fontWeight: 500,
+    padding: '4px 10px',
+    borderRadius: 6,
+    opacity: disabled ? 0.5 : 0.9,
+  }),
+
   closeBtn: {
     background: 'none',
     border: 'none',
@@ -1264,6 +2635,151 @@ const s = {
     wordBreak: 'break-word',
   }),
 
+  cardStack: {
+    display: 'flex',
+    flexDirection: 'column',
+    gap: 6,
+    maxWidth: '90%',
+  },
+
+  card: {
+    background: '#FFFFFF',
+    borderRadius: 12,
+    border: '1px solid #DFE1E6',
+    padding: '10px 12px',
+    fontSize: 13,
+    lineHeight: '1.45',
+    color: '#172B4D',
+    display: 'flex',
+    flexDirection: 'column',
+    gap: 6,
+    wordBreak: 'break-word',
+  },
+
+  errorCard: {
+    background: '#FFEBE6',
+    borderRadius: 12,
+    border: '1px solid #FFBDAD',
+    padding: '10px 12px',
+    fontSize: 13,
+    lineHeight: '1.45',
+    color: '#BF2600',
+    whiteSpace: 'pre-wrap',
+    wordBreak: 'break-word',
+  },
+
+  cardErrorList: {
+    margin: '6px 0 0',
+    paddingLeft: 18,
+  },
+
+  cardHeaderRow: {
+    display: 'flex',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    gap: 8,
+  },
+
+  cardKey: {
+    fontWeight: 600,
+    fontSize: 12,
+    color: '#42526E',
+  },
+
+  cardTitle: {
+    fontWeight: 500,
+  },
+
+  cardMuted: {
+    color: '#6B778C',
+    fontSize: 12,
+  },
+
+  cardListItem: {
+    display: 'flex',
+    flexDirection: 'column',
+    gap: 2,
+    paddingBottom: 6,
+    borderBottom: '1px solid #F4F5F7',
+  },
+
+  cardDetails: {
+    display: 'flex',
+    flexDirection: 'column',
+    gap: 2,
+    whiteSpace: 'pre-wrap',
+  },
+
+  cardDetailRow: {
+    display: 'flex',
+    gap: 6,
+  },
+
+  cardDetailLabel: {
+    color: '#6B778C',
+    flexShrink: 0,
+  },
+
+  cardConfirmTitle: {
+    fontWeight: 600,
+    color: '#006644',
+  },
+
+  cardNote: {
+    color: '#974F0C',
+    fontSize: 12,
+  },
+
+  cardFooter: {
+    fontSize: 12,
+    color: '#42526E',
+  },
+
+  cardLink: {
+    color: '#0052CC',
+    textDecoration: 'none',
+  },
+
+  // Atlassian lozenge colours per status category.
+  lozenge: (statusCategory) => ({
+    flexShrink: 0,
+    borderRadius: 3,
+    padding: '1px 6px',
+    fontSize: 11,
+    fontWeight: 700,
+    textTransform: 'uppercase',
+    background:
+      statusCategory === 'done' ? '#E3FCEF' : statusCategory === 'indeterminate' ? '#DEEBFF' : '#DFE1E6',
+    color: statusCategory === 'done' ? '#006644' : statusCategory === 'indeterminate' ? '#0747A6' : '#42526E',
+  }),
+
+  assignee: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: 6,
+    fontSize: 12,
+    color: '#42526E',
+  },
+
+  avatar: {
+    width: 20,
+    height: 20,
+    borderRadius: '50%',
+  },
+
+  avatarInitials: {
+    width: 20,
+    height: 20,
+    borderRadius: '50%',
+    background: '#DFE1E6',
+    color: '#42526E',
+    fontSize: 9,
+    fontWeight: 700,
+    display: 'inline-flex',
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+
   botLabel: {
     fontSize: 11,
     color: '#6B778C',
@@ -1372,6 +2888,18 @@ const s = {
     transition: 'background-color 0.15s',
     flexShrink: 0,
   }),
+
+  stopBtn: (disabled) => ({
+    padding: '8px 16px',
+    fontSize: 14,
+    fontWeight: 500,
+    color: disabled ? '#6B778C' : '#0052CC',
+    backgroundColor: '#FFFFFF',
+    border: `1px solid ${disabled ? '#DFE1E6' : '#0052CC'}`,
+    borderRadius: 20,
+    cursor: disabled ? 'not-allowed' : 'pointer',
+    flexShrink: 0,
+  }),
 };
 
 export default App;
@@ -0,0 +1,213 @@
+/*
+ * Portal widget strings and command keywords. The resolvers detect the
+ * customer's language and return it with each chat reply; the widget keeps
+ * it so its own prompts follow along. Command keywords ("yes", "skip",
+ * "cancel") are accepted in every supported language regardless, since a
+ * customer may answer a German prompt with "yes".
+ */
+
+export const DEFAULT_LANGUAGE = 'en';
+const SUPPORTED_LANGUAGES = ['en', 'de', 'fr', 'es', 'ja'];
+
+/* Whole-message commands, matched case-insensitively against the trimmed input. */
+const COMMAND_KEYWORDS = {
+  cancel: {
+    en: ['cancel', 'stop', 'exit', 'reset'],
+    de: ['abbrechen', 'stopp', 'beenden'],
+    fr: ['annuler', 'arrêter', 'arreter', 'stop'],
+    es: ['cancelar', 'parar', 'salir'],
+    ja: ['キャンセル', '中止', 'やめる'],
+  },
+  clearConversation: {
+    en: ['clear( the)? (conversation|chat|history)'],
+    de: ['(unterhaltung|chat|verlauf) (löschen|leeren)'],
+    fr: ['effacer (la conversation|le chat|l\'historique)'],
+    es: ['borrar (la conversación|la conversacion|el chat|el historial)'],
+    ja: ['(会話|履歴)(を)?(クリア|消去)'],
+  },
+  skip: {
+    en: ['skip', 'no', 'none', 'not now', 'done', 'continue', 'next'],
+    de: ['überspringen', 'nein', 'keine', 'nicht jetzt', 'fertig', 'weiter'],
+    fr: ['passer', 'non', 'aucun', 'pas maintenant', 'terminé', 'termine', 'continuer', 'suivant'],
+    es: ['omitir', 'saltar', 'no', 'ninguno', 'ahora no', 'listo', 'continuar', 'siguiente'],
+    ja: ['スキップ', 'いいえ', 'なし', '完了', '次へ'],
+  },
+  skipRemaining: {
+    en: ['skip (remaining|the rest|all)( fields)?'],
+    de: ['(alle|restliche) (felder )?überspringen', 'rest überspringen'],
+    fr: ['passer (le reste|tout|les champs restants)'],
+    es: ['omitir (el resto|todo|los campos restantes)'],
+    ja: ['残りを?スキップ', '全てスキップ'],
+  },
+  confirm: {
+    en: ['yes', 'y', 'create', 'submit', 'post', 'confirm', 'go ahead'],
+    de: ['ja', 'erstellen', 'absenden', 'senden', 'bestätigen', 'los'],
+    fr: ['oui', 'créer', 'creer', 'envoyer', 'soumettre', 'confirmer', 'publier'],
+    es: ['sí', 'si', 'crear', 'enviar', 'confirmar', 'publicar', 'adelante'],
+    ja: ['はい', '作成', '送信', '確定', '投稿'],
+  },
+  deflectionSolved: {
+    en: ['yes', 'y', 'solved', 'that helped', 'it helped', 'fixed'],
+    de: ['ja', 'gelöst', 'das hat geholfen', 'hat geholfen'],
+    fr: ['oui', 'résolu', 'resolu', 'ça a aidé', 'ca a aide', 'merci ça marche'],
+    es: ['sí', 'si', 'resuelto', 'me ayudó', 'me ayudo', 'solucionado'],
+    ja: ['はい', '解決しました', '解決', '助かりました'],
+  },
+  showAllRequestTypes: {
+    en: ['(show all|all|other|none of these|something else)( request types)?'],
+    de: ['alle( anzeigen)?', 'andere', 'keiner davon', 'etwas anderes'],
+    fr: ['tout afficher', 'tous', 'autre', 'aucun de ceux-ci', 'autre chose'],
+    es: ['mostrar todos', 'todos', 'otro', 'ninguno de estos', 'otra cosa'],
+    ja: ['全て表示', 'すべて表示', 'その他', 'どれでもない'],
+  },
+};
+
+/* Patterns that may appear anywhere in a longer message. */
+const INTENT_PATTERNS = {
+  createIntent: {
+    en: '\\b(create|raise|submit|open)\\b.*\\b(request|ticket|issue)\\b|\\bnew request\\b',
+    de: '\\b(anfrage|ticket|vorgang)\\b.*\\b(erstellen|anlegen|eröffnen)|\\bneue (anfrage|ticket)\\b',
+    fr: '\\b(créer|creer|ouvrir|soumettre)\\b.*\\b(demande|ticket)\\b|\\bnouvelle demande\\b',
+    es: '\\b(crear|abrir|enviar)\\b.*\\b(solicitud|ticket|petición|peticion)\\b|\\bnueva solicitud\\b',
+    ja: '(リクエスト|チケット|申請).*(作成|作りたい|出したい)|新しい(リクエスト|チケット)',
+  },
+  addCommentIntent: {
+    en: '\\b(add|post|leave|write|send)\\b.*\\b(comment|reply|note)\\b|\\bcomment on\\b',
+    de: '\\bkommentar\\b.*\\b(hinzufügen|schreiben|senden)|\\b(kommentieren)\\b',
+    // \b does not treat accented letters as word characters, so "écrire" needs (?:^|\s).
+    fr: '(?:^|\\s)(ajouter|laisser|écrire|ecrire|envoyer)\\b.*\\b(commentaire|réponse|reponse|note)\\b|\\bcommenter\\b',
+    es: '\\b(añadir|anadir|agregar|dejar|escribir|enviar)\\b.*\\b(comentario|respuesta|nota)\\b|\\bcomentar\\b',
+    ja: 'コメント(を)?(追加|投稿|書)',
+  },
+  attachHelp: {
+    en: '\\b(attach|upload|file|document)\\b',
+    de: '\\b(anhängen|hochladen|datei|dokument)\\b',
+    fr: '\\b(joindre|téléverser|televerser|fichier|document)\\b',
+    es: '\\b(adjuntar|subir|archivo|documento)\\b',
+    ja: '(添付|アップロード|ファイル)',
+  },
+};
+
+const escapeKeyword = (keyword) => keyword.replace(/[.*+?^${}[\]\\]/g, (char) => `\\${char}`);
+
+/**
+ * One case-insensitive regex accepting the keyword in any supported
+ * language. Command keywords must be the whole message; intent patterns may
+ * match anywhere. Command entries containing "(" are already patterns.
+ */
+export const buildKeywordRegex = (kind) => {
+  if (INTENT_PATTERNS[kind]) {
+    return new RegExp(SUPPORTED_LANGUAGES.map((language) => `(?:${INTENT_PATTERNS[kind][language]})`).join('|'), 'i');
+  }
+
+  const alternatives = SUPPORTED_LANGUAGES.flatMap((language) => COMMAND_KEYWORDS[kind]?.[language] || []).map(
+    (keyword) => (keyword.includes('(') ? keyword : escapeKeyword(keyword))
+  );
+  return new RegExp(`^(?:${alternatives.join('|')})$`, 'i');
+};
+
+/* Maps "de-DE", "de_DE" or "de" to a supported language, else null. */
+export const normalizeLanguage = (value) => {
+  const language = String(value || '')
+    .trim()
+    .toLowerCase()
+    .split(/[-_]/)[0];
+  return SUPPORTED_LANGUAGES.includes(language) ? language : null;
+};
+
+const CATALOG = {
+  en: {
+    welcome:
+      "Hi! I'm your Jira Assistant. I can help with issue lookups and request creation.\n\n" +
+      'Examples:\n' +
+      '- "What is the status of TJ-1?"\n' +
+      '- "Who is assigned to PROJ-42?"\n' +
+      '- "Show my open requests from last week"\n' +
+      '- "Track my requests"\n' +
+      '- "Add a comment to TJ-1"\n' +
+      '- "I want to create a request"',
+    tooltip: 'How can I help?',
+    clear: 'Clear',
+    clearTitle: 'Clear conversation',
+    placeholderDefault: 'Ask about an issue, or type "I want to create a request"',
+    placeholderMessage: 'Type your message...',
+    responseStopped: 'Response stopped.',
+    couldNotProcess: 'Sorry, I could not process your request.',
+    somethingWentWrong: 'Something went wrong. Please try again.',
+  },
+  de: {
+    welcome:
+      'Hallo! Ich bin dein Jira Assistant. Ich helfe dir bei Vorgangsabfragen und beim Erstellen von Anfragen.\n\n' +
+      'Beispiele:\n' +
+      '- "Was ist der Status von TJ-1?"\n' +
+      '- "Wer ist PROJ-42 zugewiesen?"\n' +
+      '- "Zeige meine offenen Anfragen"\n' +
+      '- "Kommentar zu TJ-1 hinzufügen"\n' +
+      '- "Ich möchte eine neue Anfrage erstellen"',
+    tooltip: 'Wie kann ich helfen?',
+    clear: 'Leeren',
+    clearTitle: 'Unterhaltung löschen',
+    placeholderDefault: 'Frag nach einem Vorgang oder schreibe "neue Anfrage"',
+    placeholderMessage: 'Nachricht eingeben...',
+    responseStopped: 'Antwort gestoppt.',
+    couldNotProcess: 'Entschuldigung, ich konnte deine Anfrage nicht verarbeiten.',
+    somethingWentWrong: 'Etwas ist schiefgelaufen. Bitte versuche es erneut.',
+  },
+  fr: {
+    welcome:
+      'Bonjour ! Je suis votre Jira Assistant. Je peux rechercher des tickets et créer des demandes.\n\n' +
+      'Exemples :\n' +
+      '- "Quel est le statut de TJ-1 ?"\n' +
+      '- "Qui est assigné à PROJ-42 ?"\n' +
+      '- "Afficher mes demandes ouvertes"\n' +
+      '- "Ajouter un commentaire à TJ-1"\n' +
+      '- "Je veux créer une nouvelle demande"',
+    tooltip: 'Comment puis-je aider ?',
+    clear: 'Effacer',
+    clearTitle: 'Effacer la conversation',
+    placeholderDefault: 'Posez une question sur un ticket, ou tapez "nouvelle demande"',
+    placeholderMessage: 'Tapez votre message...',
+    responseStopped: 'Réponse interrompue.',
+    couldNotProcess: "Désolé, je n'ai pas pu traiter votre demande.",
+    somethingWentWrong: 'Une erreur est survenue. Veuillez réessayer.',
+  },
+  es: {
+    welcome:
+      '¡Hola! Soy tu Jira Assistant. Puedo consultar incidencias y crear solicitudes.\n\n' +
+      'Ejemplos:\n' +
+      '- "¿Cuál es el estado de TJ-1?"\n' +
+      '- "¿Quién está asignado a PROJ-42?"\n' +
+      '- "Mostrar mis solicitudes abiertas"\n' +
+      '- "Añadir un comentario a TJ-1"\n' +
+      '- "Quiero crear una nueva solicitud"',
+    tooltip: '¿En qué puedo ayudar?',
+    clear: 'Borrar',
+    clearTitle: 'Borrar la conversación',
+    placeholderDefault: 'Pregunta por una incidencia, o escribe "nueva solicitud"',
+    placeholderMessage: 'Escribe tu mensaje...',
+    responseStopped: 'Respuesta detenida.',
+    couldNotProcess: 'Lo siento, no pude procesar tu solicitud.',
+    somethingWentWrong: 'Algo salió mal. Inténtalo de nuevo.',
+  },
+  ja: {
+    welcome:
+      'こんにちは!Jira Assistant です。課題の確認やリクエストの作成をお手伝いします。\n\n' +
+      '例:\n' +
+      '- 「TJ-1 のステータスは?」\n' +
+      '- 「PROJ-42 の担当者は?」\n' +
+      '- 「私のリクエスト一覧を表示して」\n' +
+      '- 「TJ-1 にコメントを追加」\n' +
+      '- 「新しいリクエストを作成したい」',
+    tooltip: '何かお手伝いしましょうか?',
+    clear: 'クリア',
+    clearTitle: '会話をクリア',
+    placeholderDefault: '課題について質問するか、「新しいリクエスト」と入力してください',
+    placeholderMessage: 'メッセージを入力...',
+    responseStopped: '応答を停止しました。',
+    couldNotProcess: '申し訳ありません。リクエストを処理できませんでした。',
+    somethingWentWrong: '問題が発生しました。もう一度お試しください。',
+  },
+};
+
+/* Looks a string up in the customer's language, falling back to English. */
+export const t = (language, key) => CATALOG[language]?.[key] || CATALOG[DEFAULT_LANGUAGE][key] || key;